@@ -499,6 +499,14 @@ export class BootstrapClient extends EventEmitter {
           });
           break;
 
+        case 'connected_clients_response':
+          if (this.pendingRequests.has(message.requestId)) {
+            this.handleResponse({ ...message, data: { clients: message.clients || [], totalConnected: message.totalConnected } });
+          } else {
+            this.emit('connectedClients', message);
+          }
+          break;
+
         case 'ice_coordinate_error':
           // Error during ICE coordination
           console.error(`❄️ ICE coordination error: ${message.error}`);
@@ -673,6 +681,22 @@ export class BootstrapClient extends EventEmitter {
     }
   }
 
+  /**
+   * Request the nodes currently connected to the bootstrap server
+   * Unlike requestPeersOrGenesis this has no onboarding side effects, so DHT-connected
+   * nodes can use it to find peers outside their own routing table.
+   * @param {string} reason - Logged by the server
+   * @returns {Promise<Array<{nodeId: string, metadata: Object}>>}
+   */
+  async requestConnectedClients(reason = 'peer_sampling', timeout = 10000) {
+    const response = await this.sendRequest({
+      type: 'get_connected_clients',
+      reason
+    }, timeout);
+
+    return response.clients || [];
+  }
+
   /**
    * Send invitation token via bootstrap server
    */
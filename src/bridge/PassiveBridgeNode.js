@@ -48,6 +48,8 @@ export class PassiveBridgeNode extends NodeDHTClient {
     this.connectedPeers = new Map();        // peerId -> connectionInfo
     this.peerAnnouncements = new Map();     // peerId -> announcementData
     this.networkFingerprint = null;
+    this.networkSizeEstimate = null;        // Latest dht.getNetworkSizeEstimate(), part of the fingerprint
+    this.lastPartitionAlert = null;         // Last partitionSuspected event from the DHT
     this.lastFingerprintUpdate = 0;
     this.fingerprintUpdateInterval = null;
 
@@ -270,6 +272,25 @@ export class PassiveBridgeNode extends NodeDHTClient {
     this.dht.on('messageObserved', (data) => {
       this.updatePeerActivity(data.peerId, data.message);
     });
+
+    // Alert when the network size estimate collapses (split-brain)
+    this.dht.on('partitionSuspected', (event) => {
+      this.handlePartitionSuspected(event);
+    });
+  }
+
+  /**
+   * Handle a suspected network partition reported by the DHT's size estimator
+   */
+  async handlePartitionSuspected(event) {
+    console.error(`🚨 PARTITION SUSPECTED: network size estimate dropped from ~${event.previousSize} to ~${event.currentSize} nodes (ratio ${event.ratio.toFixed(2)})`);
+    this.lastPartitionAlert = { ...event, detectedAt: Date.now() };
+
+    // Refresh the fingerprint right away so reconnection validation sees the new network view
+    this.networkFingerprint = await this.calculateNetworkFingerprint();
+    this.lastFingerprintUpdate = Date.now();
+
+    this.emit('partitionSuspected', this.lastPartitionAlert);
   }
 
   /**
@@ -551,6 +572,9 @@ export class PassiveBridgeNode extends NodeDHTClient {
     // Start zero-peer recovery monitoring
     this.startZeroPeerRecovery();
 
+    // Bridges see every island through the bootstrap server - reconnect them after a split
+    this.dht.startPartitionHealing();
+
     this.isStarted = true;
     console.log(`🌉 Passive bridge node started on ${this.options.bridgeHost}:${this.options.bridgePort}`);
     console.log(`📡 DHT Node ID: ${this.dht.localNodeId.toString()}`);
@@ -876,10 +900,15 @@ export class PassiveBridgeNode extends NodeDHTClient {
         }))
         .sort((a, b) => a.peerId.localeCompare(b.peerId));
 
+      // Network size rounded to a power of two so estimation noise doesn't change the fingerprint
+      this.networkSizeEstimate = this.dht.getNetworkSizeEstimate();
+      const networkSizeMagnitude = this.networkSizeEstimate ? Math.round(Math.log2(this.networkSizeEstimate.size)) : null;
+
       // Create deterministic network fingerprint
       const fingerprintData = {
         activePeers: activePeers.slice(0, 10), // Limit for consistency
         validAnnouncements: validAnnouncements.slice(0, 10),
+        networkSizeMagnitude,
         observerNodeId: this.dht.localNodeId.toString(),
         timestamp: Math.floor(Date.now() / (60 * 60 * 1000)) // Hour granularity
       };
@@ -1482,6 +1511,7 @@ export class PassiveBridgeNode extends NodeDHTClient {
       // 4. For now, just return success - actual reconnection facilitation would be implemented here
       this.sendReconnectionResult(bootstrapPeerId, nodeId, requestId, true, 'Reconnection validation passed', {
         networkFingerprint: this.networkFingerprint,
+        networkSize: this.networkSizeEstimate,
         activePeerCount: this.connectedPeers.size,
         validAnnouncementCount: Array.from(this.peerAnnouncements.values()).filter(a => a.isValid).length,
         selectedActiveMember: activeDHTMember
@@ -1965,6 +1995,8 @@ export class PassiveBridgeNode extends NodeDHTClient {
       validAnnouncements: Array.from(this.peerAnnouncements.values()).filter(a => a.isValid).length,
       networkFingerprint: this.networkFingerprint,
       lastFingerprintUpdate: this.lastFingerprintUpdate,
+      networkSize: this.networkSizeEstimate,
+      partitionAlert: this.lastPartitionAlert,
       authorizedBootstrapConnections: this.authorizedBootstrap.size,
       networkHealth: this.assessNetworkHealth(),
       // Relay system metrics
@@ -13,7 +13,9 @@
 
 import { DHTClient } from '../core/DHTClient.js';
 import { IdentityStore } from './IdentityStore.js';
+import { IndexedDBStorageAdapter } from './IndexedDBStorageAdapter.js';
 import { DHTNodeId } from '../core/DHTNodeId.js';
+import { NodeIdProof } from '../core/NodeIdProof.js';
 
 /**
  * Browser DHT Client with WebRTC connection support and cryptographic identity
@@ -27,7 +29,8 @@ export class BrowserDHTClient extends DHTClient {
     // The real node ID will be set in start() after loading identity
     // useTabIdentity: enables testing multiple clients in same browser (different tabs)
     this.identityStore = new IdentityStore({
-      useTabIdentity: options.useTabIdentity || false
+      useTabIdentity: options.useTabIdentity || false,
+      nodeIdDifficulty: options.nodeIdDifficulty || 0
     });
     this.identity = null;
 
@@ -67,6 +70,9 @@ export class BrowserDHTClient extends DHTClient {
     console.log(`   Node ID: ${this.identity.nodeId.substring(0, 16)}...`);
     console.log(`   Public Key: ${JSON.stringify(this.identity.publicKey).substring(0, 60)}...`);
 
+    // Prove the node ID is derived from our identity key (checked by peers requiring node ID proofs)
+    this.nodeIdProof = await NodeIdProof.create(this.identity.publicKey, (data) => this.identityStore.sign(data));
+
     // CRITICAL: Set up authentication handler BEFORE connecting to bootstrap
     // so we're ready to respond when the challenge arrives
     this.setupAuthenticationHandlerEarly();
@@ -85,6 +91,22 @@ export class BrowserDHTClient extends DHTClient {
     return result;
   }
 
+  /**
+   * Persist DHT records in IndexedDB (one database per identity)
+   * Set options.persistStorage = false to keep records in memory only
+   */
+  createStorageAdapter() {
+    if (this.options.storageAdapter) {
+      return this.options.storageAdapter;
+    }
+
+    if (this.options.persistStorage === false || !IndexedDBStorageAdapter.isSupported()) {
+      return null;
+    }
+
+    return new IndexedDBStorageAdapter({ namespace: this.identity?.nodeId });
+  }
+
   /**
    * Record data transfer (bytes sent/received) - compatible with ActiveDHTNode interface
    * Fail-safe implementation that never throws (Requirement 5.1, 5.3)
@@ -10,6 +10,7 @@
  */
 
 import crypto from 'crypto-js';
+import { NodeIdProof } from '../core/NodeIdProof.js';
 
 const DB_NAME = 'yz-network-identity';
 const DB_VERSION = 1;
@@ -23,6 +24,7 @@ export class IdentityStore {
     // Support tab-specific identities for testing multiple clients in same browser
     // If useTabIdentity is true, generate unique ID per tab using sessionStorage
     this.useTabIdentity = options.useTabIdentity || false;
+    this.nodeIdDifficulty = options.nodeIdDifficulty || 0; // Static crypto puzzle difficulty (see NodeIdProof)
     this.storageKey = this.useTabIdentity ? this.getOrCreateTabId() : 'default';
 
     if (this.useTabIdentity) {
@@ -243,12 +245,20 @@ export class IdentityStore {
     const exists = await this.exists();
 
     if (exists) {
-      return await this.load();
-    } else {
-      const identity = await this.generate();
-      await this.save(identity);
-      return identity;
+      const identity = await this.load();
+      if (NodeIdProof.meetsDifficulty(identity.nodeId, this.nodeIdDifficulty)) {
+        return identity;
+      }
+      console.warn(`⚠️ IdentityStore: Stored node ID does not meet difficulty ${this.nodeIdDifficulty} - generating a new identity`);
     }
+
+    // Regenerate until the derived node ID solves the puzzle (~2^difficulty attempts)
+    let identity = await this.generate();
+    while (!NodeIdProof.meetsDifficulty(identity.nodeId, this.nodeIdDifficulty)) {
+      identity = await this.generate();
+    }
+    await this.save(identity);
+    return identity;
   }
 
   /**
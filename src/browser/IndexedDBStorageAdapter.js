@@ -0,0 +1,142 @@
+/**
+ * IndexedDBStorageAdapter - Persists DHT records in the browser
+ *
+ * Stores the DHT record and republish tables in IndexedDB so a browser node
+ * keeps the records it holds across page reloads and the inactive-tab
+ * disconnect/reconnect cycle in BrowserDHTClient.
+ *
+ * One database per node ID (tab identities get separate databases), with one
+ * object store per table using out-of-line keys.
+ */
+
+import { StorageAdapter, STORAGE_TABLES } from '../dht/StorageAdapter.js';
+
+const DB_PREFIX = 'yz-network-dht-storage';
+const DB_VERSION = 1;
+
+export class IndexedDBStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.namespace] - Usually the local node ID
+   */
+  constructor(options = {}) {
+    super();
+    this.dbName = options.namespace ? `${DB_PREFIX}-${options.namespace}` : DB_PREFIX;
+    this.db = null;
+    this.pendingWrites = new Set();
+  }
+
+  get backend() {
+    return 'indexeddb';
+  }
+
+  /**
+   * Check whether IndexedDB is usable in this environment
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Initialize IndexedDB connection
+   */
+  async initialize() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+
+      request.onerror = () => reject(new Error('Failed to open DHT storage database'));
+
+      request.onsuccess = (event) => {
+        this.db = event.target.result;
+        resolve();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        for (const table of STORAGE_TABLES) {
+          if (!db.objectStoreNames.contains(table)) {
+            db.createObjectStore(table);
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Read every entry of one object store
+   */
+  readTable(table) {
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const transaction = this.db.transaction([table], 'readonly');
+      const request = transaction.objectStore(table).openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          entries.push([cursor.key, cursor.value]);
+          cursor.continue();
+        } else {
+          resolve(entries);
+        }
+      };
+
+      request.onerror = () => reject(new Error(`Failed to read DHT storage table ${table}`));
+    });
+  }
+
+  async load() {
+    if (!this.db) {
+      await this.initialize();
+    }
+
+    return {
+      records: await this.readTable('records'),
+      republish: await this.readTable('republish')
+    };
+  }
+
+  write(table, op, key, value) {
+    if (!this.db) {
+      return;
+    }
+
+    const transaction = this.db.transaction([table], 'readwrite');
+    const store = transaction.objectStore(table);
+
+    if (op === 'set') {
+      store.put(value, key);
+    } else if (op === 'delete') {
+      store.delete(key);
+    } else if (op === 'clear') {
+      store.clear();
+    }
+
+    const done = new Promise(resolve => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        this.writeErrors++;
+        console.warn(`⚠️ IndexedDBStorageAdapter: ${op} ${key || ''} in ${table} failed`);
+        resolve();
+      };
+      transaction.onabort = transaction.onerror;
+    });
+
+    this.pendingWrites.add(done);
+    done.then(() => this.pendingWrites.delete(done));
+  }
+
+  async flush() {
+    await Promise.all([...this.pendingWrites]);
+  }
+
+  async close() {
+    await super.close();
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default IndexedDBStorageAdapter;
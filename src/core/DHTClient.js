@@ -15,6 +15,7 @@ import { KademliaDHT } from '../dht/KademliaDHT.js';
 import { BootstrapClient } from '../bootstrap/BootstrapClient.js';
 import { DHTNodeId } from './DHTNodeId.js';
 import { InvitationToken } from './InvitationToken.js';
+import { NodeIdProof } from './NodeIdProof.js';
 
 /**
  * Abstract base class for DHT clients
@@ -38,6 +39,8 @@ export class DHTClient extends EventEmitter {
     this.dht = null;
     this.bootstrap = null;
     this.isStarted = false;
+    this.keyPair = null; // Set with nodeIdProof when the node ID is bound to a key pair
+    this.nodeIdProof = null;
 
     console.log(`🌐 ${this.constructor.name} initializing`);
     console.log(`   Node ID: ${this.nodeId.toString().substring(0, 16)}...`);
@@ -71,10 +74,40 @@ export class DHTClient extends EventEmitter {
       alpha: this.options.alpha,
       replicateK: this.options.replicateK,
       timeout: this.options.timeout,
-      maxConnections: this.options.maxConnections
+      maxConnections: this.options.maxConnections,
+      storageAdapter: this.createStorageAdapter(),
+      requireNodeIdProof: this.options.requireNodeIdProof,
+      nodeIdDifficulty: this.options.nodeIdDifficulty,
+      messageAuth: this.options.messageAuth,
+      messageMaxAge: this.options.messageMaxAge,
+      keyPair: this.keyPair,
+      nodeIdProof: this.nodeIdProof
     };
   }
 
+  /**
+   * Bind the node ID to a fresh key pair when the network requires node ID proofs
+   * Clients with their own key-derived identity (BrowserDHTClient) set nodeIdProof first.
+   */
+  async ensureNodeIdProof() {
+    if (!this.options.requireNodeIdProof || this.nodeIdProof) {
+      return;
+    }
+
+    const identity = await NodeIdProof.generate(this.options.nodeIdDifficulty || 0);
+    this.nodeId = DHTNodeId.fromHex(identity.nodeId);
+    this.keyPair = identity.keyPair;
+    this.nodeIdProof = identity.proof;
+  }
+
+  /**
+   * Create storage adapter for DHT records - can be overridden by subclasses
+   * Returns null to use the DHT's default in-memory storage
+   */
+  createStorageAdapter() {
+    return this.options.storageAdapter || null;
+  }
+
   /**
    * Get bootstrap metadata - can be overridden by subclasses
    */
@@ -131,6 +164,8 @@ export class DHTClient extends EventEmitter {
     // Create bootstrap client (subclasses can override)
     this.bootstrap = this.createBootstrapClient();
 
+    await this.ensureNodeIdProof();
+
     // Create DHT with connection-agnostic configuration
     // DHT will create its own connection managers using the factory
     this.dht = new KademliaDHT(this.getDHTOptions());
@@ -241,35 +276,113 @@ export class DHTClient extends EventEmitter {
 
   /**
    * Store data in DHT
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   * @param {Object} options - { ttl } record lifetime in ms
+   */
+  async store(key, value, options = {}) {
+    if (!this.dht || !this.dht.isStarted) {
+      throw new Error('DHT not started');
+    }
+
+    return await this.dht.store(key, value, options);
+  }
+
+  /**
+   * Delete a key from the DHT with a signed tombstone
+   * @param {Object} options - { ttl } how long replicas keep the tombstone
    */
-  async store(key, value) {
+  async delete(key, options = {}) {
     if (!this.dht || !this.dht.isStarted) {
       throw new Error('DHT not started');
     }
 
-    return await this.dht.store(key, value);
+    return await this.dht.delete(key, options);
   }
 
   /**
    * Retrieve data from DHT
+   * @param {Object} options - { quorum, resolve } for a quorum read with read-repair
    */
-  async get(key) {
+  async get(key, options = {}) {
     if (!this.dht || !this.dht.isStarted) {
       throw new Error('DHT not started');
     }
 
-    return await this.dht.get(key);
+    return await this.dht.get(key, options);
   }
 
   /**
    * Retrieve data from DHT network, bypassing local cache.
    * Use this for mutable data like PubSub coordinators that may be updated by other nodes.
    */
-  async getFromNetwork(key) {
+  async getFromNetwork(key, options = {}) {
+    if (!this.dht || !this.dht.isStarted) {
+      throw new Error('DHT not started');
+    }
+
+    return await this.dht.getFromNetwork(key, options);
+  }
+
+  /**
+   * Look up a value over disjoint paths, reporting how many paths agreed
+   * @param {Object} options - { disjointPaths } number of paths (default 3)
+   * @returns {Promise<{found: boolean, value: *, agreeing: number, paths: number}>}
+   */
+  async findValue(key, options = {}) {
+    if (!this.dht || !this.dht.isStarted) {
+      throw new Error('DHT not started');
+    }
+
+    return await this.dht.findValue(key, options);
+  }
+
+  /**
+   * Announce that this node can serve content for a key
+   */
+  async provide(key) {
+    if (!this.dht || !this.dht.isStarted) {
+      throw new Error('DHT not started');
+    }
+
+    return await this.dht.provide(key);
+  }
+
+  /**
+   * Find node IDs that announced they can serve content for a key
+   * @param {Object} options - { limit } maximum number of providers
+   */
+  async findProviders(key, options = {}) {
+    if (!this.dht || !this.dht.isStarted) {
+      throw new Error('DHT not started');
+    }
+
+    return await this.dht.findProviders(key, options);
+  }
+
+  /**
+   * Store an immutable content-addressed blob
+   * @param {Uint8Array|ArrayBuffer|string} data - Blob contents
+   * @param {Object} options - { chunkSize, ttl }
+   * @returns {Promise<string>} - Blob hash
+   */
+  async putBlob(data, options = {}) {
+    if (!this.dht || !this.dht.isStarted) {
+      throw new Error('DHT not started');
+    }
+
+    return await this.dht.putBlob(data, options);
+  }
+
+  /**
+   * Fetch and verify a blob by hash
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async getBlob(hash, options = {}) {
     if (!this.dht || !this.dht.isStarted) {
       throw new Error('DHT not started');
     }
 
-    return await this.dht.getFromNetwork(key);
+    return await this.dht.getBlob(hash, options);
   }
 }
\ No newline at end of file
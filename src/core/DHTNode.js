@@ -1,4 +1,5 @@
 import { DHTNodeId } from './DHTNodeId.js';
+import { VivaldiCoordinate } from './VivaldiCoordinate.js';
 import Logger from '../utils/Logger.js';
 
 /**
@@ -23,6 +24,7 @@ export class DHTNode {
     this.lastSeen = Date.now();
     this.lastPing = 0;
     this.rtt = 0; // Round trip time in ms
+    this.coordinate = null; // VivaldiCoordinate, for predicting RTT before we have pinged the node
     this.failureCount = 0;
     this.isAlive = true;
     this.capabilities = new Set(); // Set of supported capabilities
@@ -352,13 +354,17 @@ export class DHTNode {
    * Create a compact representation for network transmission
    */
   toCompact() {
-    return {
+    const compact = {
       id: this.id.toString(),
       endpoint: this.endpoint,
       lastSeen: this.lastSeen,
       capabilities: Array.from(this.capabilities),
       metadata: this.metadata
     };
+    if (this.coordinate) {
+      compact.coordinate = this.coordinate.toJSON();
+    }
+    return compact;
   }
 
   /**
@@ -369,6 +375,7 @@ export class DHTNode {
     node.lastSeen = compact.lastSeen || Date.now();
     node.capabilities = new Set(compact.capabilities || []);
     node.metadata = compact.metadata || {};
+    node.coordinate = VivaldiCoordinate.fromJSON(compact.coordinate);
     return node;
   }
 
@@ -382,6 +389,7 @@ export class DHTNode {
       lastSeen: this.lastSeen,
       lastPing: this.lastPing,
       rtt: this.rtt,
+      coordinate: this.coordinate ? this.coordinate.toJSON() : null,
       failureCount: this.failureCount,
       isAlive: this.isAlive,
       connectionState: this.getConnectionState(),
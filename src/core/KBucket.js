@@ -1,13 +1,15 @@
 // import { DHTNodeId } from './DHTNodeId.js';
+import { NetworkAddress } from './NetworkAddress.js';
 
 /**
  * Represents a K-bucket in the Kademlia routing table
  */
 export class KBucket {
-  constructor(k = 20, prefix = 0, depth = 0) {
+  constructor(k = 20, prefix = 0, depth = 0, options = {}) {
     this.k = k; // Maximum number of nodes in bucket
     this.prefix = prefix; // Binary prefix for this bucket
     this.depth = depth; // Depth in the binary tree
+    this.maxPerSubnet = options.maxPerSubnet || 0; // Max nodes per /24 (IPv4) or /48 (IPv6), 0 = unlimited
     this.nodes = []; // Array of DHTNode objects
     this.replacementCache = []; // Secondary storage for overflow nodes
     this.lastUpdated = Date.now();
@@ -28,6 +30,12 @@ export class KBucket {
       return true;
     }
 
+    // Subnet diversity: over-represented subnets wait in the replacement cache
+    if (!this.hasSubnetRoom(node)) {
+      this.addToReplacementCache(node);
+      return false;
+    }
+
     if (this.nodes.length < this.k) {
       // Bucket has space, add the node
       node.lastSeen = Date.now();
@@ -40,6 +48,25 @@ export class KBucket {
     return this.addToReplacementCache(node);
   }
 
+  /**
+   * Count bucket nodes in a subnet
+   */
+  countSubnet(subnet) {
+    return this.nodes.filter(n => NetworkAddress.getNodeSubnet(n) === subnet).length;
+  }
+
+  /**
+   * Check whether a node fits under the per-subnet limit
+   * Nodes with no known subnet are never limited.
+   */
+  hasSubnetRoom(node) {
+    if (!this.maxPerSubnet) {
+      return true;
+    }
+    const subnet = NetworkAddress.getNodeSubnet(node);
+    return !subnet || this.countSubnet(subnet) < this.maxPerSubnet;
+  }
+
   /**
    * Add a node to the replacement cache (LRU eviction when full)
    * @param {DHTNode} node - Node to add to cache
@@ -87,15 +114,26 @@ export class KBucket {
 
   /**
    * Promote the most recently seen node from replacement cache to main bucket
-   * @returns {DHTNode|null} - The promoted node, or null if cache is empty
+   * Skips cached nodes whose subnet is already at its limit.
+   * @param {Function} canPromote - Optional extra check (node) => boolean, e.g. table-wide limits
+   * @returns {DHTNode|null} - The promoted node, or null if no cached node qualifies
    */
-  promoteFromReplacementCache() {
-    if (this.replacementCache.length === 0) {
+  promoteFromReplacementCache(canPromote = null) {
+    // Promote most recently seen node (last in array due to LRU ordering)
+    let index = this.replacementCache.length - 1;
+    while (index >= 0) {
+      const candidate = this.replacementCache[index];
+      if (this.hasSubnetRoom(candidate) && (!canPromote || canPromote(candidate))) {
+        break;
+      }
+      index--;
+    }
+
+    if (index < 0) {
       return null;
     }
 
-    // Promote most recently seen node (last in array due to LRU ordering)
-    const promoted = this.replacementCache.pop();
+    const promoted = this.replacementCache.splice(index, 1)[0];
     promoted.lastSeen = Date.now();
     this.nodes.push(promoted);
     this.lastUpdated = Date.now();
@@ -105,16 +143,17 @@ export class KBucket {
   /**
    * Handle node failure by removing it and promoting from replacement cache
    * @param {DHTNodeId} nodeId - ID of the failed node
+   * @param {Function} canPromote - Optional extra promotion check (see promoteFromReplacementCache)
    * @returns {boolean} - True if node was found and removed
    */
-  handleNodeFailure(nodeId) {
+  handleNodeFailure(nodeId, canPromote = null) {
     const index = this.nodes.findIndex(n => n.id.equals(nodeId));
     if (index === -1) {
       return false;
     }
 
     this.nodes.splice(index, 1);
-    const promoted = this.promoteFromReplacementCache();
+    const promoted = this.promoteFromReplacementCache(canPromote);
 
     if (promoted) {
       console.log(`📋 Promoted ${promoted.id.toString().substring(0, 8)}... from replacement cache`);
@@ -202,8 +241,9 @@ export class KBucket {
    */
   split() {
     const newDepth = this.depth + 1;
-    const leftBucket = new KBucket(this.k, this.prefix << 1, newDepth);
-    const rightBucket = new KBucket(this.k, (this.prefix << 1) | 1, newDepth);
+    const options = { maxPerSubnet: this.maxPerSubnet };
+    const leftBucket = new KBucket(this.k, this.prefix << 1, newDepth, options);
+    const rightBucket = new KBucket(this.k, (this.prefix << 1) | 1, newDepth, options);
 
     // Redistribute nodes
     for (const node of this.nodes) {
@@ -291,7 +331,8 @@ export class KBucket {
       oldestNode: this.nodes.length > 0 ?
         Math.min(...this.nodes.map(n => n.lastSeen)) : null,
       newestNode: this.nodes.length > 0 ?
-        Math.max(...this.nodes.map(n => n.lastSeen)) : null
+        Math.max(...this.nodes.map(n => n.lastSeen)) : null,
+      subnets: new Set(this.nodes.map(n => NetworkAddress.getNodeSubnet(n)).filter(Boolean)).size
     };
   }
 
@@ -0,0 +1,137 @@
+import { InvitationToken } from './InvitationToken.js';
+
+/**
+ * Signed envelopes for DHT RPC messages
+ *
+ * The sender signs a canonical form of the message together with its node ID,
+ * a timestamp and a random nonce, and attaches the result as `message.auth`.
+ * Fields rewritten in transit are left out of the signature:
+ *   - `from` and `timestamp`, which ConnectionManager.sendMessage stamps on every hop
+ *   - `route` and `ttl` of overlay_routed_message, which each forwarding hop updates
+ *
+ * Forwarded messages keep the originator's envelope, so the final receiver can
+ * check who really sent them regardless of the path they took.
+ */
+export class MessageEnvelope {
+  /**
+   * Liveness probes answered by the transport layer itself (ConnectionManager.handlePing)
+   */
+  static UNSIGNED_TYPES = new Set(['ping', 'pong']);
+
+  /**
+   * Messages verified against their originator rather than the peer that delivered them:
+   * routed messages name their source, and recursive responses may come back via a last hop
+   */
+  static ORIGINATOR_SIGNED_TYPES = new Set(['overlay_routed_message', 'recursive_find_node_response']);
+
+  static TRANSPORT_FIELDS = ['auth', 'from', 'timestamp'];
+
+  static ROUTING_FIELDS = {
+    overlay_routed_message: ['route', 'ttl']
+  };
+
+  /**
+   * Node ID that must have signed a message received from `peerId`
+   */
+  static getExpectedSigner(message, peerId) {
+    if (message.type === 'overlay_routed_message') {
+      return message.source;
+    }
+    if (message.type === 'recursive_find_node_response') {
+      return message.auth?.nodeId;
+    }
+    return peerId;
+  }
+
+  /**
+   * Whether an existing envelope should travel on unchanged when we send the message
+   */
+  static keepsOriginalEnvelope(message) {
+    return !!message.auth && this.ORIGINATOR_SIGNED_TYPES.has(message.type);
+  }
+
+  /**
+   * JSON with sorted object keys so both ends serialize identically
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  /**
+   * Canonical string covered by the signature
+   */
+  static getSignableData(message, auth) {
+    // Round-trip through JSON so the sender signs exactly what the receiver parses
+    const body = JSON.parse(JSON.stringify(message));
+    const excluded = [...this.TRANSPORT_FIELDS, ...(this.ROUTING_FIELDS[message.type] || [])];
+    for (const field of excluded) {
+      delete body[field];
+    }
+
+    return this.canonicalize({
+      type: 'dht-message',
+      nodeId: auth.nodeId,
+      timestamp: auth.timestamp,
+      nonce: auth.nonce,
+      body
+    });
+  }
+
+  static generateNonce() {
+    const bytes = new Uint8Array(16);
+    globalThis.crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Sign a message as `nodeId`
+   * @param {Object} keyInfo - Key pair from InvitationToken.generateKeyPair
+   * @returns {Promise<Object>} - Copy of the message with an `auth` envelope
+   */
+  static async sign(message, keyInfo, nodeId) {
+    const auth = {
+      nodeId,
+      publicKey: keyInfo.publicKey,
+      timestamp: Date.now(),
+      nonce: this.generateNonce()
+    };
+    auth.signature = await InvitationToken.signData(this.getSignableData(message, auth), keyInfo);
+
+    return { ...message, auth };
+  }
+
+  /**
+   * Check the envelope's signature and freshness
+   * Replay detection is left to the caller, which owns the seen-nonce window.
+   * @param {string} publicKey - Signer's key as resolved by the receiver (not the one it claims)
+   * @param {Object} options - { maxAge } accepted clock skew/age in ms
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  static async verify(message, publicKey, options = {}) {
+    const auth = message?.auth;
+    if (!auth || typeof auth.signature !== 'string' || typeof auth.nonce !== 'string' || typeof auth.nodeId !== 'string') {
+      return { valid: false, error: 'Missing message signature' };
+    }
+
+    const maxAge = options.maxAge || 5 * 60 * 1000;
+    const now = options.now || Date.now();
+    if (typeof auth.timestamp !== 'number' || Math.abs(now - auth.timestamp) > maxAge) {
+      return { valid: false, error: 'Stale message' };
+    }
+
+    const isValid = await InvitationToken.verifySignature(this.getSignableData(message, auth), auth.signature, publicKey);
+    return isValid ? { valid: true } : { valid: false, error: 'Invalid signature' };
+  }
+}
+
+export default MessageEnvelope;
@@ -0,0 +1,134 @@
+/**
+ * IP address helpers for routing table subnet diversity limits
+ *
+ * Contacts are grouped by /24 (IPv4) or /48 (IPv6) so a single host or
+ * provider network can't fill our buckets. Loopback and hostname-only
+ * addresses have no subnet and are never limited.
+ */
+export class NetworkAddress {
+  /**
+   * Addresses to try for a node, most trustworthy first:
+   * the address we observed on the connection, then what the node advertises.
+   */
+  static getCandidates(node) {
+    const metadata = node?.metadata || {};
+    return [
+      metadata.remoteAddress,
+      metadata.publicAddress,
+      metadata.listeningAddress,
+      metadata.publicWssAddress,
+      node?.endpoint
+    ];
+  }
+
+  /**
+   * Best known IP address of a DHTNode, or null
+   */
+  static getNodeAddress(node) {
+    for (const candidate of this.getCandidates(node)) {
+      const address = this.parseAddress(candidate);
+      if (address) {
+        return address;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Extract an IP literal from an address, URL or host:port string
+   */
+  static parseAddress(value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      return null;
+    }
+
+    let host = value;
+    if (value.includes('://')) {
+      try {
+        host = new URL(value).hostname;
+      } catch {
+        return null;
+      }
+    } else if (/^[\d.]+:\d+$/.test(value)) {
+      host = value.substring(0, value.lastIndexOf(':'));
+    }
+    host = host.replace(/^\[|\]$/g, '');
+
+    // IPv4-mapped IPv6 (::ffff:1.2.3.4) is really IPv4
+    const mapped = host.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      host = mapped[1];
+    }
+
+    if (this.parseIPv4(host) || this.expandIPv6(host)) {
+      return host.toLowerCase();
+    }
+    return null;
+  }
+
+  static parseIPv4(address) {
+    const parts = address.split('.');
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+      return null;
+    }
+    return parts.map(Number);
+  }
+
+  /**
+   * Expand an IPv6 address to its eight 16-bit groups, or null if invalid
+   */
+  static expandIPv6(address) {
+    if (!address.includes(':') || !/^[0-9a-f:]+$/i.test(address)) {
+      return null;
+    }
+
+    const halves = address.split('::');
+    if (halves.length > 2) {
+      return null;
+    }
+
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - tail.length;
+    if ((halves.length === 1 && missing !== 0) || missing < 0) {
+      return null;
+    }
+
+    const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+    if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) {
+      return null;
+    }
+    return groups.map(group => parseInt(group, 16));
+  }
+
+  /**
+   * Subnet key for an address: 'a.b.c.0/24' or 'xxxx:xxxx:xxxx::/48' (null for loopback/unknown)
+   */
+  static getSubnet(address) {
+    if (!address) {
+      return null;
+    }
+
+    const ipv4 = this.parseIPv4(address);
+    if (ipv4) {
+      return ipv4[0] === 127 ? null : `${ipv4[0]}.${ipv4[1]}.${ipv4[2]}.0/24`;
+    }
+
+    const ipv6 = this.expandIPv6(address);
+    if (ipv6) {
+      const isLoopback = ipv6.slice(0, 7).every(group => group === 0) && ipv6[7] === 1;
+      return isLoopback ? null : `${ipv6.slice(0, 3).map(group => group.toString(16)).join(':')}::/48`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Subnet key for a DHTNode, or null when its address is unknown
+   */
+  static getNodeSubnet(node) {
+    return this.getSubnet(this.getNodeAddress(node));
+  }
+}
+
+export default NetworkAddress;
@@ -0,0 +1,184 @@
+import crypto from 'crypto-js';
+import { InvitationToken } from './InvitationToken.js';
+
+/**
+ * Proofs binding a node ID to a public key (S/Kademlia static crypto puzzle)
+ *
+ * An ID is admissible when it is the first 160 bits of SHA-256 over the
+ * node's public key, and the node signs its own ID to show it holds the
+ * private key. Two key formats are accepted:
+ *   - Ed25519 hex keys from InvitationToken.generateKeyPair (Node.js nodes)
+ *   - ECDSA P-256 JWKs from IdentityStore (browser nodes, same derivation as IdentityStore.deriveNodeId)
+ *
+ * With a difficulty d > 0, SHA-256 of the ID must also start with d zero
+ * bits, so each admissible ID costs ~2^d key generations and grinding IDs
+ * next to a chosen key becomes expensive.
+ */
+export class NodeIdProof {
+  /**
+   * Canonical string covered by the signature
+   */
+  static getSignableData(nodeId) {
+    return JSON.stringify({ type: 'node-id', nodeId });
+  }
+
+  /**
+   * Raw public key bytes that the node ID is derived from
+   */
+  static getKeyBytes(publicKey) {
+    if (typeof publicKey === 'string' && /^([0-9a-f]{2})+$/i.test(publicKey)) {
+      return InvitationToken.hexToBytes(publicKey);
+    }
+
+    if (publicKey?.kty === 'EC' && typeof publicKey.x === 'string' && typeof publicKey.y === 'string') {
+      const x = this.base64UrlToBytes(publicKey.x);
+      const y = this.base64UrlToBytes(publicKey.y);
+      const combined = new Uint8Array(x.length + y.length);
+      combined.set(x, 0);
+      combined.set(y, x.length);
+      return combined;
+    }
+
+    throw new Error('Unsupported public key format');
+  }
+
+  static base64UrlToBytes(base64url) {
+    const binary = atob(base64url.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+
+  /**
+   * Derive the 160-bit node ID (hex) for a public key
+   */
+  static deriveNodeId(publicKey) {
+    const bytes = this.getKeyBytes(publicKey);
+    return crypto.SHA256(crypto.lib.WordArray.create(bytes)).toString().substring(0, 40);
+  }
+
+  /**
+   * Whether `nodeId` is the node ID derived from `publicKey` (false for unsupported key formats)
+   */
+  static isDerivedFrom(nodeId, publicKey) {
+    try {
+      return this.deriveNodeId(publicKey) === nodeId;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check the static puzzle: SHA-256(node ID bytes) has `difficulty` leading zero bits
+   */
+  static meetsDifficulty(nodeId, difficulty = 0) {
+    if (difficulty <= 0) {
+      return true;
+    }
+
+    const hash = crypto.SHA256(crypto.enc.Hex.parse(nodeId)).toString();
+    let zeroBits = 0;
+    for (const char of hash) {
+      const nibble = parseInt(char, 16);
+      if (nibble === 0) {
+        zeroBits += 4;
+      } else {
+        zeroBits += Math.clz32(nibble) - 28;
+        break;
+      }
+      if (zeroBits >= difficulty) {
+        break;
+      }
+    }
+    return zeroBits >= difficulty;
+  }
+
+  /**
+   * Create a proof for the node ID derived from `publicKey`
+   * @param {string|Object} publicKey - Ed25519 hex key or ECDSA P-256 JWK
+   * @param {Function} sign - async (data) => hex signature made with the matching private key
+   */
+  static async create(publicKey, sign) {
+    const nodeId = this.deriveNodeId(publicKey);
+    const signature = await sign(this.getSignableData(nodeId));
+
+    return { nodeId, publicKey, signature };
+  }
+
+  /**
+   * Create a proof from an Ed25519 key pair (InvitationToken.generateKeyPair)
+   */
+  static async fromKeyPair(keyInfo) {
+    if (!keyInfo?.publicKey) {
+      throw new Error('Node ID proof requires signing key info');
+    }
+    return this.create(keyInfo.publicKey, (data) => InvitationToken.signData(data, keyInfo));
+  }
+
+  /**
+   * Generate an Ed25519 key pair whose derived node ID meets the difficulty
+   * @returns {Promise<{nodeId: string, keyPair: Object, proof: Object}>}
+   */
+  static async generate(difficulty = 0, maxAttempts = Infinity) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const keyPair = await InvitationToken.generateKeyPair();
+      const nodeId = this.deriveNodeId(keyPair.publicKey);
+
+      if (this.meetsDifficulty(nodeId, difficulty)) {
+        console.log(`🧩 Generated node ID ${nodeId.substring(0, 8)}... at difficulty ${difficulty} after ${attempt} attempt(s)`);
+        return { nodeId, keyPair, proof: await this.fromKeyPair(keyPair) };
+      }
+    }
+
+    throw new Error(`No node ID met difficulty ${difficulty} within ${maxAttempts} attempts`);
+  }
+
+  /**
+   * Verify that `proof` binds `nodeId` to a key the sender holds
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  static async verify(nodeId, proof, difficulty = 0) {
+    if (!proof || !proof.publicKey || typeof proof.signature !== 'string') {
+      return { valid: false, error: 'Missing node ID proof' };
+    }
+
+    let derivedId;
+    try {
+      derivedId = this.deriveNodeId(proof.publicKey);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+
+    if (derivedId !== String(nodeId).toLowerCase()) {
+      return { valid: false, error: 'Node ID does not match public key' };
+    }
+
+    if (!this.meetsDifficulty(derivedId, difficulty)) {
+      return { valid: false, error: `Node ID does not meet difficulty ${difficulty}` };
+    }
+
+    const isValid = await this.verifySignature(this.getSignableData(derivedId), proof.signature, proof.publicKey);
+    return isValid ? { valid: true } : { valid: false, error: 'Invalid signature' };
+  }
+
+  static async verifySignature(data, signature, publicKey) {
+    if (typeof publicKey === 'string') {
+      return InvitationToken.verifySignature(data, signature, publicKey);
+    }
+
+    // ECDSA P-256 (IdentityStore) - use WebCrypto directly since Node.js clients blank out window.crypto.subtle
+    try {
+      const subtle = globalThis.crypto?.subtle;
+      const key = await subtle.importKey('jwk', publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+      return await subtle.verify(
+        { name: 'ECDSA', hash: { name: 'SHA-256' } },
+        key,
+        InvitationToken.hexToBytes(signature),
+        new TextEncoder().encode(data)
+      );
+    } catch (error) {
+      console.warn('Node ID proof signature verification failed:', error.message);
+      return false;
+    }
+  }
+}
+
+export default NodeIdProof;
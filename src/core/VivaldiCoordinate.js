@@ -0,0 +1,119 @@
+/**
+ * Vivaldi network coordinate (Dabek et al., "Vivaldi: A Decentralized Network Coordinate System")
+ *
+ * A point in a low-dimensional Euclidean space plus a height, which models the
+ * access link every packet crosses. The predicted RTT between two nodes is the
+ * Euclidean distance between their points plus both heights, in milliseconds.
+ * `error` is the node's confidence in its own coordinate (relative error, 0..MAX_ERROR).
+ */
+export class VivaldiCoordinate {
+  static DIMENSIONS = 3;
+
+  // Tuning constants from the paper
+  static ERROR_GAIN = 0.25; // ce: how fast the error estimate follows new samples
+  static POSITION_GAIN = 0.25; // cc: fraction of the way a sample moves us
+
+  static MAX_ERROR = 1.5; // Initial error of a fresh coordinate
+  static MIN_HEIGHT = 0.1; // ms
+  static MAX_RTT = 10000; // Samples above this (ms) are ignored
+  static MAX_COMPONENT = 100000; // Sanity bound for coordinates received from peers
+
+  constructor({ vector = null, height = VivaldiCoordinate.MIN_HEIGHT, error = VivaldiCoordinate.MAX_ERROR } = {}) {
+    this.vector = vector ? [...vector] : new Array(VivaldiCoordinate.DIMENSIONS).fill(0);
+    this.height = height;
+    this.error = error;
+  }
+
+  /**
+   * Predicted RTT to another coordinate in ms
+   */
+  distanceTo(other) {
+    return this.euclideanDistance(other) + this.height + other.height;
+  }
+
+  euclideanDistance(other) {
+    let sum = 0;
+    for (let i = 0; i < this.vector.length; i++) {
+      sum += (this.vector[i] - other.vector[i]) ** 2;
+    }
+    return Math.sqrt(sum);
+  }
+
+  /**
+   * Move toward (or away from) a remote node after measuring the RTT to it
+   * @param {VivaldiCoordinate} remote - The remote node's coordinate
+   * @param {number} rtt - Measured round trip time in ms
+   * @returns {boolean} True if the sample was used
+   */
+  update(remote, rtt) {
+    if (!Number.isFinite(rtt) || rtt <= 0 || rtt > VivaldiCoordinate.MAX_RTT) {
+      return false;
+    }
+
+    const predicted = this.distanceTo(remote);
+
+    // Weight the sample by how confident we are relative to the remote node
+    const weight = this.error / (this.error + remote.error);
+    const sampleError = Math.abs(predicted - rtt) / rtt;
+    const errorGain = VivaldiCoordinate.ERROR_GAIN * weight;
+    this.error = Math.min(VivaldiCoordinate.MAX_ERROR, sampleError * errorGain + this.error * (1 - errorGain));
+
+    // Unit vector pointing away from the remote node (random if both sit on the same point)
+    let direction = this.vector.map((value, i) => value - remote.vector[i]);
+    let length = this.euclideanDistance(remote);
+    if (length === 0) {
+      direction = direction.map(() => Math.random() - 0.5);
+      length = Math.sqrt(direction.reduce((sum, value) => sum + value * value, 0));
+    }
+    const norm = length + this.height + remote.height;
+
+    // Positive force pushes us away (we are predicted too close), negative pulls us in
+    const force = VivaldiCoordinate.POSITION_GAIN * weight * (rtt - predicted);
+    this.vector = this.vector.map((value, i) => value + force * direction[i] / norm);
+    this.height = Math.max(VivaldiCoordinate.MIN_HEIGHT, this.height + force * (this.height + remote.height) / norm);
+
+    return true;
+  }
+
+  clone() {
+    return new VivaldiCoordinate({ vector: this.vector, height: this.height, error: this.error });
+  }
+
+  /**
+   * Compact form for network transmission (rounded to 0.01ms)
+   */
+  toJSON() {
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+      vector: this.vector.map(round),
+      height: round(this.height),
+      error: Math.round(this.error * 1000) / 1000
+    };
+  }
+
+  /**
+   * Parse a coordinate received from a peer
+   * @returns {VivaldiCoordinate|null} null if the data is missing or malformed
+   */
+  static fromJSON(data) {
+    if (!data || !Array.isArray(data.vector) || data.vector.length !== VivaldiCoordinate.DIMENSIONS) {
+      return null;
+    }
+
+    const inRange = (value) => Number.isFinite(value) && Math.abs(value) <= VivaldiCoordinate.MAX_COMPONENT;
+    if (!data.vector.every(inRange) || !inRange(data.height) || data.height < 0) {
+      return null;
+    }
+    if (!Number.isFinite(data.error) || data.error <= 0) {
+      return null;
+    }
+
+    return new VivaldiCoordinate({
+      vector: data.vector,
+      height: Math.max(VivaldiCoordinate.MIN_HEIGHT, data.height),
+      error: Math.min(VivaldiCoordinate.MAX_ERROR, data.error)
+    });
+  }
+}
+
+export default VivaldiCoordinate;
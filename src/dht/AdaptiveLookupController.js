@@ -0,0 +1,174 @@
+/**
+ * Default bounds and tuning for adaptive lookups
+ */
+const DEFAULT_OPTIONS = {
+  minK: 8, // Never return fewer nodes per lookup than this
+  maxK: 32,
+  minAlpha: 2, // Parallel queries per lookup round
+  maxAlpha: 8,
+  minQueryTimeout: 1000, // ms
+  maxQueryTimeout: 15000, // ms
+  minSamples: 5, // Query outcomes needed before the response rate is trusted
+  responseRateGain: 0.1, // EWMA weight of each new query outcome
+  minResponseRate: 0.25 // Floor used when scaling by the response rate (limits the boost to 4x)
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * AdaptiveLookupController - Tunes lookup width, parallelism and timeouts at runtime
+ *
+ * Starts from the configured k, alpha and query timeout and adjusts them from:
+ * - Response rate (EWMA of find_node outcomes): lossy networks get more parallel
+ *   queries (alpha / rate) and wider lookups (k / rate), so a round still gets
+ *   about as many answers as on a healthy network
+ * - Response time: the query timeout follows smoothed RTT + 4 * RTT variance
+ *   (RFC 6298), doubling after each timeout until a response arrives
+ * - Network size estimate: alpha and k are never raised beyond what the
+ *   network (upper bound of the estimate) could answer
+ *
+ * Adjusted parameters stay within the configured min/max. Only lookups are tuned;
+ * the routing table's bucket size and replicateK stay fixed.
+ */
+export class AdaptiveLookupController {
+  /**
+   * @param {Object} base - Configured values { k, alpha, queryTimeout }
+   * @param {Object} options - Bounds and tuning (see DEFAULT_OPTIONS), plus { enabled }
+   */
+  constructor(base, options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, enabled: true, ...options };
+    this.base = { ...base };
+    this.responseRate = 1;
+    this.srtt = null; // Smoothed response time (ms)
+    this.rttvar = null; // Response time variance (ms)
+    this.timeoutBackoff = 1;
+    this.samples = 0;
+    this.responses = 0;
+    this.timeouts = 0;
+  }
+
+  /**
+   * Record an answered query
+   * @param {number} responseTime - Time from sending the query to its response (ms)
+   */
+  recordResponse(responseTime) {
+    this.recordOutcome(1);
+    this.responses++;
+    this.timeoutBackoff = 1;
+
+    if (!Number.isFinite(responseTime) || responseTime < 0) {
+      return;
+    }
+    if (this.srtt === null) {
+      this.srtt = responseTime;
+      this.rttvar = responseTime / 2;
+    } else {
+      this.rttvar = 0.75 * this.rttvar + 0.25 * Math.abs(this.srtt - responseTime);
+      this.srtt = 0.875 * this.srtt + 0.125 * responseTime;
+    }
+  }
+
+  /**
+   * Record a query that went unanswered
+   */
+  recordTimeout() {
+    this.recordOutcome(0);
+    this.timeouts++;
+    this.timeoutBackoff = Math.min(this.timeoutBackoff * 2, 8);
+  }
+
+  recordOutcome(value) {
+    this.samples++;
+    this.responseRate += this.options.responseRateGain * (value - this.responseRate);
+  }
+
+  /**
+   * Current lookup parameters
+   * @param {Object|null} sizeEstimate - NetworkSizeEstimator estimate ({ size, upper }) or null
+   * @returns {{k: number, alpha: number, queryTimeout: number}}
+   */
+  getParameters(sizeEstimate = null) {
+    const { k, alpha, queryTimeout } = this.evaluate(sizeEstimate);
+    return { k, alpha, queryTimeout };
+  }
+
+  /**
+   * Compute the parameters along with why each one differs from its configured value
+   */
+  evaluate(sizeEstimate = null) {
+    const o = this.options;
+    const reasons = {};
+    // Configured values apply as they are until there is something to adapt to
+    let { k, alpha, queryTimeout } = this.base;
+
+    if (!o.enabled) {
+      return { k, alpha, queryTimeout, reasons: { disabled: true } };
+    }
+
+    if (this.samples >= o.minSamples && this.responseRate < 0.95) {
+      const rate = Math.max(this.responseRate, o.minResponseRate);
+      alpha = clamp(Math.ceil(this.base.alpha / rate), o.minAlpha, o.maxAlpha);
+      k = clamp(Math.ceil(this.base.k / rate), o.minK, o.maxK);
+      reasons.alpha = reasons.k = `response rate ${Math.round(this.responseRate * 100)}%`;
+    }
+
+    const networkUpperBound = sizeEstimate?.upper ?? sizeEstimate?.size;
+    if (Number.isFinite(networkUpperBound)) {
+      // Other nodes that could answer: more parallel queries or results than that are wasted
+      const others = Math.ceil(networkUpperBound) - 1;
+      const alphaCap = Math.max(o.minAlpha, others);
+      const kCap = Math.max(o.minK, others);
+      if (alpha > alphaCap) {
+        alpha = alphaCap;
+        reasons.alpha = `network of about ${Math.round(sizeEstimate.size)} nodes`;
+      }
+      if (k > kCap) {
+        k = kCap;
+        reasons.k = `network of about ${Math.round(sizeEstimate.size)} nodes`;
+      }
+    }
+
+    if (this.srtt !== null) {
+      queryTimeout = clamp(Math.round((this.srtt + 4 * this.rttvar) * this.timeoutBackoff), o.minQueryTimeout, o.maxQueryTimeout);
+      reasons.queryTimeout = `response time ${Math.round(this.srtt)}ms ±${Math.round(this.rttvar)}ms` +
+        (this.timeoutBackoff > 1 ? `, backoff x${this.timeoutBackoff}` : '');
+    } else if (this.timeoutBackoff > 1) {
+      queryTimeout = clamp(queryTimeout * this.timeoutBackoff, o.minQueryTimeout, o.maxQueryTimeout);
+      reasons.queryTimeout = `backoff x${this.timeoutBackoff}`;
+    }
+
+    return { k, alpha, queryTimeout, reasons };
+  }
+
+  getStats(sizeEstimate = null) {
+    const o = this.options;
+    return {
+      enabled: o.enabled,
+      ...this.evaluate(sizeEstimate),
+      configured: { ...this.base },
+      bounds: {
+        k: [o.minK, o.maxK],
+        alpha: [o.minAlpha, o.maxAlpha],
+        queryTimeout: [o.minQueryTimeout, o.maxQueryTimeout]
+      },
+      responseRate: Math.round(this.responseRate * 1000) / 1000,
+      srtt: this.srtt === null ? null : Math.round(this.srtt),
+      rttvar: this.rttvar === null ? null : Math.round(this.rttvar),
+      samples: this.samples,
+      responses: this.responses,
+      timeouts: this.timeouts
+    };
+  }
+
+  reset() {
+    this.responseRate = 1;
+    this.srtt = null;
+    this.rttvar = null;
+    this.timeoutBackoff = 1;
+    this.samples = 0;
+    this.responses = 0;
+    this.timeouts = 0;
+  }
+}
+
+export default AdaptiveLookupController;
@@ -0,0 +1,178 @@
+import crypto from 'crypto-js';
+
+/**
+ * Content-addressed immutable blobs
+ *
+ * Large payloads are split into fixed-size chunks, each stored under the hash
+ * of its own bytes. Blobs larger than one chunk get a manifest listing the
+ * chunk hashes, stored under the hash of the manifest itself:
+ *
+ *   chunk:    'blob:' + SHA256(bytes)            -> { type: 'blob-chunk', data }
+ *   manifest: 'blob:' + SHA256(manifest JSON)    -> { type: 'blob-manifest', size, chunkSize, chunks }
+ *
+ * Every record is self-verifying, so replicas and readers can reject corrupted
+ * or forged data without trusting whoever sent it. Chunk data travels as base64
+ * because DHT values are JSON.
+ */
+export class ContentBlob {
+  static KEY_PREFIX = 'blob:';
+  static DEFAULT_CHUNK_SIZE = 32 * 1024; // Keeps each store message well under WebRTC data channel limits
+
+  /**
+   * DHT storage key for a blob or chunk hash
+   */
+  static getKey(hash) {
+    if (!/^[0-9a-f]{64}$/.test(hash || '')) {
+      throw new Error(`Invalid blob hash: ${hash}`);
+    }
+    return `${this.KEY_PREFIX}${hash}`;
+  }
+
+  /**
+   * Check if a DHT key belongs to the blob namespace
+   */
+  static isBlobKey(key) {
+    return typeof key === 'string' && key.startsWith(this.KEY_PREFIX);
+  }
+
+  /**
+   * Normalize input to bytes (strings are UTF-8 encoded)
+   */
+  static toBytes(data) {
+    if (data instanceof Uint8Array) {
+      return data;
+    }
+    if (data instanceof ArrayBuffer) {
+      return new Uint8Array(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    if (typeof data === 'string') {
+      return new TextEncoder().encode(data);
+    }
+    throw new Error('Blob data must be a Uint8Array, ArrayBuffer or string');
+  }
+
+  /**
+   * Hex SHA-256 of raw bytes
+   */
+  static hashBytes(bytes) {
+    return crypto.SHA256(crypto.lib.WordArray.create(bytes)).toString();
+  }
+
+  /**
+   * Canonical manifest string covered by the manifest hash
+   */
+  static getManifestData(manifest) {
+    return JSON.stringify({
+      type: 'blob-manifest',
+      size: manifest.size,
+      chunkSize: manifest.chunkSize,
+      chunks: manifest.chunks
+    });
+  }
+
+  static hashManifest(manifest) {
+    return crypto.SHA256(this.getManifestData(manifest)).toString();
+  }
+
+  static encode(bytes) {
+    return crypto.enc.Base64.stringify(crypto.lib.WordArray.create(bytes));
+  }
+
+  static decode(base64) {
+    const words = crypto.enc.Base64.parse(base64);
+    const bytes = new Uint8Array(words.sigBytes);
+    for (let i = 0; i < words.sigBytes; i++) {
+      bytes[i] = (words.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+    }
+    return bytes;
+  }
+
+  /**
+   * Split data into chunk records and (for multi-chunk data) a manifest
+   * @param {Uint8Array|ArrayBuffer|string} data
+   * @param {number} chunkSize - Bytes per chunk
+   * @returns {{hash: string, records: Array<{hash: string, record: Object}>}}
+   *   records includes the root record (chunk or manifest) last
+   */
+  static split(data, chunkSize = this.DEFAULT_CHUNK_SIZE) {
+    const bytes = this.toBytes(data);
+    if (!Number.isSafeInteger(chunkSize) || chunkSize <= 0) {
+      throw new Error(`Invalid blob chunk size: ${chunkSize}`);
+    }
+
+    // An empty blob is still one (empty) chunk
+    const count = Math.max(1, Math.ceil(bytes.length / chunkSize));
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      const chunk = bytes.subarray(i * chunkSize, (i + 1) * chunkSize);
+      records.push({ hash: this.hashBytes(chunk), record: { type: 'blob-chunk', data: this.encode(chunk) } });
+    }
+
+    if (records.length === 1) {
+      return { hash: records[0].hash, records };
+    }
+
+    const manifest = {
+      type: 'blob-manifest',
+      size: bytes.length,
+      chunkSize,
+      chunks: records.map(r => r.hash)
+    };
+    const hash = this.hashManifest(manifest);
+    records.push({ hash, record: manifest });
+
+    return { hash, records };
+  }
+
+  /**
+   * Verify that a record is what its hash says it is
+   * @returns {{valid: boolean, error?: string}}
+   */
+  static verify(hash, record) {
+    try {
+      if (record?.type === 'blob-chunk' && typeof record.data === 'string') {
+        return this.hashBytes(this.decode(record.data)) === hash
+          ? { valid: true }
+          : { valid: false, error: 'Chunk hash mismatch' };
+      }
+
+      if (record?.type === 'blob-manifest') {
+        if (!Array.isArray(record.chunks) || !Number.isSafeInteger(record.size)) {
+          return { valid: false, error: 'Malformed manifest' };
+        }
+        return this.hashManifest(record) === hash
+          ? { valid: true }
+          : { valid: false, error: 'Manifest hash mismatch' };
+      }
+    } catch (error) {
+      return { valid: false, error: `Undecodable blob record: ${error.message}` };
+    }
+
+    return { valid: false, error: 'Not a blob record' };
+  }
+
+  /**
+   * Reassemble verified chunks into the original bytes
+   */
+  static join(manifest, chunks) {
+    const bytes = new Uint8Array(manifest.size);
+    let offset = 0;
+    for (const chunk of chunks) {
+      const data = this.decode(chunk.data);
+      if (offset + data.length > manifest.size) {
+        throw new Error('Blob chunks exceed manifest size');
+      }
+      bytes.set(data, offset);
+      offset += data.length;
+    }
+    if (offset !== manifest.size) {
+      throw new Error(`Blob size mismatch: expected ${manifest.size} bytes, got ${offset}`);
+    }
+    return bytes;
+  }
+}
+
+export default ContentBlob;
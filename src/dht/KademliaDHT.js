@@ -7,6 +7,20 @@ import { InvitationToken } from '../core/InvitationToken.js';
 import { ConnectionManagerFactory } from '../network/ConnectionManagerFactory.js';
 import { OverlayNetwork } from '../network/OverlayNetwork.js';
 import { Logger } from '../utils/Logger.js';
+import { MemoryStorageAdapter } from './StorageAdapter.js';
+import { MutableRecord } from './MutableRecord.js';
+import { ContentBlob } from './ContentBlob.js';
+import { Tombstone } from './Tombstone.js';
+import { RecordPublisher } from './RecordPublisher.js';
+import { ValueResolver } from './ValueResolver.js';
+import { NamespaceRegistry } from './NamespaceRegistry.js';
+import { NodeIdProof } from '../core/NodeIdProof.js';
+import { MessageEnvelope } from '../core/MessageEnvelope.js';
+import { PeerScoreBook } from './PeerScoreBook.js';
+import { NetworkSizeEstimator } from './NetworkSizeEstimator.js';
+import { PartitionHealer } from './PartitionHealer.js';
+import { NetworkCoordinates } from './NetworkCoordinates.js';
+import { AdaptiveLookupController } from './AdaptiveLookupController.js';
 
 /**
  * Main Kademlia DHT implementation with connection-agnostic transport
@@ -32,12 +46,32 @@ export class KademliaDHT extends EventEmitter {
       k: options.k || 20, // Kademlia k parameter
       alpha: options.alpha || 4, // Parallelism parameter (balanced for pub-sub performance)
       replicateK: options.replicateK || 20, // Replication factor (Kademlia-compliant: replicate to k closest nodes)
+      queryTimeout: options.queryTimeout || 10000, // find_node timeout for connected peers during lookups
+      adaptiveLookup: options.adaptiveLookup !== false, // Tune lookup k/alpha/queryTimeout from observed conditions (see AdaptiveLookupController)
+      pathCaching: options.pathCaching !== false, // Cache found values at the closest queried node that lacked them (Kademlia path caching)
+      pathCacheTTL: options.pathCacheTTL || 60 * 60 * 1000, // Cache lifetime next to the closest node; halves per extra bit of XOR distance
+      pathCacheMinTTL: options.pathCacheMinTTL || 60 * 1000, // Caches that would expire sooner than this aren't stored
       refreshInterval: options.refreshInterval || 60 * 1000, // Base interval - will be adaptive
       aggressiveRefreshInterval: options.aggressiveRefreshInterval || 120 * 1000, // FIXED: 2 minutes instead of 15s to reduce message flooding
       standardRefreshInterval: options.standardRefreshInterval || 1800 * 1000, // FIXED: 30 minutes instead of 10 minutes
       republishInterval: options.republishInterval || 24 * 60 * 60 * 1000, // 24 hours
       expireInterval: options.expireInterval || 24 * 60 * 60 * 1000, // 24 hours
       pingInterval: options.pingInterval || 300 * 1000, // FIXED: 5 minutes instead of 1 minute to reduce message flooding
+      handoffBatchSize: options.handoffBatchSize || 10, // Keys sent per batch when handing off to a new node
+      handoffBatchInterval: options.handoffBatchInterval || 1000, // Delay between handoff batches to the same peer
+      handoffCooldown: options.handoffCooldown || 10 * 60 * 1000, // Don't re-run handoff for a reconnecting peer within 10 minutes
+      providerTTL: options.providerTTL || 60 * 60 * 1000, // Provider records expire after 1 hour unless refreshed
+      providerRefreshInterval: options.providerRefreshInterval || 30 * 60 * 1000, // Re-announce provided keys every 30 minutes
+      tombstoneTTL: options.tombstoneTTL || 48 * 60 * 60 * 1000, // Outlive a republish cycle so replicas that missed a delete hear about it
+      requireNodeIdProof: options.requireNodeIdProof || false, // Only admit peers whose node ID is derived from a key they hold
+      nodeIdDifficulty: options.nodeIdDifficulty || 0, // Leading zero bits required of SHA-256(node ID) (static crypto puzzle)
+      maxPerSubnetPerBucket: options.maxPerSubnetPerBucket || 0, // Max contacts per /24 (IPv4) or /48 (IPv6) in one bucket (0 = unlimited)
+      maxPerSubnetPerTable: options.maxPerSubnetPerTable || 0, // Same limit across the whole routing table (0 = unlimited)
+      messageAuth: options.messageAuth || 'off', // 'off' | 'sign' (sign and verify signed messages) | 'require' (also drop unsigned ones)
+      messageMaxAge: options.messageMaxAge || 5 * 60 * 1000, // Signed messages older than this (or this far in the future) are stale
+      peerScoreHalfLife: options.peerScoreHalfLife || 30 * 60 * 1000, // Reputation counters halve this often
+      peerBanThreshold: options.peerBanThreshold || -50, // Peers scoring below this (-100..100) are temporarily banned
+      peerBanDuration: options.peerBanDuration || 10 * 60 * 1000, // How long a ban lasts
       bootstrapServers: options.bootstrapServers || ['ws://localhost:8080'],
       ...options
     };
@@ -65,7 +99,11 @@ export class KademliaDHT extends EventEmitter {
     }
 
     // Core components
-    this.routingTable = new RoutingTable(this.localNodeId, this.options.k);
+    this.routingTable = new RoutingTable(this.localNodeId, this.options.k, {
+      maxPerSubnetPerBucket: this.options.maxPerSubnetPerBucket,
+      maxPerSubnetPerTable: this.options.maxPerSubnetPerTable,
+      estimateRtt: (node) => this.coordinates.estimateRtt(node.id.toString())
+    });
 
     // Track network formation start time for anti-spam logic
     this.startTime = Date.now();
@@ -92,9 +130,49 @@ export class KademliaDHT extends EventEmitter {
       bootstrapServers: this.options.bootstrapServers
     });
 
-    // Storage
-    this.storage = new Map(); // key -> { value, timestamp, publisher }
-    this.republishQueue = new Map(); // key -> republish timestamp
+    // Storage - adapter owns both tables so records can survive restarts
+    // (MemoryStorageAdapter by default, FileStorageAdapter/IndexedDBStorageAdapter via clients)
+    this.storageAdapter = options.storageAdapter || new MemoryStorageAdapter();
+    this.storage = this.storageAdapter.records; // key -> { value, timestamp, publisher }
+    this.republishQueue = this.storageAdapter.republish; // key -> republish timestamp
+    this.readRepairs = 0; // Stale/missing replicas updated by quorum reads
+    this.pathCacheStores = 0; // Values cached along lookup paths by our gets
+    this.keyHandoffs = new Map(); // peerId -> { keys, sent, timer } pending join replication
+    this.lastKeyHandoff = new Map(); // peerId -> timestamp of last handoff computation
+    this.providers = new Map(); // key -> Map(providerId -> expiresAt) provider records held for others
+    this.providedKeys = new Map(); // key -> next refresh timestamp for keys this node provides
+    this.namespaces = new NamespaceRegistry(); // key prefix -> { validate, select }
+    this.admittedPeers = new Map(); // peerId -> signature of the verified node ID proof
+    this.rejectedNodeIds = 0; // Peers and contacts refused by the node ID admission policy
+    this.peerPublicKeys = new Map(); // nodeId -> public key used to verify its signed messages
+    this.pendingKeyLookups = new Set(); // nodeIds whose public key is being fetched from the DHT
+    this.seenMessageNonces = new Map(); // `${nodeId}:${nonce}` -> expiry, for replay detection
+    this.authenticatedPayloads = new WeakSet(); // Payloads of verified routed messages
+    this.rejectedMessages = 0; // Messages dropped by signature, freshness or replay checks
+    this.peerScores = new PeerScoreBook({
+      halfLife: this.options.peerScoreHalfLife,
+      banThreshold: this.options.peerBanThreshold,
+      banDuration: this.options.peerBanDuration,
+      canBan: (peerId) => !this.isBridgePeer(peerId) // Bridge nodes answer for the whole network; never ban them
+    });
+    this.peerScores.on('peerBanned', ({ peerId }) => this.dropBannedPeer(peerId));
+    this.sizeEstimator = new NetworkSizeEstimator(options.networkSizeOptions || {}); // Fed by lookups and bucket density
+    this.sizeEstimator.on('partitionSuspected', (event) => {
+      this.emit('partitionSuspected', event);
+      // A collapsed estimate is the first sign of a split - look for the other side right away
+      if (this.partitionHealer.isRunning()) {
+        this.partitionHealer.heal('partition_suspected').catch(error => {
+          console.warn(`⚠️ Partition healing round failed: ${error.message}`);
+        });
+      }
+    });
+    this.partitionHealer = new PartitionHealer(this, options.partitionHealingOptions || {}); // Started by long-lived nodes via startPartitionHealing()
+    this.coordinates = new NetworkCoordinates(options.vivaldiOptions || {}); // Vivaldi coordinates for predicting RTT to unmeasured nodes
+    this.lookupController = new AdaptiveLookupController(
+      { k: this.options.k, alpha: this.options.alpha, queryTimeout: this.options.queryTimeout },
+      { enabled: this.options.adaptiveLookup, ...options.adaptiveLookupOptions } // min/max bounds
+    );
+    this.registerBuiltinNamespaces();
 
     // Request tracking
     this.pendingRequests = new Map(); // requestId -> { resolve, reject, timeout }
@@ -160,7 +238,8 @@ export class KademliaDHT extends EventEmitter {
     this.currentRefreshInterval = this.options.aggressiveRefreshInterval; // Start aggressive
 
     // Invitation Token System - Chain of Trust
-    this.keyPair = null; // Will be generated on start
+    this.keyPair = options.keyPair || null; // Will be generated on start unless the client bound the node ID to one
+    this.nodeIdProof = options.nodeIdProof || null; // { nodeId, publicKey, signature } sent in handshake metadata
     this._membershipToken = null; // Proves this node is part of DHT (private)
     this._isGenesisPeer = false; // Will be set by bootstrap server for first node (private)
 
@@ -506,6 +585,8 @@ export class KademliaDHT extends EventEmitter {
         manager.setPingCallback((targetPeerId) => this.pingPeer(targetPeerId));
         console.log(`🏓 Ping callback set for ${manager.constructor.name} (peer: ${peerId.substring(0, 8)})`);
       }
+      // Pongs carry our Vivaldi coordinate so the pinging node can update its own
+      manager.setCoordinateProvider?.(() => this.coordinates.getLocal().toJSON());
       
       console.log(`✅ DHT message handler attached to ${manager.constructor.name} for ${peerId.substring(0, 8)}`);
     };
@@ -523,7 +604,7 @@ export class KademliaDHT extends EventEmitter {
     };
 
     // Set up event handler that will be used for all connection managers
-    this.connectionManagerEventHandler = ({ peerId, connection, manager, initiator }) => {
+    this.connectionManagerEventHandler = ({ peerId, connection, manager, initiator, metadata }) => {
       console.log(`🔗 DHT received peerConnected: ${peerId.substring(0, 8)}... (via ${manager?.constructor.name})`);
 
       // Skip DHT operations for bootstrap server connections
@@ -539,6 +620,12 @@ export class KademliaDHT extends EventEmitter {
         return;
       }
 
+      // Node ID admission: WebSocket handshakes carry the peer's proof in their metadata
+      // (WebRTC handshake metadata arrives later as a metadataUpdated event)
+      if (metadata) {
+        this.checkHandshakeNodeId(peerId, metadata, manager);
+      }
+
       // CRITICAL: Update lastSeen timestamp to prevent stale node removal during reconnection
       const peerNode = this.routingTable.getNode(peerId);
       if (peerNode) {
@@ -712,6 +799,21 @@ export class KademliaDHT extends EventEmitter {
       });
     }
 
+    // Prove our node ID when it was derived from this key pair (see NodeIdProof.generate)
+    if (!this.nodeIdProof && NodeIdProof.deriveNodeId(this.keyPair.publicKey) === this.localNodeId.toString()) {
+      this.nodeIdProof = await NodeIdProof.fromKeyPair(this.keyPair);
+    }
+
+    if (this.options.requireNodeIdProof) {
+      const ownProof = await NodeIdProof.verify(this.localNodeId.toString(), this.nodeIdProof, this.options.nodeIdDifficulty);
+      if (!ownProof.valid) {
+        throw new Error(`Node ID is not admissible on this network: ${ownProof.error}`);
+      }
+    }
+
+    // Restore persisted records and republish schedule before joining the network
+    await this.storageAdapter.open();
+
     // Reset state variables
     this.isBootstrapped = false;
     this.useBootstrapForSignaling = true;
@@ -739,6 +841,8 @@ export class KademliaDHT extends EventEmitter {
     if (relayManager && !relayManager._localNodeId) {
       // Browser nodes can't relay (they're behind NAT), so canRelay = false
       relayManager.initialize(this.localNodeId.toString(), false);
+      relayManager.setPeerScoreBook(this.peerScores);
+      relayManager.setNetworkCoordinates(this.coordinates);
       console.log(`🔄 Initialized browser RelayManager with localNodeId: ${this.localNodeId.toString().substring(0, 8)}...`);
     }
 
@@ -748,6 +852,7 @@ export class KademliaDHT extends EventEmitter {
       nodeType: typeof process === 'undefined' ? 'browser' : 'nodejs',
       capabilities: typeof process === 'undefined' ? ['webrtc'] : ['websocket'],
       startTime: Date.now(),
+      ...(this.nodeIdProof && { nodeIdProof: this.nodeIdProof }), // Sent in handshakes and find_node responses
       ...this.bootstrapMetadata  // Override with actual metadata from NodeDHTClient.getBootstrapMetadata()
     };
 
@@ -943,6 +1048,12 @@ export class KademliaDHT extends EventEmitter {
       console.log(`✅ Self-lookup discovered ${discoveredNodes.length} nodes, added ${nodesAdded} new nodes to routing table`);
 
       this.selfLookupComplete = true;
+
+      // Publish our key so peers can verify our messages, tokens and pubsub signatures
+      if (this.keyPair) {
+        this.storePublicKey();
+      }
+
       this.emit('selfLookupComplete', { 
         nodesDiscovered: discoveredNodes.length,
         nodesAdded: nodesAdded 
@@ -1147,12 +1258,18 @@ export class KademliaDHT extends EventEmitter {
 
   /**
    * Store our public key in the DHT for token verification
+   * Replicas only accept keys that pass isAcceptedPublicKey (see registerBuiltinNamespaces).
    */
   async storePublicKey() {
     if (!this.keyPair) {
       throw new Error('No key pair available');
     }
 
+    if (!this.isAcceptedPublicKey(this.localNodeId.toString(), this.keyPair.publicKey)) {
+      console.warn('⚠️ Not storing public key: node ID is not derived from it');
+      return;
+    }
+
     const publicKeyStorageKey = InvitationToken.getPublicKeyStorageKey(this.localNodeId.toString());
     console.log(`🔑 Storing public key in DHT: ${publicKeyStorageKey}`);
 
@@ -1175,7 +1292,7 @@ export class KademliaDHT extends EventEmitter {
     const publicKeyStorageKey = InvitationToken.getPublicKeyStorageKey(nodeId);
     try {
       const keyData = await this.get(publicKeyStorageKey);
-      return keyData ? keyData.publicKey : null;
+      return keyData && this.isAcceptedPublicKey(nodeId, keyData.publicKey) ? keyData.publicKey : null;
     } catch (error) {
       console.error(`Failed to retrieve public key for ${nodeId}:`, error);
       return null;
@@ -2322,6 +2439,9 @@ export class KademliaDHT extends EventEmitter {
         console.log(`📋 Node ${peerId.substring(0, 8)} confirmed in routing table`);
 
         this.considerDHTSignaling();
+
+        // Node may have been added by RoutingTable connection events - hand off keys it should hold
+        this.scheduleKeyHandoff(peerId);
         
         // CRITICAL FIX: Still emit peerConnected for reconnections
         // Bridge nodes and other listeners need to know about ALL connections,
@@ -2381,6 +2501,9 @@ export class KademliaDHT extends EventEmitter {
         }
       });
 
+      // Kademlia join replication: give the new contact the keys it is now responsible for
+      this.scheduleKeyHandoff(peerId);
+
       this.emit('peerConnected', peerId);
     }, 1000); // 1 second delay to ensure connection stability
   }
@@ -2429,6 +2552,211 @@ export class KademliaDHT extends EventEmitter {
     }
   }
 
+  /**
+   * Check a peer's node ID against the admission policy (options.requireNodeIdProof)
+   * Verified proofs are cached per peer so repeated find_node responses stay cheap.
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  async verifyPeerNodeId(peerId, metadata) {
+    if (!this.options.requireNodeIdProof) {
+      return { valid: true };
+    }
+
+    const proof = metadata?.nodeIdProof;
+    if (proof && this.admittedPeers.get(peerId) === proof.signature) {
+      return { valid: true };
+    }
+
+    const result = await NodeIdProof.verify(peerId, proof, this.options.nodeIdDifficulty);
+    if (result.valid) {
+      this.admittedPeers.set(peerId, proof.signature);
+    } else {
+      this.rejectedNodeIds++;
+    }
+    return result;
+  }
+
+  /**
+   * Verify the node ID proof from a connection handshake, dropping the peer if it fails
+   */
+  async checkHandshakeNodeId(peerId, metadata, manager = null) {
+    const result = await this.verifyPeerNodeId(peerId, metadata);
+    if (result.valid) {
+      return true;
+    }
+
+    console.warn(`🚫 Rejecting ${peerId.substring(0, 8)}... at handshake: ${result.error}`);
+    this.routingTable.removeNode(peerId);
+
+    const connectionManager = manager || this.peerNodes?.get(peerId)?.connectionManager;
+    if (connectionManager) {
+      connectionManager.destroyConnection(peerId, 'node_id_rejected');
+    }
+    return false;
+  }
+
+  /**
+   * Attach our signed envelope to an outgoing message (options.messageAuth)
+   * Routed messages and recursive responses keep their originator's envelope when forwarded.
+   */
+  async signOutgoingMessage(message) {
+    if (this.options.messageAuth === 'off' || !this.keyPair || MessageEnvelope.UNSIGNED_TYPES.has(message.type) || MessageEnvelope.keepsOriginalEnvelope(message)) {
+      return message;
+    }
+
+    const nodeId = this.localNodeId.toString();
+    if (message.type === 'forward_recursive_response' && message.payload && !message.payload.auth) {
+      // The last hop forwards the payload on its own, so it needs our signature too
+      message = { ...message, payload: await MessageEnvelope.sign(message.payload, this.keyPair, nodeId) };
+    }
+    return MessageEnvelope.sign(message, this.keyPair, nodeId);
+  }
+
+  /**
+   * Check an incoming message's envelope, counting and logging rejections
+   * @returns {Promise<boolean>} - false if the message must be dropped
+   */
+  async authenticateMessage(peerId, message) {
+    if (this.options.messageAuth === 'off' || MessageEnvelope.UNSIGNED_TYPES.has(message?.type) || this.authenticatedPayloads.has(message)) {
+      return true;
+    }
+
+    const result = await this.verifyMessageAuth(peerId, message);
+    if (!result.valid) {
+      this.rejectedMessages++;
+      this.peerScores.recordInvalidMessage(peerId);
+      console.warn(`🚫 Dropping ${message?.type} from ${peerId.substring(0, 8)}...: ${result.error}`);
+      return false;
+    }
+
+    // OverlayNetwork hands the payload of a routed message back to handlePeerMessage at its destination
+    if (message.type === 'overlay_routed_message' && message.payload && typeof message.payload === 'object') {
+      this.authenticatedPayloads.add(message.payload);
+    }
+    return true;
+  }
+
+  /**
+   * Verify signer, signature, freshness and nonce of a message envelope
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  async verifyMessageAuth(peerId, message) {
+    const auth = message?.auth;
+    if (!auth) {
+      return this.options.messageAuth === 'require' ? { valid: false, error: 'Missing message signature' } : { valid: true };
+    }
+
+    const expectedSigner = MessageEnvelope.getExpectedSigner(message, peerId);
+    if (!expectedSigner || auth.nodeId !== expectedSigner) {
+      return { valid: false, error: `Signed by ${String(auth.nodeId).substring(0, 8)}... instead of the sender` };
+    }
+
+    const publicKey = await this.resolvePeerPublicKey(auth.nodeId, auth.publicKey);
+    if (!publicKey) {
+      // Key lookup runs in the background; until it lands only 'require' refuses the message
+      return this.options.messageAuth === 'require' ? { valid: false, error: 'Unknown public key' } : { valid: true };
+    }
+
+    const result = await MessageEnvelope.verify(message, publicKey, { maxAge: this.options.messageMaxAge });
+    if (!result.valid) {
+      return result;
+    }
+
+    const nonceKey = `${auth.nodeId}:${auth.nonce}`;
+    if (this.seenMessageNonces.has(nonceKey)) {
+      return { valid: false, error: 'Replayed message' };
+    }
+    this.seenMessageNonces.set(nonceKey, auth.timestamp + this.options.messageMaxAge);
+    return { valid: true };
+  }
+
+  /**
+   * Whether `publicKey` can be trusted as `nodeId`'s published key. With
+   * options.requireNodeIdProof the node ID must be derived from it (NodeIdProof);
+   * otherwise the first key published for a node is kept.
+   */
+  isAcceptedPublicKey(nodeId, publicKey) {
+    if (!publicKey) {
+      return false;
+    }
+    return !this.options.requireNodeIdProof || NodeIdProof.isDerivedFrom(nodeId, publicKey);
+  }
+
+  /**
+   * Public key to verify `nodeId`'s messages with, or null if not known yet
+   * A key the message claims is trusted only when the node ID is derived from it
+   * (NodeIdProof); otherwise the record under InvitationToken.getPublicKeyStorageKey
+   * is used if isAcceptedPublicKey allows it.
+   */
+  async resolvePeerPublicKey(nodeId, claimedKey = null) {
+    if (claimedKey && NodeIdProof.isDerivedFrom(nodeId, claimedKey)) {
+      return claimedKey;
+    }
+
+    const cached = this.peerPublicKeys.get(nodeId);
+    if (cached) {
+      return cached;
+    }
+
+    const stored = this.getStoredRecord(InvitationToken.getPublicKeyStorageKey(nodeId));
+    const publicKey = (stored?.value || stored)?.publicKey;
+    if (this.isAcceptedPublicKey(nodeId, publicKey)) {
+      this.peerPublicKeys.set(nodeId, publicKey);
+      return publicKey;
+    }
+
+    this.lookupPeerPublicKey(nodeId);
+    return null;
+  }
+
+  /**
+   * Fetch a peer's published key in the background (one lookup per node at a time)
+   */
+  lookupPeerPublicKey(nodeId) {
+    if (!this.isStarted || this.pendingKeyLookups.has(nodeId)) {
+      return;
+    }
+
+    this.pendingKeyLookups.add(nodeId);
+    this.getPublicKey(nodeId)
+      .then(publicKey => {
+        if (publicKey) {
+          this.peerPublicKeys.set(nodeId, publicKey);
+        }
+      })
+      .finally(() => this.pendingKeyLookups.delete(nodeId));
+  }
+
+  /**
+   * Whether a peer advertises itself as a bridge node
+   */
+  isBridgePeer(peerId) {
+    const peerNode = this.routingTable.getNode(peerId) || this.peerNodes?.get(peerId);
+    return !!peerNode?.metadata?.isBridgeNode;
+  }
+
+  /**
+   * Disconnect a peer banned by the PeerScoreBook and forget it as a contact
+   */
+  dropBannedPeer(peerId) {
+    const peerNode = this.routingTable.getNode(peerId) || this.peerNodes?.get(peerId);
+    this.routingTable.removeNode(peerId);
+    if (peerNode?.connectionManager) {
+      peerNode.connectionManager.destroyConnection(peerId, 'peer_banned');
+    }
+  }
+
+  /**
+   * Drop banned peers and move peers with a negative score behind the rest, keeping order otherwise
+   * @param {Array<DHTNode>} nodes - Candidates in preference order (e.g. by XOR distance)
+   */
+  preferReputablePeers(nodes) {
+    const allowed = nodes.filter(node => !this.peerScores.isBanned(node.id.toString()));
+    const trusted = allowed.filter(node => this.peerScores.getScore(node.id.toString()) >= 0);
+    const distrusted = allowed.filter(node => this.peerScores.getScore(node.id.toString()) < 0);
+    return [...trusted, ...distrusted];
+  }
+
   /**
    * Validate that a peer ID represents a valid DHT peer
    */
@@ -2569,6 +2897,15 @@ export class KademliaDHT extends EventEmitter {
     }
 
     try {
+      if (this.peerScores.isBanned(peerId)) {
+        Logger.debug(`⛔ Ignoring ${message.type} from banned peer ${peerId.substring(0, 8)}...`);
+        return;
+      }
+
+      if (!(await this.authenticateMessage(peerId, message))) {
+        return;
+      }
+
       switch (message.type) {
         case 'ping':
           await this.handlePing(peerId, message);
@@ -2586,6 +2923,15 @@ export class KademliaDHT extends EventEmitter {
         case 'store':
           await this.handleStore(peerId, message);
           break;
+        case 'cas_store':
+          await this.handleCasStore(peerId, message);
+          break;
+        case 'add_provider':
+          await this.handleAddProvider(peerId, message);
+          break;
+        case 'get_providers':
+          await this.handleGetProviders(peerId, message);
+          break;
         case 'ice_candidate':
           await this.handleICECandidate(peerId, message);
           break;
@@ -2596,6 +2942,9 @@ export class KademliaDHT extends EventEmitter {
           await this.handleFindNodeResponse(peerId, message);
           break;
         case 'store_response':
+        case 'cas_store_response':
+        case 'add_provider_response':
+        case 'get_providers_response':
           await this.handleStoreResponse(peerId, message);
           break;
         case 'find_value_response':
@@ -2670,8 +3019,10 @@ export class KademliaDHT extends EventEmitter {
           // Handle forwarded recursive response (for routing back to originator)
           if (message.targetId && message.payload) {
             if (message.targetId === this.localNodeId.toString()) {
-              // We are the originator - process the response
-              await this.handleRecursiveFindNodeResponse(peerId, message.payload);
+              // We are the originator - process the response if the responder signed it
+              if (await this.authenticateMessage(peerId, message.payload)) {
+                await this.handleRecursiveFindNodeResponse(peerId, message.payload);
+              }
             } else if (this.isPeerConnected(message.targetId)) {
               // Forward to the target
               await this.sendMessage(message.targetId, message.payload);
@@ -3431,6 +3782,7 @@ export class KademliaDHT extends EventEmitter {
       }, timeout);
 
       const rtt = Date.now() - startTime;
+      this.recordRttSample(peerId, rtt, response?.coordinate);
       
       // Update node RTT and record ping
       if (peerNode) {
@@ -3489,7 +3841,8 @@ export class KademliaDHT extends EventEmitter {
       requestId: message.requestId,
       timestamp: Date.now(),
       nodeId: this.localNodeId.toString(),
-      metaFlags: metaFlags // Single byte for all boolean flags
+      metaFlags: metaFlags, // Single byte for all boolean flags
+      coordinate: this.coordinates.getLocal().toJSON()
     };
 
     await this.sendMessage(peerId, response);
@@ -3527,9 +3880,59 @@ export class KademliaDHT extends EventEmitter {
       }
     }
 
+    // Only pongs echoing our own timestamp measure a real RTT (the responder's clock may differ)
+    if (message.originalTimestamp) {
+      this.recordRttSample(peerId, rtt, message.coordinate);
+    }
+
     console.log(`Pong from ${peerId}, RTT: ${rtt}ms`);
   }
 
+  /**
+   * Feed a measured RTT into our Vivaldi coordinate
+   * @param {string} peerId - Node the RTT was measured to
+   * @param {number} rtt - Round trip time in ms
+   * @param {Object} coordinate - The node's coordinate, if its reply carried one
+   */
+  recordRttSample(peerId, rtt, coordinate = null) {
+    this.coordinates.observe(peerId, rtt, coordinate);
+    this.attachCoordinate(peerId);
+  }
+
+  /**
+   * Remember a coordinate received for another node
+   * @param {boolean} firstHand - Sent by the node itself rather than listed as a contact
+   */
+  learnCoordinate(peerId, coordinate, firstHand = false) {
+    if (!coordinate || peerId === this.localNodeId.toString()) {
+      return;
+    }
+    this.coordinates.learn(peerId, coordinate, firstHand);
+    this.attachCoordinate(peerId);
+  }
+
+  /**
+   * Copy a known coordinate onto the routing table entry, so it is shared in contacts and shown in toJSON()
+   */
+  attachCoordinate(peerId) {
+    const node = this.routingTable.getNode(peerId);
+    const coordinate = this.coordinates.get(peerId);
+    if (node && coordinate) {
+      node.coordinate = coordinate;
+    }
+  }
+
+  /**
+   * RTT used for proximity routing: measured if we have pinged the node, otherwise predicted from coordinates
+   * @returns {number} RTT in ms, 0 if neither is known
+   */
+  getEffectiveRTT(node) {
+    if (node.rtt > 0) {
+      return node.rtt;
+    }
+    return this.coordinates.estimateRtt(node.id.toString()) || 0;
+  }
+
   /**
    * Select next hop using RTT as secondary criterion (Proximity Routing)
    *
@@ -3567,10 +3970,12 @@ export class KademliaDHT extends EventEmitter {
     }
 
     // Requirement 3.4: Calculate average RTT for nodes without RTT data
-    // Use existing RTT data from DHTNode.rtt without generating additional probe traffic (Req 3.3)
-    const nodesWithRTT = xorValidCandidates.filter(n => n.rtt > 0);
-    const avgRTT = nodesWithRTT.length > 0
-      ? nodesWithRTT.reduce((sum, n) => sum + n.rtt, 0) / nodesWithRTT.length
+    // Use existing RTT data from DHTNode.rtt without generating additional probe traffic (Req 3.3),
+    // or the RTT predicted by Vivaldi coordinates for nodes never pinged
+    const rtts = new Map(xorValidCandidates.map(n => [n, this.getEffectiveRTT(n)]));
+    const knownRTTs = [...rtts.values()].filter(rtt => rtt > 0);
+    const avgRTT = knownRTTs.length > 0
+      ? knownRTTs.reduce((sum, rtt) => sum + rtt, 0) / knownRTTs.length
       : 100; // Default 100ms if no RTT data available
 
     // Sort by XOR distance first (primary), then by RTT (secondary)
@@ -3585,8 +3990,8 @@ export class KademliaDHT extends EventEmitter {
       }
 
       // Secondary: RTT (use avgRTT for nodes without data - Req 3.4)
-      const rttA = a.rtt > 0 ? a.rtt : avgRTT;
-      const rttB = b.rtt > 0 ? b.rtt : avgRTT;
+      const rttA = rtts.get(a) || avgRTT;
+      const rttB = rtts.get(b) || avgRTT;
       return rttA - rttB;
     });
 
@@ -3828,17 +4233,25 @@ export class KademliaDHT extends EventEmitter {
 
   /**
    * Find node operation
+   * @param {DHTNodeId|string} targetId - Lookup target
+   * @param {Object} options - { limit } number of nodes to return (default k),
+   *   { disjointPaths } run that many lookups over disjoint peer sets (S/Kademlia)
    */
   async findNode(targetId, options = {}) {
     const target = typeof targetId === 'string' ?
       DHTNodeId.fromString(targetId) : targetId;
 
+    if (options.disjointPaths > 1) {
+      return this._findNodeDisjoint(target, options);
+    }
+
     // Track bucket activity for proper Kademlia staleness tracking
     const targetBucketIndex = this.routingTable.getBucketIndex(target);
     this.bucketLastActivity.set(targetBucketIndex, Date.now());
 
     // Allow caller to request more than k nodes (for bridge node filtering)
-    const limit = options.limit || this.options.k;
+    const lookup = this.getLookupParameters();
+    const limit = options.limit || lookup.k;
     const closest = this.routingTable.findClosestNodes(target, limit);
     const contacted = new Set();
     const results = new Set();
@@ -3878,7 +4291,7 @@ export class KademliaDHT extends EventEmitter {
 
     // Iteratively query closer nodes
     let activeQueries = 0;
-    const maxConcurrent = this.options.alpha;
+    const maxConcurrent = lookup.alpha;
     let iterationCount = 0;
     const startTime = Date.now();
 
@@ -3891,12 +4304,13 @@ export class KademliaDHT extends EventEmitter {
       
       // Calculate average RTT for nodes without RTT data (Requirement 3.4)
       const allResultNodes = Array.from(results);
-      const nodesWithRTT = allResultNodes.filter(n => n.rtt > 0);
-      const avgRTT = nodesWithRTT.length > 0
-        ? nodesWithRTT.reduce((sum, n) => sum + n.rtt, 0) / nodesWithRTT.length
+      const rtts = new Map(allResultNodes.map(n => [n, this.getEffectiveRTT(n)]));
+      const knownRTTs = [...rtts.values()].filter(rtt => rtt > 0);
+      const avgRTT = knownRTTs.length > 0
+        ? knownRTTs.reduce((sum, rtt) => sum + rtt, 0) / knownRTTs.length
         : 100; // Default 100ms if no RTT data
       
-      const allCandidates = allResultNodes
+      const sortedCandidates = allResultNodes
         .filter(node => !contacted.has(node.id.toString()))
         .filter(node => !node.id.equals(this.localNodeId)) // Don't try to connect to ourselves
         .sort((a, b) => {
@@ -3909,11 +4323,14 @@ export class KademliaDHT extends EventEmitter {
           }
           
           // Secondary: RTT (use avgRTT for nodes without data - Requirement 3.4)
-          const rttA = a.rtt > 0 ? a.rtt : avgRTT;
-          const rttB = b.rtt > 0 ? b.rtt : avgRTT;
+          const rttA = rtts.get(a) || avgRTT;
+          const rttB = rtts.get(b) || avgRTT;
           return rttA - rttB;
         });
 
+      // Skip banned peers and query poorly scored ones only after the rest
+      const allCandidates = this.preferReputablePeers(sortedCandidates);
+
       // Split into connected and disconnected peers
       const connectedCandidates = allCandidates.filter(node =>
         this.isPeerConnected(node.id.toString())
@@ -4041,7 +4458,7 @@ export class KademliaDHT extends EventEmitter {
           const isConnected = this.isPeerConnected(peerId);
           
           // Aggressive timeout for inactive browser tabs (fail fast)
-          let queryTimeout = 10000; // Default 10s for connected peers
+          let queryTimeout = lookup.queryTimeout; // Default 10s for connected peers, adapted to observed response times
           if (peerNode?.metadata?.nodeType === 'browser' && peerNode.metadata?.tabVisible === false) {
             queryTimeout = 1000; // Only 1 second for inactive tabs
             console.log(`⚡ Fast timeout (1s) for inactive tab ${peerId.substring(0, 8)}...`);
@@ -4054,7 +4471,9 @@ export class KademliaDHT extends EventEmitter {
             timeout: queryTimeout
           };
 
+          const queryStart = Date.now();
           const response = await this.sendFindNode(peerId, target, queryOptions);
+          this.lookupController.recordResponse(Date.now() - queryStart);
           
           // ENHANCED: Update tab visibility on successful response
           if (peerNode?.metadata?.nodeType === 'browser') {
@@ -4111,6 +4530,9 @@ export class KademliaDHT extends EventEmitter {
           const peerId = node.id.toString();
           const isTimeout = error.message && error.message.includes('timeout');
           const isStale = error.message && error.message.includes('stale');
+          if (isTimeout) {
+            this.lookupController.recordTimeout();
+          }
           
           // MEMORY FIX: Rate limit timeout/failure logging to prevent log spam
           if (!this._findNodeErrorLogTimes) {
@@ -4177,9 +4599,16 @@ export class KademliaDHT extends EventEmitter {
     // Final sort with proximity routing: XOR distance (primary), RTT (secondary)
     // Calculate average RTT for final sorting (Requirement 3.4)
     const finalResults = Array.from(results);
-    const finalNodesWithRTT = finalResults.filter(n => n.rtt > 0);
-    const finalAvgRTT = finalNodesWithRTT.length > 0
-      ? finalNodesWithRTT.reduce((sum, n) => sum + n.rtt, 0) / finalNodesWithRTT.length
+
+    // Every completed lookup doubles as a network size sample
+    if (contacted.size > 0) {
+      this.sizeEstimator.addLookupSample(target, finalResults.filter(node => !node.id.equals(target)));
+    }
+
+    const finalRTTs = new Map(finalResults.map(n => [n, this.getEffectiveRTT(n)]));
+    const finalKnownRTTs = [...finalRTTs.values()].filter(rtt => rtt > 0);
+    const finalAvgRTT = finalKnownRTTs.length > 0
+      ? finalKnownRTTs.reduce((sum, rtt) => sum + rtt, 0) / finalKnownRTTs.length
       : 100;
 
     return finalResults
@@ -4193,13 +4622,107 @@ export class KademliaDHT extends EventEmitter {
         }
         
         // Secondary: RTT (Requirement 3.2)
-        const rttA = a.rtt > 0 ? a.rtt : finalAvgRTT;
-        const rttB = b.rtt > 0 ? b.rtt : finalAvgRTT;
+        const rttA = finalRTTs.get(a) || finalAvgRTT;
+        const rttB = finalRTTs.get(b) || finalAvgRTT;
         return rttA - rttB;
       })
       .slice(0, limit);
   }
 
+  /**
+   * findNode over d disjoint paths, merging the nodes every path learned about
+   */
+  async _findNodeDisjoint(target, options) {
+    const lookup = this.getLookupParameters();
+    const limit = options.limit || lookup.k;
+    const paths = await this._runDisjointPaths(target, {
+      disjointPaths: options.disjointPaths,
+      query: (peerId) => this.sendFindNode(peerId, target, { ...options, timeout: lookup.queryTimeout })
+    });
+
+    const merged = new Map();
+    for (const path of paths) {
+      for (const node of path.nodes) {
+        merged.set(node.id.toString(), node);
+      }
+    }
+
+    console.log(`✅ findNode over ${paths.length} disjoint paths: ${merged.size} nodes (${paths.map(p => p.queried).join('/')} queried per path)`);
+    return [...merged.values()]
+      .sort((a, b) => a.id.xorDistance(target).compare(b.id.xorDistance(target)))
+      .slice(0, limit);
+  }
+
+  /**
+   * S/Kademlia disjoint-path lookup
+   * The closest known nodes are dealt round-robin into d paths. Each path then runs
+   * its own iterative lookup, and a node queried by one path is never queried by
+   * another, so a malicious node can only steer the path it sits on.
+   * @param {DHTNodeId} target - Lookup target
+   * @param {Object} options
+   * @param {number} options.disjointPaths - Number of paths (d)
+   * @param {Function} options.query - (peerId) => Promise<{ nodes, found, value }>; a path stops once found
+   * @param {boolean} [options.connectedOnly=false] - Only query peers with a direct connection
+   * @returns {Promise<Array<{nodes: Array<DHTNode>, queried: number, found: boolean, value: *, peerId: string}>>}
+   *   One entry per path
+   */
+  async _runDisjointPaths(target, options) {
+    const localId = this.localNodeId.toString();
+    const claimed = new Set(); // Peers already queried by some path
+    const byDistance = (a, b) => a.id.xorDistance(target).compare(b.id.xorDistance(target));
+    const canQuery = (node) => {
+      const peerId = node.id.toString();
+      return peerId !== localId && !claimed.has(peerId) && (!options.connectedOnly || this.isPeerConnected(peerId));
+    };
+
+    const paths = Array.from({ length: options.disjointPaths }, () => ({
+      known: new Map(), queried: 0, found: false, value: undefined, peerId: null
+    }));
+    const { k, alpha } = this.getLookupParameters();
+    const seeds = this.routingTable.findClosestNodes(target, k).filter(canQuery).sort(byDistance);
+    seeds.forEach((node, i) => paths[i % paths.length].known.set(node.id.toString(), node));
+
+    const runPath = async (path) => {
+      while (!path.found) {
+        const batch = [...path.known.values()].filter(canQuery).sort(byDistance).slice(0, alpha);
+        if (batch.length === 0) {
+          return;
+        }
+        batch.forEach(node => claimed.add(node.id.toString()));
+        path.queried += batch.length;
+
+        const results = await Promise.allSettled(batch.map(node => options.query(node.id.toString())));
+        results.forEach((result, i) => {
+          if (result.status !== 'fulfilled' || path.found) {
+            return;
+          }
+          if (result.value?.found) {
+            path.found = true;
+            path.value = result.value.value;
+            path.peerId = batch[i].id.toString();
+            return;
+          }
+          for (const compact of result.value?.nodes || []) {
+            const peerId = compact.id;
+            if (peerId && peerId !== localId && !path.known.has(peerId)) {
+              path.known.set(peerId, this.routingTable.getNode(peerId) || DHTNode.fromCompact(compact));
+            }
+          }
+        });
+      }
+    };
+
+    await Promise.all(paths.map(runPath));
+
+    return paths.map(path => ({
+      nodes: [...path.known.values()],
+      queried: path.queried,
+      found: path.found,
+      value: path.value,
+      peerId: path.peerId
+    }));
+  }
+
   /**
    * Send find node request
    */
@@ -4424,7 +4947,8 @@ export class KademliaDHT extends EventEmitter {
     const response = {
       type: 'find_node_response',
       requestId: message.requestId,
-      nodes: closestNodes.map(node => node.toCompact())
+      nodes: closestNodes.map(node => node.toCompact()), // Contacts carry the coordinates we know for them
+      coordinate: this.coordinates.getLocal().toJSON()
     };
 
     // DIAGNOSTIC LOGGING: Task 1.1 - Log requestId, destination peer, and manager info when response is sent
@@ -4579,9 +5103,26 @@ export class KademliaDHT extends EventEmitter {
 
   /**
    * Store key-value pair in DHT
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   * @param {Object} options - { ttl } lifetime in ms; every replica drops the record
+   *   once it expires (default: the node-wide expireInterval)
+   *   { publisher } signed publisher of a value we store again (republish, healing);
+   *   by default we sign as its publisher (see RecordPublisher)
    */
-  async store(key, value) {
-    this.logger.info(`📝 Storing key: ${key}`);
+  async store(key, value, options = {}) {
+    const { ttl } = options;
+    if (ttl !== undefined && !(Number.isFinite(ttl) && ttl > 0)) {
+      throw new Error('ttl must be a positive number of milliseconds');
+    }
+
+    // Don't replicate records every replica would reject (tombstones are checked by signature instead)
+    const namespaceCheck = Tombstone.isTombstone(value) ? { valid: true } : await this.namespaces.validate(key, value);
+    if (!namespaceCheck.valid) {
+      throw new Error(`Cannot store ${key}: ${namespaceCheck.error}`);
+    }
+
+    this.logger.info(`📝 Storing key: ${key}${ttl ? ` (ttl ${ttl}ms)` : ''}`);
     this.logger.debug(`Current routing table size: ${this.routingTable.getAllNodes().length}`);
     this.logger.debug(`Connected peers: ${this.getConnectedPeers().length}`);
 
@@ -4589,6 +5130,69 @@ export class KademliaDHT extends EventEmitter {
     // Don't remove discovered nodes before they have a chance to connect
     // this.cleanupRoutingTable();
 
+    const publisher = 'publisher' in options ? options.publisher : await this.signRecordPublisher(key, value);
+    const { targetNodes, shouldStoreLocally } = await this.selectReplicationTargets(key);
+
+    // Our own copy passes the same seq/signature check as a replica's (see handleStore),
+    // so a stale mutable record never overwrites the newer one we hold
+    const localCheck = shouldStoreLocally && !Tombstone.isTombstone(value) && MutableRecord.isMutableKey(key)
+      ? await this.checkMutableStore(key, value)
+      : { accepted: true };
+
+    if (shouldStoreLocally && !localCheck.accepted) {
+      this.logger.warn(`   ⚠️ Not storing locally: ${localCheck.error}`);
+    } else if (shouldStoreLocally) {
+      this.storage.set(key, {
+        value,
+        timestamp: Date.now(),
+        publisher,
+        ...(ttl && { expiresAt: Date.now() + ttl })
+      });
+      this.logger.info(`   ✅ Stored locally (we are one of the ${this.options.replicateK} closest nodes)`);
+    } else {
+      this.logger.debug(`   Skipping local storage (not one of the ${this.options.replicateK} closest nodes)`);
+    }
+
+    // Store on closest active (non-bridge) connected nodes
+    this.logger.info(`   Replicating to ${targetNodes.length} active peers...`);
+
+    const storePromises = targetNodes.map(node => {
+      const peerId = node.id.toString();
+      this.logger.debug(`   → Sending store to ${peerId.substring(0, 8)}...`);
+      return this.sendStore(peerId, key, value, { ttl, publisher });
+    });
+
+    // A store_response with success: false is a refusal (rejected seq, tombstone,
+    // namespace validator, passive node), not a stored copy
+    const results = await Promise.allSettled(storePromises);
+    const successes = results.filter(r => r.status === 'fulfilled' && r.value?.success).length;
+    const refusals = results.filter(r => r.status === 'fulfilled' && !r.value?.success).length;
+
+    this.logger.info(`   ✅ Replication complete: ${successes}/${targetNodes.length} successful`);
+    if (successes < targetNodes.length) {
+      this.logger.warn(`   ⚠️ ${targetNodes.length - successes} replication failures (${refusals} refused)`);
+      results.forEach((r, i) => {
+        if (r.status === 'rejected' || !r.value?.success) {
+          const reason = r.status === 'rejected' ? r.reason : r.value?.error;
+          this.logger.debug(`      Failed to ${targetNodes[i].id.toString().substring(0, 8)}...: ${reason}`);
+        }
+      });
+    }
+
+    // Add to republish queue
+    this.republishQueue.set(key, Date.now() + this.options.republishInterval);
+
+    // Our own copy only counts when no replica refused the record
+    return successes > 0 || (shouldStoreLocally && localCheck.accepted && refusals === 0);
+  }
+
+  /**
+   * Find the replica set for a key: the replicateK closest connected, non-bridge peers,
+   * and whether this node is close enough to hold a copy itself
+   * @param {string} key - Storage key
+   * @returns {Promise<{targetNodes: Array<DHTNode>, shouldStoreLocally: boolean}>}
+   */
+  async selectReplicationTargets(key) {
     const keyId = DHTNodeId.fromString(key);
 
     // CRITICAL: Request more nodes than replicateK to account for bridge nodes
@@ -4643,49 +5247,16 @@ export class KademliaDHT extends EventEmitter {
         return localDistance.compare(nodeDistance) <= 0;
       });
 
-    if (shouldStoreLocally) {
-      this.storage.set(key, {
-        value,
-        timestamp: Date.now(),
-        publisher: this.localNodeId.toString()
-      });
-      this.logger.info(`   ✅ Stored locally (we are one of the ${this.options.replicateK} closest nodes)`);
-    } else {
-      this.logger.debug(`   Skipping local storage (not one of the ${this.options.replicateK} closest nodes)`);
-    }
-
-    // Store on closest active (non-bridge) connected nodes
-    const targetNodes = activeConnectedNodes.slice(0, this.options.replicateK);
-    this.logger.info(`   Replicating to ${targetNodes.length} active peers...`);
-
-    const storePromises = targetNodes.map(node => {
-      const peerId = node.id.toString();
-      this.logger.debug(`   → Sending store to ${peerId.substring(0, 8)}...`);
-      return this.sendStore(peerId, key, value);
-    });
-
-    const results = await Promise.allSettled(storePromises);
-    const successes = results.filter(r => r.status === 'fulfilled').length;
-    const failures = results.filter(r => r.status === 'rejected');
-
-    this.logger.info(`   ✅ Replication complete: ${successes}/${targetNodes.length} successful`);
-    if (failures.length > 0) {
-      this.logger.warn(`   ⚠️ ${failures.length} replication failures`);
-      failures.forEach((f, i) => {
-        this.logger.debug(`      Failed to ${targetNodes[i].id.toString().substring(0, 8)}...: ${f.reason}`);
-      });
-    }
-
-    // Add to republish queue
-    this.republishQueue.set(key, Date.now() + this.options.republishInterval);
-
-    return successes > 0 || shouldStoreLocally;
+    return {
+      targetNodes: this.preferReputablePeers(activeConnectedNodes).slice(0, this.options.replicateK),
+      shouldStoreLocally
+    };
   }
 
   /**
    * Send store request
    */
-  async sendStore(peerId, key, value) {
+  async sendStore(peerId, key, value, options = {}) {
     // Verify connection before sending request
     if (!this.isPeerConnected(peerId)) {
       throw new Error(`No connection to peer ${peerId}`);
@@ -4699,74 +5270,1234 @@ export class KademliaDHT extends EventEmitter {
       nodeId: this.localNodeId.toString()
     };
 
+    // TTL travels as a relative lifetime so replicas don't depend on our clock
+    if (options.ttl) {
+      message.ttl = options.ttl;
+    }
+    if (options.publisher) {
+      message.publisher = options.publisher;
+    }
+    if (options.cache) {
+      message.cache = true; // Path cache copy, not a replica
+    }
+
+    return this.sendRequestWithResponse(peerId, message);
+  }
+
+  /**
+   * Handle store request
+   */
+  async handleStore(peerId, message) {
+    const { key, value } = message;
+    const publisher = message.publisher || null;
+    let { ttl } = message;
+
+    // CRITICAL: Passive nodes (bridge nodes) must reject store requests
+    // to maintain Kademlia replication guarantees
+    if (this.options.disableStorage || this.options.passiveMode) {
+      console.log(`⚠️ Rejecting store request for ${key} - node is in passive/observer mode`);
+
+      const response = {
+        type: 'store_response',
+        requestId: message.requestId,
+        success: false,
+        error: 'Node is in passive mode and does not accept storage'
+      };
+
+      await this.sendMessage(peerId, response);
+      return;
+    }
+
+    // Relayed copies carry the signature of the node that wrote them
+    const publisherCheck = publisher ? await RecordPublisher.verify(publisher, key, value) : { valid: true };
+    if (!publisherCheck.valid) {
+      console.warn(`⚠️ Rejecting store for ${key} from ${peerId.substring(0, 8)}...: ${publisherCheck.error}`);
+
+      await this.sendMessage(peerId, {
+        type: 'store_response',
+        requestId: message.requestId,
+        success: false,
+        error: publisherCheck.error
+      });
+      return;
+    }
+
+    // Deleted keys: accept authorized tombstones, and writes by the deleter only
+    const tombstoneCheck = await this.checkTombstoneStore(key, value, publisher);
+    if (!tombstoneCheck.accepted) {
+      console.warn(`⚠️ Rejecting store for ${key} from ${peerId.substring(0, 8)}...: ${tombstoneCheck.error}`);
+
+      await this.sendMessage(peerId, {
+        type: 'store_response',
+        requestId: message.requestId,
+        success: false,
+        error: tombstoneCheck.error
+      });
+      return;
+    }
+    if (Tombstone.isTombstone(value) && !(Number.isFinite(ttl) && ttl > 0)) {
+      ttl = this.options.tombstoneTTL;
+    }
+
+    // Signed mutable records: only the key owner may write, and only newer seqs
+    if (!Tombstone.isTombstone(value) && MutableRecord.isMutableKey(key)) {
+      const check = await this.checkMutableStore(key, value);
+      if (!check.accepted) {
+        console.warn(`⚠️ Rejecting mutable store for ${key} from ${peerId.substring(0, 8)}...: ${check.error}`);
+
+        await this.sendMessage(peerId, {
+          type: 'store_response',
+          requestId: message.requestId,
+          success: false,
+          error: check.error,
+          seq: check.storedSeq
+        });
+        return;
+      }
+    }
+
+    // Content-addressed blobs: the value must hash to its key
+    if (!Tombstone.isTombstone(value) && ContentBlob.isBlobKey(key)) {
+      const check = ContentBlob.verify(key.slice(ContentBlob.KEY_PREFIX.length), value);
+      if (!check.valid) {
+        console.warn(`⚠️ Rejecting blob store for ${key} from ${peerId.substring(0, 8)}...: ${check.error}`);
+
+        await this.sendMessage(peerId, {
+          type: 'store_response',
+          requestId: message.requestId,
+          success: false,
+          error: check.error
+        });
+        return;
+      }
+    }
+
+    // Registered namespaces: reject invalid records and keep the selector's preferred value
+    const namespaceCheck = Tombstone.isTombstone(value) ? { accepted: true } : await this.checkNamespaceStore(key, value);
+    if (!namespaceCheck.accepted) {
+      console.warn(`⚠️ Rejecting store for ${key} from ${peerId.substring(0, 8)}...: ${namespaceCheck.error}`);
+
+      await this.sendMessage(peerId, {
+        type: 'store_response',
+        requestId: message.requestId,
+        success: false,
+        error: namespaceCheck.error
+      });
+      return;
+    }
+
+    // Path cache copies never displace a record we hold as a replica, and always expire
+    if (message.cache) {
+      const existing = this.getStoredRecord(key);
+      if (existing && !existing.cached) {
+        await this.sendMessage(peerId, { type: 'store_response', requestId: message.requestId, success: true });
+        return;
+      }
+      if (!(Number.isFinite(ttl) && ttl > 0)) {
+        ttl = this.options.pathCacheMinTTL;
+      }
+    }
+
+    // Store the value (ignore malformed TTLs rather than storing a record that never expires early)
+    const hasTTL = Number.isFinite(ttl) && ttl > 0;
+    this.storage.set(key, {
+      value,
+      timestamp: Date.now(),
+      publisher,
+      ...(hasTTL && { expiresAt: Date.now() + ttl }),
+      ...(message.cache && { cached: true }) // Served to lookups, never republished or handed off
+    });
+
+    console.log(`Stored key ${key} from ${peerId}${hasTTL ? ` (ttl ${ttl}ms)` : ''}`);
+
+    const response = {
+      type: 'store_response',
+      requestId: message.requestId,
+      success: true
+    };
+
+    await this.sendMessage(peerId, response);
+  }
+
+  /**
+   * Atomic compare-and-swap across the replica set
+   * Each replica applies the write only if its stored version matches expectedVersion
+   * (see applyCompareAndSwap). The write succeeds when a majority of the replica set
+   * accepts it; since a replica accepts at most one write per version, two concurrent
+   * writers can never both reach a majority.
+   * @param {string} key - Storage key
+   * @param {Object} value - New value, must carry a numeric `version`
+   * @param {number} expectedVersion - Version the caller based its update on
+   * @param {Object} options - { ttl } lifetime in ms, as for store()
+   * @returns {Promise<{success: boolean, conflict: boolean, currentVersion?: number, currentValue?: Object, acks: number, replicas: number}>}
+   */
+  async compareAndSwap(key, value, expectedVersion, options = {}) {
+    if (typeof value?.version !== 'number') {
+      throw new Error('compareAndSwap requires a value with a numeric version');
+    }
+    if (!(value.version > expectedVersion)) {
+      throw new Error(`compareAndSwap requires a version above ${expectedVersion}`);
+    }
+    const { ttl } = options;
+    if (ttl !== undefined && !(Number.isFinite(ttl) && ttl > 0)) {
+      throw new Error('ttl must be a positive number of milliseconds');
+    }
+
+    this.logger.info(`🔒 CAS for key: ${key} (expected version ${expectedVersion}, new version ${value.version})`);
+
+    // Don't send writes every replica would reject
+    const namespaceCheck = await this.namespaces.validate(key, value);
+    if (!namespaceCheck.valid) {
+      throw new Error(`Cannot store ${key}: ${namespaceCheck.error}`);
+    }
+
+    const publisher = await this.signRecordPublisher(key, value);
+    const { targetNodes, shouldStoreLocally } = await this.selectReplicationTargets(key);
+    const results = [];
+
+    if (shouldStoreLocally) {
+      results.push(this.applyCompareAndSwap(key, value, expectedVersion, publisher, { ttl }));
+    }
+
+    const responses = await Promise.allSettled(
+      targetNodes.map(node => this.sendCasStore(node.id.toString(), key, value, expectedVersion, { ttl, publisher }))
+    );
+    for (const response of responses) {
+      if (response.status === 'fulfilled') {
+        results.push(response.value);
+      }
+    }
+
+    const replicas = targetNodes.length + (shouldStoreLocally ? 1 : 0);
+    const quorum = Math.floor(replicas / 2) + 1;
+    const acks = results.filter(r => r.success).length;
+
+    if (acks >= quorum) {
+      this.republishQueue.set(key, Date.now() + this.options.republishInterval);
+      this.logger.info(`   ✅ CAS committed version ${value.version} (${acks}/${replicas} replicas, quorum ${quorum})`);
+      return { success: true, conflict: false, currentVersion: value.version, acks, replicas };
+    }
+
+    // Report the newest version any replica holds so the caller can merge and retry
+    const winner = results
+      .filter(r => r.conflict)
+      .reduce((best, r) => (!best || r.currentVersion > best.currentVersion ? r : best), null);
+
+    if (winner) {
+      this.logger.warn(`   ⚠️ CAS conflict on ${key}: version ${winner.currentVersion} already stored (${acks}/${replicas} acks)`);
+      return {
+        success: false,
+        conflict: true,
+        currentVersion: winner.currentVersion,
+        currentValue: winner.currentValue,
+        acks,
+        replicas
+      };
+    }
+
+    this.logger.warn(`   ⚠️ CAS on ${key} did not reach quorum: ${acks}/${quorum} acks from ${replicas} replicas`);
+    return { success: false, conflict: false, acks, replicas };
+  }
+
+  /**
+   * Compare-and-swap a pubsub coordinator (used by PubSubStorage.storeCoordinatorWithVersionCheck)
+   * @returns {Promise<{success: boolean, conflict: boolean, currentVersion?: number, currentCoordinator?: Object}>}
+   */
+  async compareAndSwapCoordinator(topicID, newCoordinator, expectedVersion) {
+    const value = typeof newCoordinator.serialize === 'function' ? newCoordinator.serialize() : newCoordinator;
+    const result = await this.compareAndSwap(`coordinator:${topicID}`, value, expectedVersion);
+
+    return {
+      success: result.success,
+      conflict: result.conflict,
+      currentVersion: result.currentVersion,
+      currentCoordinator: result.currentValue
+    };
+  }
+
+  /**
+   * Apply a compare-and-swap to local storage (synchronous, so atomic per node)
+   * Accepts when nothing is stored, the stored version matches, or this replica is
+   * behind the version the writer saw; a newer stored version is a conflict.
+   * The new value's version must be above expectedVersion, so a replica never goes
+   * back to (or re-commits) a version. A deleted key only takes writes from its
+   * deleter (see checkTombstoneStore).
+   * @param {Object|null} publisher - Verified signed publisher of the value (see RecordPublisher)
+   * @param {Object} options - { ttl } record lifetime, as in handleStore
+   */
+  applyCompareAndSwap(key, value, expectedVersion, publisher, options = {}) {
+    if (MutableRecord.isMutableKey(key)) {
+      return { success: false, conflict: false, error: 'Mutable records must be written with putMutable' };
+    }
+    if (Tombstone.isTombstone(value)) {
+      return { success: false, conflict: false, error: 'Tombstones must be stored with delete' };
+    }
+    if (typeof value?.version !== 'number' || !(value.version > expectedVersion)) {
+      return { success: false, conflict: false, error: `Version must be above ${expectedVersion}` };
+    }
+
+    const stored = this.getStoredRecord(key)?.value;
+    if (Tombstone.isTombstone(stored) && (!publisher || publisher.publicKey !== stored.publicKey)) {
+      return { success: false, conflict: false, error: `Key was deleted at ${stored.timestamp}` };
+    }
+
+    const storedVersion = typeof stored?.version === 'number' ? stored.version : null;
+
+    if (storedVersion !== null && storedVersion > expectedVersion) {
+      return { success: false, conflict: true, currentVersion: storedVersion, currentValue: stored };
+    }
+
+    const { ttl } = options;
+    const hasTTL = Number.isFinite(ttl) && ttl > 0;
+    this.storage.set(key, {
+      value,
+      timestamp: Date.now(),
+      publisher,
+      ...(hasTTL && { expiresAt: Date.now() + ttl })
+    });
+
+    return { success: true, conflict: false, currentVersion: value.version };
+  }
+
+  /**
+   * Send compare-and-swap store request
+   */
+  async sendCasStore(peerId, key, value, expectedVersion, options = {}) {
+    if (!this.isPeerConnected(peerId)) {
+      throw new Error(`No connection to peer ${peerId}`);
+    }
+
+    const message = {
+      type: 'cas_store',
+      requestId: this.generateRequestId(),
+      key,
+      value,
+      expectedVersion,
+      nodeId: this.localNodeId.toString()
+    };
+    if (options.ttl) {
+      message.ttl = options.ttl;
+    }
+    if (options.publisher) {
+      message.publisher = options.publisher;
+    }
+
     return this.sendRequestWithResponse(peerId, message);
   }
 
   /**
-   * Handle store request
+   * Handle compare-and-swap store request
+   */
+  async handleCasStore(peerId, message) {
+    const { key, value, expectedVersion, ttl } = message;
+    const publisher = message.publisher || null;
+    const publisherCheck = publisher ? await RecordPublisher.verify(publisher, key, value) : { valid: true };
+    let result;
+
+    if (this.options.disableStorage || this.options.passiveMode) {
+      result = { success: false, conflict: false, error: 'Node is in passive mode and does not accept storage' };
+    } else if (typeof value?.version !== 'number') {
+      result = { success: false, conflict: false, error: 'Value has no numeric version' };
+    } else if (!publisherCheck.valid) {
+      result = { success: false, conflict: false, error: publisherCheck.error };
+    } else {
+      const namespaceCheck = await this.checkNamespaceStore(key, value);
+      result = namespaceCheck.accepted
+        ? this.applyCompareAndSwap(key, value, expectedVersion, publisher, { ttl })
+        : { success: false, conflict: false, error: namespaceCheck.error };
+    }
+
+    console.log(`🔒 CAS ${key} from ${peerId.substring(0, 8)}...: ${result.success ? 'applied' : (result.conflict ? `conflict (stored v${result.currentVersion})` : result.error)}`);
+
+    await this.sendMessage(peerId, {
+      type: 'cas_store_response',
+      requestId: message.requestId,
+      ...result
+    });
+  }
+
+  /**
+   * Announce that this node can serve content for a key (IPFS-style provider record)
+   * The record is held by the replicateK closest nodes and re-announced every
+   * providerRefreshInterval until stopProviding() is called.
+   * @param {string} key - Content key
+   * @returns {Promise<{success: boolean, replicas: number}>}
+   */
+  async provide(key) {
+    const localId = this.localNodeId.toString();
+    const { targetNodes, shouldStoreLocally } = await this.selectReplicationTargets(key);
+
+    if (shouldStoreLocally) {
+      this.addProviderRecord(key, localId, this.options.providerTTL);
+    }
+
+    const results = await Promise.allSettled(
+      targetNodes.map(node => this.sendAddProvider(node.id.toString(), key))
+    );
+    const acks = results.filter(r => r.status === 'fulfilled' && r.value?.success).length;
+
+    this.providedKeys.set(key, Date.now() + this.options.providerRefreshInterval);
+
+    console.log(`📢 Providing "${key}": announced to ${acks}/${targetNodes.length} peers${shouldStoreLocally ? ' + local' : ''}`);
+    return { success: acks > 0 || shouldStoreLocally, replicas: acks + (shouldStoreLocally ? 1 : 0) };
+  }
+
+  /**
+   * Stop re-announcing a key; existing provider records expire on their own
+   */
+  stopProviding(key) {
+    this.providedKeys.delete(key);
+    this.providers.get(key)?.delete(this.localNodeId.toString());
+  }
+
+  /**
+   * Find nodes that announced they can serve content for a key
+   * Queries the closest connected nodes in waves of alpha until enough providers are found.
+   * @param {string} key - Content key
+   * @param {Object} options - { limit } maximum number of providers to return (default k)
+   * @returns {Promise<Array<string>>} - Node IDs of live providers
+   */
+  async findProviders(key, options = {}) {
+    const limit = options.limit || this.options.k;
+    const localId = this.localNodeId.toString();
+    const found = new Set(this.getProviderRecords(key));
+
+    if (found.size < limit) {
+      const keyId = DHTNodeId.fromString(key);
+      const closestNodes = await this.findNode(keyId);
+      const candidates = closestNodes
+        .map(node => node.id.toString())
+        .filter(peerId => peerId !== localId && this.isPeerConnected(peerId))
+        .slice(0, this.options.replicateK);
+
+      const { alpha } = this.getLookupParameters();
+      for (let next = 0; found.size < limit && next < candidates.length; next += alpha) {
+        const wave = candidates.slice(next, next + alpha);
+        const results = await Promise.allSettled(wave.map(peerId => this.sendGetProviders(peerId, key)));
+        for (const result of results) {
+          if (result.status === 'fulfilled' && Array.isArray(result.value?.providers)) {
+            result.value.providers.forEach(providerId => found.add(providerId));
+          }
+        }
+      }
+    }
+
+    const providers = [...found].slice(0, limit);
+    console.log(`🔎 Found ${providers.length} provider(s) for "${key}"`);
+    return providers;
+  }
+
+  /**
+   * Record (or refresh) a provider for a key
+   */
+  addProviderRecord(key, providerId, ttl) {
+    if (!this.providers.has(key)) {
+      this.providers.set(key, new Map());
+    }
+    this.providers.get(key).set(providerId, Date.now() + ttl);
+  }
+
+  /**
+   * Live (unexpired) providers held locally for a key
+   */
+  getProviderRecords(key, now = Date.now()) {
+    const records = this.providers.get(key);
+    if (!records) {
+      return [];
+    }
+
+    for (const [providerId, expiresAt] of records.entries()) {
+      if (now >= expiresAt) {
+        records.delete(providerId);
+      }
+    }
+    if (records.size === 0) {
+      this.providers.delete(key);
+    }
+
+    return [...records.keys()];
+  }
+
+  /**
+   * Re-announce provided keys whose refresh is due
+   */
+  async refreshProviders() {
+    const now = Date.now();
+
+    for (const [key, nextRefresh] of this.providedKeys.entries()) {
+      if (now >= nextRefresh) {
+        try {
+          await this.provide(key);
+        } catch (error) {
+          console.warn(`Failed to refresh provider record for ${key}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Send add_provider request
+   */
+  async sendAddProvider(peerId, key) {
+    if (!this.isPeerConnected(peerId)) {
+      throw new Error(`No connection to peer ${peerId}`);
+    }
+
+    return this.sendRequestWithResponse(peerId, {
+      type: 'add_provider',
+      requestId: this.generateRequestId(),
+      key,
+      ttl: this.options.providerTTL,
+      nodeId: this.localNodeId.toString()
+    });
+  }
+
+  /**
+   * Handle add_provider request
+   * The provider is always the sending peer, so nodes can't announce on behalf of others.
+   */
+  async handleAddProvider(peerId, message) {
+    const { key } = message;
+    let result;
+
+    if (this.options.disableStorage || this.options.passiveMode) {
+      result = { success: false, error: 'Node is in passive mode and does not accept storage' };
+    } else if (typeof key !== 'string' || key.length === 0) {
+      result = { success: false, error: 'Invalid key' };
+    } else {
+      // Honor shorter TTLs from the provider, but never hold a record longer than our own limit
+      const ttl = Number.isFinite(message.ttl) && message.ttl > 0
+        ? Math.min(message.ttl, this.options.providerTTL)
+        : this.options.providerTTL;
+      this.addProviderRecord(key, peerId, ttl);
+      result = { success: true };
+      console.log(`📢 Provider record for "${key}" from ${peerId.substring(0, 8)}...`);
+    }
+
+    await this.sendMessage(peerId, {
+      type: 'add_provider_response',
+      requestId: message.requestId,
+      ...result
+    });
+  }
+
+  /**
+   * Send get_providers request
+   */
+  async sendGetProviders(peerId, key) {
+    if (!this.isPeerConnected(peerId)) {
+      throw new Error(`No connection to peer ${peerId}`);
+    }
+
+    return this.sendRequestWithResponse(peerId, {
+      type: 'get_providers',
+      requestId: this.generateRequestId(),
+      key,
+      nodeId: this.localNodeId.toString()
+    });
+  }
+
+  /**
+   * Handle get_providers request
+   */
+  async handleGetProviders(peerId, message) {
+    await this.sendMessage(peerId, {
+      type: 'get_providers_response',
+      requestId: message.requestId,
+      providers: this.getProviderRecords(message.key)
+    });
+  }
+
+  /**
+   * Get value from DHT (checks local cache first, then network)
+   * For mutable data that may change (like PubSub coordinators), use getFromNetwork()
+   * @param {string} key - Storage key
+   * @param {Object} options - { quorum, resolve } for a quorum read (see _getWithQuorum),
+   *   { disjointPaths, minAgreement } for a disjoint-path read (see findValue)
+   */
+  async get(key, options = {}) {
+    console.log(`🔍 GET started for key: "${key}"`);
+
+    // Quorum reads always consult replicas - the local copy is just one vote
+    if (options.quorum) {
+      return this._getWithQuorum(key, options);
+    }
+    if (options.disjointPaths) {
+      return this._getWithDisjointPaths(key, options);
+    }
+
+    // Check local storage first
+    const stored = this.getStoredRecord(key);
+    if (stored) {
+      console.log(`✅ GET: Found "${key}" in local storage`);
+      return Tombstone.isTombstone(stored.value) ? null : stored.value;
+    }
+    console.log(`❌ GET: "${key}" not in local storage, searching DHT...`);
+
+    return this._getFromDHT(key);
+  }
+
+  /**
+   * Get value from DHT network, bypassing local cache.
+   * Use this for mutable data like PubSub coordinators that may be updated by other nodes.
+   */
+  async getFromNetwork(key, options = {}) {
+    console.log(`🔍 GET (network) started for key: "${key}"`);
+    if (options.quorum) {
+      return this._getWithQuorum(key, options);
+    }
+    if (options.disjointPaths) {
+      return this._getWithDisjointPaths(key, options);
+    }
+    return this._getFromDHT(key);
+  }
+
+  /**
+   * Value lookup over disjoint paths (S/Kademlia)
+   * Each path stops at the first replica that returns a valid value; paths that
+   * return the same value agree. The value returned is the one most paths agreed
+   * on (ties go to the path that found it first in path order).
+   * Only directly connected peers are queried.
+   * @param {string} key - Storage key
+   * @param {Object} options - { disjointPaths } number of paths (default 3)
+   * @returns {Promise<{found: boolean, value: *, agreeing: number, paths: number}>}
+   */
+  async findValue(key, options = {}) {
+    const disjointPaths = options.disjointPaths || 3;
+    const paths = await this._runDisjointPaths(DHTNodeId.fromString(key), {
+      disjointPaths,
+      connectedOnly: true,
+      query: (peerId) => this.sendFindValue(peerId, key)
+    });
+
+    // Forged answers don't count towards agreement
+    const votes = new Map(); // JSON value -> { value, count }
+    for (const path of paths) {
+      if (!path.found || path.value === undefined || !(await this.isValidReadValue(key, path.value, path.peerId))) {
+        continue;
+      }
+      const json = JSON.stringify(path.value);
+      const vote = votes.get(json) || { value: path.value, count: 0 };
+      vote.count++;
+      votes.set(json, vote);
+    }
+
+    let best = null;
+    for (const vote of votes.values()) {
+      if (!best || vote.count > best.count) {
+        best = vote;
+      }
+    }
+
+    console.log(`🔍 Disjoint GET "${key}": ${best ? best.count : 0}/${disjointPaths} paths agreed (${votes.size} distinct value(s))`);
+    if (!best) {
+      return { found: false, value: null, agreeing: 0, paths: disjointPaths };
+    }
+    return {
+      found: true,
+      value: Tombstone.isTombstone(best.value) ? null : best.value,
+      agreeing: best.count,
+      paths: disjointPaths
+    };
+  }
+
+  /**
+   * get() over disjoint paths: null unless at least minAgreement paths agree (default 1)
+   */
+  async _getWithDisjointPaths(key, options) {
+    const result = await this.findValue(key, options);
+    const minAgreement = options.minAgreement || 1;
+    if (result.agreeing < minAgreement) {
+      if (result.found) {
+        console.warn(`⚠️ Disjoint GET "${key}": only ${result.agreeing}/${minAgreement} required paths agreed`);
+      }
+      return null;
+    }
+    return result.value;
+  }
+
+  /**
+   * Quorum read: collect values from up to `quorum` replicas (the local copy counts
+   * as one), pick the winner with the resolver and write it back to replicas that
+   * returned a stale value or nothing (read-repair).
+   * If fewer replicas are reachable the read resolves among those that answered.
+   * @param {string} key - Storage key
+   * @param {Object} options
+   * @param {number} options.quorum - Number of replica responses to collect
+   * @param {string|Function} [options.resolve='newest'] - 'version' | 'seq' | 'timestamp' | 'newest' | (values) => winner
+   * @returns {Promise<*>} - Winning value or null
+   */
+  async _getWithQuorum(key, options) {
+    const quorum = Math.max(1, options.quorum);
+    // Without an explicit resolver, the key's namespace selector decides
+    const namespace = this.namespaces.get(key);
+    const resolver = !options.resolve && namespace?.select
+      ? (values) => this.namespaces.select(key, values)
+      : ValueResolver.get(options.resolve);
+    const localId = this.localNodeId.toString();
+    const responses = []; // { peerId, found, value }
+
+    console.log(`🔍 Quorum GET for key: "${key}" (quorum ${quorum})`);
+
+    const stored = this.getStoredRecord(key);
+    if (stored) {
+      responses.push({ peerId: localId, found: true, value: stored.value, ttl: this.getRemainingTTL(stored), publisher: stored.publisher });
+    }
+
+    const keyId = DHTNodeId.fromString(key);
+    const closestNodes = await this.findNode(keyId);
+    const candidates = closestNodes
+      .map(node => node.id.toString())
+      .filter(peerId => peerId !== localId && this.isPeerConnected(peerId));
+
+    // Query in waves, closest first, until enough replicas have answered
+    let next = 0;
+    while (responses.length < quorum && next < candidates.length) {
+      const wave = candidates.slice(next, next + quorum - responses.length);
+      next += wave.length;
+
+      const results = await Promise.allSettled(wave.map(peerId => this.sendFindValue(peerId, key)));
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+          const found = !!result.value?.found && result.value.value !== undefined;
+          responses.push({
+            peerId: wave[i],
+            found,
+            value: found ? result.value.value : undefined,
+            ttl: result.value?.ttl,
+            publisher: found ? result.value.publisher : undefined
+          });
+        }
+      });
+    }
+
+    if (responses.length < quorum) {
+      console.warn(`⚠️ Quorum GET: only ${responses.length}/${quorum} replicas answered for "${key}"`);
+    }
+
+    let found = responses.filter(r => r.found);
+
+    // Never let a forged mutable record or tombstone, or a record its namespace rejects, win the vote
+    const checks = await Promise.all(found.map(r => this.isValidReadValue(key, r.value, r.peerId)));
+    found = found.filter((r, i) => checks[i]);
+
+    // Repaired copies keep their signed publisher, unless the signature doesn't cover the value
+    await Promise.all(found.map(async (r) => {
+      if (r.publisher && !(await RecordPublisher.verify(r.publisher, key, r.value)).valid) {
+        r.publisher = null;
+      }
+    }));
+
+    if (found.length === 0) {
+      if (responses.length < quorum) {
+        // Too few connected replicas - fall back to the lookup that also dials disconnected nodes
+        console.log(`🔄 Quorum GET: "${key}" not found on ${responses.length} reachable replicas, falling back to standard lookup`);
+        return this._getFromDHT(key);
+      }
+      console.log(`❌ Quorum GET: "${key}" not found on ${responses.length} replicas`);
+      return null;
+    }
+
+    const winner = resolver(found.map(r => r.value));
+    this.readRepair(key, winner, responses);
+
+    console.log(`✅ Quorum GET: resolved "${key}" from ${found.length}/${responses.length} replicas`);
+    return Tombstone.isTombstone(winner) ? null : winner;
+  }
+
+  /**
+   * Push the winning value of a quorum read to replicas that returned stale or no data
+   * Remote repairs are fire-and-forget so they don't delay the read. Only records that
+   * could be validated (see hasRecordValidation) are spread: for other keys a forged
+   * value that wins the vote would otherwise be written to every honest replica.
+   * @returns {number} - Number of replicas being repaired
+   */
+  readRepair(key, winner, responses) {
+    if (!Tombstone.isTombstone(winner) && !this.hasRecordValidation(key)) {
+      return 0;
+    }
+
+    const winnerJson = JSON.stringify(winner);
+    const stale = responses.filter(r => !r.found || JSON.stringify(r.value) !== winnerJson);
+    const localId = this.localNodeId.toString();
+    // Repaired copies expire together with, and name the publisher of, the replica that supplied the winner
+    const source = responses.find(r => r.found && JSON.stringify(r.value) === winnerJson);
+    const ttl = source?.ttl;
+    const publisher = source?.publisher || null;
+
+    for (const { peerId } of stale) {
+      if (peerId === localId) {
+        const existing = this.storage.get(key);
+        if (Tombstone.isTombstone(existing?.value) && !Tombstone.isTombstone(winner)) {
+          continue; // Never resurrect a key we know was deleted
+        }
+        this.storage.set(key, {
+          value: winner,
+          timestamp: Date.now(),
+          publisher,
+          ...(ttl && { expiresAt: Date.now() + ttl })
+        });
+      } else {
+        this.sendStore(peerId, key, winner, { ttl, publisher }).catch(error => {
+          console.warn(`⚠️ Read-repair of "${key}" on ${peerId.substring(0, 8)}... failed: ${error.message}`);
+        });
+      }
+    }
+
+    if (stale.length > 0) {
+      this.readRepairs += stale.length;
+      console.log(`🩹 Read-repair: updating ${stale.length} stale replica(s) of "${key}"`);
+    }
+
+    return stale.length;
+  }
+
+  /**
+   * Whether records under a key are checked on read: signed mutable records,
+   * content-addressed blobs and namespaces with a validator
+   */
+  hasRecordValidation(key) {
+    return MutableRecord.isMutableKey(key) || ContentBlob.isBlobKey(key) || !!this.namespaces.get(key)?.validate;
+  }
+
+  /**
+   * Store a signed mutable record (BEP44-style)
+   * The record is stored at MutableRecord.getKey(publicKey, salt) and replicas
+   * only accept it if the signature verifies and seq is newer than what they hold.
+   * @param {string} publicKey - Owner's Ed25519 public key (hex)
+   * @param {string} salt - Distinguishes multiple records owned by one key
+   * @param {*} value - Any JSON-serializable value
+   * @param {number} seq - Sequence number, must be greater than the stored one
+   * @param {Object} options - { keyInfo } signing key (defaults to this node's key pair)
+   * @returns {Promise<{key: string, seq: number, success: boolean}>}
+   */
+  async putMutable(publicKey, salt, value, seq, options = {}) {
+    const keyInfo = options.keyInfo || this.keyPair;
+    if (!keyInfo || keyInfo.publicKey !== publicKey) {
+      throw new Error(`No signing key available for public key ${String(publicKey).substring(0, 16)}...`);
+    }
+
+    const key = MutableRecord.getKey(publicKey, salt);
+    const stored = this.storage.get(key)?.value;
+    if (stored && seq <= stored.seq) {
+      throw new Error(`Mutable record seq ${seq} must be greater than stored seq ${stored.seq}`);
+    }
+
+    const record = await MutableRecord.create(keyInfo, salt, value, seq);
+    console.log(`✍️ Storing mutable record ${key} (seq ${seq})`);
+
+    const success = await this.store(key, record);
+    return { key, seq, success };
+  }
+
+  /**
+   * Get the newest verified mutable record for a public key + salt
+   * Queries the closest connected nodes and keeps the highest valid seq, so a
+   * stale or forged reply from one replica can't hide the latest write.
+   * @returns {Promise<Object|null>} - Record { publicKey, salt, seq, value, signature } or null
+   */
+  async getMutable(publicKey, salt = '') {
+    const key = MutableRecord.getKey(publicKey, salt);
+    const candidates = [];
+
+    if (this.storage.has(key)) {
+      candidates.push(this.storage.get(key).value);
+    }
+
+    const keyId = DHTNodeId.fromString(key);
+    const closestNodes = await this.findNode(keyId);
+    const queryNodes = closestNodes
+      .map(node => node.id.toString())
+      .filter(peerId => peerId !== this.localNodeId.toString() && this.isPeerConnected(peerId))
+      .slice(0, this.options.k);
+
+    const responses = await Promise.allSettled(queryNodes.map(peerId => this.sendFindValue(peerId, key)));
+    for (const result of responses) {
+      if (result.status === 'fulfilled' && result.value?.found) {
+        candidates.push(result.value.value);
+      }
+    }
+
+    let best = null;
+    for (const record of candidates) {
+      if (best && record?.seq <= best.seq) {
+        continue;
+      }
+      const check = await MutableRecord.verify(record, key);
+      if (check.valid) {
+        best = record;
+      }
+    }
+
+    console.log(`🔍 getMutable ${key}: ${candidates.length} candidates, newest seq ${best ? best.seq : 'none'}`);
+    return best;
+  }
+
+  /**
+   * Store an immutable content-addressed blob
+   * Data larger than blobChunkSize is split into chunks plus a manifest (see ContentBlob);
+   * chunks are stored first so the returned hash never points at missing data.
+   * @param {Uint8Array|ArrayBuffer|string} data - Blob contents
+   * @param {Object} options - { chunkSize, ttl, concurrency }
+   * @returns {Promise<string>} - Blob hash for getBlob()
+   */
+  async putBlob(data, options = {}) {
+    const { hash, records } = ContentBlob.split(data, options.chunkSize || ContentBlob.DEFAULT_CHUNK_SIZE);
+    const concurrency = options.concurrency || 8;
+
+    // Identical chunks only need storing once; the root record goes last
+    const unique = [...new Map(records.map(r => [r.hash, r])).values()];
+    const root = unique.pop();
+
+    for (let i = 0; i < unique.length; i += concurrency) {
+      await Promise.all(unique.slice(i, i + concurrency).map(r => this.storeBlobRecord(r, options)));
+    }
+    await this.storeBlobRecord(root, options);
+
+    console.log(`📦 Stored blob ${hash.substring(0, 16)}... (${records.length} record(s))`);
+    return hash;
+  }
+
+  /**
+   * Store one chunk or manifest record under its hash
+   */
+  async storeBlobRecord({ hash, record }, options) {
+    const success = await this.store(ContentBlob.getKey(hash), record, { ttl: options.ttl });
+    if (!success) {
+      throw new Error(`Failed to store blob record ${hash.substring(0, 16)}...`);
+    }
+  }
+
+  /**
+   * Fetch and verify a blob stored with putBlob()
+   * Chunks are fetched in parallel and each one is checked against its hash,
+   * so corrupted or forged data is rejected rather than returned.
+   * @param {string} hash - Blob hash returned by putBlob()
+   * @param {Object} options - { concurrency } parallel chunk fetches (default 8)
+   * @returns {Promise<Uint8Array|null>} - Blob contents, or null if not found
+   */
+  async getBlob(hash, options = {}) {
+    const root = await this.fetchBlobRecord(hash);
+    if (!root) {
+      return null;
+    }
+
+    if (root.type === 'blob-chunk') {
+      return ContentBlob.decode(root.data);
+    }
+
+    const concurrency = options.concurrency || 8;
+    const chunks = [];
+    for (let i = 0; i < root.chunks.length; i += concurrency) {
+      const batch = await Promise.all(root.chunks.slice(i, i + concurrency).map(chunkHash => this.fetchBlobRecord(chunkHash)));
+      batch.forEach((chunk, j) => {
+        if (chunk?.type !== 'blob-chunk') {
+          throw new Error(`Blob ${hash.substring(0, 16)}... is missing chunk ${root.chunks[i + j].substring(0, 16)}...`);
+        }
+      });
+      chunks.push(...batch);
+    }
+
+    return ContentBlob.join(root, chunks);
+  }
+
+  /**
+   * Fetch one blob record, accepting only data that verifies against its hash
+   * Tries the local copy, then the closest connected replicas, then a full lookup.
+   * @returns {Promise<Object|null>}
+   */
+  async fetchBlobRecord(hash) {
+    const key = ContentBlob.getKey(hash);
+    const isValid = (record) => {
+      const check = ContentBlob.verify(hash, record);
+      if (!check.valid && record !== undefined && record !== null) {
+        console.warn(`⚠️ Discarding blob record ${hash.substring(0, 16)}...: ${check.error}`);
+      }
+      return check.valid;
+    };
+
+    const stored = this.getStoredRecord(key);
+    if (stored && isValid(stored.value)) {
+      return stored.value;
+    }
+
+    const keyId = DHTNodeId.fromString(key);
+    const closestNodes = await this.findNode(keyId);
+    const candidates = closestNodes
+      .map(node => node.id.toString())
+      .filter(peerId => peerId !== this.localNodeId.toString() && this.isPeerConnected(peerId))
+      .slice(0, this.options.replicateK);
+
+    const { alpha } = this.getLookupParameters();
+    for (let i = 0; i < candidates.length; i += alpha) {
+      const wave = candidates.slice(i, i + alpha);
+      const results = await Promise.allSettled(wave.map(peerId => this.sendFindValue(peerId, key)));
+      for (const result of results) {
+        if (result.status === 'fulfilled' && result.value?.found && isValid(result.value.value)) {
+          return result.value.value;
+        }
+      }
+    }
+
+    const value = await this._getFromDHT(key);
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (!isValid(value)) {
+      throw new Error(`Blob record ${hash.substring(0, 16)}... failed verification`);
+    }
+    return value;
+  }
+
+  /**
+   * Validate an incoming store for a mutable record key against the local copy
+   * Re-stores of the identical record (republish) are accepted to refresh its timestamp.
+   * @returns {Promise<{accepted: boolean, error?: string, storedSeq?: number}>}
+   */
+  async checkMutableStore(key, record) {
+    const check = await MutableRecord.verify(record, key);
+    if (!check.valid) {
+      return { accepted: false, error: check.error };
+    }
+
+    const stored = this.storage.get(key)?.value;
+    if (!stored) {
+      return { accepted: true };
+    }
+
+    if (record.seq === stored.seq && record.signature === stored.signature) {
+      return { accepted: true };
+    }
+
+    if (record.seq <= stored.seq) {
+      return {
+        accepted: false,
+        error: `Sequence number ${record.seq} is not newer than stored ${stored.seq}`,
+        storedSeq: stored.seq
+      };
+    }
+
+    return { accepted: true };
+  }
+
+  /**
+   * Register a validator and/or selector for keys starting with prefix
+   * Consulted by handleStore (reject invalid records, keep the selected one) and by
+   * reads (skip invalid replica answers, resolve quorum reads with the selector).
+   * @param {string} prefix - Key prefix, e.g. 'coordinator:'
+   * @param {Object} handlers
+   * @param {Function} [handlers.validate] - (value, key) => boolean | { valid, error }, may be async
+   * @param {Function} [handlers.select] - (values, key) => preferred value (one of values)
+   * @param {Function} [handlers.merge] - (values, key) => new value combining diverged copies
+   * @param {Function} [handlers.canDelete] - (tombstone, stored, key) => boolean | { valid, error };
+   *   without it the namespace's records can't be deleted
+   */
+  registerNamespace(prefix, handlers = {}) {
+    this.namespaces.register(prefix, handlers);
+  }
+
+  /**
+   * Namespaces for the keys the DHT itself writes
+   */
+  registerBuiltinNamespaces() {
+    // A node's key record must pass isAcceptedPublicKey, and a stored key is never
+    // replaced by a different one
+    const publicKeyPrefix = InvitationToken.getPublicKeyStorageKey('');
+    this.registerNamespace(publicKeyPrefix, {
+      validate: (value, key) => {
+        const nodeId = key.slice(publicKeyPrefix.length);
+        if (value?.nodeId !== nodeId) {
+          return { valid: false, error: 'Public key record does not match its node ID' };
+        }
+        try {
+          NodeIdProof.getKeyBytes(value.publicKey);
+        } catch {
+          return { valid: false, error: 'Unsupported public key format' };
+        }
+        if (!this.isAcceptedPublicKey(nodeId, value.publicKey)) {
+          return { valid: false, error: 'Node ID is not derived from the public key' };
+        }
+        const stored = this.getStoredRecord(key)?.value;
+        if (stored?.publicKey && JSON.stringify(stored.publicKey) !== JSON.stringify(value.publicKey)) {
+          return { valid: false, error: 'A different public key is already stored for this node' };
+        }
+        return true;
+      },
+      select: ValueResolver.STRATEGIES.timestamp
+    });
+
+    // The first consumption of a token is the one that counts
+    this.registerNamespace(InvitationToken.getConsumedTokenKey(''), {
+      validate: (value) => typeof value?.inviter === 'string' &&
+        typeof value.invitee === 'string' &&
+        typeof value.consumedAt === 'number',
+      select: (values) => values.reduce((first, value) => (value.consumedAt < first.consumedAt ? value : first))
+    });
+  }
+
+  /**
+   * Validate an incoming store against its namespace and the local copy
+   * A differing value is only accepted if the namespace selector prefers it over what we hold.
+   * @returns {Promise<{accepted: boolean, error?: string}>}
    */
-  async handleStore(peerId, message) {
-    const { key, value } = message;
+  async checkNamespaceStore(key, value) {
+    if (!this.namespaces.get(key)) {
+      return { accepted: true };
+    }
 
-    // CRITICAL: Passive nodes (bridge nodes) must reject store requests
-    // to maintain Kademlia replication guarantees
-    if (this.options.disableStorage || this.options.passiveMode) {
-      console.log(`⚠️ Rejecting store request for ${key} - node is in passive/observer mode`);
+    const check = await this.namespaces.validate(key, value);
+    if (!check.valid) {
+      return { accepted: false, error: check.error };
+    }
 
-      const response = {
-        type: 'store_response',
-        requestId: message.requestId,
-        success: false,
-        error: 'Node is in passive mode and does not accept storage'
-      };
+    const stored = this.getStoredRecord(key);
+    if (stored && JSON.stringify(stored.value) !== JSON.stringify(value)) {
+      const preferred = this.namespaces.select(key, [stored.value, value]);
+      if (preferred !== null && preferred !== value) {
+        return { accepted: false, error: 'Stored value preferred by namespace selector' };
+      }
+    }
 
-      await this.sendMessage(peerId, response);
-      return;
+    return { accepted: true };
+  }
+
+  /**
+   * Check a value read from a replica: tombstones and mutable records by signature,
+   * blobs by content hash, everything else against its namespace validator
+   */
+  async isValidReadValue(key, value, peerId) {
+    let check;
+    if (Tombstone.isTombstone(value)) {
+      check = await Tombstone.verify(value, key);
+    } else if (MutableRecord.isMutableKey(key)) {
+      check = await MutableRecord.verify(value, key);
+    } else if (ContentBlob.isBlobKey(key)) {
+      check = ContentBlob.verify(key.slice(ContentBlob.KEY_PREFIX.length), value);
+    } else {
+      check = await this.namespaces.validate(key, value);
     }
 
-    // Store the value
-    this.storage.set(key, {
-      value,
-      timestamp: Date.now(),
-      publisher: peerId
-    });
+    if (!check.valid) {
+      console.warn(`⚠️ GET: Ignoring invalid "${key}" from ${peerId.substring(0, 8)}...: ${check.error}`);
+    }
+    return check.valid;
+  }
 
-    console.log(`Stored key ${key} from ${peerId}`);
+  /**
+   * Delete a key from the network by storing a signed tombstone on its replica set
+   * Replicas refuse data written before the delete until the tombstone expires
+   * (tombstoneTTL), and republish spreads the tombstone to replicas that missed it.
+   * @param {string} key - Key to delete
+   * @param {Object} options - { ttl } how long replicas keep the tombstone
+   * @returns {Promise<boolean>} - True if at least one replica stored the tombstone
+   */
+  async delete(key, options = {}) {
+    if (!this.keyPair) {
+      throw new Error('No key pair available to sign tombstone');
+    }
 
-    const response = {
-      type: 'store_response',
-      requestId: message.requestId,
-      success: true
-    };
+    // Don't send a tombstone the replicas (and we) would refuse
+    const tombstone = await Tombstone.create(this.keyPair, key, this.localNodeId.toString());
+    const check = await this.canDelete(key, tombstone, this.getStoredRecord(key));
+    if (!check.accepted) {
+      throw new Error(`Cannot delete ${key}: ${check.error}`);
+    }
 
-    await this.sendMessage(peerId, response);
+    console.log(`🪦 Deleting key ${key}`);
+
+    return this.store(key, tombstone, { ttl: options.ttl || this.options.tombstoneTTL });
   }
 
   /**
-   * Get value from DHT (checks local cache first, then network)
-   * For mutable data that may change (like PubSub coordinators), use getFromNetwork()
+   * Validate an incoming store against a tombstone held for the key
+   * - Tombstones must be validly signed, newer than any tombstone held, and from
+   *   a deleter allowed to remove the stored record (see canDelete)
+   * - While a tombstone is live, only values the deleter signed as publisher are
+   *   accepted, whichever node relays them
+   * @param {string} key - Storage key
+   * @param {*} value - Incoming value
+   * @param {Object|null} publisher - Verified signed publisher of the value (see RecordPublisher)
+   * @returns {Promise<{accepted: boolean, error?: string}>}
    */
-  async get(key) {
-    console.log(`🔍 GET started for key: "${key}"`);
+  async checkTombstoneStore(key, value, publisher) {
+    const entry = this.getStoredRecord(key);
+    const stored = entry?.value;
 
-    // Check local storage first
-    if (this.storage.has(key)) {
-      const stored = this.storage.get(key);
-      console.log(`✅ GET: Found "${key}" in local storage`);
-      return stored.value;
+    if (Tombstone.isTombstone(value)) {
+      const check = await Tombstone.verify(value, key);
+      if (!check.valid) {
+        return { accepted: false, error: check.error };
+      }
+      if (Tombstone.isTombstone(stored)) {
+        if (stored.publicKey !== value.publicKey) {
+          return { accepted: false, error: 'Key was deleted by another node' };
+        }
+        if (value.timestamp < stored.timestamp) {
+          return { accepted: false, error: 'Newer tombstone already stored' };
+        }
+        return { accepted: true };
+      }
+      return this.canDelete(key, value, entry);
     }
-    console.log(`❌ GET: "${key}" not in local storage, searching DHT...`);
 
-    return this._getFromDHT(key);
+    if (Tombstone.isTombstone(stored) && (!publisher || publisher.publicKey !== stored.publicKey)) {
+      return { accepted: false, error: `Key was deleted at ${stored.timestamp}` };
+    }
+
+    return { accepted: true };
   }
 
   /**
-   * Get value from DHT network, bypassing local cache.
-   * Use this for mutable data like PubSub coordinators that may be updated by other nodes.
+   * Check that a tombstone's signer may delete the record stored for a key
+   * - Mutable records: only the owner key
+   * - Registered namespaces: only if the namespace's canDelete handler allows it; the
+   *   signing key must belong to the tombstone's node ID (see isNodeKey)
+   * - Other keys: only the key that signed the record as its publisher (see RecordPublisher)
+   * @param {string} key - Storage key
+   * @param {Object} tombstone - Verified tombstone
+   * @param {Object} [entry] - Stored record for the key
+   * @returns {Promise<{accepted: boolean, error?: string}>}
    */
-  async getFromNetwork(key) {
-    console.log(`🔍 GET (network) started for key: "${key}"`);
-    return this._getFromDHT(key);
+  async canDelete(key, tombstone, entry) {
+    const stored = entry?.value;
+
+    if (MutableRecord.isMutableKey(key)) {
+      if (stored?.publicKey && stored.publicKey !== tombstone.publicKey) {
+        return { accepted: false, error: 'Only the owner may delete a mutable record' };
+      }
+      return { accepted: true };
+    }
+
+    if (this.namespaces.get(key)) {
+      if (!(await this.isNodeKey(tombstone.nodeId, tombstone.publicKey))) {
+        return { accepted: false, error: 'Tombstone signer does not match its node ID' };
+      }
+      const check = await this.namespaces.canDelete(key, tombstone, stored);
+      return check.valid ? { accepted: true } : { accepted: false, error: check.error };
+    }
+
+    if (entry?.publisher && entry.publisher.publicKey !== tombstone.publicKey) {
+      return { accepted: false, error: 'Only the publisher may delete a record' };
+    }
+    return { accepted: true };
+  }
+
+  /**
+   * Whether `publicKey` belongs to `nodeId`: the node ID is derived from it, or it is
+   * the key the node published (see getPublicKey)
+   */
+  async isNodeKey(nodeId, publicKey) {
+    if (NodeIdProof.isDerivedFrom(nodeId, publicKey)) {
+      return true;
+    }
+    return !!publicKey && (await this.getPublicKey(nodeId)) === publicKey;
+  }
+
+  /**
+   * Sign a value we write as its publisher (null without a key pair)
+   */
+  async signRecordPublisher(key, value) {
+    return this.keyPair ? RecordPublisher.create(this.keyPair, key, value, this.localNodeId.toString()) : null;
   }
 
   /**
@@ -4800,6 +6531,7 @@ export class KademliaDHT extends EventEmitter {
     // Query connected nodes first (fast path)
     let queriesAttempted = 0;
     let successfulQueries = 0;
+    const misses = []; // Queried nodes that answered without the value (path cache candidates)
 
     // Phase 1: Query connected nodes (should be fast and reliable)
     for (const node of connectedNodes) {
@@ -4812,9 +6544,13 @@ export class KademliaDHT extends EventEmitter {
         successfulQueries++;
         
         console.log(`📥 GET: Response from ${peerId.substring(0, 8)}...: found=${response.found}`);
-        if (response.found && response.value !== undefined) {
+        if (response.found && response.value !== undefined && await this.isValidReadValue(key, response.value, peerId)) {
           console.log(`✅ GET: Successfully retrieved "${key}" from connected node ${peerId.substring(0, 8)}...`);
-          return response.value;
+          this.cacheAlongPath(key, response, misses, closestNodes);
+          return Tombstone.isTombstone(response.value) ? null : response.value;
+        }
+        if (!response.found) {
+          misses.push(node);
         }
       } catch (error) {
         // MEMORY FIX: Rate limit GET query failure logging
@@ -4879,9 +6615,13 @@ export class KademliaDHT extends EventEmitter {
           successfulQueries++;
           
           console.log(`📥 GET: Response from ${peerId.substring(0, 8)}...: found=${response.found}`);
-          if (response.found && response.value !== undefined) {
+          if (response.found && response.value !== undefined && await this.isValidReadValue(key, response.value, peerId)) {
             console.log(`✅ GET: Successfully retrieved "${key}" from newly connected node ${peerId.substring(0, 8)}...`);
-            return response.value;
+            this.cacheAlongPath(key, response, misses, closestNodes);
+            return Tombstone.isTombstone(response.value) ? null : response.value;
+          }
+          if (!response.found) {
+            misses.push(node);
           }
           
         } catch (error) {
@@ -4897,6 +6637,63 @@ export class KademliaDHT extends EventEmitter {
     return null;
   }
 
+  /**
+   * Kademlia path caching: after a successful lookup, store the value at the node
+   * closest to the key among those we queried that did not have it, so the next
+   * lookups for a hot key stop there instead of reaching the replicas.
+   * Like read-repair, only records that could be validated (see hasRecordValidation)
+   * are cached: a forged value returned by one node would otherwise be copied onto
+   * an honest one. Runs in the background; failures only cost the cache.
+   * @param {string} key - Key that was looked up
+   * @param {Object} response - find_value response carrying the value (and its remaining ttl)
+   * @param {Array<DHTNode>} misses - Queried nodes that answered without the value
+   * @param {Array<DHTNode>} pathNodes - Closest nodes the lookup found
+   * @returns {Promise<string|null>} - Peer the value was cached at
+   */
+  async cacheAlongPath(key, response, misses, pathNodes) {
+    if (!this.options.pathCaching || misses.length === 0 || Tombstone.isTombstone(response.value) ||
+        !this.hasRecordValidation(key)) {
+      return null;
+    }
+
+    const keyId = DHTNodeId.fromString(key);
+    const byDistance = (a, b) => a.id.xorDistance(keyId).compare(b.id.xorDistance(keyId));
+    const cacheNode = [...misses].sort(byDistance)[0];
+    const closestNode = [...pathNodes].sort(byDistance)[0] || cacheNode;
+    const ttl = this.getPathCacheTTL(keyId, cacheNode, closestNode, response.ttl);
+    if (!ttl) {
+      return null;
+    }
+
+    const peerId = cacheNode.id.toString();
+    try {
+      await this.sendStore(peerId, key, response.value, { ttl, cache: true });
+      this.pathCacheStores++;
+      console.log(`🗃️ Cached "${key}" at ${peerId.substring(0, 8)}... for ${Math.round(ttl / 1000)}s`);
+      return peerId;
+    } catch (error) {
+      console.warn(`⚠️ Path caching of "${key}" at ${peerId.substring(0, 8)}... failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Lifetime of a path cache copy: pathCacheTTL next to the closest node to the key,
+   * halved for every bit of XOR distance the cache node sits further out, and never
+   * longer than the record itself has left
+   * @returns {number|null} - TTL in ms, or null if shorter than pathCacheMinTTL
+   */
+  getPathCacheTTL(keyId, cacheNode, closestNode, recordTTL) {
+    const distanceBits = (node) => 160 - node.id.xorDistance(keyId).leadingZeroBits();
+    const extraBits = Math.max(0, distanceBits(cacheNode) - distanceBits(closestNode));
+
+    let ttl = this.options.pathCacheTTL / 2 ** extraBits;
+    if (Number.isFinite(recordTTL) && recordTTL > 0) {
+      ttl = Math.min(ttl, recordTTL);
+    }
+    return ttl >= this.options.pathCacheMinTTL ? Math.round(ttl) : null;
+  }
+
   /**
    * Send find value request
    */
@@ -4929,15 +6726,22 @@ export class KademliaDHT extends EventEmitter {
     const { key } = message;
     console.log(`🔍 [${this.localNodeId.toString().substring(0, 8)}] Handling find_value for "${key}" from ${peerId.substring(0, 8)}... (requestId: ${message.requestId})`);
 
-    if (this.storage.has(key)) {
+    const stored = this.getStoredRecord(key);
+    if (stored) {
       // Return the value
-      const stored = this.storage.get(key);
       const response = {
         type: 'find_value_response',
         requestId: message.requestId,
         found: true,
         value: stored.value
       };
+      const ttl = this.getRemainingTTL(stored);
+      if (ttl) {
+        response.ttl = ttl;
+      }
+      if (stored.publisher) {
+        response.publisher = stored.publisher;
+      }
       console.log(`📤 [${this.localNodeId.toString().substring(0, 8)}] Sending find_value_response (FOUND) to ${peerId.substring(0, 8)}... (requestId: ${message.requestId})`);
       await this.sendMessage(peerId, response);
     } else {
@@ -4964,6 +6768,8 @@ export class KademliaDHT extends EventEmitter {
    */
   async sendMessage(peerId, message, sourceManager = null) {
     try {
+      message = await this.signOutgoingMessage(message);
+
       // Calculate message size for data transfer tracking using safe method (Requirement 5.1)
       // Size is calculated before sending to ensure metrics don't block message delivery
       const messageSize = this.calculateMessageSize(message);
@@ -5362,16 +7168,18 @@ export class KademliaDHT extends EventEmitter {
         // - Higher bucket index (closer peers) = more valuable
         // - More recent activity = more valuable
         // - More messages exchanged = more valuable
+        // - Better reputation = more valuable (PeerScoreBook, -100..100)
         const recencyScore = Math.max(0, 100000 - (Date.now() - lastSeen) / 1000);
         const activityScore = messageCount * 100;
         const proximityScore = bucketIndex * 1000;
+        const reputationScore = this.peerScores.getScore(peerId) * 500;
 
         return {
           peerId,
           bucketIndex,
           lastSeen,
           messageCount,
-          value: proximityScore + recencyScore + activityScore
+          value: proximityScore + recencyScore + activityScore + reputationScore
         };
       } catch (error) {
         return null;
@@ -5735,6 +7543,7 @@ export class KademliaDHT extends EventEmitter {
         if (typeof peerNode.connectionManager.setPingCallback === 'function') {
           peerNode.connectionManager.setPingCallback((targetPeerId) => this.pingPeer(targetPeerId));
         }
+        peerNode.connectionManager.setCoordinateProvider?.(() => this.coordinates.getLocal().toJSON());
         
         Logger.debug(`📨 DHT message handler attached to existing manager for ${peerId.substring(0, 8)}`);
       }
@@ -5796,6 +7605,8 @@ export class KademliaDHT extends EventEmitter {
             console.log(`📋 Updated routing table: ${key}=${value} for ${event.peerId.substring(0, 8)}`);
           }
         }
+
+        this.checkHandshakeNodeId(event.peerId, event.metadata, peerNode.connectionManager);
       });
 
       // Task 4.2: Set up event handler for ICE coordination requests
@@ -5862,6 +7673,7 @@ export class KademliaDHT extends EventEmitter {
       if (typeof peerNode.connectionManager.setPingCallback === 'function') {
         peerNode.connectionManager.setPingCallback((targetPeerId) => this.pingPeer(targetPeerId));
       }
+      peerNode.connectionManager.setCoordinateProvider?.(() => this.coordinates.getLocal().toJSON());
       
       console.log(`📨 DHT message handler attached for ${peerId.substring(0, 8)}`);
     } else {
@@ -5949,6 +7761,7 @@ export class KademliaDHT extends EventEmitter {
     }
 
     return new Promise((resolve, reject) => {
+      const sentAt = Date.now();
       const timeoutHandle = setTimeout(() => {
         this.pendingRequests.delete(message.requestId);
         
@@ -5956,6 +7769,7 @@ export class KademliaDHT extends EventEmitter {
         const currentFailures = this.failedPeerQueries.get(peerId) || 0;
         this.failedPeerQueries.set(peerId, currentFailures + 1);
         this.peerFailureBackoff.set(peerId, Date.now());
+        this.peerScores.recordFailure(peerId);
         
         console.log(`⏰ ${message.type} timeout for ${peerId.substring(0, 8)}... (${timeout}ms) - failure count: ${currentFailures + 1}`);
         
@@ -5984,6 +7798,7 @@ export class KademliaDHT extends EventEmitter {
       this.pendingRequests.set(message.requestId, {
         resolve: (response) => {
           clearTimeout(timeoutHandle);
+          this.peerScores.recordSuccess(peerId, Date.now() - sentAt);
           
           // CRITICAL FIX: Reset failure count on successful response
           if (this.failedPeerQueries.has(peerId)) {
@@ -6008,6 +7823,7 @@ export class KademliaDHT extends EventEmitter {
           const currentFailures = this.failedPeerQueries.get(peerId) || 0;
           this.failedPeerQueries.set(peerId, currentFailures + 1);
           this.peerFailureBackoff.set(peerId, Date.now());
+          this.peerScores.recordFailure(peerId);
           
           reject(error);
         }
@@ -6022,6 +7838,7 @@ export class KademliaDHT extends EventEmitter {
         const currentFailures = this.failedPeerQueries.get(peerId) || 0;
         this.failedPeerQueries.set(peerId, currentFailures + 1);
         this.peerFailureBackoff.set(peerId, Date.now());
+        this.peerScores.recordFailure(peerId);
         
         reject(error);
       });
@@ -6188,6 +8005,11 @@ export class KademliaDHT extends EventEmitter {
       this.republishData();
     }, this.options.republishInterval / 10); // Check 10x more frequently than republish
 
+    // Periodic provider record refresh - store timer reference for cleanup on stop()
+    this.providerRefreshTimer = setInterval(() => {
+      this.refreshProviders();
+    }, this.options.providerRefreshInterval / 10);
+
     // Periodic cleanup of rate limiting and tracking maps - store timer reference for cleanup on stop()
     this.cleanupTrackingMapsTimer = setInterval(() => {
       this.cleanupTrackingMaps();
@@ -7010,9 +8832,16 @@ export class KademliaDHT extends EventEmitter {
 
     for (const [key, republishTime] of this.republishQueue.entries()) {
       if (now >= republishTime && this.storage.has(key)) {
-        const stored = this.storage.get(key);
+        // Expired records are dropped, never pushed back out to the network,
+        // and path cache copies are not authoritative
+        const stored = this.getStoredRecord(key);
+        if (!stored || stored.cached) {
+          continue;
+        }
         try {
-          await this.store(key, stored.value);
+          // Tombstones are republished like any record, so deletes reach replicas that missed them;
+          // records keep their signed publisher, so those tombstones only let the deleter's data through
+          await this.store(key, stored.value, { ttl: this.getRemainingTTL(stored, now), publisher: stored.publisher || null });
           this.republishQueue.set(key, now + this.options.republishInterval);
         } catch (error) {
           console.warn(`Failed to republish key ${key}:`, error);
@@ -7021,6 +8850,123 @@ export class KademliaDHT extends EventEmitter {
     }
   }
 
+  /**
+   * Find locally stored keys a newly added contact should now hold
+   * Follows the Kademlia join rule: a key is handed off if the new node is among the
+   * replicateK closest known nodes to it, and only by the node closest to the key
+   * among the others (so the k existing replicas don't all send the same key).
+   * @param {string} peerId - Newly added contact
+   * @returns {Array<string>} - Keys to send
+   */
+  getKeysForNewNode(peerId) {
+    const newNodeId = DHTNodeId.fromHex(peerId);
+    const keys = [];
+
+    for (const [key, stored] of this.storage.entries()) {
+      if (stored.cached) {
+        continue; // Path cache copies are not ours to hand off
+      }
+      const keyId = DHTNodeId.fromString(key);
+      const closest = this.routingTable.findClosestNodes(keyId, this.options.replicateK + 1);
+      const others = closest.filter(node => node.id.toString() !== peerId);
+
+      // New node must fall within the replica set (others may fill it otherwise)
+      const newDistance = newNodeId.xorDistance(keyId);
+      const replicaSet = others.slice(0, this.options.replicateK - 1);
+      const furthest = replicaSet[replicaSet.length - 1];
+      if (replicaSet.length === this.options.replicateK - 1 &&
+          furthest && newDistance.compare(furthest.id.xorDistance(keyId)) > 0) {
+        continue;
+      }
+
+      // Only the closest existing holder sends it
+      const localDistance = this.localNodeId.xorDistance(keyId);
+      if (others.length > 0 && localDistance.compare(others[0].id.xorDistance(keyId)) > 0) {
+        continue;
+      }
+
+      keys.push(key);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Start handing off stored keys to a newly added contact
+   * Sends are rate limited (handoffBatchSize keys per handoffBatchInterval) so a large
+   * store doesn't flood a newly connected browser.
+   * @param {string} peerId - Newly added contact
+   */
+  scheduleKeyHandoff(peerId) {
+    if (this.options.disableStorage || this.options.passiveMode || this.storage.size === 0) {
+      return;
+    }
+
+    if (this.keyHandoffs.has(peerId)) {
+      return; // Already in progress
+    }
+
+    const now = Date.now();
+    const lastHandoff = this.lastKeyHandoff.get(peerId);
+    if (lastHandoff && now - lastHandoff < this.options.handoffCooldown) {
+      return;
+    }
+
+    // Bridge nodes don't store data
+    const peerNode = this.routingTable.getNode(peerId) || this.peerNodes?.get(peerId);
+    if (peerNode?.getMetadata?.('isBridgeNode') || peerNode?.metadata?.isBridgeNode) {
+      return;
+    }
+
+    this.lastKeyHandoff.set(peerId, now);
+
+    const keys = this.getKeysForNewNode(peerId);
+    if (keys.length === 0) {
+      return;
+    }
+
+    console.log(`📦 Handing off ${keys.length} keys to new contact ${peerId.substring(0, 8)}...`);
+    this.keyHandoffs.set(peerId, { keys, sent: 0, timer: null });
+    this.processKeyHandoff(peerId);
+  }
+
+  /**
+   * Send the next batch of a pending key handoff
+   */
+  processKeyHandoff(peerId) {
+    const handoff = this.keyHandoffs.get(peerId);
+    if (!handoff) {
+      return;
+    }
+    handoff.timer = null;
+
+    if (!this.isStarted || !this.isPeerConnected(peerId)) {
+      console.log(`📦 Key handoff to ${peerId.substring(0, 8)}... stopped after ${handoff.sent} keys (peer gone)`);
+      this.keyHandoffs.delete(peerId);
+      return;
+    }
+
+    const batch = handoff.keys.splice(0, this.options.handoffBatchSize);
+    for (const key of batch) {
+      const stored = this.getStoredRecord(key);
+      if (!stored) {
+        continue; // Expired or deleted since the handoff was computed
+      }
+      handoff.sent++;
+      this.sendStore(peerId, key, stored.value, { ttl: this.getRemainingTTL(stored), publisher: stored.publisher }).catch(error => {
+        console.warn(`⚠️ Key handoff of ${key} to ${peerId.substring(0, 8)}... failed: ${error.message}`);
+      });
+    }
+
+    if (handoff.keys.length === 0) {
+      console.log(`📦 Key handoff to ${peerId.substring(0, 8)}... complete (${handoff.sent} keys)`);
+      this.keyHandoffs.delete(peerId);
+      return;
+    }
+
+    handoff.timer = setTimeout(() => this.processKeyHandoff(peerId), this.options.handoffBatchInterval);
+  }
+
   /**
    * Reset emergency throttling (for manual recovery)
    */
@@ -7154,19 +9100,65 @@ export class KademliaDHT extends EventEmitter {
       }
     }
 
+    // Clean up key handoff cooldowns that have expired
+    for (const [peerId, timestamp] of this.lastKeyHandoff.entries()) {
+      if (now - timestamp > this.options.handoffCooldown) {
+        this.lastKeyHandoff.delete(peerId);
+        cleaned++;
+      }
+    }
+
     if (cleaned > 0) {
       console.log(`🧹 Cleaned up ${cleaned} stale tracking entries`);
     }
+
+    // Let persistent storage backends reclaim space (e.g. append-only log compaction)
+    this.storageAdapter.compact().catch(error => {
+      console.warn(`⚠️ Storage compaction failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Check whether a stored record's per-record TTL has passed
+   */
+  isRecordExpired(stored, now = Date.now()) {
+    return typeof stored?.expiresAt === 'number' && now >= stored.expiresAt;
+  }
+
+  /**
+   * Remaining lifetime of a stored record in ms, or undefined if it has no per-record TTL
+   */
+  getRemainingTTL(stored, now = Date.now()) {
+    if (typeof stored?.expiresAt !== 'number') {
+      return undefined;
+    }
+    return Math.max(0, stored.expiresAt - now);
+  }
+
+  /**
+   * Get a locally stored record, dropping it if its TTL has expired
+   * Reads go through here so expired records are never served between cleanup runs.
+   */
+  getStoredRecord(key) {
+    const stored = this.storage.get(key);
+    if (stored && this.isRecordExpired(stored)) {
+      this.storage.delete(key);
+      this.republishQueue.delete(key);
+      return undefined;
+    }
+    return stored;
   }
 
   /**
    * Clean up expired data
-   * Respects content-based TTL (expiresAt) if present in stored value,
+   * Respects the per-record TTL (stored.expiresAt) set at store time, then
+   * content-based TTL (expiresAt) if present in stored value,
    * otherwise falls back to blanket expireInterval (24 hours)
    */
   cleanup() {
     const now = Date.now();
     let cleaned = 0;
+    let ttlExpired = 0;
     let contentExpired = 0;
     let timestampExpired = 0;
 
@@ -7174,40 +9166,48 @@ export class KademliaDHT extends EventEmitter {
     for (const [key, stored] of this.storage.entries()) {
       let shouldDelete = false;
 
-      // Check if the stored value has content-based expiration (PubSub data)
-      // The value might be serialized JSON or an object with expiresAt
-      try {
-        let valueObj = stored.value;
+      // Per-record TTL set by the publisher takes precedence over everything else
+      if (typeof stored.expiresAt === 'number') {
+        if (this.isRecordExpired(stored, now)) {
+          shouldDelete = true;
+          ttlExpired++;
+        }
+      } else {
+        // Check if the stored value has content-based expiration (PubSub data)
+        // The value might be serialized JSON or an object with expiresAt
+        try {
+          let valueObj = stored.value;
         
-        // If value is a string, try to parse it as JSON
-        if (typeof valueObj === 'string') {
-          try {
-            valueObj = JSON.parse(valueObj);
-          } catch {
-            // Not JSON, use timestamp-based expiration
-            valueObj = null;
+          // If value is a string, try to parse it as JSON
+          if (typeof valueObj === 'string') {
+            try {
+              valueObj = JSON.parse(valueObj);
+            } catch {
+              // Not JSON, use timestamp-based expiration
+              valueObj = null;
+            }
           }
-        }
 
-        // Check for expiresAt in the value (PubSub messages, collections, etc.)
-        if (valueObj && typeof valueObj.expiresAt === 'number') {
-          if (now > valueObj.expiresAt) {
-            shouldDelete = true;
-            contentExpired++;
+          // Check for expiresAt in the value (PubSub messages, collections, etc.)
+          if (valueObj && typeof valueObj.expiresAt === 'number') {
+            if (now > valueObj.expiresAt) {
+              shouldDelete = true;
+              contentExpired++;
+            }
+          } else {
+            // No content-based TTL, use timestamp-based expiration
+            if (now - stored.timestamp > this.options.expireInterval) {
+              shouldDelete = true;
+              timestampExpired++;
+            }
           }
-        } else {
-          // No content-based TTL, use timestamp-based expiration
+        } catch {
+          // Error checking expiration, fall back to timestamp-based
           if (now - stored.timestamp > this.options.expireInterval) {
             shouldDelete = true;
             timestampExpired++;
           }
         }
-      } catch {
-        // Error checking expiration, fall back to timestamp-based
-        if (now - stored.timestamp > this.options.expireInterval) {
-          shouldDelete = true;
-          timestampExpired++;
-        }
       }
 
       if (shouldDelete) {
@@ -7217,10 +9217,37 @@ export class KademliaDHT extends EventEmitter {
       }
     }
 
+    // Drop expired provider records
+    for (const key of this.providers.keys()) {
+      this.getProviderRecords(key, now);
+    }
+
     // Get currently connected peer IDs for connection-based stale detection
     // This ensures we don't remove actively connected peers from routing table
     const connectedPeerIds = new Set(this.getConnectedPeers());
 
+    // Forget admission results for peers we no longer know
+    for (const peerId of this.admittedPeers.keys()) {
+      if (!connectedPeerIds.has(peerId) && !this.routingTable.getNode(peerId)) {
+        this.admittedPeers.delete(peerId);
+      }
+    }
+
+    // Forget cached message keys for peers we no longer know, and expired replay nonces
+    for (const nodeId of this.peerPublicKeys.keys()) {
+      if (!connectedPeerIds.has(nodeId) && !this.routingTable.getNode(nodeId)) {
+        this.peerPublicKeys.delete(nodeId);
+      }
+    }
+    for (const [nonceKey, expiresAt] of this.seenMessageNonces) {
+      if (expiresAt <= now) {
+        this.seenMessageNonces.delete(nonceKey);
+      }
+    }
+    this.peerScores.prune(connectedPeerIds);
+    this.coordinates.prune(connectedPeerIds);
+    this.sampleBucketDensity();
+
     // Clean stale nodes and verify routing table consistency
     // Pass connected peer IDs to enable connection-based stale detection for browser peers
     const staleRemoved = this.routingTable.removeStaleNodes(15 * 60 * 1000, connectedPeerIds);
@@ -7228,7 +9255,7 @@ export class KademliaDHT extends EventEmitter {
     // Note: Stale connections are cleaned up by individual connection managers
 
     if (cleaned > 0 || staleRemoved > 0 || routingCleanup > 0) {
-      console.log(`Cleanup: ${cleaned} storage (${contentExpired} content-expired, ${timestampExpired} timestamp-expired), ${staleRemoved} stale nodes, ${routingCleanup} routing inconsistencies`);
+      console.log(`Cleanup: ${cleaned} storage (${ttlExpired} ttl-expired, ${contentExpired} content-expired, ${timestampExpired} timestamp-expired), ${staleRemoved} stale nodes, ${routingCleanup} routing inconsistencies`);
     }
   }
 
@@ -7375,6 +9402,45 @@ export class KademliaDHT extends EventEmitter {
     }
   }
 
+  /**
+   * Estimated number of nodes in the network, with a 95% confidence interval
+   * @returns {{size: number, lower: number, upper: number, confidenceLevel: number, samples: number, sources: Object, partitionSuspected: boolean}|null}
+   */
+  getNetworkSizeEstimate() {
+    if (this.sizeEstimator.samples.length === 0) {
+      this.sampleBucketDensity();
+    }
+    return this.sizeEstimator.getEstimate();
+  }
+
+  /**
+   * Lookup width (k), parallelism (alpha) and find_node timeout currently in effect
+   * The configured values unless adaptiveLookup tuned them; see AdaptiveLookupController.
+   * @returns {{k: number, alpha: number, queryTimeout: number}}
+   */
+  getLookupParameters() {
+    return this.lookupController.getParameters(this.sizeEstimator.getEstimate());
+  }
+
+  /**
+   * Take a network size sample from the contacts closest to our own ID
+   */
+  sampleBucketDensity() {
+    return this.sizeEstimator.addBucketSample(this.localNodeId, this.routingTable.findClosestNodes(this.localNodeId, this.options.k));
+  }
+
+  /**
+   * Periodically look for DHT islands left over from a network split and heal them
+   * Meant for long-lived nodes (bridges, ActiveDHTNode); see PartitionHealer.
+   */
+  startPartitionHealing() {
+    this.partitionHealer.start();
+  }
+
+  stopPartitionHealing() {
+    this.partitionHealer.stop();
+  }
+
   /**
    * Get DHT statistics
    */
@@ -7395,7 +9461,30 @@ export class KademliaDHT extends EventEmitter {
       useBootstrapForSignaling: this.useBootstrapForSignaling,
       storage: {
         keys: this.storage.size,
-        republishQueue: this.republishQueue.size
+        republishQueue: this.republishQueue.size,
+        readRepairs: this.readRepairs,
+        cachedKeys: [...this.storage.values()].filter(stored => stored.cached).length,
+        pathCacheStores: this.pathCacheStores,
+        providerKeys: this.providers.size,
+        providedKeys: this.providedKeys.size,
+        backend: this.storageAdapter.getStats()
+      },
+      admission: {
+        requireNodeIdProof: this.options.requireNodeIdProof,
+        nodeIdDifficulty: this.options.nodeIdDifficulty,
+        admittedPeers: this.admittedPeers.size,
+        rejectedNodeIds: this.rejectedNodeIds
+      },
+      reputation: this.peerScores.getStats(),
+      networkSize: this.sizeEstimator.getEstimate(),
+      partitionHealing: this.partitionHealer.getStats(),
+      coordinates: this.coordinates.getStats(),
+      lookup: this.lookupController.getStats(this.sizeEstimator.getEstimate()),
+      messageAuth: {
+        mode: this.options.messageAuth,
+        knownKeys: this.peerPublicKeys.size,
+        trackedNonces: this.seenMessageNonces.size,
+        rejectedMessages: this.rejectedMessages
       },
       routing: this.routingTable.getStats(),
       connections: {
@@ -7489,6 +9578,14 @@ export class KademliaDHT extends EventEmitter {
       unsolicitedResponseCounts: this.unsolicitedResponseCounts?.size || 0,
       connectionFailureCount: this.connectionFailureCount?.size || 0,
       failedOfferChecks: this.failedOfferChecks?.size || 0,
+      keyHandoffs: this.keyHandoffs?.size || 0,
+      lastKeyHandoff: this.lastKeyHandoff?.size || 0,
+      providers: this.providers?.size || 0,
+      providedKeys: this.providedKeys?.size || 0,
+      admittedPeers: this.admittedPeers?.size || 0,
+      peerPublicKeys: this.peerPublicKeys?.size || 0,
+      seenMessageNonces: this.seenMessageNonces?.size || 0,
+      peerScores: this.peerScores?.peers.size || 0,
       // Error log rate limiting Maps
       _messageErrorLogTimes: this._messageErrorLogTimes?.size || 0,
       _findNodeErrorLogTimes: this._findNodeErrorLogTimes?.size || 0,
@@ -7515,7 +9612,7 @@ export class KademliaDHT extends EventEmitter {
 
       // Track age
       const ageMs = now - stored.timestamp;
-      oldestEntries.push({ key: key.substring(0, 50), ageMs, publisher: stored.publisher?.substring(0, 8) });
+      oldestEntries.push({ key: key.substring(0, 50), ageMs, publisher: stored.publisher?.nodeId?.substring(0, 8) });
     }
 
     // Sort by age
@@ -7612,7 +9709,13 @@ export class KademliaDHT extends EventEmitter {
       this.bootstrapRetryTimer = null;
     }
 
+    this.partitionHealer.stop();
+
     // Clear maintenance timers (from startMaintenanceTasks)
+    if (this.providerRefreshTimer) {
+      clearInterval(this.providerRefreshTimer);
+      this.providerRefreshTimer = null;
+    }
     if (this.republishDataTimer) {
       clearInterval(this.republishDataTimer);
       this.republishDataTimer = null;
@@ -7641,6 +9744,32 @@ export class KademliaDHT extends EventEmitter {
     // Also ensure DHT offer polling is stopped
     this.stopDHTOfferPolling();
 
+    // Cancel pending key handoffs
+    for (const handoff of this.keyHandoffs.values()) {
+      if (handoff.timer) {
+        clearTimeout(handoff.timer);
+      }
+    }
+    this.keyHandoffs.clear();
+    this.lastKeyHandoff.clear();
+    this.providers.clear();
+    this.providedKeys.clear();
+    this.admittedPeers.clear();
+    this.peerPublicKeys.clear();
+    this.pendingKeyLookups.clear();
+    this.seenMessageNonces.clear();
+    this.peerScores.clear();
+    this.sizeEstimator.clear();
+    this.coordinates.clear();
+    this.lookupController.reset();
+
+    // Flush and detach persistent storage first so clearing memory doesn't wipe it
+    try {
+      await this.storageAdapter.close();
+    } catch (error) {
+      console.warn('Failed to close storage adapter:', error);
+    }
+
     // Clear data
     this.storage.clear();
     this.republishQueue.clear();
@@ -7687,6 +9816,17 @@ export class KademliaDHT extends EventEmitter {
               continue;
             }
 
+            if (this.peerScores.isBanned(nodeInfo.id)) {
+              continue;
+            }
+
+            // Node ID admission: contacts must prove their ID before entering the routing table
+            const admission = await this.verifyPeerNodeId(nodeInfo.id, nodeInfo.metadata);
+            if (!admission.valid) {
+              console.warn(`🚫 Skipping contact ${nodeInfo.id.substring(0, 8)}... from ${peerId.substring(0, 8)}...: ${admission.error}`);
+              continue;
+            }
+
             // SECURITY: Token validation moved to connection establishment
             // Validating tokens here causes message queue deadlock:
             // - find_node_response processing blocks while calling this.get() for each peer's token
@@ -7785,6 +9925,14 @@ export class KademliaDHT extends EventEmitter {
           }
         }
 
+        // Coordinates: the responder's own first hand, its contacts' second hand
+        this.learnCoordinate(peerId, message.coordinate, true);
+        for (const nodeInfo of message.nodes) {
+          if (nodeInfo.id && nodeInfo.coordinate) {
+            this.learnCoordinate(nodeInfo.id, nodeInfo.coordinate);
+          }
+        }
+
         console.log(`📊 Routing table now has ${this.routingTable.totalNodes} entries after processing find_node_response`);
 
         // OPTIMIZATION: Immediately connect to new routing table entries for fast pub-sub startup
@@ -7879,7 +10027,7 @@ export class KademliaDHT extends EventEmitter {
       request.resolve(message);
     } else {
       // MEMORY LEAK FIX: Log and ignore unsolicited responses
-      console.warn(`⚠️ Ignoring unsolicited store_response from ${peerId.substring(0, 8)}... (requestId: ${message.requestId})`);
+      console.warn(`⚠️ Ignoring unsolicited ${message.type} from ${peerId.substring(0, 8)}... (requestId: ${message.requestId})`);
       this.trackUnsolicitedResponse(peerId);
     }
   }
@@ -7954,6 +10102,8 @@ export class KademliaDHT extends EventEmitter {
       return; // Never disconnect bridge nodes
     }
 
+    this.peerScores.recordUnsolicited(peerId);
+
     // EMERGENCY DISCOVERY PROTECTION: Be more lenient during network formation and emergency periods
     const now = Date.now();
     const recentEmergencyDiscovery = this.lastEmergencyDiscovery && (now - this.lastEmergencyDiscovery) < 300000; // 5 minutes (extended)
@@ -0,0 +1,101 @@
+import crypto from 'crypto-js';
+import { InvitationToken } from '../core/InvitationToken.js';
+
+/**
+ * Signed mutable DHT records (BEP44-style)
+ *
+ * A mutable record lives at a key derived from the owner's Ed25519 public key
+ * and a salt, so only the key holder can produce valid writes for it:
+ *
+ *   key = 'mutable:' + SHA1(publicKey + salt)
+ *
+ * Each write carries a sequence number; storing nodes keep the record with the
+ * highest seq and refuse anything older, so stale replicas or replayed writes
+ * can't roll a record back.
+ */
+export class MutableRecord {
+  static KEY_PREFIX = 'mutable:';
+
+  /**
+   * Derive the DHT storage key for a public key + salt
+   * @param {string} publicKey - Ed25519 public key (hex)
+   * @param {string} salt - Optional salt so one key can own many records
+   */
+  static getKey(publicKey, salt = '') {
+    if (!publicKey || typeof publicKey !== 'string') {
+      throw new Error('Mutable record requires a hex public key');
+    }
+    return `${this.KEY_PREFIX}${crypto.SHA1(publicKey + salt).toString()}`;
+  }
+
+  /**
+   * Check if a DHT key belongs to the mutable record namespace
+   */
+  static isMutableKey(key) {
+    return typeof key === 'string' && key.startsWith(this.KEY_PREFIX);
+  }
+
+  /**
+   * Canonical string covered by the signature
+   */
+  static getSignableData(salt, seq, value) {
+    return JSON.stringify({ salt, seq, value });
+  }
+
+  /**
+   * Create a signed record
+   * @param {Object} keyInfo - Owner's key info (from InvitationToken.generateKeyPair)
+   * @param {string} salt
+   * @param {*} value - Any JSON-serializable value
+   * @param {number} seq - Sequence number, must increase with every write
+   */
+  static async create(keyInfo, salt, value, seq) {
+    if (!keyInfo?.publicKey) {
+      throw new Error('Mutable record requires signing key info');
+    }
+    if (!Number.isSafeInteger(seq) || seq < 0) {
+      throw new Error(`Invalid mutable record seq: ${seq}`);
+    }
+
+    salt = salt || '';
+    const signature = await InvitationToken.signData(this.getSignableData(salt, seq, value), keyInfo);
+
+    return {
+      type: 'mutable',
+      publicKey: keyInfo.publicKey,
+      salt,
+      seq,
+      value,
+      signature
+    };
+  }
+
+  /**
+   * Verify a record's signature and that it belongs at the given key
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  static async verify(record, key = null) {
+    if (!record || record.type !== 'mutable' || typeof record.publicKey !== 'string') {
+      return { valid: false, error: 'Not a mutable record' };
+    }
+
+    if (!Number.isSafeInteger(record.seq) || record.seq < 0) {
+      return { valid: false, error: 'Invalid sequence number' };
+    }
+
+    const salt = record.salt || '';
+    if (key !== null && this.getKey(record.publicKey, salt) !== key) {
+      return { valid: false, error: 'Key does not match public key and salt' };
+    }
+
+    const isValid = await InvitationToken.verifySignature(
+      this.getSignableData(salt, record.seq, record.value),
+      record.signature,
+      record.publicKey
+    );
+
+    return isValid ? { valid: true } : { valid: false, error: 'Invalid signature' };
+  }
+}
+
+export default MutableRecord;
@@ -0,0 +1,137 @@
+/**
+ * Namespace validators and selectors for DHT keys (like libp2p record validators)
+ *
+ * A namespace is a key prefix such as 'public_key:' with optional handlers:
+ *   validate(value, key) -> boolean | { valid, error }  (may be async; throwing counts as invalid)
+ *   select(values, key)  -> the preferred value, which must be one of `values`
+ *   merge(values, key)   -> a new value combining diverged copies (e.g. after a partition)
+ *   canDelete(tombstone, stored, key) -> boolean | { valid, error }  (may be async)
+ *
+ * Records of a namespace without canDelete can't be deleted with tombstones.
+ *
+ * The longest registered prefix matching a key applies. Keys outside every
+ * namespace are stored and read without checks.
+ */
+export class NamespaceRegistry {
+  constructor() {
+    this.namespaces = new Map(); // prefix -> { prefix, validate, select, merge, canDelete }
+  }
+
+  /**
+   * Register (or replace) the handlers for a key prefix
+   * @param {string} prefix - Key prefix, e.g. 'coordinator:'
+   * @param {Object} handlers - { validate, select, merge, canDelete }
+   */
+  register(prefix, { validate, select, merge, canDelete } = {}) {
+    if (typeof prefix !== 'string' || prefix.length === 0) {
+      throw new Error('Namespace prefix must be a non-empty string');
+    }
+    if (validate !== undefined && typeof validate !== 'function') {
+      throw new Error(`Namespace ${prefix} validate must be a function`);
+    }
+    if (select !== undefined && typeof select !== 'function') {
+      throw new Error(`Namespace ${prefix} select must be a function`);
+    }
+    if (merge !== undefined && typeof merge !== 'function') {
+      throw new Error(`Namespace ${prefix} merge must be a function`);
+    }
+    if (canDelete !== undefined && typeof canDelete !== 'function') {
+      throw new Error(`Namespace ${prefix} canDelete must be a function`);
+    }
+
+    this.namespaces.set(prefix, { prefix, validate, select, merge, canDelete });
+  }
+
+  unregister(prefix) {
+    return this.namespaces.delete(prefix);
+  }
+
+  /**
+   * Find the namespace for a key (longest matching prefix)
+   */
+  get(key) {
+    if (typeof key !== 'string') {
+      return null;
+    }
+
+    let match = null;
+    for (const namespace of this.namespaces.values()) {
+      if (key.startsWith(namespace.prefix) && (!match || namespace.prefix.length > match.prefix.length)) {
+        match = namespace;
+      }
+    }
+    return match;
+  }
+
+  /**
+   * Run the namespace validator for a record
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  async validate(key, value) {
+    const namespace = this.get(key);
+    if (!namespace?.validate) {
+      return { valid: true };
+    }
+
+    try {
+      const result = await namespace.validate(value, key);
+      if (typeof result === 'object' && result !== null) {
+        return result.valid ? { valid: true } : { valid: false, error: result.error || `Invalid ${namespace.prefix} record` };
+      }
+      return result ? { valid: true } : { valid: false, error: `Invalid ${namespace.prefix} record` };
+    } catch (error) {
+      return { valid: false, error: `Invalid ${namespace.prefix} record: ${error.message}` };
+    }
+  }
+
+  /**
+   * Ask the namespace whether a (verified) tombstone may delete the stored record
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  async canDelete(key, tombstone, stored) {
+    const namespace = this.get(key);
+    if (!namespace?.canDelete) {
+      return { valid: false, error: `Records under ${namespace?.prefix || key} cannot be deleted` };
+    }
+
+    try {
+      const result = await namespace.canDelete(tombstone, stored, key);
+      if (typeof result === 'object' && result !== null) {
+        return result.valid ? { valid: true } : { valid: false, error: result.error || `Delete refused by ${namespace.prefix}` };
+      }
+      return result ? { valid: true } : { valid: false, error: `Delete refused by ${namespace.prefix}` };
+    } catch (error) {
+      return { valid: false, error: `Delete refused by ${namespace.prefix}: ${error.message}` };
+    }
+  }
+
+  /**
+   * Pick the preferred value among conflicting ones
+   * Returns null when the key's namespace has no selector.
+   */
+  select(key, values) {
+    const namespace = this.get(key);
+    if (!namespace?.select) {
+      return null;
+    }
+    return values.length === 1 ? values[0] : namespace.select(values, key);
+  }
+
+  /**
+   * Combine diverged values into one
+   * Returns null when the key's namespace has no merge handler.
+   */
+  merge(key, values) {
+    const namespace = this.get(key);
+    if (!namespace?.merge) {
+      return null;
+    }
+    return values.length === 1 ? values[0] : namespace.merge(values, key);
+  }
+
+  getPrefixes() {
+    return [...this.namespaces.keys()];
+  }
+}
+
+export default NamespaceRegistry;
@@ -0,0 +1,146 @@
+import { VivaldiCoordinate } from '../core/VivaldiCoordinate.js';
+
+/**
+ * Default coordinate system configuration
+ */
+const DEFAULT_OPTIONS = {
+  maxPeers: 1000, // Coordinates remembered for other nodes
+  maxPeerAge: 60 * 60 * 1000 // Forget coordinates not refreshed for an hour
+};
+
+/**
+ * NetworkCoordinates - This node's Vivaldi coordinate and the coordinates it knows
+ *
+ * The local coordinate moves with every RTT sample (ping/pong and relay health
+ * checks). Coordinates of other nodes come from the nodes themselves (pong,
+ * find_node_response) or second hand from find_node_response contacts; second
+ * hand coordinates only fill gaps, they never replace first hand ones.
+ *
+ * estimateRtt() predicts the latency to any node with a known coordinate, so
+ * routing and relay selection can rank nodes we have never measured.
+ */
+export class NetworkCoordinates {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.local = new VivaldiCoordinate();
+    this.peers = new Map(); // peerId -> { coordinate, firstHand, updatedAt }
+    this.samples = 0;
+  }
+
+  getLocal() {
+    return this.local;
+  }
+
+  /**
+   * Coordinate of another node, or null if unknown
+   */
+  get(peerId) {
+    return this.peers.get(peerId)?.coordinate || null;
+  }
+
+  /**
+   * Remember a coordinate received from a peer
+   * @param {string} peerId - Node the coordinate belongs to
+   * @param {Object|VivaldiCoordinate} data - Coordinate as sent on the wire
+   * @param {boolean} firstHand - Sent by the node itself (rather than relayed in a contact list)
+   * @returns {VivaldiCoordinate|null} The stored coordinate
+   */
+  learn(peerId, data, firstHand = false) {
+    const coordinate = data instanceof VivaldiCoordinate ? data : VivaldiCoordinate.fromJSON(data);
+    if (!coordinate) {
+      return this.get(peerId);
+    }
+
+    const existing = this.peers.get(peerId);
+    if (existing?.firstHand && !firstHand) {
+      return existing.coordinate;
+    }
+
+    this.peers.delete(peerId); // Re-insert so the Map stays ordered oldest first
+    this.peers.set(peerId, { coordinate, firstHand, updatedAt: Date.now() });
+    if (this.peers.size > this.options.maxPeers) {
+      this.peers.delete(this.peers.keys().next().value);
+    }
+    return coordinate;
+  }
+
+  /**
+   * Update the local coordinate from a measured RTT
+   * @param {string} peerId - Node the RTT was measured to
+   * @param {number} rtt - Round trip time in ms
+   * @param {Object} remoteData - The node's coordinate if it sent one with the reply
+   * @returns {boolean} True if the sample was used
+   */
+  observe(peerId, rtt, remoteData = null) {
+    const remote = remoteData ? this.learn(peerId, remoteData, true) : this.get(peerId);
+    if (!remote || !this.local.update(remote, rtt)) {
+      return false;
+    }
+    this.samples++;
+    return true;
+  }
+
+  /**
+   * Update from a relay health check: the RTT through a relay covers us -> relay -> target,
+   * so the relay's predicted latency to the target is subtracted to get our RTT to the relay
+   */
+  observeRelay(relayNodeId, targetPeerId, rtt) {
+    const relay = this.get(relayNodeId);
+    const target = this.get(targetPeerId);
+    if (!relay || !target) {
+      return false;
+    }
+    return this.observe(relayNodeId, rtt - relay.distanceTo(target));
+  }
+
+  /**
+   * Predicted RTT to a node in ms, or null if its coordinate is unknown
+   */
+  estimateRtt(peerId) {
+    const remote = this.get(peerId);
+    return remote ? this.local.distanceTo(remote) : null;
+  }
+
+  /**
+   * Predicted RTT of a path through a relay (us -> relay -> target), or null if the relay's coordinate is unknown
+   * Without a coordinate for the target, only the leg to the relay is predicted.
+   */
+  estimateRelayRtt(relayNodeId, targetPeerId) {
+    const toRelay = this.estimateRtt(relayNodeId);
+    if (toRelay === null) {
+      return null;
+    }
+    const target = this.get(targetPeerId);
+    return target ? toRelay + this.get(relayNodeId).distanceTo(target) : toRelay;
+  }
+
+  /**
+   * Forget coordinates that were not refreshed for maxPeerAge
+   * @param {Set<string>} keep - Peer IDs to keep regardless (e.g. currently connected)
+   */
+  prune(keep = new Set()) {
+    const cutoff = Date.now() - this.options.maxPeerAge;
+    let removed = 0;
+    for (const [peerId, entry] of this.peers) {
+      if (entry.updatedAt < cutoff && !keep.has(peerId)) {
+        this.peers.delete(peerId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    this.peers.clear();
+  }
+
+  getStats() {
+    return {
+      coordinate: this.local.toJSON(),
+      knownPeers: this.peers.size,
+      samples: this.samples
+    };
+  }
+}
+
+export default NetworkCoordinates;
@@ -0,0 +1,206 @@
+import { EventEmitter } from 'events';
+import { DHTNodeId } from '../core/DHTNodeId.js';
+
+/**
+ * Default estimator configuration
+ */
+const DEFAULT_OPTIONS = {
+  maxSamples: 50, // Sliding window of samples
+  maxSampleAge: 30 * 60 * 1000, // Samples older than 30 minutes are dropped
+  minSampleNodes: 3, // A sample needs at least this many nodes around its target
+  recentSamples: 5, // Samples compared against the older baseline for collapse detection
+  minBaselineSamples: 5, // Baseline samples needed before a collapse can be suspected
+  collapseRatio: 0.5 // Recent estimate (upper bound) below this fraction of the baseline = suspected partition
+};
+
+// Fraction of the 160-bit ID space covered by the leading 48 bits (enough precision for any real network)
+const SPACE_BITS = 48;
+
+/**
+ * NetworkSizeEstimator - Estimates how many nodes are in the DHT
+ *
+ * Implements the size estimation from docs/proposals/split_network_proposal.md
+ * using node density instead of raw hop counts: among N uniformly distributed
+ * IDs, the i-th closest node to any point sits at about i/N of the ID space.
+ * Every completed lookup and every scan of the buckets near our own ID yields
+ * one sample, fitted over all the returned nodes.
+ *
+ * Samples are combined in log2 space (sizes span orders of magnitude), giving a
+ * geometric mean with a 95% confidence interval. When the most recent samples
+ * fall far below the older baseline the network has likely split, and
+ * 'partitionSuspected' is emitted.
+ *
+ * Events:
+ * - 'partitionSuspected' { previousSize, currentSize, ratio, estimate }
+ */
+export class NetworkSizeEstimator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.samples = []; // { log2Size, source, timestamp }
+    this.partitionSuspected = false;
+  }
+
+  /**
+   * Fraction of the ID space between two IDs (0..1)
+   */
+  static distanceFraction(a, b) {
+    const distance = a.xorDistance(b).bytes;
+    let value = 0;
+    for (let i = 0; i < SPACE_BITS / 8; i++) {
+      value = value * 256 + distance[i];
+    }
+    return value / Math.pow(2, SPACE_BITS);
+  }
+
+  /**
+   * Estimate the network size from the nodes closest to a target
+   * Least-squares fit of distance_i = i / N over the sorted distances.
+   * @param {DHTNodeId} target - Lookup target
+   * @param {Array<DHTNode|DHTNodeId|string>} nodes - Nodes found around the target (excluding the target itself)
+   * @returns {number|null} Estimated number of nodes, or null if there are too few
+   */
+  static estimateFromNodes(target, nodes) {
+    const distances = nodes
+      .map(node => {
+        const id = node?.id || node;
+        return NetworkSizeEstimator.distanceFraction(target, typeof id === 'string' ? DHTNodeId.fromHex(id) : id);
+      })
+      .filter(distance => distance > 0)
+      .sort((a, b) => a - b);
+
+    if (distances.length === 0) {
+      return null;
+    }
+
+    let sumIndexDistance = 0;
+    let sumIndexSquared = 0;
+    distances.forEach((distance, index) => {
+      const rank = index + 1;
+      sumIndexDistance += rank * distance;
+      sumIndexSquared += rank * rank;
+    });
+
+    return Math.max(distances.length, sumIndexSquared / sumIndexDistance);
+  }
+
+  /**
+   * Record a sample from a completed lookup
+   * @returns {boolean} True if the sample was usable
+   */
+  addLookupSample(target, nodes) {
+    return this.addSample(target, nodes, 'lookup');
+  }
+
+  /**
+   * Record a sample from the routing table around our own ID (bucket density)
+   * Adds one for ourselves, since the routing table never contains the local node.
+   */
+  addBucketSample(localNodeId, nodes) {
+    return this.addSample(localNodeId, nodes, 'buckets', 1);
+  }
+
+  addSample(target, nodes, source, offset = 0) {
+    if (!nodes || nodes.length < this.options.minSampleNodes) {
+      return false;
+    }
+
+    const size = NetworkSizeEstimator.estimateFromNodes(target, nodes);
+    if (!size) {
+      return false;
+    }
+
+    this.samples.push({ log2Size: Math.log2(size + offset), source, timestamp: Date.now() });
+    this.pruneSamples();
+    this.checkForCollapse();
+    return true;
+  }
+
+  pruneSamples() {
+    const cutoff = Date.now() - this.options.maxSampleAge;
+    this.samples = this.samples.filter(sample => sample.timestamp >= cutoff).slice(-this.options.maxSamples);
+  }
+
+  /**
+   * Combine samples into a size estimate with a 95% confidence interval
+   */
+  static combine(samples) {
+    if (samples.length === 0) {
+      return null;
+    }
+
+    const values = samples.map(sample => sample.log2Size);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.length > 1
+      ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+      : 1; // A single sample says little: assume the estimate is off by up to 2x
+    const margin = 1.96 * Math.sqrt(variance / values.length);
+
+    return {
+      size: Math.round(Math.pow(2, mean)),
+      lower: Math.max(1, Math.floor(Math.pow(2, mean - margin))),
+      upper: Math.ceil(Math.pow(2, mean + margin))
+    };
+  }
+
+  /**
+   * Current estimate
+   * @returns {{size: number, lower: number, upper: number, confidenceLevel: number, samples: number, sources: Object, partitionSuspected: boolean}|null}
+   */
+  getEstimate() {
+    this.pruneSamples();
+    const combined = NetworkSizeEstimator.combine(this.samples);
+    if (!combined) {
+      return null;
+    }
+
+    const sources = {};
+    for (const sample of this.samples) {
+      sources[sample.source] = (sources[sample.source] || 0) + 1;
+    }
+
+    return {
+      ...combined,
+      confidenceLevel: 0.95,
+      samples: this.samples.length,
+      sources,
+      partitionSuspected: this.partitionSuspected
+    };
+  }
+
+  /**
+   * Compare the newest samples with the older baseline and flag a sudden collapse
+   */
+  checkForCollapse() {
+    const { recentSamples, minBaselineSamples, collapseRatio } = this.options;
+    if (this.samples.length < recentSamples + minBaselineSamples) {
+      return;
+    }
+
+    const baseline = NetworkSizeEstimator.combine(this.samples.slice(0, -recentSamples));
+    const recent = NetworkSizeEstimator.combine(this.samples.slice(-recentSamples));
+    const collapsed = recent.upper < baseline.size * collapseRatio;
+
+    if (collapsed && !this.partitionSuspected) {
+      this.partitionSuspected = true;
+      const ratio = recent.size / baseline.size;
+      console.warn(`🪓 Network size estimate collapsed from ~${baseline.size} to ~${recent.size} nodes - possible partition`);
+      this.emit('partitionSuspected', {
+        previousSize: baseline.size,
+        currentSize: recent.size,
+        ratio,
+        estimate: this.getEstimate()
+      });
+    } else if (!collapsed && this.partitionSuspected && recent.lower >= baseline.size * collapseRatio) {
+      // Either the network healed or the baseline has aged out to the new size
+      this.partitionSuspected = false;
+    }
+  }
+
+  clear() {
+    this.samples = [];
+    this.partitionSuspected = false;
+  }
+}
+
+export default NetworkSizeEstimator;
@@ -0,0 +1,339 @@
+import { EventEmitter } from 'events';
+import { DHTNode } from '../core/DHTNode.js';
+import { DHTNodeId } from '../core/DHTNodeId.js';
+
+/**
+ * Default healing configuration
+ */
+const DEFAULT_OPTIONS = {
+  interval: 10 * 60 * 1000, // Time between healing rounds
+  probeTargets: 2, // Random IDs looked up per round
+  maxProbePeers: 6, // Bootstrap-known peers probed per round
+  queryTimeout: 10000 // Timeout for find_node/find_value sent to probed peers
+};
+
+/**
+ * PartitionHealer - Reconnects DHT islands left over from a network split
+ *
+ * After a partition heals at the network level, both halves keep routing only
+ * among themselves: nothing makes a node look outside its own routing table.
+ * Each round the healer asks the bootstrap server for the nodes it knows about,
+ * looks up a few random IDs itself, and asks the bootstrap-known peers it has
+ * no contact with for their closest nodes to the same IDs. A peer whose answers
+ * share no node with our own lookups is on another island.
+ *
+ * Healing then:
+ * 1. Seeds the routing table with the other island's nodes and repeats the
+ *    lookups (including a self lookup), so both islands learn about each other
+ * 2. Republishes locally held keys to their replicas across both islands,
+ *    merging diverged copies through the key's namespace merge handler
+ *    (coordinator records use CoordinatorObject.merge)
+ *
+ * Events:
+ * - 'islandDetected' { peers, nodes, targets }
+ * - 'healed' { seededNodes, republishedKeys, mergedKeys }
+ */
+export class PartitionHealer extends EventEmitter {
+  constructor(dht, options = {}) {
+    super();
+    this.dht = dht;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.timer = null;
+    this.currentRound = null;
+    this.stats = {
+      rounds: 0,
+      islandsDetected: 0,
+      seededNodes: 0,
+      republishedKeys: 0,
+      mergedKeys: 0,
+      lastRoundAt: null,
+      lastIslandAt: null
+    };
+  }
+
+  /**
+   * Run healing rounds every options.interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.heal('scheduled').catch(error => {
+        console.warn(`⚠️ Partition healing round failed: ${error.message}`);
+      });
+    }, this.options.interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Run one healing round (concurrent calls share the round in progress)
+   * @param {string} reason - Why the round runs, for logging
+   * @returns {Promise<{islandDetected: boolean, seededNodes: number, republishedKeys: number, mergedKeys: number}>}
+   */
+  heal(reason = 'manual') {
+    if (!this.currentRound) {
+      this.currentRound = this.runRound(reason).finally(() => {
+        this.currentRound = null;
+      });
+    }
+    return this.currentRound;
+  }
+
+  async runRound(reason) {
+    this.stats.rounds++;
+    this.stats.lastRoundAt = Date.now();
+    const result = { islandDetected: false, seededNodes: 0, republishedKeys: 0, mergedKeys: 0 };
+
+    const candidates = await this.getProbeCandidates();
+    if (candidates.length === 0) {
+      return result;
+    }
+
+    console.log(`🏝️ Partition healing (${reason}): probing ${candidates.length} bootstrap-known peers outside our routing table`);
+
+    // Our own island's view of the random targets
+    const targets = Array.from({ length: this.options.probeTargets }, () => new DHTNodeId());
+    const localViews = [];
+    for (const target of targets) {
+      const nodes = await this.dht.findNode(target);
+      localViews.push(new Set(nodes.map(node => node.id.toString())));
+    }
+
+    const islandPeers = [];
+    const islandNodes = new Map(); // peerId -> compact node
+    for (const peer of candidates) {
+      const probe = await this.probePeer(peer, targets, localViews);
+      if (probe.disjoint) {
+        islandPeers.push(peer.nodeId);
+        for (const node of probe.nodes) {
+          islandNodes.set(node.id, node);
+        }
+      }
+    }
+
+    if (islandPeers.length === 0) {
+      return result;
+    }
+
+    result.islandDetected = true;
+    this.stats.islandsDetected++;
+    this.stats.lastIslandAt = Date.now();
+    console.warn(`🏝️ Disjoint DHT membership: ${islandPeers.length} peer(s) answer from another island (${islandNodes.size} nodes) - healing`);
+    this.emit('islandDetected', { peers: islandPeers, nodes: [...islandNodes.keys()], targets: targets.map(target => target.toString()) });
+
+    result.seededNodes = await this.seedIsland(islandPeers, [...islandNodes.values()], targets);
+    const republished = await this.republishLocalKeys();
+    result.republishedKeys = republished.republishedKeys;
+    result.mergedKeys = republished.mergedKeys;
+
+    this.stats.seededNodes += result.seededNodes;
+    this.stats.republishedKeys += result.republishedKeys;
+    this.stats.mergedKeys += result.mergedKeys;
+    console.log(`🩹 Partition healing: seeded ${result.seededNodes} nodes, republished ${result.republishedKeys} keys (${result.mergedKeys} merged)`);
+    this.emit('healed', { seededNodes: result.seededNodes, republishedKeys: result.republishedKeys, mergedKeys: result.mergedKeys });
+
+    return result;
+  }
+
+  /**
+   * Bootstrap-known peers we have no contact with (bridges never hold data, so they are skipped)
+   */
+  async getProbeCandidates() {
+    const bootstrap = this.dht.bootstrap;
+    if (typeof bootstrap?.requestConnectedClients !== 'function' || !bootstrap.isBootstrapConnected?.()) {
+      return [];
+    }
+
+    let clients;
+    try {
+      clients = await bootstrap.requestConnectedClients('partition_healing');
+    } catch (error) {
+      console.warn(`⚠️ Partition healing: could not get peers from bootstrap: ${error.message}`);
+      return [];
+    }
+
+    const localId = this.dht.localNodeId.toString();
+    return clients
+      .filter(client => client.nodeId && client.nodeId !== localId)
+      .filter(client => !client.metadata?.isBridgeNode && client.metadata?.nodeType !== 'bridge')
+      .filter(client => !this.dht.routingTable.getNode(client.nodeId))
+      .slice(0, this.options.maxProbePeers);
+  }
+
+  /**
+   * Ask a peer for its closest nodes to each target and compare them with ours
+   * @returns {Promise<{disjoint: boolean, nodes: Array<Object>}>} - nodes: compact nodes the peer returned
+   */
+  async probePeer(peer, targets, localViews) {
+    const peerId = peer.nodeId;
+    const nodes = [];
+
+    try {
+      this.dht.getOrCreatePeerNode(peerId, peer.metadata || {});
+      if (!(await this.dht.connectToPeer(peerId)) && !this.dht.isPeerConnected(peerId)) {
+        return { disjoint: false, nodes };
+      }
+
+      for (let i = 0; i < targets.length; i++) {
+        const response = await this.dht.sendFindNode(peerId, targets[i], { timeout: this.options.queryTimeout, emergencyBypass: true });
+        const remote = response?.nodes || [];
+        // An empty answer says nothing about which island the peer is on
+        if (remote.length === 0 || localViews[i].size === 0) {
+          return { disjoint: false, nodes };
+        }
+        if (remote.some(node => localViews[i].has(node.id))) {
+          return { disjoint: false, nodes };
+        }
+        nodes.push(...remote);
+      }
+    } catch (error) {
+      console.log(`🏝️ Partition healing: probe of ${peerId.substring(0, 8)}... failed: ${error.message}`);
+      return { disjoint: false, nodes };
+    }
+
+    nodes.push({ id: peerId, metadata: peer.metadata || {} });
+    return { disjoint: true, nodes };
+  }
+
+  /**
+   * Add the other island's nodes to our routing table and repeat the lookups
+   * through them, so nodes on both sides end up in each other's routing tables
+   * @returns {Promise<number>} - Nodes added to the routing table
+   */
+  async seedIsland(peerIds, nodes, targets) {
+    const localId = this.dht.localNodeId.toString();
+    let seeded = 0;
+
+    for (const compact of nodes) {
+      if (compact.id === localId || this.dht.routingTable.getNode(compact.id) || !this.dht.isValidDHTPeer(compact.id)) {
+        continue;
+      }
+      if (this.dht.routingTable.addNode(DHTNode.fromCompact(compact))) {
+        seeded++;
+      }
+    }
+
+    // Lookups now traverse both islands; the self lookup also announces us to the other side
+    for (const target of [this.dht.localNodeId, ...targets]) {
+      try {
+        await this.dht.findNode(target);
+      } catch (error) {
+        console.warn(`⚠️ Partition healing: seeding lookup failed: ${error.message}`);
+      }
+    }
+
+    console.log(`🌱 Seeded ${seeded} nodes from the other island via ${peerIds.length} peer(s)`);
+    return seeded;
+  }
+
+  /**
+   * Push every locally held key back out to its (now cross-island) replicas
+   * @returns {Promise<{republishedKeys: number, mergedKeys: number}>}
+   */
+  async republishLocalKeys() {
+    const result = { republishedKeys: 0, mergedKeys: 0 };
+    if (this.dht.options.disableStorage || this.dht.options.passiveMode) {
+      return result;
+    }
+
+    for (const key of [...this.dht.storage.keys()]) {
+      const stored = this.dht.getStoredRecord(key);
+      if (!stored || stored.cached) {
+        continue; // Path cache copies are not authoritative
+      }
+
+      try {
+        const outcome = await this.republishKey(key, stored);
+        if (outcome !== 'skipped') {
+          result.republishedKeys++;
+        }
+        if (outcome === 'merged') {
+          result.mergedKeys++;
+        }
+      } catch (error) {
+        console.warn(`⚠️ Partition healing: failed to republish "${key}": ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Republish one key, merging it with diverged replica copies if its namespace can
+   * @returns {Promise<'republished'|'merged'|'skipped'>}
+   */
+  async republishKey(key, stored) {
+    if (!this.dht.namespaces.get(key)?.merge) {
+      // Same as the periodic republish: the record keeps its signed publisher
+      await this.dht.store(key, stored.value, { ttl: this.dht.getRemainingTTL(stored), publisher: stored.publisher || null });
+      return 'republished';
+    }
+
+    const local = stored.value;
+    const localJson = JSON.stringify(local);
+    const copies = new Map((await this.collectReplicaValues(key)).map(value => [JSON.stringify(value), value]));
+    copies.delete(localJson);
+    const diverged = [...copies.values()];
+    const merged = diverged.length > 0 ? this.dht.namespaces.merge(key, [local, ...diverged]) : local;
+
+    if (typeof merged?.version !== 'number') {
+      await this.dht.store(key, merged, { ttl: this.dht.getRemainingTTL(stored) });
+    } else {
+      // The merged version is above every copy, so replicas on both sides accept it
+      const highestVersion = Math.max(...[local, ...diverged].map(value => (typeof value?.version === 'number' ? value.version : 0)));
+      const expectedVersion = diverged.length > 0 ? highestVersion : merged.version;
+      const cas = await this.dht.compareAndSwap(key, merged, expectedVersion);
+      if (!cas.success) {
+        // Someone wrote a newer version meanwhile; their writer merges with it, or the next round does
+        return 'skipped';
+      }
+    }
+
+    if (diverged.length > 0) {
+      console.log(`🔀 Merged ${diverged.length + 1} diverged copies of "${key}"`);
+      return 'merged';
+    }
+    return 'republished';
+  }
+
+  /**
+   * Values held by the connected replicas of a key (invalid copies are dropped)
+   */
+  async collectReplicaValues(key) {
+    const localId = this.dht.localNodeId.toString();
+    const closest = await this.dht.findNode(DHTNodeId.fromString(key));
+    const peerIds = closest
+      .map(node => node.id.toString())
+      .filter(peerId => peerId !== localId && this.dht.isPeerConnected(peerId));
+
+    const responses = await Promise.allSettled(peerIds.map(peerId => this.dht.sendFindValue(peerId, key)));
+    const values = [];
+    for (let i = 0; i < responses.length; i++) {
+      const response = responses[i].status === 'fulfilled' ? responses[i].value : null;
+      if (response?.found && response.value !== undefined && await this.dht.isValidReadValue(key, response.value, peerIds[i])) {
+        values.push(response.value);
+      }
+    }
+    return values;
+  }
+
+  getStats() {
+    return {
+      running: this.isRunning(),
+      ...this.stats
+    };
+  }
+}
+
+export default PartitionHealer;
@@ -0,0 +1,234 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Default scoring configuration
+ */
+const DEFAULT_OPTIONS = {
+  // Counters halve every halfLife, so old behavior stops mattering
+  halfLife: 30 * 60 * 1000, // 30 minutes
+
+  // Peers scoring below banThreshold are ignored for banDuration
+  banThreshold: -50,
+  banDuration: 10 * 60 * 1000, // 10 minutes
+
+  // Score contributions (total score is clamped to -100..100)
+  reliabilityWeight: 40, // Answered vs failed requests, -40..40
+  latencyWeight: 10, // +10 at 0ms, 0 at latencyTarget, -10 at twice latencyTarget or worse
+  latencyTarget: 500, // ms
+  relayWeight: 20, // Successful vs failed relay health checks, -20..20
+  invalidMessagePenalty: 15, // Per forged, stale or replayed message
+  unsolicitedPenalty: 0.5, // Per response to a request we never sent
+
+  // Optional (peerId) => boolean; peers it rejects are scored but never banned (e.g. bridge nodes)
+  canBan: null
+};
+
+/**
+ * PeerScoreBook - Central reputation for DHT peers
+ *
+ * Accumulates request reliability, latency, invalid and unsolicited messages,
+ * and relay success per peer. Routing, connection pruning, relay selection and
+ * replication read getScore() instead of keeping their own ad-hoc signals.
+ *
+ * Scores are neutral (0) for unknown peers. Counters decay exponentially, so a
+ * banned peer earns its way back once the ban expires.
+ *
+ * Events:
+ * - 'peerBanned' { peerId, score, until }
+ */
+export class PeerScoreBook extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.peers = new Map(); // peerId -> { successes, failures, invalid, unsolicited, relaySuccesses, relayFailures, latency, updatedAt }
+    this.bans = new Map(); // peerId -> banned until
+    this.totalBans = 0;
+  }
+
+  /**
+   * Get a peer's record with counters decayed to now
+   */
+  getRecord(peerId, create = false) {
+    let record = this.peers.get(peerId);
+    const now = Date.now();
+
+    if (!record) {
+      if (!create) {
+        return null;
+      }
+      record = { successes: 0, failures: 0, invalid: 0, unsolicited: 0, relaySuccesses: 0, relayFailures: 0, latency: null, updatedAt: now };
+      this.peers.set(peerId, record);
+      return record;
+    }
+
+    const factor = Math.pow(0.5, (now - record.updatedAt) / this.options.halfLife);
+    if (factor < 1) {
+      for (const counter of ['successes', 'failures', 'invalid', 'unsolicited', 'relaySuccesses', 'relayFailures']) {
+        record[counter] *= factor;
+      }
+      record.updatedAt = now;
+    }
+    return record;
+  }
+
+  /**
+   * Record an answered request
+   * @param {number} rtt - Round trip time in ms (optional)
+   */
+  recordSuccess(peerId, rtt = null) {
+    const record = this.getRecord(peerId, true);
+    record.successes++;
+    if (Number.isFinite(rtt) && rtt >= 0) {
+      // Exponential moving average so one slow reply doesn't dominate
+      record.latency = record.latency === null ? rtt : record.latency * 0.8 + rtt * 0.2;
+    }
+  }
+
+  /**
+   * Record a request that timed out or failed
+   */
+  recordFailure(peerId) {
+    this.getRecord(peerId, true).failures++;
+    this.checkBan(peerId);
+  }
+
+  /**
+   * Record a forged, stale or replayed message
+   */
+  recordInvalidMessage(peerId) {
+    this.getRecord(peerId, true).invalid++;
+    this.checkBan(peerId);
+  }
+
+  /**
+   * Record a response to a request we never sent
+   */
+  recordUnsolicited(peerId) {
+    this.getRecord(peerId, true).unsolicited++;
+    this.checkBan(peerId);
+  }
+
+  /**
+   * Record the outcome of a relay health check or relayed session
+   */
+  recordRelayResult(peerId, success) {
+    const record = this.getRecord(peerId, true);
+    if (success) {
+      record.relaySuccesses++;
+    } else {
+      record.relayFailures++;
+      this.checkBan(peerId);
+    }
+  }
+
+  /**
+   * Reputation of a peer, -100 (worst) to 100 (best); 0 when nothing is known
+   */
+  getScore(peerId) {
+    const record = this.getRecord(peerId);
+    if (!record) {
+      return 0;
+    }
+
+    const { reliabilityWeight, latencyWeight, latencyTarget, relayWeight, invalidMessagePenalty, unsolicitedPenalty } = this.options;
+    let score = 0;
+
+    // (successes - failures) / (total + 1) stays near 0 until there is evidence either way
+    score += reliabilityWeight * (record.successes - record.failures) / (record.successes + record.failures + 1);
+    score += relayWeight * (record.relaySuccesses - record.relayFailures) / (record.relaySuccesses + record.relayFailures + 1);
+    if (record.latency !== null) {
+      score += latencyWeight * Math.max(-1, 1 - record.latency / latencyTarget);
+    }
+    score -= record.invalid * invalidMessagePenalty;
+    score -= record.unsolicited * unsolicitedPenalty;
+
+    return Math.max(-100, Math.min(100, score));
+  }
+
+  /**
+   * Ban a peer that dropped below the threshold
+   */
+  checkBan(peerId) {
+    if (this.isBanned(peerId) || (this.options.canBan && !this.options.canBan(peerId))) {
+      return;
+    }
+
+    const score = this.getScore(peerId);
+    if (score < this.options.banThreshold) {
+      this.ban(peerId, this.options.banDuration, score);
+    }
+  }
+
+  /**
+   * Ignore a peer for a while
+   */
+  ban(peerId, duration = this.options.banDuration, score = this.getScore(peerId)) {
+    const until = Date.now() + duration;
+    this.bans.set(peerId, until);
+    this.totalBans++;
+
+    console.warn(`⛔ Banning ${peerId.substring(0, 8)}... for ${Math.round(duration / 1000)}s (score ${score.toFixed(1)})`);
+    this.emit('peerBanned', { peerId, score, until });
+  }
+
+  isBanned(peerId) {
+    const until = this.bans.get(peerId);
+    if (until === undefined) {
+      return false;
+    }
+    if (until <= Date.now()) {
+      this.bans.delete(peerId);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Sort peers best first (stable, so callers' own ordering breaks ties)
+   */
+  rank(peerIds) {
+    return [...peerIds].sort((a, b) => this.getScore(b) - this.getScore(a));
+  }
+
+  /**
+   * Forget expired bans and records whose counters decayed to nothing
+   * @param {Set<string>} keep - Peer IDs to keep regardless (e.g. currently connected)
+   * @returns {number} Number of records removed
+   */
+  prune(keep = new Set()) {
+    let removed = 0;
+    for (const peerId of this.bans.keys()) {
+      this.isBanned(peerId);
+    }
+    for (const peerId of this.peers.keys()) {
+      if (keep.has(peerId) || this.bans.has(peerId)) {
+        continue;
+      }
+      const record = this.getRecord(peerId);
+      const activity = record.successes + record.failures + record.invalid + record.unsolicited + record.relaySuccesses + record.relayFailures;
+      if (activity < 0.01) {
+        this.peers.delete(peerId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    this.peers.clear();
+    this.bans.clear();
+  }
+
+  getStats() {
+    const scores = Array.from(this.peers.keys(), peerId => this.getScore(peerId));
+    return {
+      trackedPeers: this.peers.size,
+      bannedPeers: Array.from(this.bans.keys()).filter(peerId => this.isBanned(peerId)).length,
+      totalBans: this.totalBans,
+      averageScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0,
+      lowestScore: scores.length > 0 ? Math.min(...scores) : 0
+    };
+  }
+}
+
+export default PeerScoreBook;
@@ -0,0 +1,61 @@
+import { InvitationToken } from '../core/InvitationToken.js';
+
+/**
+ * Signed publisher identities for DHT records
+ *
+ * The node that writes a value signs it together with its key. Replicas keep
+ * the signature with the record and send it along whenever the value is stored
+ * again (republish, key handoff, read-repair, partition healing), so every copy
+ * names the node that wrote it rather than the node that relayed it. Deletes and
+ * writes over a tombstone are checked against this identity.
+ */
+export class RecordPublisher {
+  /**
+   * Canonical string covered by the signature
+   */
+  static getSignableData(key, value, nodeId) {
+    return JSON.stringify({ type: 'record_publisher', key, nodeId, value });
+  }
+
+  /**
+   * Sign a value as its publisher
+   * @param {Object} keyInfo - Publishing node's key info (from InvitationToken.generateKeyPair)
+   * @param {string} key - Storage key
+   * @param {*} value - Value being stored
+   * @param {string} nodeId - Publishing node's ID
+   * @returns {Promise<{nodeId: string, publicKey: string, signature: string}>}
+   */
+  static async create(keyInfo, key, value, nodeId) {
+    if (!keyInfo?.publicKey) {
+      throw new Error('Record publisher requires signing key info');
+    }
+
+    const signature = await InvitationToken.signData(this.getSignableData(key, value, nodeId), keyInfo);
+
+    return {
+      nodeId,
+      publicKey: keyInfo.publicKey,
+      signature
+    };
+  }
+
+  /**
+   * Verify that a publisher signature covers this key and value
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  static async verify(publisher, key, value) {
+    if (typeof publisher?.publicKey !== 'string' || typeof publisher.signature !== 'string') {
+      return { valid: false, error: 'Malformed record publisher' };
+    }
+
+    const isValid = await InvitationToken.verifySignature(
+      this.getSignableData(key, value, publisher.nodeId),
+      publisher.signature,
+      publisher.publicKey
+    );
+
+    return isValid ? { valid: true } : { valid: false, error: 'Invalid publisher signature' };
+  }
+}
+
+export default RecordPublisher;
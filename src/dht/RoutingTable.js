@@ -1,6 +1,7 @@
 import { DHTNodeId } from '../core/DHTNodeId.js';
 import { DHTNode } from '../core/DHTNode.js';
 import { KBucket } from '../core/KBucket.js';
+import { NetworkAddress } from '../core/NetworkAddress.js';
 import { ConnectionManagerFactory } from '../network/ConnectionManagerFactory.js';
 
 /**
@@ -10,12 +11,20 @@ export class RoutingTable {
   constructor(localNodeId, k = 20, options = {}) {
     this.localNodeId = localNodeId instanceof DHTNodeId ? localNodeId : DHTNodeId.fromString(localNodeId);
     this.k = k;
-    this.buckets = [new KBucket(k, 0, 0)]; // Start with single bucket
+
+    // Subnet diversity limits against eclipse attacks (0 = unlimited)
+    // Contacts are grouped by /24 (IPv4) or /48 (IPv6), see NetworkAddress
+    this.maxPerSubnetPerBucket = options.maxPerSubnetPerBucket || 0;
+    this.maxPerSubnetPerTable = options.maxPerSubnetPerTable || 0;
+    this.diversityRejections = 0; // Contacts sent to the replacement cache by subnet limits
+
+    this.buckets = [new KBucket(k, 0, 0, { maxPerSubnet: this.maxPerSubnetPerBucket })]; // Start with single bucket
     this.totalNodes = 0;
 
     // Proximity Neighbor Selection (PNS) configuration
     this.pnsEnabled = options.pnsEnabled || false;
     this.pnsProbeInterval = options.pnsProbeInterval || 60000; // 1 minute default
+    this.estimateRtt = options.estimateRtt || null; // (node) => predicted RTT in ms or null, for nodes never pinged
 
     // Event handling for connection managers
     this.onNodeAdded = null; // Callback to notify DHT when nodes are added via connections
@@ -72,9 +81,17 @@ export class RoutingTable {
     }
 
     const bucket = this.buckets[bucketIndex];
+    const wasAlreadyPresent = bucket.hasNode(node.id);
+
+    // Subnet diversity: contacts from over-represented subnets wait in the replacement cache
+    if (!wasAlreadyPresent && !(bucket.hasSubnetRoom(node) && this.hasTableSubnetRoom(node))) {
+      console.warn(`🚫 Routing table subnet limit reached for ${nodeIdStr.substring(0, 8)}... (${NetworkAddress.getNodeSubnet(node)}) - caching as replacement`);
+      bucket.addToReplacementCache(node);
+      this.diversityRejections++;
+      return false;
+    }
 
     // Try to add to existing bucket
-    const wasAlreadyPresent = bucket.hasNode(node.id);
     if (bucket.addNode(node)) {
       if (!wasAlreadyPresent) {
         this.totalNodes++;
@@ -106,7 +123,7 @@ export class RoutingTable {
       // Step 2: Promote from replacement cache BEFORE accepting new node
       // Requirement 6.4: Cache promotion priority over new nodes
       if (bucket.replacementCacheSize() > 0) {
-        const promoted = bucket.promoteFromReplacementCache();
+        const promoted = bucket.promoteFromReplacementCache(candidate => this.hasTableSubnetRoom(candidate));
         if (promoted) {
           this.totalNodes++;
           console.log(`📋 Promoted ${promoted.id.toString().substring(0, 8)}... from replacement cache (liveness priority)`);
@@ -139,6 +156,46 @@ export class RoutingTable {
     return false; // Node added to cache, not main bucket
   }
 
+  /**
+   * Check whether a node fits under the table-wide per-subnet limit
+   * Nodes with no known subnet are never limited.
+   */
+  hasTableSubnetRoom(node) {
+    if (!this.maxPerSubnetPerTable) {
+      return true;
+    }
+    const subnet = NetworkAddress.getNodeSubnet(node);
+    return !subnet || this.buckets.reduce((count, bucket) => count + bucket.countSubnet(subnet), 0) < this.maxPerSubnetPerTable;
+  }
+
+  /**
+   * Current subnet diversity of the routing table
+   */
+  getDiversityStats() {
+    const subnets = new Map(); // subnet -> node count
+    let unknownAddress = 0;
+
+    for (const node of this.getAllNodes()) {
+      const subnet = NetworkAddress.getNodeSubnet(node);
+      if (subnet) {
+        subnets.set(subnet, (subnets.get(subnet) || 0) + 1);
+      } else {
+        unknownAddress++;
+      }
+    }
+
+    const largest = [...subnets.entries()].reduce((max, entry) => (entry[1] > max[1] ? entry : max), [null, 0]);
+
+    return {
+      maxPerSubnetPerBucket: this.maxPerSubnetPerBucket,
+      maxPerSubnetPerTable: this.maxPerSubnetPerTable,
+      subnets: subnets.size,
+      largestSubnet: largest[0] ? { subnet: largest[0], nodes: largest[1] } : null,
+      unknownAddress,
+      rejected: this.diversityRejections
+    };
+  }
+
   /**
    * Remove a node from the routing table
    */
@@ -187,7 +244,7 @@ export class RoutingTable {
     const hadNode = bucket.hasNode(id);
 
     // Use KBucket's handleNodeFailure which handles replacement cache promotion
-    const result = bucket.handleNodeFailure(id);
+    const result = bucket.handleNodeFailure(id, candidate => this.hasTableSubnetRoom(candidate));
 
     if (result && hadNode) {
       // Node was removed - check if promotion happened
@@ -516,6 +573,7 @@ export class RoutingTable {
   /**
    * Rank bucket entries by RTT when PNS is enabled
    * Preserves liveness priority (live nodes before dead nodes)
+   * Nodes without a measured RTT are ranked by their predicted RTT (options.estimateRtt)
    * @param {number} bucketIndex - Index of the bucket to rank
    */
   rankBucketByRTT(bucketIndex) {
@@ -538,8 +596,9 @@ export class RoutingTable {
       if (!aLive && bLive) return 1;
 
       // Among nodes with same liveness status, sort by RTT
-      const rttA = a.rtt > 0 ? a.rtt : Infinity;
-      const rttB = b.rtt > 0 ? b.rtt : Infinity;
+      const rttA = a.rtt > 0 ? a.rtt : (this.estimateRtt?.(a) ?? Infinity);
+      const rttB = b.rtt > 0 ? b.rtt : (this.estimateRtt?.(b) ?? Infinity);
+      if (rttA === rttB) return 0;
       return rttA - rttB;
     });
   }
@@ -647,6 +706,7 @@ export class RoutingTable {
       aliveNodes: allNodes.filter(n => n.isAlive).length,
       staleNodes: allNodes.filter(n => n.isStale()).length,
       buckets: bucketStats,
+      diversity: this.getDiversityStats(),
       k: this.k,
       localNodeId: this.localNodeId.toString()
     };
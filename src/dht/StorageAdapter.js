@@ -0,0 +1,161 @@
+/**
+ * StorageAdapter - Pluggable persistence for KademliaDHT records
+ *
+ * KademliaDHT reads and writes its records synchronously through Map APIs
+ * (storage.get/set/has/delete/entries) in store(), handleStore(), get(),
+ * republishData() and cleanup(). To keep those hot paths synchronous, every
+ * adapter keeps its working set in memory and persists changes write-through
+ * in the background:
+ *
+ * - records:   key -> { value, timestamp, publisher }   (dht.storage)
+ * - republish: key -> next republish timestamp          (dht.republishQueue)
+ *
+ * Both tables are Map subclasses, so existing code (and the UI) keeps working
+ * unchanged. Subclasses only implement the persistence hooks:
+ *
+ * - load()     -> { records: [[key, value]], republish: [[key, value]] }
+ * - write(table, op, key, value)   op is 'set' | 'delete' | 'clear'
+ * - flush()    resolves when all pending writes are durable
+ * - compact()  optional housekeeping (called from cleanupTrackingMaps)
+ */
+
+export const STORAGE_TABLES = ['records', 'republish'];
+
+/**
+ * Map that reports every mutation to its owning adapter
+ */
+export class StorageTable extends Map {
+  constructor(adapter, name) {
+    super();
+    this.adapter = adapter;
+    this.name = name;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    // Guard: Map constructor may call set() before adapter is assigned
+    this.adapter?.persist(this.name, 'set', key, value);
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) {
+      this.adapter.persist(this.name, 'delete', key);
+    }
+    return existed;
+  }
+
+  clear() {
+    super.clear();
+    this.adapter.persist(this.name, 'clear');
+  }
+
+  /**
+   * Load entries without reporting them back to the adapter
+   * @param {Iterable<[string, any]>} entries
+   */
+  hydrate(entries) {
+    for (const [key, value] of entries) {
+      super.set(key, value);
+    }
+  }
+}
+
+/**
+ * Base adapter - in-memory working set, persistence hooks are no-ops
+ */
+export class StorageAdapter {
+  constructor() {
+    this.records = new StorageTable(this, 'records');
+    this.republish = new StorageTable(this, 'republish');
+    this.isOpen = false;
+    this.writeErrors = 0;
+  }
+
+  /**
+   * Human-readable backend name for stats/logging
+   */
+  get backend() {
+    return 'memory';
+  }
+
+  /**
+   * Load persisted records into memory and start persisting changes.
+   * Called from KademliaDHT.start(); safe to call more than once.
+   */
+  async open() {
+    if (this.isOpen) {
+      return;
+    }
+
+    const snapshot = await this.load();
+    this.records.hydrate(snapshot?.records || []);
+    this.republish.hydrate(snapshot?.republish || []);
+    this.isOpen = true;
+
+    if (this.records.size > 0) {
+      console.log(`💾 ${this.constructor.name}: restored ${this.records.size} records, ${this.republish.size} republish entries`);
+    }
+  }
+
+  /**
+   * Flush pending writes and stop persisting changes.
+   * After close() the in-memory tables can be cleared without touching the backend.
+   */
+  async close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    await this.flush();
+    this.isOpen = false;
+  }
+
+  /**
+   * Called by StorageTable on every mutation
+   */
+  persist(table, op, key, value) {
+    if (!this.isOpen) {
+      return;
+    }
+
+    try {
+      this.write(table, op, key, value);
+    } catch (error) {
+      this.writeErrors++;
+      console.warn(`⚠️ ${this.constructor.name}: failed to persist ${op} ${key || ''} in ${table}: ${error.message}`);
+    }
+  }
+
+  // Persistence hooks - override in subclasses
+
+  async load() {
+    return { records: [], republish: [] };
+  }
+
+  write() {}
+
+  async flush() {}
+
+  async compact() {
+    return false;
+  }
+
+  getStats() {
+    return {
+      backend: this.backend,
+      isOpen: this.isOpen,
+      records: this.records.size,
+      republish: this.republish.size,
+      writeErrors: this.writeErrors
+    };
+  }
+}
+
+/**
+ * Default adapter - records live only as long as the process
+ */
+export class MemoryStorageAdapter extends StorageAdapter {}
+
+export default StorageAdapter;
@@ -0,0 +1,77 @@
+import { InvitationToken } from '../core/InvitationToken.js';
+
+/**
+ * Signed tombstones for deleting DHT records
+ *
+ * A tombstone replaces the value stored at a key. Replicas keep it until its
+ * TTL expires and meanwhile refuse re-stores of data written before the
+ * deletion, so republishing nodes that missed the delete can't resurrect it.
+ * The signature ties the deletion to the deleting node's key pair.
+ */
+export class Tombstone {
+  /**
+   * Check if a stored value is a tombstone
+   */
+  static isTombstone(value) {
+    return value?.type === 'tombstone';
+  }
+
+  /**
+   * Canonical string covered by the signature
+   */
+  static getSignableData(key, nodeId, timestamp) {
+    return JSON.stringify({ type: 'tombstone', key, nodeId, timestamp });
+  }
+
+  /**
+   * Create a signed tombstone
+   * @param {Object} keyInfo - Deleting node's key info (from InvitationToken.generateKeyPair)
+   * @param {string} key - Key being deleted
+   * @param {string} nodeId - Deleting node's ID
+   * @param {number} timestamp - Deletion time; writes from before it are refused
+   */
+  static async create(keyInfo, key, nodeId, timestamp = Date.now()) {
+    if (!keyInfo?.publicKey) {
+      throw new Error('Tombstone requires signing key info');
+    }
+
+    const signature = await InvitationToken.signData(this.getSignableData(key, nodeId, timestamp), keyInfo);
+
+    return {
+      type: 'tombstone',
+      key,
+      nodeId,
+      publicKey: keyInfo.publicKey,
+      timestamp,
+      signature
+    };
+  }
+
+  /**
+   * Verify a tombstone's signature and that it belongs at the given key
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  static async verify(tombstone, key) {
+    if (!this.isTombstone(tombstone) || typeof tombstone.publicKey !== 'string') {
+      return { valid: false, error: 'Not a tombstone' };
+    }
+
+    if (tombstone.key !== key) {
+      return { valid: false, error: 'Tombstone is for a different key' };
+    }
+
+    if (typeof tombstone.timestamp !== 'number') {
+      return { valid: false, error: 'Tombstone has no timestamp' };
+    }
+
+    const isValid = await InvitationToken.verifySignature(
+      this.getSignableData(tombstone.key, tombstone.nodeId, tombstone.timestamp),
+      tombstone.signature,
+      tombstone.publicKey
+    );
+
+    return isValid ? { valid: true } : { valid: false, error: 'Invalid signature' };
+  }
+}
+
+export default Tombstone;
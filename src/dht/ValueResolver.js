@@ -0,0 +1,63 @@
+/**
+ * Value resolvers for quorum reads
+ *
+ * A quorum read collects one value per replica; the resolver picks the winner,
+ * which is then written back to replicas that returned something else.
+ *
+ * A resolver is either the name of a built-in strategy or a function
+ * `(values) => winner` that receives every distinct value returned.
+ */
+export class ValueResolver {
+  /**
+   * Compare two values by a numeric field (missing field loses)
+   */
+  static compareField(a, b, field) {
+    const av = typeof a?.[field] === 'number' ? a[field] : -Infinity;
+    const bv = typeof b?.[field] === 'number' ? b[field] : -Infinity;
+    return av === bv ? 0 : av - bv;
+  }
+
+  /**
+   * Pick the value with the highest numeric field, keeping the first on ties
+   */
+  static pickHighest(values, ...fields) {
+    return values.reduce((best, value) => {
+      for (const field of fields) {
+        const diff = this.compareField(value, best, field);
+        if (diff !== 0) {
+          return diff > 0 ? value : best;
+        }
+      }
+      return best;
+    });
+  }
+
+  static STRATEGIES = {
+    // Versioned objects such as pubsub coordinators
+    version: (values) => ValueResolver.pickHighest(values, 'version'),
+    // Signed mutable records
+    seq: (values) => ValueResolver.pickHighest(values, 'seq'),
+    // Last-writer-wins by timestamp
+    timestamp: (values) => ValueResolver.pickHighest(values, 'timestamp'),
+    // Default: version, then seq, then timestamp
+    newest: (values) => ValueResolver.pickHighest(values, 'version', 'seq', 'timestamp')
+  };
+
+  /**
+   * Resolve a resolver option to a function
+   * @param {string|Function} resolve - Strategy name or custom resolver
+   */
+  static get(resolve = 'newest') {
+    if (typeof resolve === 'function') {
+      return resolve;
+    }
+
+    const strategy = this.STRATEGIES[resolve];
+    if (!strategy) {
+      throw new Error(`Unknown value resolver: ${resolve}`);
+    }
+    return strategy;
+  }
+}
+
+export default ValueResolver;
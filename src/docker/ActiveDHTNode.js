@@ -276,8 +276,8 @@ export class ActiveDHTNode extends NodeDHTClient {
       throw new Error('DHT must be started first');
     }
 
-    // Generate Ed25519 key pair for signing
-    const keyInfo = await this.generateKeyPair();
+    // Sign with the DHT's key pair - that is the key it publishes for subscribers to look up
+    const keyInfo = this.dht.keyPair || await this.generateKeyPair();
 
     this.pubsub = new PubSubClient(
       this.dht,
@@ -733,12 +733,13 @@ export class ActiveDHTNode extends NodeDHTClient {
 
   /**
    * DHT store with metrics
+   * @param {Object} [options] - { ttl }, passed through to KademliaDHT.store
    */
-  async store(key, value, ttl) {
+  async store(key, value, options = {}) {
     const startTime = Date.now();
 
     try {
-      const result = await this.dht.store(key, value, ttl);
+      const result = await this.dht.store(key, value, options);
       this.metrics.dhtStores++;
       console.log(`≡ƒôª DHT store operation completed: key=${key.substring(0, 16)}... (total stores: ${this.metrics.dhtStores})`);
       this.recordLatency('store', Date.now() - startTime);
@@ -753,11 +754,11 @@ export class ActiveDHTNode extends NodeDHTClient {
   /**
    * DHT get with metrics
    */
-  async get(key) {
+  async get(key, options = {}) {
     const startTime = Date.now();
 
     try {
-      const result = await this.dht.get(key);
+      const result = await this.dht.get(key, options);
       this.metrics.dhtGets++;
       console.log(`≡ƒöì DHT get operation completed: key=${key.substring(0, 16)}... (total gets: ${this.metrics.dhtGets})`);
       this.recordLatency('get', Date.now() - startTime);
@@ -870,6 +871,9 @@ export class ActiveDHTNode extends NodeDHTClient {
       this.performAdaptivePeerDiscovery();
     }, 120000); // Check every 2 minutes
 
+    // Long-lived storage nodes help reconnect DHT islands after a network split
+    this.dht?.startPartitionHealing();
+
     // NOTE: Throughput is measured from actual DHT/PubSub operations via:
     // - data_bytes_received_per_second / data_bytes_sent_per_second
     // - operations_per_second
@@ -980,9 +984,9 @@ export class ActiveDHTNode extends NodeDHTClient {
       await this.pubsub.shutdown();
     }
 
-    // Shutdown DHT
+    // Stop DHT
     if (this.dht) {
-      await this.dht.shutdown();
+      await this.dht.stop();
     }
 
     console.log('✅ Shutdown complete');
@@ -9,6 +9,7 @@
  * - NODE_NAME: Optional node name for logging
  * - OPEN_NETWORK: Enable open network mode (default: true)
  * - LOG_LEVEL: Logging verbosity (error, warn, info, debug, trace)
+ * - DHT_STORAGE_PATH: Optional file for persisting stored records across restarts
  */
 
 // Apply log level filtering BEFORE any imports
@@ -35,7 +36,8 @@ const config = {
   websocketPort: process.env.WEBSOCKET_PORT ? parseInt(process.env.WEBSOCKET_PORT) : undefined,
   websocketHost: process.env.WEBSOCKET_HOST || '0.0.0.0',
   externalAddress: process.env.EXTERNAL_ADDRESS,       // All connections via nginx (e.g., wss://imeyouwe.com/node1)
-  upnpEnabled: process.env.UPNP_ENABLED !== 'false'
+  upnpEnabled: process.env.UPNP_ENABLED !== 'false',
+  storagePath: process.env.DHT_STORAGE_PATH
 };
 
 console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -53,6 +55,9 @@ if (config.externalAddress) {
   console.log(`📍 Address: ${config.externalAddress}`);
 }
 console.log(`🔓 UPnP: ${config.upnpEnabled ? 'ENABLED' : 'DISABLED'}`);
+if (config.storagePath) {
+  console.log(`💾 Storage: ${config.storagePath}`);
+}
 console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
 // Create and start node
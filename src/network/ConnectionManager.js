@@ -31,6 +31,9 @@ export class ConnectionManager extends EventEmitter {
     // Store routing table reference for inactive tab filtering
     this.routingTable = options.routingTable || null;
 
+    // Returns the local Vivaldi coordinate to include in pongs (set by the DHT)
+    this.coordinateProvider = null;
+
     // Message handling (keep queue structure for the single peer)
     this.pendingRequests = new Map(); // requestId -> { resolve, reject, timeout }
     this.messageQueue = []; // Array of messages for the single peer
@@ -215,9 +218,15 @@ export class ConnectionManager extends EventEmitter {
         case 'find_node':
         case 'find_value':
         case 'store':
+        case 'cas_store':
+        case 'add_provider':
+        case 'get_providers':
         case 'find_node_response':
         case 'find_value_response':
         case 'store_response':
+        case 'cas_store_response':
+        case 'add_provider_response':
+        case 'get_providers_response':
         case 'peer_discovery_request':
         case 'peer_discovery_response':
         case 'connection_request':
@@ -317,12 +326,16 @@ export class ConnectionManager extends EventEmitter {
     
     try {
       Logger.trace(`🏓 Handling ping from ${peerId.substring(0, 8)}... (requestId: ${message.requestId})`);
-      await this.sendMessage(peerId, {
+      const pong = {
         type: 'pong',
         requestId: message.requestId,
         timestamp: Date.now(),
         originalTimestamp: message.timestamp
-      });
+      };
+      if (this.coordinateProvider) {
+        pong.coordinate = this.coordinateProvider();
+      }
+      await this.sendMessage(peerId, pong);
       Logger.trace(`✅ Sent pong to ${peerId.substring(0, 8)}...`);
     } catch (error) {
       // Only log if not a destroyed manager error (expected during cleanup)
@@ -332,6 +345,14 @@ export class ConnectionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Set the provider of the local Vivaldi coordinate sent with pongs
+   * @param {Function} provider - () => coordinate JSON
+   */
+  setCoordinateProvider(provider) {
+    this.coordinateProvider = provider;
+  }
+
   /**
    * Handle pong message
    */
@@ -95,6 +95,12 @@ export class RelayManager extends EventEmitter {
     
     // Local peer's connected peers (for checking if we're connected to relay node)
     this._localConnectedPeers = new Set();
+    
+    // Shared peer reputation (PeerScoreBook) - set by DHT, fed with relay health results
+    this._peerScores = null;
+    
+    // DHT's Vivaldi coordinates (NetworkCoordinates) - predicts latency of relays never measured
+    this._coordinates = null;
   }
   
   // ===========================================
@@ -167,6 +173,24 @@ export class RelayManager extends EventEmitter {
     console.log('🔄 RelayManager: Connection checker callback set');
   }
 
+  /**
+   * Share the DHT's peer reputation with relay selection
+   * Relay health results are recorded in it, and banned relays are never selected.
+   * @param {PeerScoreBook} peerScores - The DHT's PeerScoreBook
+   */
+  setPeerScoreBook(peerScores) {
+    this._peerScores = peerScores;
+  }
+
+  /**
+   * Share the DHT's network coordinates with relay selection
+   * Relay health check RTTs update them; relays without a measured RTT are scored by predicted latency.
+   * @param {NetworkCoordinates} coordinates - The DHT's NetworkCoordinates
+   */
+  setNetworkCoordinates(coordinates) {
+    this._coordinates = coordinates;
+  }
+
   /**
    * Update the set of peers this local node is connected to
    * Used for relay selection to prefer nodes we're already connected to
@@ -690,6 +714,8 @@ export class RelayManager extends EventEmitter {
         console.log(`📊 RelayManager: Routing relay pong to HybridConnectionManager for ${targetPeerId.substring(0, 8)}... (RTT: ${rtt}ms)`);
         peerManager.handleRelayPong(message);
       }
+      
+      this._coordinates?.observeRelay(pendingPing.relayNodeId, targetPeerId, rtt);
     }
     
     // Update relay health status
@@ -797,6 +823,7 @@ export class RelayManager extends EventEmitter {
     
     health.lastCheck = Date.now();
     health.totalChecks++;
+    this._peerScores?.recordRelayResult(relayNodeId, success);
     
     if (success) {
       health.consecutiveFailures = 0;
@@ -1062,9 +1089,12 @@ export class RelayManager extends EventEmitter {
    *    - Penalty: up to -50 points based on relayLoad (0-1)
    * 5. Latency: Prefer nodes with lower RTT
    *    - Penalty: up to -30 points based on RTT
+   *    - Unmeasured relays use the path RTT predicted by Vivaldi coordinates
    * 6. Capacity: Prefer nodes with more available capacity
    *    - Bonus: up to +20 points based on available slots
    * 7. Health: Exclude unhealthy relays (unless retry interval passed)
+   * 8. Reputation: Exclude banned peers, prefer peers with a good PeerScoreBook score
+   *    - Bonus/penalty: -20 to +20 points
    * 
    * @param {string} targetPeerId - Target peer we want to reach
    * @param {Object} options - Selection options
@@ -1086,6 +1116,11 @@ export class RelayManager extends EventEmitter {
         return false;
       }
       
+      // Exclude temporarily banned peers
+      if (this._peerScores?.isBanned(node.nodeId)) {
+        return false;
+      }
+      
       return true;
     });
     
@@ -1128,9 +1163,9 @@ export class RelayManager extends EventEmitter {
       score -= loadPenalty;
       
       // Latency: Prefer nodes with lower RTT
-      // Use health-tracked RTT if available, otherwise node's reported RTT
+      // Use health-tracked RTT if available, otherwise node's reported RTT, otherwise predicted
       const health = this._relayHealth.get(node.nodeId);
-      const effectiveRtt = health?.lastRtt || node.rtt;
+      const effectiveRtt = health?.lastRtt || node.rtt || this._coordinates?.estimateRelayRtt(node.nodeId, targetPeerId);
       let latencyPenalty = 0;
       if (effectiveRtt) {
         // Cap penalty at 30 points (300ms+ RTT gets max penalty)
@@ -1154,6 +1189,10 @@ export class RelayManager extends EventEmitter {
         score += healthBonus;
       }
       
+      // Reputation across all interactions (score is -100..100, so -20..20 points)
+      const reputationBonus = this._peerScores ? this._peerScores.getScore(node.nodeId) / 5 : 0;
+      score += reputationBonus;
+      
       return { 
         node, 
         score,
@@ -1162,7 +1201,8 @@ export class RelayManager extends EventEmitter {
         loadPenalty,
         latencyPenalty,
         capacityBonus,
-        healthBonus
+        healthBonus,
+        reputationBonus
       };
     });
     
@@ -1174,9 +1214,9 @@ export class RelayManager extends EventEmitter {
       const top3 = scored.slice(0, 3);
       console.log(`🔄 Relay node candidates (top ${top3.length}):`);
       for (const candidate of top3) {
-        const { node, score, connectionStatus, connectionBonus, loadPenalty, capacityBonus, healthBonus } = candidate;
+        const { node, score, connectionStatus, connectionBonus, loadPenalty, capacityBonus, healthBonus, reputationBonus } = candidate;
         console.log(`   ${node.nodeId.substring(0, 8)}... score=${score.toFixed(1)} ` +
-          `[conn=${connectionStatus}(+${connectionBonus}) load=-${loadPenalty.toFixed(1)} cap=+${capacityBonus.toFixed(1)} health=+${healthBonus.toFixed(1)}]`);
+          `[conn=${connectionStatus}(+${connectionBonus}) load=-${loadPenalty.toFixed(1)} cap=+${capacityBonus.toFixed(1)} health=+${healthBonus.toFixed(1)} rep=${reputationBonus.toFixed(1)}]`);
       }
     }
     
@@ -244,8 +244,9 @@ export class WebSocketConnectionManager extends ConnectionManager {
           console.log(`✅ DHT peer connected: ${peerId.substring(0, 8)}...`);
 
           // Extract peer metadata from handshake (will be passed to RoutingTable)
-          const peerMetadata = message.metadata || null;
-          if (peerMetadata) {
+          // remoteAddress is the address we observe, not a claim - used for subnet diversity limits
+          const peerMetadata = { ...message.metadata, remoteAddress: request.socket.remoteAddress };
+          if (message.metadata) {
             console.log(`📋 Received peer metadata from ${peerId.substring(0, 8)}:`, peerMetadata);
           }
 
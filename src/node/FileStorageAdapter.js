@@ -0,0 +1,201 @@
+/**
+ * FileStorageAdapter - Append-only log persistence for Node.js DHT nodes
+ *
+ * Every mutation of the DHT record tables is appended to a JSON-lines log.
+ * On startup the log is replayed to rebuild the records and republish
+ * schedule, so an ActiveDHTNode restart keeps serving the keys it held.
+ *
+ * The log grows with every overwrite, so compact() rewrites it as a snapshot
+ * of the live entries once it exceeds compactionRatio x live entries.
+ * Compaction writes to a temp file and renames it over the log, so a crash
+ * mid-compaction leaves the previous log intact.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { StorageAdapter, STORAGE_TABLES } from '../dht/StorageAdapter.js';
+
+export class FileStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Log file location (created if missing)
+   * @param {number} [options.compactionRatio=2] - Compact when log entries exceed ratio x live entries
+   * @param {number} [options.minCompactionEntries=1000] - Never compact logs smaller than this
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.filePath) {
+      throw new Error('FileStorageAdapter requires options.filePath');
+    }
+
+    this.filePath = path.resolve(options.filePath);
+    this.compactionRatio = options.compactionRatio || 2;
+    this.minCompactionEntries = options.minCompactionEntries ?? 1000;
+
+    this.logEntries = 0; // Lines currently in the log file (including pending)
+    this.pendingLines = [];
+    this.flushScheduled = false;
+    this.writeChain = Promise.resolve();
+    this.compactions = 0;
+    this.corruptLines = 0;
+  }
+
+  get backend() {
+    return 'file';
+  }
+
+  /**
+   * Replay the log into memory
+   */
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { records: [], republish: [] };
+      }
+      throw error;
+    }
+
+    const tables = { records: new Map(), republish: new Map() };
+    let lines = 0;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A crash mid-append can leave a truncated final line - skip it
+        this.corruptLines++;
+        continue;
+      }
+
+      const table = tables[entry.t];
+      if (!table) continue;
+      lines++;
+
+      if (entry.op === 'set') {
+        table.set(entry.k, entry.v);
+      } else if (entry.op === 'delete') {
+        table.delete(entry.k);
+      } else if (entry.op === 'clear') {
+        table.clear();
+      }
+    }
+
+    this.logEntries = lines;
+
+    if (this.corruptLines > 0) {
+      console.warn(`⚠️ FileStorageAdapter: skipped ${this.corruptLines} corrupt log lines in ${this.filePath}`);
+    }
+
+    return {
+      records: tables.records.entries(),
+      republish: tables.republish.entries()
+    };
+  }
+
+  /**
+   * Queue a log line; lines are appended in batches on the write chain
+   */
+  write(table, op, key, value) {
+    const entry = { t: table, op };
+    if (key !== undefined) entry.k = key;
+    if (value !== undefined) entry.v = value;
+
+    this.pendingLines.push(JSON.stringify(entry));
+    this.logEntries++;
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushScheduled) {
+      return;
+    }
+    this.flushScheduled = true;
+
+    this.writeChain = this.writeChain.then(async () => {
+      this.flushScheduled = false;
+      const lines = this.pendingLines;
+      this.pendingLines = [];
+      if (lines.length === 0) {
+        return;
+      }
+      await fs.promises.appendFile(this.filePath, lines.join('\n') + '\n');
+    }).catch(error => {
+      this.writeErrors++;
+      console.error(`❌ FileStorageAdapter: append to ${this.filePath} failed: ${error.message}`);
+    });
+  }
+
+  async flush() {
+    this.scheduleFlush();
+    await this.writeChain;
+  }
+
+  /**
+   * Check whether the log has grown enough to be worth rewriting
+   */
+  needsCompaction() {
+    const liveEntries = this.records.size + this.republish.size;
+    return this.logEntries >= this.minCompactionEntries &&
+      this.logEntries > liveEntries * this.compactionRatio;
+  }
+
+  /**
+   * Rewrite the log as a snapshot of the live entries
+   * @param {boolean} force - Compact even if the log is below the threshold
+   * @returns {Promise<boolean>} - True if the log was rewritten
+   */
+  async compact(force = false) {
+    if (!this.isOpen || (!force && !this.needsCompaction())) {
+      return false;
+    }
+
+    let compacted = false;
+
+    this.writeChain = this.writeChain.then(async () => {
+      // Snapshot is taken from memory, which already reflects any pending lines
+      this.pendingLines = [];
+      const lines = [];
+      for (const table of STORAGE_TABLES) {
+        for (const [key, value] of this[table].entries()) {
+          lines.push(JSON.stringify({ t: table, op: 'set', k: key, v: value }));
+        }
+      }
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+      await fs.promises.rename(tempPath, this.filePath);
+
+      const previousEntries = this.logEntries;
+      this.logEntries = lines.length;
+      this.compactions++;
+      compacted = true;
+      console.log(`🗜️ FileStorageAdapter: compacted log ${previousEntries} -> ${lines.length} entries`);
+    }).catch(error => {
+      this.writeErrors++;
+      console.error(`❌ FileStorageAdapter: compaction of ${this.filePath} failed: ${error.message}`);
+    });
+
+    await this.writeChain;
+    return compacted;
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      filePath: this.filePath,
+      logEntries: this.logEntries,
+      compactions: this.compactions
+    };
+  }
+}
+
+export default FileStorageAdapter;
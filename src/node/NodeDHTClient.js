@@ -19,6 +19,7 @@ import { DHTNodeId } from '../core/DHTNodeId.js';
 import { InvitationToken } from '../core/InvitationToken.js';
 import { KademliaDHT } from '../dht/KademliaDHT.js';
 import { BootstrapClient } from '../bootstrap/BootstrapClient.js';
+import { FileStorageAdapter } from './FileStorageAdapter.js';
 
 // Setup Node.js crypto globals for browser compatibility
 global.window = global.window || {};
@@ -133,6 +134,22 @@ export class NodeDHTClient extends DHTClient {
     };
   }
 
+  /**
+   * Persist DHT records to an append-only log when options.storagePath is set
+   */
+  createStorageAdapter() {
+    if (this.options.storageAdapter) {
+      return this.options.storageAdapter;
+    }
+
+    if (!this.options.storagePath) {
+      return null;
+    }
+
+    console.log(`💾 Persisting DHT records to ${this.options.storagePath}`);
+    return new FileStorageAdapter({ filePath: this.options.storagePath });
+  }
+
   /**
    * Setup cryptography for Node.js environment
    */
@@ -200,6 +217,9 @@ export class NodeDHTClient extends DHTClient {
     const keyInfo = await InvitationToken.generateKeyPair();
     console.log('🔐 Generated cryptographic key pair for invitation tokens');
 
+    // Replace the GUID-based node ID with a key-derived one if the network requires proofs
+    await this.ensureNodeIdProof();
+
     // Create DHT FIRST so we have access to routing table
     this.dht = new KademliaDHT({
       nodeId: this.nodeId,
@@ -207,7 +227,14 @@ export class NodeDHTClient extends DHTClient {
       bootstrapMetadata: this.getBootstrapMetadata(), // Include Node.js metadata (nodeType, listeningAddress, etc.)
       k: this.options.k,
       alpha: this.options.alpha,
-      replicateK: this.options.replicateK
+      replicateK: this.options.replicateK,
+      storageAdapter: this.createStorageAdapter(),
+      requireNodeIdProof: this.options.requireNodeIdProof,
+      nodeIdDifficulty: this.options.nodeIdDifficulty,
+      messageAuth: this.options.messageAuth,
+      messageMaxAge: this.options.messageMaxAge,
+      keyPair: this.keyPair,
+      nodeIdProof: this.nodeIdProof
     });
 
     // Create WebSocket connection manager using factory
@@ -343,22 +370,23 @@ export class NodeDHTClient extends DHTClient {
 
   /**
    * Store data in DHT
+   * @param {Object} options - { ttl } record lifetime in ms
    */
-  async store(key, value) {
+  async store(key, value, options = {}) {
     if (!this.dht || !this.dht.isStarted) {
       throw new Error('DHT not started');
     }
-    return this.dht.store(key, value);
+    return this.dht.store(key, value, options);
   }
 
   /**
    * Get data from DHT
    */
-  async get(key) {
+  async get(key, options = {}) {
     if (!this.dht || !this.dht.isStarted) {
       throw new Error('DHT not started');
     }
-    return this.dht.get(key);
+    return this.dht.get(key, options);
   }
 
   /**
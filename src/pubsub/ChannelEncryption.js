@@ -0,0 +1,173 @@
+/**
+ * ChannelEncryption - Payload encryption for private pub/sub channels
+ *
+ * Message payloads are encrypted with a per-epoch channel key (AES-256-GCM),
+ * so replicas storing messages and collections only ever see ciphertext.
+ * The channel key is wrapped for each member with their identity key:
+ *
+ * 1. Pick an ephemeral Ed25519 scalar r and send R = r·G with the wrapped key
+ * 2. Both sides derive the shared point r·A = a·R (A = member's public key)
+ * 3. SHA-256(shared || R || A) is the AES-GCM key that wraps the channel key
+ *
+ * Integration:
+ * - Identity keys come from InvitationToken (same keys that sign messages)
+ * - Uses @noble/ed25519 for curve arithmetic and Web Crypto for AES-GCM
+ */
+
+import { InvitationToken } from '../core/InvitationToken.js';
+
+/**
+ * Marker of an encrypted payload in Message.data
+ */
+export const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Generate a new random channel key
+ * @returns {string} - 256-bit key (hex)
+ */
+export function generateChannelKey() {
+  return bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Encrypt a message payload with a channel key
+ * The topic and epoch are authenticated, so ciphertext can't be replayed into another channel or epoch.
+ * @param {string} channelKey - Channel key (hex)
+ * @param {any} data - Payload (JSON serializable)
+ * @param {string} topicID - Channel topic
+ * @param {number} epoch - Key epoch
+ * @returns {Promise<{encrypted: string, epoch: number, iv: string, ciphertext: string}>}
+ */
+export async function encryptData(channelKey, data, topicID, epoch) {
+  const key = await importAesKey(hexToBytes(channelKey));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encode(`${topicID}:${epoch}`) },
+    key,
+    encode(JSON.stringify(data))
+  );
+
+  return {
+    encrypted: ENCRYPTION_ALGORITHM,
+    epoch,
+    iv: bytesToHex(iv),
+    ciphertext: bytesToHex(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt a payload produced by encryptData
+ * @param {string} channelKey - Channel key for envelope.epoch (hex)
+ * @param {Object} envelope - Encrypted payload
+ * @param {string} topicID - Channel topic
+ * @returns {Promise<any>} - Original payload
+ * @throws {Error} If the key is wrong or the payload was tampered with
+ */
+export async function decryptData(channelKey, envelope, topicID) {
+  const key = await importAesKey(hexToBytes(channelKey));
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: hexToBytes(envelope.iv), additionalData: encode(`${topicID}:${envelope.epoch}`) },
+    key,
+    hexToBytes(envelope.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Check if message data is an encrypted payload
+ * @param {any} data - Message data
+ * @returns {boolean}
+ */
+export function isEncryptedData(data) {
+  return !!data && typeof data === 'object' && data.encrypted === ENCRYPTION_ALGORITHM &&
+    Number.isInteger(data.epoch) && typeof data.iv === 'string' && typeof data.ciphertext === 'string';
+}
+
+/**
+ * Wrap a channel key for a member
+ * @param {string} channelKey - Channel key (hex)
+ * @param {string} memberPublicKey - Member's Ed25519 identity public key (hex)
+ * @returns {Promise<{ephemeralKey: string, iv: string, ciphertext: string}>}
+ */
+export async function wrapChannelKey(channelKey, memberPublicKey) {
+  const noble = await InvitationToken.loadNobleEd25519();
+  const memberPoint = noble.ExtendedPoint.fromHex(memberPublicKey);
+  if (memberPoint.isSmallOrder()) {
+    throw new Error('Invalid member public key');
+  }
+
+  const ephemeral = await noble.utils.getExtendedPublicKeyAsync(noble.utils.randomPrivateKey());
+  const shared = memberPoint.multiply(ephemeral.scalar).toRawBytes();
+  const wrappingKey = await deriveWrappingKey(shared, ephemeral.pointBytes, hexToBytes(memberPublicKey));
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, hexToBytes(channelKey));
+
+  return {
+    ephemeralKey: bytesToHex(ephemeral.pointBytes),
+    iv: bytesToHex(iv),
+    ciphertext: bytesToHex(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Unwrap a channel key with our identity key
+ * @param {Object} wrapped - Output of wrapChannelKey
+ * @param {Object} keyInfo - Our key info (InvitationToken.generateKeyPair)
+ * @returns {Promise<string>} - Channel key (hex)
+ * @throws {Error} If the key was not wrapped for us
+ */
+export async function unwrapChannelKey(wrapped, keyInfo) {
+  const noble = await InvitationToken.loadNobleEd25519();
+  const own = await noble.utils.getExtendedPublicKeyAsync(getPrivateKeySeed(keyInfo));
+  const ephemeralPoint = noble.ExtendedPoint.fromHex(wrapped.ephemeralKey);
+  const shared = ephemeralPoint.multiply(own.scalar).toRawBytes();
+  const wrappingKey = await deriveWrappingKey(shared, hexToBytes(wrapped.ephemeralKey), own.pointBytes);
+
+  const channelKey = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: hexToBytes(wrapped.iv) },
+    wrappingKey,
+    hexToBytes(wrapped.ciphertext)
+  );
+  return bytesToHex(new Uint8Array(channelKey));
+}
+
+/**
+ * 32-byte Ed25519 seed from key info (library keys keep it raw, native keys export PKCS#8)
+ */
+function getPrivateKeySeed(keyInfo) {
+  if (keyInfo.privateKeyBytes) {
+    return keyInfo.privateKeyBytes;
+  }
+  if (!keyInfo.privateKey) {
+    throw new Error('No private key available for decryption');
+  }
+  const bytes = hexToBytes(keyInfo.privateKey);
+  // PKCS#8 Ed25519 keys end with the 32-byte seed
+  return bytes.length > 32 ? bytes.slice(bytes.length - 32) : bytes;
+}
+
+async function deriveWrappingKey(shared, ephemeralKey, memberKey) {
+  const material = new Uint8Array(shared.length + ephemeralKey.length + memberKey.length);
+  material.set(shared, 0);
+  material.set(ephemeralKey, shared.length);
+  material.set(memberKey, shared.length + ephemeralKey.length);
+  const digest = await crypto.subtle.digest('SHA-256', material);
+  return importAesKey(new Uint8Array(digest));
+}
+
+function importAesKey(bytes) {
+  return crypto.subtle.importKey('raw', bytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+function encode(text) {
+  return new TextEncoder().encode(text);
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+  return InvitationToken.hexToBytes(hex);
+}
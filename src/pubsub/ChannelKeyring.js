@@ -0,0 +1,265 @@
+/**
+ * ChannelKeyring - Channel keys this node holds for private channels
+ *
+ * Loads PrivateChannel records from the DHT, checks the owner's signature and
+ * unwraps the channel keys wrapped for this node. Keys are kept per epoch, so
+ * messages published under the current or previous epoch can be decrypted.
+ *
+ * Also performs the owner's side of membership changes (create, add, remove).
+ *
+ * Integration:
+ * - Uses PubSubStorage.storeChannel()/loadChannel() for records
+ * - Used by PubSubClient (publish, push delivery) and SubscribeOperation (polled delivery)
+ */
+
+import { PrivateChannel } from './PrivateChannel.js';
+import { encryptData, decryptData, unwrapChannelKey } from './ChannelEncryption.js';
+
+export class ChannelKeyring {
+  /**
+   * Create new ChannelKeyring
+   * @param {PubSubStorage} storage - Storage instance
+   * @param {string} nodeID - Our node ID
+   * @param {Object} keyInfo - Our key info (signing and unwrapping)
+   * @param {Function} getPublicKey - (nodeID) => Promise<string|null> identity key lookup
+   */
+  constructor(storage, nodeID, keyInfo, getPublicKey) {
+    if (!storage) throw new Error('ChannelKeyring requires storage');
+    if (!nodeID) throw new Error('ChannelKeyring requires nodeID');
+    if (!keyInfo) throw new Error('ChannelKeyring requires keyInfo');
+    if (!getPublicKey) throw new Error('ChannelKeyring requires getPublicKey');
+
+    this.storage = storage;
+    this.nodeID = nodeID;
+    this.keyInfo = keyInfo;
+    this.getPublicKey = getPublicKey;
+
+    this.channels = new Map(); // topicID -> { channel, keys: Map<epoch, channelKey> }
+    this.pendingLoads = new Map(); // topicID -> pending load
+
+    this.stats = {
+      encrypted: 0,
+      decrypted: 0,
+      decryptFailures: 0,
+      rotations: 0
+    };
+  }
+
+  /**
+   * Create a private channel owned by this node
+   * @param {Array<string>} members - Member node IDs
+   * @returns {Promise<PrivateChannel>}
+   */
+  async create(members) {
+    const { channel, channelKey } = await PrivateChannel.create(this.nodeID, this.keyInfo, members, this.getPublicKey);
+
+    const stored = await this.storage.storeChannel(channel);
+    if (!stored) {
+      throw new Error('Failed to store private channel');
+    }
+
+    this.channels.set(channel.topicID, { channel, keys: new Map([[channel.currentEpoch, channelKey]]) });
+    console.log(`🔐 Created private channel ${channel.topicID.substring(0, 16)}... with ${channel.members.length} members`);
+    return channel;
+  }
+
+  /**
+   * Add a member to a channel we own
+   * @param {string} topicID - Channel topic ID
+   * @param {string} memberID - Member node ID
+   * @returns {Promise<PrivateChannel>}
+   */
+  async addMember(topicID, memberID) {
+    const entry = await this.getOwnedEntry(topicID);
+    if (entry.channel.hasMember(memberID)) {
+      return entry.channel;
+    }
+
+    const channelKey = entry.keys.get(entry.channel.currentEpoch);
+    const channel = await entry.channel.addMember(memberID, channelKey, this.keyInfo, this.getPublicKey);
+    await this.storeOwned(channel, entry.keys);
+
+    console.log(`🔐 Added ${memberID.substring(0, 8)}... to private channel ${topicID.substring(0, 16)}...`);
+    return channel;
+  }
+
+  /**
+   * Remove a member from a channel we own and rotate its key
+   * @param {string} topicID - Channel topic ID
+   * @param {string} memberID - Member node ID
+   * @returns {Promise<PrivateChannel>}
+   */
+  async removeMember(topicID, memberID) {
+    const entry = await this.getOwnedEntry(topicID);
+    if (!entry.channel.hasMember(memberID)) {
+      return entry.channel;
+    }
+
+    const { channel, channelKey } = await entry.channel.removeMember(memberID, this.keyInfo, this.getPublicKey);
+    const keys = new Map(entry.keys);
+    keys.set(channel.currentEpoch, channelKey);
+    await this.storeOwned(channel, keys);
+    this.stats.rotations++;
+
+    console.log(`🔐 Removed ${memberID.substring(0, 8)}... from private channel ${topicID.substring(0, 16)}... (key rotated to epoch ${channel.currentEpoch})`);
+    return channel;
+  }
+
+  async getOwnedEntry(topicID) {
+    // Membership changes start from the latest stored record
+    const entry = await this.load(topicID);
+    if (!entry) {
+      throw new Error(`Private channel ${topicID} not found`);
+    }
+    if (entry.channel.ownerID !== this.nodeID) {
+      throw new Error('Only the channel owner can change its members');
+    }
+    return entry;
+  }
+
+  async storeOwned(channel, keys) {
+    const stored = await this.storage.storeChannel(channel);
+    if (!stored) {
+      throw new Error('Failed to store private channel');
+    }
+    this.setEntry(channel, keys);
+  }
+
+  /**
+   * Get a channel's record and our keys (loaded from the DHT on first use)
+   * @param {string} topicID - Channel topic ID
+   * @returns {Promise<{channel: PrivateChannel, keys: Map<number, string>}|null>}
+   */
+  async get(topicID) {
+    return this.channels.get(topicID) || await this.load(topicID);
+  }
+
+  /**
+   * Load a channel record from the DHT and unwrap our keys
+   * A record that isn't signed by the channel owner is ignored.
+   * @param {string} topicID - Channel topic ID
+   * @returns {Promise<{channel: PrivateChannel, keys: Map<number, string>}|null>}
+   */
+  async load(topicID) {
+    let pending = this.pendingLoads.get(topicID);
+    if (!pending) {
+      pending = this.loadChannel(topicID).finally(() => this.pendingLoads.delete(topicID));
+      this.pendingLoads.set(topicID, pending);
+    }
+    return pending;
+  }
+
+  async loadChannel(topicID) {
+    const cached = this.channels.get(topicID) || null;
+    const channel = await this.storage.loadChannel(topicID);
+    if (!channel || channel.topicID !== topicID) {
+      return cached;
+    }
+
+    const validation = channel.validate();
+    const ownerKey = validation.valid ? await this.getPublicKey(channel.ownerID) : null;
+    if (!ownerKey || !await channel.verify(ownerKey)) {
+      console.warn(`   ⚠️ Ignoring private channel record for ${topicID.substring(0, 16)}...: ${validation.errors.join(', ') || 'not signed by owner'}`);
+      return cached;
+    }
+
+    // Never go back to an older membership
+    if (cached && cached.channel.version > channel.version) {
+      return cached;
+    }
+
+    const keys = new Map();
+    for (const { epoch } of channel.epochs) {
+      const known = cached?.keys.get(epoch);
+      const wrapped = channel.getWrappedKey(epoch, this.nodeID);
+      if (known) {
+        keys.set(epoch, known);
+      } else if (wrapped) {
+        try {
+          keys.set(epoch, await unwrapChannelKey(wrapped, this.keyInfo));
+        } catch (error) {
+          console.warn(`   ⚠️ Failed to unwrap key for epoch ${epoch} of ${topicID.substring(0, 16)}...: ${error.message}`);
+        }
+      }
+    }
+
+    return this.setEntry(channel, keys);
+  }
+
+  setEntry(channel, keys) {
+    // Only keep keys for epochs still in the record (current and previous)
+    const kept = new Map([...keys].filter(([epoch]) => channel.epochs.some(e => e.epoch === epoch)));
+    const entry = { channel, keys: kept };
+    this.channels.set(channel.topicID, entry);
+    return entry;
+  }
+
+  /**
+   * Encrypt a payload with the channel's current key
+   * Reloads the record first: a cached entry may predate a key rotation, and
+   * a removed member must not keep publishing under the old epoch.
+   * @param {string} topicID - Channel topic ID
+   * @param {any} data - Payload
+   * @returns {Promise<Object>} - Encrypted payload for Message.data
+   * @throws {Error} If we don't hold the current key
+   */
+  async encrypt(topicID, data) {
+    const entry = await this.load(topicID);
+    const epoch = entry?.channel.currentEpoch;
+    const channelKey = entry?.keys.get(epoch);
+    if (!channelKey) {
+      throw new Error(`Not a member of private channel ${topicID}`);
+    }
+
+    const envelope = await encryptData(channelKey, data, topicID, epoch);
+    this.stats.encrypted++;
+    return envelope;
+  }
+
+  /**
+   * Decrypt a payload published to a private channel
+   * Reloads the record when the epoch is newer than ours (the key was rotated since).
+   * @param {string} topicID - Channel topic ID
+   * @param {Object} envelope - Encrypted payload
+   * @returns {Promise<any>} - Original payload
+   * @throws {Error} If we don't hold the epoch's key or the payload doesn't decrypt
+   */
+  async decrypt(topicID, envelope) {
+    try {
+      let entry = await this.get(topicID);
+      if (!entry || envelope.epoch > entry.channel.currentEpoch) {
+        entry = await this.load(topicID);
+      }
+
+      const channelKey = entry?.keys.get(envelope.epoch);
+      if (!channelKey) {
+        throw new Error(`No key for epoch ${envelope.epoch}`);
+      }
+
+      const data = await decryptData(channelKey, envelope, topicID);
+      this.stats.decrypted++;
+      return data;
+    } catch (error) {
+      this.stats.decryptFailures++;
+      throw error;
+    }
+  }
+
+  /**
+   * Get keyring statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      channels: this.channels.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Forget all channel keys
+   */
+  clear() {
+    this.channels.clear();
+  }
+}
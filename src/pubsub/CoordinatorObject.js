@@ -11,6 +11,9 @@
  * - Channel state tracking: ACTIVE, RECOVERING, or FAILED
  * - History-based merging: resolves conflicts via set union of collection IDs
  * - Inactivity-based TTL: coordinators expire after 24 hours of inactivity
+ * - Publisher policy: optional owner-signed TopicPolicy, plus the publish stamp of
+ *   whoever last changed currentMessages (checked by replicas on restricted topics)
+ * - Moderation: admin-signed retractions of messages, kept until the messages expire
  *
  * Integration:
  * - Stored at DHT key hash(topicID)
@@ -67,6 +70,9 @@ export class CoordinatorObject {
    * @param {string} [params.coordinatorID] - Optional pre-computed coordinator ID
    * @param {number} [params.createdAt] - Creation timestamp
    * @param {number} [params.lastModified] - Last modification timestamp
+   * @param {Object|null} [params.policy] - Serialized TopicPolicy
+   * @param {Object|null} [params.publishStamp] - Publisher's stamp for currentMessages
+   * @param {Array<Object>} [params.retractions] - Admin-signed message retractions
    */
   constructor(params) {
     // Required fields validation
@@ -84,6 +90,10 @@ export class CoordinatorObject {
     this.createdAt = params.createdAt || Date.now();
     this.lastModified = params.lastModified || this.createdAt;
 
+    this.policy = params.policy || null;
+    this.publishStamp = params.publishStamp || null;
+    this.retractions = params.retractions || [];
+
     // Generate deterministic coordinator ID if not provided
     this.coordinatorID = params.coordinatorID || this.generateCoordinatorID();
   }
@@ -121,7 +131,10 @@ export class CoordinatorObject {
       state: this.state,
       coordinatorID: this.coordinatorID,
       createdAt: this.createdAt,
-      lastModified: Date.now()
+      lastModified: Date.now(),
+      policy: this.policy,
+      publishStamp: this.publishStamp,
+      retractions: this.retractions
     });
   }
 
@@ -132,7 +145,7 @@ export class CoordinatorObject {
    */
   updateMessages(newMessageCollectionID) {
     const newHistory = [...this.messageHistory];
-    if (this.currentMessages) {
+    if (this.currentMessages && !newHistory.includes(this.currentMessages)) {
       newHistory.push(this.currentMessages);
     }
 
@@ -147,7 +160,10 @@ export class CoordinatorObject {
       state: this.state,
       coordinatorID: this.coordinatorID,
       createdAt: this.createdAt,
-      lastModified: Date.now()
+      lastModified: Date.now(),
+      policy: this.policy,
+      publishStamp: null, // The publisher stamps the new collection (withPublishStamp)
+      retractions: this.retractions
     });
   }
 
@@ -179,7 +195,10 @@ export class CoordinatorObject {
       state: this.state,
       coordinatorID: this.coordinatorID,
       createdAt: this.createdAt,
-      lastModified: Date.now()
+      lastModified: Date.now(),
+      policy: this.policy,
+      publishStamp: null, // The publisher stamps the new collection (withPublishStamp)
+      retractions: this.retractions
     });
   }
 
@@ -188,7 +207,12 @@ export class CoordinatorObject {
    * @returns {boolean} - True if pruning is needed
    */
   needsPruning() {
-    const size = JSON.stringify(this.serialize()).length;
+    // Policy, stamp and retractions don't shrink with pruning, so only the rest counts towards the size limit
+    const serialized = this.serialize();
+    delete serialized.policy;
+    delete serialized.publishStamp;
+    delete serialized.retractions;
+    const size = JSON.stringify(serialized).length;
     const historySize = Math.max(
       this.subscriberHistory.length,
       this.messageHistory.length
@@ -232,7 +256,10 @@ export class CoordinatorObject {
       state: this.state,
       coordinatorID: this.coordinatorID,
       createdAt: this.createdAt,
-      lastModified: Date.now()
+      lastModified: Date.now(),
+      policy: this.policy,
+      publishStamp: this.publishStamp,
+      retractions: this.retractions
     });
 
     return { coordinator: prunedCoordinator, snapshot };
@@ -275,9 +302,16 @@ export class CoordinatorObject {
       ? (otherCoordinator.currentSubscribers || this.currentSubscribers)
       : this.currentSubscribers;
 
-    const currentMessages = otherCoordinator.version >= this.version
-      ? (otherCoordinator.currentMessages || this.currentMessages)
-      : this.currentMessages;
+    // The publish stamp belongs to whichever message collection is kept
+    const messagesSource = otherCoordinator.version >= this.version && otherCoordinator.currentMessages
+      ? otherCoordinator
+      : this;
+    const currentMessages = messagesSource.currentMessages;
+
+    // Keep the newest topic policy
+    const policy = (otherCoordinator.policy?.version || 0) > (this.policy?.version || 0)
+      ? otherCoordinator.policy
+      : (this.policy || otherCoordinator.policy);
 
     // Link to previous coordinators (prefer most recent)
     const previousCoordinator = otherCoordinator.version > this.version
@@ -305,7 +339,10 @@ export class CoordinatorObject {
       state: mergedState,
       coordinatorID: this.coordinatorID,
       createdAt: Math.min(this.createdAt, otherCoordinator.createdAt),
-      lastModified: Date.now()
+      lastModified: Date.now(),
+      policy,
+      publishStamp: messagesSource.publishStamp,
+      retractions: CoordinatorObject.mergeRetractions(this.retractions, otherCoordinator.retractions)
     });
   }
 
@@ -330,10 +367,103 @@ export class CoordinatorObject {
       state: newState,
       coordinatorID: this.coordinatorID,
       createdAt: this.createdAt,
-      lastModified: Date.now()
+      lastModified: Date.now(),
+      policy: this.policy,
+      publishStamp: this.publishStamp,
+      retractions: this.retractions
+    });
+  }
+
+  /**
+   * Set the topic policy (creates NEW coordinator with incremented version)
+   * @param {Object} policy - Serialized, owner-signed TopicPolicy
+   * @returns {CoordinatorObject} - New coordinator instance
+   */
+  updatePolicy(policy) {
+    return new CoordinatorObject({
+      topicID: this.topicID,
+      version: this.version + 1,
+      currentSubscribers: this.currentSubscribers,
+      currentMessages: this.currentMessages,
+      subscriberHistory: this.subscriberHistory,
+      messageHistory: this.messageHistory,
+      previousCoordinator: this.previousCoordinator,
+      state: this.state,
+      coordinatorID: this.coordinatorID,
+      createdAt: this.createdAt,
+      lastModified: Date.now(),
+      policy,
+      publishStamp: this.publishStamp,
+      retractions: this.retractions
+    });
+  }
+
+  /**
+   * Attach a publish stamp for the current message collection (same version)
+   * @param {Object|null} publishStamp - Output of TopicPolicy.signPublishStamp
+   * @returns {CoordinatorObject} - New coordinator instance
+   */
+  withPublishStamp(publishStamp) {
+    return new CoordinatorObject({
+      topicID: this.topicID,
+      version: this.version,
+      currentSubscribers: this.currentSubscribers,
+      currentMessages: this.currentMessages,
+      subscriberHistory: this.subscriberHistory,
+      messageHistory: this.messageHistory,
+      previousCoordinator: this.previousCoordinator,
+      state: this.state,
+      coordinatorID: this.coordinatorID,
+      createdAt: this.createdAt,
+      lastModified: this.lastModified,
+      policy: this.policy,
+      publishStamp,
+      retractions: this.retractions
+    });
+  }
+
+  /**
+   * Add a message retraction (creates NEW coordinator with incremented version)
+   * Retractions of expired messages are dropped at the same time.
+   * @param {Object} retraction - Output of TopicPolicy.signRetraction
+   * @returns {CoordinatorObject} - New coordinator instance
+   */
+  addRetraction(retraction) {
+    return new CoordinatorObject({
+      topicID: this.topicID,
+      version: this.version + 1,
+      currentSubscribers: this.currentSubscribers,
+      currentMessages: this.currentMessages,
+      subscriberHistory: this.subscriberHistory,
+      messageHistory: this.messageHistory,
+      previousCoordinator: this.previousCoordinator,
+      state: this.state,
+      coordinatorID: this.coordinatorID,
+      createdAt: this.createdAt,
+      lastModified: Date.now(),
+      policy: this.policy,
+      publishStamp: this.publishStamp,
+      retractions: CoordinatorObject.mergeRetractions(this.retractions, [retraction])
     });
   }
 
+  /**
+   * Union of two retraction lists (one per message, unexpired only)
+   * @param {Array<Object>} ours - Retractions
+   * @param {Array<Object>} theirs - Retractions
+   * @returns {Array<Object>}
+   */
+  static mergeRetractions(ours, theirs) {
+    const now = Date.now();
+    const byMessage = new Map();
+    for (const retraction of [...ours, ...theirs]) {
+      if (retraction.expiresAt > now && !byMessage.has(retraction.messageID)) {
+        byMessage.set(retraction.messageID, retraction);
+      }
+    }
+    return Array.from(byMessage.values());
+  }
+
   /**
    * Get coordinator size in bytes (approximate)
    * @returns {number} - Size in bytes
@@ -367,6 +497,9 @@ export class CoordinatorObject {
       state: this.state,
       createdAt: this.createdAt,
       lastModified: this.lastModified,
+      policy: this.policy,
+      publishStamp: this.publishStamp,
+      retractions: this.retractions.slice(),
       // Inactivity-based TTL: expires 24 hours after last modification
       // This allows DHT cleanup to remove abandoned coordinators
       expiresAt: this.lastModified + CoordinatorObject.INACTIVITY_TTL
@@ -390,7 +523,10 @@ export class CoordinatorObject {
       previousCoordinator: obj.previousCoordinator || null,
       state: obj.state || CoordinatorObject.ChannelState.ACTIVE,
       createdAt: obj.createdAt,
-      lastModified: obj.lastModified
+      lastModified: obj.lastModified,
+      policy: obj.policy || null,
+      publishStamp: obj.publishStamp || null,
+      retractions: obj.retractions || []
     });
   }
 
@@ -0,0 +1,167 @@
+/**
+ * MessageAmendment - Signed edits and retractions of published messages
+ *
+ * Messages are immutable, so an edit or retraction is published as a new
+ * message on the same topic whose payload references the original messageID:
+ *
+ *   { __amendment: { type: 'edit', messageID, data } }
+ *   { __amendment: { type: 'retract', messageID } }
+ *
+ * The amendment is signed like any other message, so its publisherID is
+ * verified before it is applied. Only amendments published by the original
+ * message's publisher are honored; anything else is ignored. An amendment
+ * expires together with the message it amends.
+ *
+ * Integration:
+ * - Published by PubSubClient.edit() / retract()
+ * - Applied to history by SubscribeOperation.loadHistoricalMessages()
+ * - Live amendments become 'edited' / 'retracted' events on PubSubClient
+ */
+
+import { Message } from './Message.js';
+
+export class MessageAmendment {
+  /**
+   * Amendment types
+   */
+  static Type = {
+    EDIT: 'edit',
+    RETRACT: 'retract'
+  };
+
+  /**
+   * Payload key that marks a message as an amendment
+   */
+  static KEY = '__amendment';
+
+  /**
+   * Build the payload of an amendment message
+   * @param {string} type - One of MessageAmendment.Type
+   * @param {string} messageID - Message being amended
+   * @param {any} [data] - New payload (EDIT only)
+   * @returns {Object} - Message data
+   */
+  static createData(type, messageID, data) {
+    if (!Object.values(MessageAmendment.Type).includes(type)) {
+      throw new Error(`Invalid amendment type: ${type}`);
+    }
+    if (type === MessageAmendment.Type.EDIT && data === undefined) {
+      throw new Error('Edit requires data');
+    }
+
+    const amendment = type === MessageAmendment.Type.EDIT
+      ? { type, messageID, data }
+      : { type, messageID };
+    return { [MessageAmendment.KEY]: amendment };
+  }
+
+  /**
+   * Read the amendment carried by a (decrypted) message
+   * @param {Object} message - Message (instance or serialized)
+   * @returns {{type: string, messageID: string, data: any}|null} - Null if not an amendment
+   */
+  static parse(message) {
+    const amendment = message?.data?.[MessageAmendment.KEY];
+    if (!amendment || typeof amendment !== 'object') {
+      return null;
+    }
+    if (!Object.values(MessageAmendment.Type).includes(amendment.type) || typeof amendment.messageID !== 'string') {
+      return null;
+    }
+    return amendment;
+  }
+
+  /**
+   * Check that an amendment message may amend the original
+   * @param {Object} message - Verified amendment message
+   * @param {Object|null} original - Message referenced by the amendment
+   * @returns {string|null} - Reason to ignore the amendment, or null if it applies
+   */
+  static check(message, original) {
+    if (!original) {
+      return 'Amended message not found';
+    }
+    if (original.topicID !== message.topicID) {
+      return 'Amended message belongs to another topic';
+    }
+    if (original.publisherID !== message.publisherID) {
+      return 'Only the original publisher can amend a message';
+    }
+    if (MessageAmendment.parse(original)) {
+      return 'Cannot amend an amendment';
+    }
+    return null;
+  }
+
+  /**
+   * Apply the amendments among a set of verified, decrypted messages
+   * Amendment messages are consumed: edited messages carry the newest edit's data
+   * (and editedAt), retracted messages are removed. Amendments whose original is
+   * not in the set, or that fail check(), are dropped.
+   * @param {Array<Object>} messages - Messages (instances or serialized)
+   * @returns {Array<Object>} - Messages with amendments applied
+   */
+  static apply(messages) {
+    const originals = new Map();
+    const amendments = [];
+
+    for (const message of messages) {
+      if (MessageAmendment.parse(message)) {
+        amendments.push(message);
+      } else {
+        originals.set(message.messageID, message);
+      }
+    }
+
+    if (amendments.length === 0) {
+      return messages;
+    }
+
+    // Oldest first, so the newest edit wins
+    amendments.sort((a, b) => a.publishedAt - b.publishedAt);
+
+    const edits = new Map(); // messageID -> edit message
+    const retracted = new Set();
+
+    for (const message of amendments) {
+      const { type, messageID } = MessageAmendment.parse(message);
+      const error = MessageAmendment.check(message, originals.get(messageID) || null);
+      if (error) {
+        console.warn(`   ⚠️ Ignoring amendment ${message.messageID.substring(0, 8)}... of ${messageID.substring(0, 8)}...: ${error}`);
+        continue;
+      }
+
+      if (type === MessageAmendment.Type.RETRACT) {
+        retracted.add(messageID);
+      } else {
+        edits.set(messageID, message);
+      }
+    }
+
+    const result = [];
+    for (const message of messages) {
+      if (MessageAmendment.parse(message) || retracted.has(message.messageID)) {
+        continue;
+      }
+
+      const edit = edits.get(message.messageID);
+      result.push(edit ? MessageAmendment.withEdit(message, edit) : message);
+    }
+    return result;
+  }
+
+  /**
+   * Copy of a message carrying an edit's data
+   * @param {Object} message - Original message (instance or serialized)
+   * @param {Object} edit - Edit amendment message
+   * @returns {Object} - Edited message, editedAt set to the edit's publishedAt
+   */
+  static withEdit(message, edit) {
+    const { data } = MessageAmendment.parse(edit);
+    const edited = message instanceof Message
+      ? Message.deserialize({ ...message.serialize(), data })
+      : { ...message, data };
+    edited.editedAt = edit.publishedAt;
+    return edited;
+  }
+}
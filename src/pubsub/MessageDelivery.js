@@ -304,7 +304,8 @@ export class MessageDelivery {
         addedInVersion: message.addedInVersion,
         data: message.data,
         publishedAt: message.publishedAt,
-        expiresAt: message.expiresAt
+        expiresAt: message.expiresAt,
+        signature: message.signature
       },
       subscriberCollectionID: coordinator.currentSubscribers,
       helpers: allHelpers,  // So they know the full helper list for assignment
@@ -345,7 +346,8 @@ export class MessageDelivery {
         addedInVersion: message.addedInVersion,
         data: message.data,
         publishedAt: message.publishedAt,
-        expiresAt: message.expiresAt
+        expiresAt: message.expiresAt,
+        signature: message.signature
       },
       pushedAt: Date.now()
     };
@@ -0,0 +1,177 @@
+/**
+ * ModerationOperation - Admin actions on a topic
+ *
+ * Topic admins (the policy owner and the admins it lists, see TopicPolicy) can:
+ * - Kick a subscriber: remove its entry from the SubscriberCollection
+ * - Block or unblock a publisher: a new admin-signed policy version
+ * - Remove a message: an admin-signed retraction stored in the coordinator,
+ *   which subscribers honor by hiding the message from history and live delivery
+ *
+ * Flow (every action):
+ * 1. Load coordinator and its verified policy, check we are an admin
+ * 2. Apply the change to a NEW coordinator
+ * 3. Store with version check, retry on conflict
+ *
+ * Integration:
+ * - Uses PubSubStorage for DHT operations
+ * - Replicas check policy versions and retraction signatures (TopicPolicy.checkCoordinator)
+ */
+
+import { TopicPolicy } from './TopicPolicy.js';
+
+export class ModerationOperation {
+  /**
+   * Attempts before giving up on a contended coordinator
+   */
+  static MAX_ATTEMPTS = 10;
+
+  /**
+   * Initial backoff delay after a version conflict (100ms)
+   */
+  static INITIAL_BACKOFF = 100;
+
+  /**
+   * Create new ModerationOperation
+   * @param {PubSubStorage} storage - Storage instance
+   * @param {string} nodeID - Our node ID
+   * @param {Object} keyInfo - Our key info for signing
+   * @param {Object} options - Operation options
+   * @param {Function} [options.getPublicKey] - (nodeID) => Promise<string|null>, verifies topic policies
+   */
+  constructor(storage, nodeID, keyInfo, options = {}) {
+    if (!storage) throw new Error('ModerationOperation requires storage');
+    if (!nodeID) throw new Error('ModerationOperation requires nodeID');
+    if (!keyInfo) throw new Error('ModerationOperation requires keyInfo');
+
+    this.storage = storage;
+    this.nodeID = nodeID;
+    this.keyInfo = keyInfo;
+    this.getPublicKey = options.getPublicKey || ((id) => this.storage.dht.getPublicKey(id));
+  }
+
+  /**
+   * Remove a subscriber from the topic's subscriber collection
+   * The subscriber can subscribe again; block it as a publisher to stop it posting.
+   * @param {string} topicID - Topic ID
+   * @param {string} subscriberID - Subscriber to remove
+   * @returns {Promise<{removed: boolean, version: number}>}
+   */
+  async kick(topicID, subscriberID) {
+    let removed = false;
+
+    const coordinator = await this.updateCoordinator(topicID, async (current) => {
+      const collection = current.currentSubscribers
+        ? await this.storage.loadSubscriberCollection(current.currentSubscribers)
+        : null;
+      removed = !!collection?.hasSubscriber(subscriberID);
+      if (!removed) {
+        return null;
+      }
+
+      const updated = collection.removeSubscriber(subscriberID);
+      const stored = await this.storage.storeSubscriberCollection(updated);
+      if (!stored) {
+        throw new Error('Failed to store subscriber collection');
+      }
+      return current.updateSubscribers(updated.collectionID);
+    });
+
+    console.log(`🛡️ ${removed ? 'Kicked' : 'Not subscribed:'} ${subscriberID.substring(0, 8)}... from topic ${topicID.substring(0, 8)}...`);
+    return { removed, version: coordinator.version };
+  }
+
+  /**
+   * Block or unblock a publisher
+   * @param {string} topicID - Topic ID
+   * @param {string} publisherID - Publisher node ID
+   * @param {boolean} blocked - True to block, false to unblock
+   * @returns {Promise<TopicPolicy>} - Policy in effect afterwards
+   */
+  async setBlocked(topicID, publisherID, blocked) {
+    let result = null;
+
+    await this.updateCoordinator(topicID, async (current, policy) => {
+      result = policy;
+      if (policy.blocked.includes(publisherID) === blocked) {
+        return null;
+      }
+
+      const list = blocked
+        ? [...policy.blocked, publisherID]
+        : policy.blocked.filter(id => id !== publisherID);
+      result = await policy.updateBlocked(list, this.nodeID, this.keyInfo);
+      return current.updatePolicy(result.serialize());
+    });
+
+    console.log(`🛡️ ${blocked ? 'Blocked' : 'Unblocked'} publisher ${publisherID.substring(0, 8)}... on topic ${topicID.substring(0, 8)}...`);
+    return result;
+  }
+
+  /**
+   * Retract a message (hidden from history and live delivery by subscribers)
+   * @param {string} topicID - Topic ID
+   * @param {string} messageID - Message to retract
+   * @returns {Promise<Object>} - Signed retraction
+   */
+  async removeMessage(topicID, messageID) {
+    const message = await this.storage.loadMessage(messageID);
+    if (!message || message.topicID !== topicID) {
+      throw new Error(`Message ${messageID} not found in topic ${topicID}`);
+    }
+
+    const retraction = await TopicPolicy.signRetraction(topicID, messageID, message.expiresAt, this.nodeID, this.keyInfo);
+
+    await this.updateCoordinator(topicID, async (current) => {
+      if (current.retractions.some(r => r.messageID === messageID)) {
+        return null;
+      }
+      return current.addRetraction(retraction);
+    });
+
+    console.log(`🛡️ Retracted message ${messageID.substring(0, 8)}... from topic ${topicID.substring(0, 8)}...`);
+    return retraction;
+  }
+
+  /**
+   * Apply an admin change to the coordinator with version check and retry
+   * @param {string} topicID - Topic ID
+   * @param {Function} update - (coordinator, policy) => Promise<CoordinatorObject|null>, null when nothing changes
+   * @returns {Promise<CoordinatorObject>} - Stored (or unchanged) coordinator
+   * @throws {Error} If we are not an admin of the topic
+   */
+  async updateCoordinator(topicID, update) {
+    let backoffMs = ModerationOperation.INITIAL_BACKOFF;
+
+    for (let attempt = 1; attempt <= ModerationOperation.MAX_ATTEMPTS; attempt++) {
+      const coordinator = await this.storage.loadCoordinatorResilient(topicID);
+      const { policy, error } = coordinator
+        ? await TopicPolicy.fromCoordinator(coordinator, this.getPublicKey)
+        : { policy: null };
+      if (!policy) {
+        throw new Error(`Topic ${topicID} has no valid policy${error ? `: ${error}` : ''}`);
+      }
+      if (!policy.isAdmin(this.nodeID)) {
+        throw new Error('Only topic admins can moderate');
+      }
+
+      const updated = await update(coordinator, policy);
+      if (!updated) {
+        return coordinator;
+      }
+
+      const storeResult = await this.storage.storeCoordinatorWithVersionCheck(updated, coordinator.version);
+      if (!storeResult.conflict) {
+        if (!storeResult.success) {
+          throw new Error('Failed to store coordinator');
+        }
+        return updated;
+      }
+
+      console.warn(`   ⚠️ Version conflict during moderation (attempt ${attempt}), retrying...`);
+      await new Promise(resolve => setTimeout(resolve, backoffMs));
+      backoffMs *= 2;
+    }
+
+    throw new Error(`Moderation of topic ${topicID} failed after ${ModerationOperation.MAX_ATTEMPTS} attempts`);
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * PrivateChannel - Membership and wrapped keys of a private pub/sub channel
+ *
+ * A private channel is a topic whose message payloads are encrypted with a
+ * channel key (see ChannelEncryption). This record is stored in the DHT next
+ * to the topic and tells members how to recover that key:
+ * - members: node IDs allowed to read and publish (the owner is always one)
+ * - epochs: per key epoch, the channel key wrapped for each member's identity key
+ *
+ * Removing a member rotates the key: a new epoch is wrapped for the remaining
+ * members only, so the removed member can't read anything published afterwards.
+ * The previous epoch is kept so messages published just before the rotation
+ * stay readable.
+ *
+ * The record is signed by the owner, and the topic ID is derived from the
+ * owner's node ID so nobody else can publish a replacement record.
+ *
+ * Integration:
+ * - Stored at DHT key `channel:${topicID}` via PubSubStorage
+ * - Loaded and unwrapped by ChannelKeyring
+ */
+
+import { DHTNodeId } from '../core/DHTNodeId.js';
+import { InvitationToken } from '../core/InvitationToken.js';
+import { generateChannelKey, wrapChannelKey } from './ChannelEncryption.js';
+
+export class PrivateChannel {
+  /**
+   * Prefix of private channel topic IDs (payloads must never be published to them in cleartext)
+   */
+  static TOPIC_PREFIX = 'private:';
+
+  /**
+   * Key epochs kept in the record (current and previous)
+   */
+  static MAX_EPOCHS = 2;
+
+  /**
+   * Create a PrivateChannel record
+   * @param {Object} params - Channel parameters
+   * @param {string} params.ownerID - Node ID of the channel owner
+   * @param {number} params.createdAt - Creation timestamp (part of the topic ID)
+   * @param {Array<string>} params.members - Member node IDs
+   * @param {Array<{epoch: number, keys: Object}>} params.epochs - Wrapped keys per epoch, oldest first
+   * @param {number} [params.version] - Record version (incremented on every membership change)
+   * @param {string} [params.topicID] - Optional pre-computed topic ID
+   * @param {string} [params.signature] - Owner's signature
+   */
+  constructor(params) {
+    if (!params.ownerID) throw new Error('PrivateChannel requires ownerID');
+    if (!params.createdAt) throw new Error('PrivateChannel requires createdAt');
+    if (!Array.isArray(params.members)) throw new Error('PrivateChannel requires members');
+    if (!Array.isArray(params.epochs) || params.epochs.length === 0) throw new Error('PrivateChannel requires epochs');
+
+    this.ownerID = params.ownerID;
+    this.createdAt = params.createdAt;
+    this.topicID = params.topicID || PrivateChannel.deriveTopicID(params.ownerID, params.createdAt);
+    this.members = [...params.members];
+    this.epochs = params.epochs.map(e => ({ epoch: e.epoch, keys: { ...e.keys } }));
+    this.version = params.version !== undefined ? params.version : 0;
+    this.signature = params.signature || null;
+  }
+
+  /**
+   * Topic ID of a channel created by `ownerID` at `createdAt`
+   * @param {string} ownerID - Owner node ID
+   * @param {number} createdAt - Creation timestamp
+   * @returns {string}
+   */
+  static deriveTopicID(ownerID, createdAt) {
+    return PrivateChannel.TOPIC_PREFIX + DHTNodeId.fromString(`channel:${ownerID}:${createdAt}`).toString();
+  }
+
+  /**
+   * Check if a topic is a private channel
+   * @param {string} topicID - Topic ID
+   * @returns {boolean}
+   */
+  static isPrivateTopic(topicID) {
+    return typeof topicID === 'string' && topicID.startsWith(PrivateChannel.TOPIC_PREFIX);
+  }
+
+  /**
+   * Create a new channel with a fresh key
+   * @param {string} ownerID - Owner node ID
+   * @param {Object} keyInfo - Owner's key info (for signing)
+   * @param {Array<string>} members - Member node IDs (the owner is added automatically)
+   * @param {Function} getPublicKey - (nodeID) => Promise<string|null> identity key lookup
+   * @returns {Promise<{channel: PrivateChannel, channelKey: string}>}
+   */
+  static async create(ownerID, keyInfo, members, getPublicKey) {
+    const allMembers = [...new Set([ownerID, ...members])];
+    const channelKey = generateChannelKey();
+
+    const channel = new PrivateChannel({
+      ownerID,
+      createdAt: Date.now(),
+      members: allMembers,
+      epochs: [{ epoch: 0, keys: await PrivateChannel.wrapForMembers(channelKey, allMembers, getPublicKey) }]
+    });
+    await channel.sign(keyInfo);
+
+    return { channel, channelKey };
+  }
+
+  /**
+   * Wrap a channel key for each member
+   * @throws {Error} If a member has not published an identity key
+   */
+  static async wrapForMembers(channelKey, members, getPublicKey) {
+    const keys = {};
+    for (const memberID of members) {
+      const publicKey = await getPublicKey(memberID);
+      if (!publicKey) {
+        throw new Error(`No public key found for member ${memberID.substring(0, 8)}...`);
+      }
+      keys[memberID] = await wrapChannelKey(channelKey, publicKey);
+    }
+    return keys;
+  }
+
+  /**
+   * Current key epoch
+   * @returns {number}
+   */
+  get currentEpoch() {
+    return this.epochs[this.epochs.length - 1].epoch;
+  }
+
+  /**
+   * Check if a node is a member
+   * @param {string} nodeID - Node ID
+   * @returns {boolean}
+   */
+  hasMember(nodeID) {
+    return this.members.includes(nodeID);
+  }
+
+  /**
+   * Channel key of an epoch as wrapped for a member
+   * @param {number} epoch - Key epoch
+   * @param {string} memberID - Member node ID
+   * @returns {Object|null} - Wrapped key or null
+   */
+  getWrappedKey(epoch, memberID) {
+    const entry = this.epochs.find(e => e.epoch === epoch);
+    return entry?.keys[memberID] || null;
+  }
+
+  /**
+   * Add a member to the current epoch (creates NEW record - immutable)
+   * The new member can read messages of the current epoch onwards.
+   * @param {string} memberID - Member node ID
+   * @param {string} channelKey - Current channel key
+   * @param {Object} keyInfo - Owner's key info
+   * @param {Function} getPublicKey - Identity key lookup
+   * @returns {Promise<PrivateChannel>}
+   */
+  async addMember(memberID, channelKey, keyInfo, getPublicKey) {
+    const epochs = this.epochs.map(e => ({ epoch: e.epoch, keys: { ...e.keys } }));
+    Object.assign(epochs[epochs.length - 1].keys, await PrivateChannel.wrapForMembers(channelKey, [memberID], getPublicKey));
+
+    const channel = new PrivateChannel({
+      ...this,
+      members: [...new Set([...this.members, memberID])],
+      epochs,
+      version: this.version + 1
+    });
+    await channel.sign(keyInfo);
+    return channel;
+  }
+
+  /**
+   * Remove a member and rotate the key (creates NEW record - immutable)
+   * @param {string} memberID - Member node ID
+   * @param {Object} keyInfo - Owner's key info
+   * @param {Function} getPublicKey - Identity key lookup
+   * @returns {Promise<{channel: PrivateChannel, channelKey: string}>}
+   */
+  async removeMember(memberID, keyInfo, getPublicKey) {
+    if (memberID === this.ownerID) {
+      throw new Error('Cannot remove the channel owner');
+    }
+
+    const members = this.members.filter(id => id !== memberID);
+    const channelKey = generateChannelKey();
+    const epochs = [
+      ...this.epochs,
+      { epoch: this.currentEpoch + 1, keys: await PrivateChannel.wrapForMembers(channelKey, members, getPublicKey) }
+    ].slice(-PrivateChannel.MAX_EPOCHS);
+
+    const channel = new PrivateChannel({ ...this, members, epochs, version: this.version + 1 });
+    await channel.sign(keyInfo);
+    return { channel, channelKey };
+  }
+
+  /**
+   * Get signable data (record without signature)
+   * @returns {string}
+   */
+  getSignableData() {
+    return JSON.stringify({
+      topicID: this.topicID,
+      ownerID: this.ownerID,
+      createdAt: this.createdAt,
+      members: this.members,
+      epochs: this.epochs,
+      version: this.version
+    });
+  }
+
+  /**
+   * Sign the record with the owner's key
+   * @param {Object} keyInfo - Owner's key info
+   */
+  async sign(keyInfo) {
+    this.signature = await InvitationToken.signData(this.getSignableData(), keyInfo);
+  }
+
+  /**
+   * Verify the owner's signature
+   * @param {string} publicKey - Owner's public key (hex)
+   * @returns {Promise<boolean>}
+   */
+  async verify(publicKey) {
+    if (!this.signature) {
+      return false;
+    }
+    try {
+      return await InvitationToken.verifySignature(this.getSignableData(), this.signature, publicKey);
+    } catch (error) {
+      console.error('❌ Private channel signature verification failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Validate record structure
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validate() {
+    const errors = [];
+
+    if (this.topicID !== PrivateChannel.deriveTopicID(this.ownerID, this.createdAt)) {
+      errors.push('Topic ID does not match owner');
+    }
+    if (!this.members.includes(this.ownerID)) {
+      errors.push('Owner is not a member');
+    }
+    if (this.epochs.length > PrivateChannel.MAX_EPOCHS) {
+      errors.push(`Too many epochs: ${this.epochs.length}`);
+    }
+    if (this.epochs.some(e => !Number.isInteger(e.epoch) || !e.keys || typeof e.keys !== 'object')) {
+      errors.push('Invalid epoch entry');
+    }
+    if (!this.signature) {
+      errors.push('Missing signature');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Serialize record for DHT storage
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      topicID: this.topicID,
+      ownerID: this.ownerID,
+      createdAt: this.createdAt,
+      members: this.members,
+      epochs: this.epochs,
+      version: this.version,
+      signature: this.signature
+    };
+  }
+
+  /**
+   * Deserialize record from DHT storage
+   * @param {Object} obj - Serialized record
+   * @returns {PrivateChannel}
+   */
+  static deserialize(obj) {
+    return new PrivateChannel(obj);
+  }
+}
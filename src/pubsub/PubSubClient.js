@@ -8,6 +8,11 @@
  * - Uses existing DHT node identity (no separate key generation)
  * - Automatic storage integration
  * - Event-based message delivery
+ * - Publisher signature verification (pushed and polled messages)
+ * - Private channels with end-to-end encrypted payloads
+ * - Owner-signed publisher policies (open, allow-list, owner-only broadcast)
+ * - Moderation by topic admins (kick, block, message removal)
+ * - Publisher edits and retractions of their own messages ('edited' / 'retracted' events)
  * - Subscription management
  * - Topic statistics
  *
@@ -40,8 +45,16 @@
 import { EventEmitter } from 'events';
 import { PublishOperation } from './PublishOperation.js';
 import { SubscribeOperation } from './SubscribeOperation.js';
+import { ModerationOperation } from './ModerationOperation.js';
 import { PubSubStorage } from './PubSubStorage.js';
 import { ChannelJoinManager } from './ChannelJoinManager.js';
+import { Message } from './Message.js';
+import { ChannelKeyring } from './ChannelKeyring.js';
+import { PrivateChannel } from './PrivateChannel.js';
+import { MessageAmendment } from './MessageAmendment.js';
+import { CoordinatorObject } from './CoordinatorObject.js';
+import { TopicPolicy } from './TopicPolicy.js';
+import { ValueResolver } from '../dht/ValueResolver.js';
 
 export class PubSubClient extends EventEmitter {
   /**
@@ -59,6 +72,11 @@ export class PubSubClient extends EventEmitter {
    */
   static DEFAULT_POLL_INTERVAL = 5000;
 
+  /**
+   * Maximum number of cached publisher public keys
+   */
+  static PUBLISHER_KEY_CACHE_SIZE = 1000;
+
   /**
    * Create new PubSubClient
    * @param {KademliaDHT} dht - DHT instance
@@ -68,6 +86,7 @@ export class PubSubClient extends EventEmitter {
    * @param {boolean} [options.enableBatching=false] - Enable batch coordinator updates
    * @param {number} [options.batchSize=10] - Batch size threshold
    * @param {number} [options.batchTime=100] - Batch time threshold (ms)
+   * @param {Function} [options.onInvalidMessage] - Called with { topic, message, errors, source } for each dropped message
    */
   constructor(dht, nodeID, keyInfo, options = {}) {
     super();
@@ -83,18 +102,39 @@ export class PubSubClient extends EventEmitter {
     this.dht = dht;
     this.nodeID = nodeID;
     this.keyInfo = keyInfo;
+    this.onInvalidMessage = options.onInvalidMessage || null;
+
+    // Let our DHT node validate the pubsub records it holds as a replica
+    if (typeof dht.registerNamespace === 'function') {
+      PubSubClient.registerNamespaces(dht);
+    }
+
+    // Publisher public keys (publisherID -> key), fetched from the DHT on first use
+    this.publisherKeys = new Map();
+    this.publisherKeyLookups = new Map(); // publisherID -> pending lookup
 
     // Create storage integration
     this.storage = new PubSubStorage(dht);
 
+    // Keys of private channels we are a member of
+    this.keyring = new ChannelKeyring(this.storage, nodeID, keyInfo, (id) => this.getPublisherKey(id));
+
     // Create operation handlers with batching support and push delivery
     this.publishOp = new PublishOperation(this.storage, nodeID, keyInfo, {
       enableBatching: options.enableBatching || false,
       batchSize: options.batchSize,
       batchTime: options.batchTime,
-      dht: dht  // Enable push delivery
+      dht: dht,  // Enable push delivery
+      getPublicKey: (id) => this.getPublisherKey(id)
+    });
+    this.subscribeOp = new SubscribeOperation(this.storage, nodeID, keyInfo, {
+      verifyMessage: (message, topicID) => this.verifyMessage(message, topicID, 'poll'),
+      keyring: this.keyring,
+      getPublicKey: (id) => this.getPublisherKey(id)
+    });
+    this.moderationOp = new ModerationOperation(this.storage, nodeID, keyInfo, {
+      getPublicKey: (id) => this.getPublisherKey(id)
     });
-    this.subscribeOp = new SubscribeOperation(this.storage, nodeID, keyInfo);
 
     // Create enhanced channel join manager
     this.channelJoinManager = new ChannelJoinManager(this, dht);
@@ -111,6 +151,7 @@ export class PubSubClient extends EventEmitter {
       messagesPublished: 0,
       messagesReceived: 0,
       publishFailures: 0,
+      invalidMessages: 0,
       subscriptions: 0
     };
 
@@ -146,7 +187,9 @@ export class PubSubClient extends EventEmitter {
     const ttl = options.ttl || PubSubClient.DEFAULT_MESSAGE_TTL;
 
     try {
-      const result = await this.publishOp.publish(topic, data, { ttl });
+      // Private channel payloads never leave this node in cleartext
+      const payload = PrivateChannel.isPrivateTopic(topic) ? await this.keyring.encrypt(topic, data) : data;
+      const result = await this.publishOp.publish(topic, payload, { ttl });
 
       this.stats.messagesPublished++;
 
@@ -174,6 +217,159 @@ export class PubSubClient extends EventEmitter {
     }
   }
 
+  /**
+   * Edit a message we published
+   * Publishes a signed amendment; subscribers see the new data in history and
+   * get an 'edited' event live.
+   * @param {string} topic - Topic name
+   * @param {string} messageID - Message to edit
+   * @param {any} newData - Replacement payload
+   * @returns {Promise<{messageID: string, version: number, attempts: number}>} - Amendment publish result
+   */
+  async edit(topic, messageID, newData) {
+    return this.amend(topic, MessageAmendment.Type.EDIT, messageID, newData);
+  }
+
+  /**
+   * Retract a message we published
+   * Publishes a signed tombstone; subscribers drop the message from history and
+   * get a 'retracted' event live.
+   * @param {string} topic - Topic name
+   * @param {string} messageID - Message to retract
+   * @returns {Promise<{messageID: string, version: number, attempts: number}>} - Amendment publish result
+   */
+  async retract(topic, messageID) {
+    return this.amend(topic, MessageAmendment.Type.RETRACT, messageID);
+  }
+
+  async amend(topic, type, messageID, data) {
+    const original = await this.storage.loadMessage(messageID);
+    if (!original || original.topicID !== topic) {
+      throw new Error(`Message ${messageID} not found in topic ${topic}`);
+    }
+    if (original.publisherID !== this.nodeID) {
+      throw new Error('Only the original publisher can amend a message');
+    }
+
+    // The amendment lives as long as the message it amends
+    const ttl = original.expiresAt - Date.now();
+    if (ttl <= 0) {
+      throw new Error(`Message ${messageID} has expired`);
+    }
+
+    return this.publish(topic, MessageAmendment.createData(type, messageID, data), { ttl });
+  }
+
+  /**
+   * Create a private channel
+   * Payloads are encrypted with a channel key that only members can unwrap.
+   * Publish and subscribe to the returned topicID as usual.
+   * @param {Array<string>} members - Member node IDs (we are added as owner)
+   * @returns {Promise<{topicID: string, members: Array<string>, epoch: number}>}
+   */
+  async createPrivateChannel(members) {
+    const channel = await this.keyring.create(members);
+    return { topicID: channel.topicID, members: channel.members, epoch: channel.currentEpoch };
+  }
+
+  /**
+   * Add a member to a private channel we own
+   * @param {string} topic - Channel topic ID
+   * @param {string} memberID - Member node ID
+   * @returns {Promise<{topicID: string, members: Array<string>, epoch: number}>}
+   */
+  async addChannelMember(topic, memberID) {
+    const channel = await this.keyring.addMember(topic, memberID);
+    return { topicID: channel.topicID, members: channel.members, epoch: channel.currentEpoch };
+  }
+
+  /**
+   * Remove a member from a private channel we own (rotates the channel key)
+   * @param {string} topic - Channel topic ID
+   * @param {string} memberID - Member node ID
+   * @returns {Promise<{topicID: string, members: Array<string>, epoch: number}>}
+   */
+  async removeChannelMember(topic, memberID) {
+    const channel = await this.keyring.removeMember(topic, memberID);
+    return { topicID: channel.topicID, members: channel.members, epoch: channel.currentEpoch };
+  }
+
+  /**
+   * Set or update who may publish to a topic
+   * The first node to set a policy becomes the topic owner; only the owner can
+   * update it later (each update bumps the policy version).
+   * @param {string} topic - Topic name
+   * @param {Object} settings - Policy settings
+   * @param {string} settings.mode - TopicPolicy.Mode.OPEN, ALLOW_LIST or OWNER_ONLY
+   * @param {Array<string>} [settings.publishers] - Allowed publisher IDs (ALLOW_LIST)
+   * @param {Array<string>} [settings.admins] - Moderators (may kick, block and remove messages)
+   * @returns {Promise<{topicID: string, ownerID: string, mode: string, publishers: Array<string>, admins: Array<string>, blocked: Array<string>, version: number}>}
+   */
+  async setTopicPolicy(topic, settings) {
+    const policy = await this.publishOp.setPolicy(topic, settings);
+    return this.applyTopicPolicy(policy);
+  }
+
+  /**
+   * Remove a subscriber from a topic we moderate
+   * @param {string} topic - Topic name
+   * @param {string} subscriberID - Subscriber node ID
+   * @param {Object} [options] - { block } also block it from publishing
+   * @returns {Promise<{removed: boolean, version: number}>}
+   */
+  async kickSubscriber(topic, subscriberID, options = {}) {
+    const result = await this.moderationOp.kick(topic, subscriberID);
+    if (options.block) {
+      await this.blockPublisher(topic, subscriberID);
+    }
+    return result;
+  }
+
+  /**
+   * Block a publisher on a topic we moderate
+   * @param {string} topic - Topic name
+   * @param {string} publisherID - Publisher node ID
+   * @returns {Promise<Object>} - Policy in effect (see setTopicPolicy)
+   */
+  async blockPublisher(topic, publisherID) {
+    return this.applyTopicPolicy(await this.moderationOp.setBlocked(topic, publisherID, true));
+  }
+
+  /**
+   * Unblock a publisher on a topic we moderate
+   * @param {string} topic - Topic name
+   * @param {string} publisherID - Publisher node ID
+   * @returns {Promise<Object>} - Policy in effect (see setTopicPolicy)
+   */
+  async unblockPublisher(topic, publisherID) {
+    return this.applyTopicPolicy(await this.moderationOp.setBlocked(topic, publisherID, false));
+  }
+
+  /**
+   * Remove a message from a topic we moderate
+   * Subscribers hide it from history and live delivery once they see the retraction.
+   * @param {string} topic - Topic name
+   * @param {string} messageID - Message ID
+   * @returns {Promise<Object>} - Signed retraction
+   */
+  async removeMessage(topic, messageID) {
+    return this.moderationOp.removeMessage(topic, messageID);
+  }
+
+  applyTopicPolicy(policy) {
+    this.publishOp.policies.set(policy.topicID, policy);
+    this.subscribeOp.policies.set(policy.topicID, policy);
+    return {
+      topicID: policy.topicID,
+      ownerID: policy.ownerID,
+      mode: policy.mode,
+      publishers: policy.publishers,
+      admins: policy.admins,
+      blocked: policy.blocked,
+      version: policy.version
+    };
+  }
+
   /**
    * Enhanced channel join with timeout, retry, and progress feedback
    * @param {string} channelId - Channel ID to join
@@ -222,6 +418,10 @@ export class PubSubClient extends EventEmitter {
 
       this.stats.messagesReceived++;
 
+      if (await this.deliverAmendment(topic, message)) {
+        return;
+      }
+
       // Emit topic-specific event
       this.emit(topic, message);
 
@@ -447,6 +647,9 @@ export class PubSubClient extends EventEmitter {
       messagesPublished: this.stats.messagesPublished,
       messagesReceived: this.stats.messagesReceived,
       publishFailures: this.stats.publishFailures,
+      invalidMessages: this.stats.invalidMessages,
+      cachedPublisherKeys: this.publisherKeys.size,
+      privateChannels: this.keyring.getStats(),
       activeSubscriptions: subscriptions.length,
       isPolling: this.isPolling,
       subscriptions: subscriptions.map(sub => ({
@@ -530,7 +733,10 @@ export class PubSubClient extends EventEmitter {
    * @returns {Promise<Array<{messageID: string, version: number}>>}
    */
   async batchPublish(topic, dataArray, options = {}) {
-    const results = await this.publishOp.batchPublish(topic, dataArray, options);
+    const payloads = PrivateChannel.isPrivateTopic(topic)
+      ? await Promise.all(dataArray.map(data => this.keyring.encrypt(topic, data)))
+      : dataArray;
+    const results = await this.publishOp.batchPublish(topic, payloads, options);
 
     this.stats.messagesPublished += results.filter(r => r.success).length;
     this.stats.publishFailures += results.filter(r => !r.success).length;
@@ -554,6 +760,7 @@ export class PubSubClient extends EventEmitter {
       messagesPublished: 0,
       messagesReceived: 0,
       publishFailures: 0,
+      invalidMessages: 0,
       subscriptions: 0
     };
   }
@@ -602,6 +809,171 @@ export class PubSubClient extends EventEmitter {
     }
   }
 
+  /**
+   * Verify a received message against its publisher's public key
+   * Invalid messages are counted and reported to onInvalidMessage.
+   * @param {Object} message - Message (instance or serialized)
+   * @param {string} topicID - Topic the message is being delivered for
+   * @param {string} source - 'push' or 'poll'
+   * @returns {Promise<boolean>} - True if the message may be delivered
+   */
+  async verifyMessage(message, topicID, source) {
+    let errors;
+
+    try {
+      const candidate = message instanceof Message ? message : Message.deserialize(message);
+      if (candidate.topicID !== topicID) {
+        errors = [`Topic mismatch: expected ${topicID}, got ${candidate.topicID}`];
+      } else {
+        const publicKey = await this.getPublisherKey(candidate.publisherID);
+        errors = publicKey
+          ? (await candidate.validate(publicKey)).errors
+          : ['Publisher public key not found'];
+      }
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (errors.length === 0) {
+      return true;
+    }
+
+    this.stats.invalidMessages++;
+    console.warn(`   ⚠️ [Verify] Dropped ${source} message ${String(message?.messageID).substring(0, 8)}... for topic ${topicID.substring(0, 8)}...: ${errors.join(', ')}`);
+
+    if (this.onInvalidMessage) {
+      try {
+        this.onInvalidMessage({ topic: topicID, message, errors, source });
+      } catch (error) {
+        console.error(`   ❌ [Verify] Error in onInvalidMessage hook: ${error.message}`);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Emit 'edited' / 'retracted' for a live amendment message
+   * The amendment's signature is already verified; it only applies if its
+   * publisher also published the original message. The original is loaded
+   * from the DHT, so it is verified (signature and messageID) before its
+   * publisherID is trusted.
+   * @param {string} topic - Topic the message was delivered for
+   * @param {Object} message - Verified, decrypted message
+   * @returns {Promise<boolean>} - True if the message was an amendment (handled or ignored)
+   */
+  async deliverAmendment(topic, message) {
+    const amendment = MessageAmendment.parse(message);
+    if (!amendment) {
+      return false;
+    }
+
+    let original = await this.storage.loadMessage(amendment.messageID);
+    if (original && (original.messageID !== amendment.messageID || !await this.verifyMessage(original, topic, 'poll'))) {
+      original = null;
+    }
+
+    const error = MessageAmendment.check(message, original);
+    if (error) {
+      console.warn(`   ⚠️ Ignoring amendment ${message.messageID.substring(0, 8)}... of ${amendment.messageID.substring(0, 8)}...: ${error}`);
+      return true;
+    }
+
+    if (amendment.type === MessageAmendment.Type.EDIT) {
+      this.emit('edited', {
+        topic,
+        messageID: amendment.messageID,
+        publisherID: message.publisherID,
+        data: amendment.data,
+        editedAt: message.publishedAt
+      });
+    } else {
+      this.emit('retracted', {
+        topic,
+        messageID: amendment.messageID,
+        publisherID: message.publisherID,
+        retractedAt: message.publishedAt
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Register the DHT namespaces of pubsub records (see KademliaDHT.registerNamespace)
+   * - coordinator: topics with a publisher policy only accept updates the policy
+   *   allows; coordinators that diverged on both sides of a partition are merged
+   * - channel: private channel records must be signed by the owner their topic ID
+   *   is derived from, so a forged record with a higher version never wins a quorum read
+   * @param {Object} dht - KademliaDHT instance
+   */
+  static registerNamespaces(dht) {
+    const getPublicKey = async (nodeId) => (await dht.resolvePeerPublicKey(nodeId)) || dht.getPublicKey(nodeId);
+
+    dht.registerNamespace('coordinator:', {
+      validate: (value, key) => TopicPolicy.checkCoordinator(value, dht.getStoredRecord(key)?.value, getPublicKey),
+      merge: (values) => values
+        .map(value => CoordinatorObject.deserialize(value))
+        .reduce((merged, coordinator) => merged.merge(coordinator))
+        .serialize()
+    });
+
+    dht.registerNamespace('channel:', {
+      validate: async (value, key) => {
+        const channel = PrivateChannel.deserialize(value);
+        if (key !== `channel:${channel.topicID}`) {
+          return { valid: false, error: 'Channel record does not match its key' };
+        }
+        const validation = channel.validate();
+        if (!validation.valid) {
+          return { valid: false, error: validation.errors.join(', ') };
+        }
+        const ownerKey = await getPublicKey(channel.ownerID);
+        if (!ownerKey || !await channel.verify(ownerKey)) {
+          return { valid: false, error: 'Channel record is not signed by its owner' };
+        }
+        return true;
+      },
+      select: ValueResolver.STRATEGIES.version
+    });
+  }
+
+  /**
+   * Get a publisher's public key (cached, otherwise looked up in the DHT)
+   * The DHT decides which published keys it trusts (see KademliaDHT.isAcceptedPublicKey).
+   * @param {string} publisherID - Publisher node ID
+   * @returns {Promise<string|null>} - Public key, or null if not published
+   */
+  async getPublisherKey(publisherID) {
+    if (publisherID === this.nodeID) {
+      return this.keyInfo.publicKey;
+    }
+
+    const cached = this.publisherKeys.get(publisherID);
+    if (cached) {
+      return cached;
+    }
+
+    // Share one DHT lookup between messages from the same publisher
+    let lookup = this.publisherKeyLookups.get(publisherID);
+    if (!lookup) {
+      lookup = this.dht.getPublicKey(publisherID)
+        .catch(() => null)
+        .finally(() => this.publisherKeyLookups.delete(publisherID));
+      this.publisherKeyLookups.set(publisherID, lookup);
+    }
+
+    const publicKey = await lookup;
+    if (!publicKey) {
+      return null; // Not cached, so the next message retries the lookup
+    }
+
+    if (!this.publisherKeys.has(publisherID) && this.publisherKeys.size >= PubSubClient.PUBLISHER_KEY_CACHE_SIZE) {
+      this.publisherKeys.delete(this.publisherKeys.keys().next().value);
+    }
+    this.publisherKeys.set(publisherID, publicKey);
+    return publicKey;
+  }
+
   /**
    * Setup push message handler (Phase 3)
    *
@@ -613,7 +985,7 @@ export class PubSubClient extends EventEmitter {
    */
   setupPushHandler() {
     // Register handler for push messages from DHT (receiving notifications)
-    this.dht.on('message', (msg) => {
+    this.dht.on('message', async (msg) => {
       // Only handle pubsub_push messages
       if (msg.type !== 'pubsub_push') {
         return;
@@ -636,6 +1008,21 @@ export class PubSubClient extends EventEmitter {
           return;
         }
 
+        // Anyone can send a pubsub_push - only deliver messages signed by their publisher
+        if (!await this.verifyMessage(message, topicID, 'push')) {
+          return;
+        }
+
+        if (!this.subscribeOp.isDeliverable(topicID, message)) {
+          console.warn(`   🚫 [Push] Dropping message ${message.messageID.substring(0, 8)}... (blocked by topic policy or retracted)`);
+          return;
+        }
+
+        const delivered = await this.subscribeOp.decryptMessage(message, topicID);
+        if (!delivered) {
+          return;
+        }
+
         // Mark message as received
         this.markMessageReceived(message);
 
@@ -643,8 +1030,12 @@ export class PubSubClient extends EventEmitter {
         this.stats.messagesReceived++;
         this.stats.pushNotifications = (this.stats.pushNotifications || 0) + 1;
 
+        if (await this.deliverAmendment(topicID, delivered)) {
+          return;
+        }
+
         // Emit message to topic listeners (same as polling delivery)
-        this.emit(topicID, message);
+        this.emit(topicID, delivered);
 
         console.log(`   ✅ [Push] Delivered message ${message.messageID.substring(0, 8)}... to topic listeners`);
 
@@ -717,8 +1108,10 @@ export class PubSubClient extends EventEmitter {
       }
     }
 
-    // Clear deduplication cache
+    // Clear deduplication and publisher key caches
     this.receivedMessages.clear();
+    this.publisherKeys.clear();
+    this.keyring.clear();
 
     // Remove all listeners
     this.removeAllListeners();
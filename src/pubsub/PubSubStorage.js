@@ -10,6 +10,7 @@
  * - SubscriberCollection: collectionID -> SubscriberCollection
  * - Message: messageID -> Message
  * - Snapshot: snapshotID -> CoordinatorSnapshot
+ * - PrivateChannel: channel:topicID -> PrivateChannel (membership and wrapped keys)
  *
  * Integration:
  * - Uses KademliaDHT.store() and KademliaDHT.get() methods
@@ -22,8 +23,14 @@ import { MessageCollection } from './MessageCollection.js';
 import { SubscriberCollection } from './SubscriberCollection.js';
 import { Message } from './Message.js';
 import { CoordinatorSnapshot } from './CoordinatorSnapshot.js';
+import { PrivateChannel } from './PrivateChannel.js';
 
 export class PubSubStorage {
+  /**
+   * Replicas consulted when loading a coordinator (highest version wins, stale replicas repaired)
+   */
+  static COORDINATOR_READ_QUORUM = 3;
+
   /**
    * Create new PubSubStorage instance
    * @param {KademliaDHT} dht - DHT instance for storage/retrieval
@@ -87,7 +94,11 @@ export class PubSubStorage {
     try {
       // ALWAYS fetch from network - coordinators are mutable data that MUST NOT be cached locally
       // Local caching of coordinators is architecturally wrong - they change frequently
-      const data = await this.dht.getFromNetwork(key);
+      // Quorum read so a single stale replica can't hand back an old version
+      const data = await this.dht.getFromNetwork(key, {
+        quorum: PubSubStorage.COORDINATOR_READ_QUORUM,
+        resolve: 'version'
+      });
       if (!data) {
         console.log(`   Coordinator not found for topic ${topicID.substring(0, 8)}...`);
         return null;
@@ -113,8 +124,11 @@ export class PubSubStorage {
     console.log(`🔍 Loading coordinator (resilient) for topic ${topicID.substring(0, 8)}...`);
 
     try {
-      // First attempt: Try normal network fetch
-      const data = await this.dht.getFromNetwork(key);
+      // First attempt: Try normal network fetch (quorum read, see loadCoordinator)
+      const data = await this.dht.getFromNetwork(key, {
+        quorum: PubSubStorage.COORDINATOR_READ_QUORUM,
+        resolve: 'version'
+      });
       if (data) {
         const coordinator = CoordinatorObject.deserialize(data);
         console.log(`   ✅ Loaded coordinator (version ${coordinator.version}) from network`);
@@ -198,16 +212,23 @@ export class PubSubStorage {
    * @returns {Promise<{success: boolean, conflict: boolean, currentVersion?: number}>}
    */
   async storeCoordinatorWithVersionCheck(newCoordinator, expectedVersion) {
-    // Use atomic compare-and-swap if available (for proper concurrency testing)
+    // Use atomic compare-and-swap if available (KademliaDHT cas_store quorum write)
     if (typeof this.dht.compareAndSwapCoordinator === 'function') {
-      return await this.dht.compareAndSwapCoordinator(
+      const result = await this.dht.compareAndSwapCoordinator(
         newCoordinator.topicID,
         newCoordinator,
         expectedVersion
       );
+
+      // Conflicting coordinator comes back as stored (serialized) data - callers merge with it
+      if (result.currentCoordinator && !(result.currentCoordinator instanceof CoordinatorObject)) {
+        result.currentCoordinator = CoordinatorObject.deserialize(result.currentCoordinator);
+      }
+
+      return result;
     }
 
-    // Fallback to non-atomic version (for real DHT usage)
+    // Fallback to non-atomic version (for DHTs without compare-and-swap support)
     // Load current coordinator
     const currentCoordinator = await this.loadCoordinator(newCoordinator.topicID);
 
@@ -493,6 +514,56 @@ export class PubSubStorage {
     return chain;
   }
 
+  // ==========================================
+  // PRIVATE CHANNEL OPERATIONS
+  // ==========================================
+
+  /**
+   * Store private channel record in DHT
+   * @param {PrivateChannel} channel - Channel record to store
+   * @returns {Promise<boolean>} - True if storage succeeded
+   */
+  async storeChannel(channel) {
+    if (!(channel instanceof PrivateChannel)) {
+      throw new Error('Expected PrivateChannel instance');
+    }
+
+    const validation = channel.validate();
+    if (!validation.valid) {
+      throw new Error(`Invalid private channel: ${validation.errors.join(', ')}`);
+    }
+
+    const key = `channel:${channel.topicID}`;
+    console.log(`💾 Storing private channel ${channel.topicID.substring(0, 16)}... (version ${channel.version}, epoch ${channel.currentEpoch})`);
+    return await this.dht.store(key, channel.serialize());
+  }
+
+  /**
+   * Load private channel record from DHT
+   * Mutable like coordinators, so always fetched from the network (highest version wins)
+   * @param {string} topicID - Channel topic ID
+   * @returns {Promise<PrivateChannel|null>} - Channel record or null if not found
+   */
+  async loadChannel(topicID) {
+    const key = `channel:${topicID}`;
+
+    try {
+      const data = await this.dht.getFromNetwork(key, {
+        quorum: PubSubStorage.COORDINATOR_READ_QUORUM,
+        resolve: 'version'
+      });
+      if (!data) {
+        console.log(`   Private channel ${topicID.substring(0, 16)}... not found`);
+        return null;
+      }
+
+      return PrivateChannel.deserialize(data);
+    } catch (error) {
+      console.error(`   ❌ Failed to load private channel: ${error.message}`);
+      return null;
+    }
+  }
+
   // ==========================================
   // UTILITY METHODS
   // ==========================================
@@ -13,6 +13,10 @@
  * 5. If conflict: merge and retry
  * 6. If repeated failures: catastrophic recovery
  *
+ * Topics with a TopicPolicy only accept publishers the policy allows: we refuse
+ * to publish when it excludes us, and stamp every coordinator update so the
+ * replicas can check it too.
+ *
  * Integration:
  * - Uses PubSubStorage for DHT operations
  * - Uses CoordinatorObject for state management
@@ -23,6 +27,7 @@ import { Message } from './Message.js';
 import { MessageCollection } from './MessageCollection.js';
 import { CoordinatorObject } from './CoordinatorObject.js';
 import { MessageDelivery } from './MessageDelivery.js';
+import { TopicPolicy } from './TopicPolicy.js';
 
 export class PublishOperation {
   /**
@@ -60,6 +65,7 @@ export class PublishOperation {
    * @param {number} [options.batchSize] - Batch size threshold
    * @param {number} [options.batchTime] - Batch time threshold (ms)
    * @param {KademliaDHT} [options.dht] - DHT instance for push delivery
+   * @param {Function} [options.getPublicKey] - (nodeID) => Promise<string|null>, verifies topic policies
    */
   constructor(storage, publisherID, keyInfo, options = {}) {
     if (!storage) throw new Error('PublishOperation requires storage');
@@ -73,6 +79,10 @@ export class PublishOperation {
     // Per-topic sequence tracking
     this.sequences = new Map(); // topicID -> next sequence number
 
+    // Newest verified publisher policy per topic
+    this.policies = new Map(); // topicID -> TopicPolicy
+    this.getPublicKey = options.getPublicKey || ((nodeID) => this.storage.dht.getPublicKey(nodeID));
+
     // Batch processing configuration
     this.enableBatching = options.enableBatching || false;
     this.batchSize = options.batchSize || PublishOperation.DEFAULT_BATCH_SIZE;
@@ -118,6 +128,9 @@ export class PublishOperation {
 
     console.log(`📤 Publishing to topic ${topicID.substring(0, 8)}...`);
 
+    // Don't store anything for a topic whose known policy excludes us
+    await this.checkKnownPolicy(topicID);
+
     // CRITICAL: Store message FIRST before coordinator update
     // This ensures message survives any coordinator conflicts
     const message = new Message({
@@ -144,8 +157,9 @@ export class PublishOperation {
     // Now attempt coordinator update with infinite retry
     let attempt = 0;
     let backoffMs = PublishOperation.INITIAL_BACKOFF;
+    let policyDenial = null;
 
-    while (true) { // Infinite retry - failure is not an option
+    while (true) { // Infinite retry - failure is not an option (unless the topic policy excludes us)
       attempt++;
       console.log(`   🔄 Coordinator update attempt ${attempt}...`);
 
@@ -160,6 +174,11 @@ export class PublishOperation {
         const currentVersion = coordinator.version;
         console.log(`   📊 Current coordinator version: ${currentVersion}`);
 
+        policyDenial = this.getPolicyDenial(await this.loadPolicy(coordinator));
+        if (policyDenial) {
+          break;
+        }
+
         // Update message with correct addedInVersion
         message.addedInVersion = currentVersion + 1;
 
@@ -206,7 +225,7 @@ export class PublishOperation {
         }
 
         // Update coordinator with new message collection
-        const updatedCoordinator = finalCoordinator.updateMessages(updatedCollection.collectionID);
+        const updatedCoordinator = await this.stampCoordinator(finalCoordinator.updateMessages(updatedCollection.collectionID));
 
         // Store coordinator with version check (optimistic locking)
         const storeResult = await this.storage.storeCoordinatorWithVersionCheck(
@@ -217,10 +236,16 @@ export class PublishOperation {
         if (storeResult.conflict) {
           // VERSION CONFLICT - merge and retry
           console.warn(`   ⚠️ Version conflict: expected ${currentVersion}, found ${storeResult.currentVersion}`);
+
+          // The policy may have changed under us
+          policyDenial = this.getPolicyDenial(await this.loadPolicy(storeResult.currentCoordinator));
+          if (policyDenial) {
+            break;
+          }
           console.log(`   🔀 Merging coordinators...`);
 
           // Merge our changes with current state
-          const merged = updatedCoordinator.merge(storeResult.currentCoordinator);
+          const merged = await this.mergeConflict(updatedCoordinator, updatedCollection, storeResult.currentCoordinator);
           console.log(`   ✅ Merged coordinator (version ${merged.version})`);
 
           // Try to store the merged coordinator (this could also conflict, but that's fine - we'll retry)
@@ -323,6 +348,9 @@ export class PublishOperation {
         backoffMs *= 2;
       }
     }
+
+    console.warn(`   🚫 ${policyDenial}`);
+    throw new Error(policyDenial);
   }
 
   /**
@@ -526,6 +554,8 @@ export class PublishOperation {
    * @returns {Promise<{success: boolean, version: number, attempts: number}>}
    */
   async publishBatchInternal(topicID, messages) {
+    await this.checkKnownPolicy(topicID);
+
     // CRITICAL: Store ALL messages FIRST before coordinator update
     console.log(`   💾 Storing ${messages.length} messages in DHT...`);
     for (const message of messages) {
@@ -535,6 +565,7 @@ export class PublishOperation {
     // Now update coordinator with ALL messages in single operation
     let attempt = 0;
     let backoffMs = PublishOperation.INITIAL_BACKOFF;
+    let policyDenial = null;
 
     while (true) {
       attempt++;
@@ -549,6 +580,11 @@ export class PublishOperation {
 
         const currentVersion = coordinator.version;
 
+        policyDenial = this.getPolicyDenial(await this.loadPolicy(coordinator));
+        if (policyDenial) {
+          break;
+        }
+
         // Load or create message collection
         let messageCollection;
         if (coordinator.currentMessages) {
@@ -587,7 +623,7 @@ export class PublishOperation {
         }
 
         // Update coordinator with new message collection
-        const updatedCoordinator = finalCoordinator.updateMessages(updatedCollection.collectionID);
+        const updatedCoordinator = await this.stampCoordinator(finalCoordinator.updateMessages(updatedCollection.collectionID));
 
         // Store coordinator with version check (optimistic locking)
         const storeResult = await this.storage.storeCoordinatorWithVersionCheck(
@@ -598,35 +634,14 @@ export class PublishOperation {
         if (storeResult.conflict) {
           // VERSION CONFLICT - merge message collections first, then coordinators
           console.warn(`   ⚠️ Version conflict: expected ${currentVersion}, found ${storeResult.currentVersion}`);
-          console.log(`   🔀 Merging message collections...`);
-
-          // Load BOTH message collections
-          const ourCollection = updatedCollection;
-          const theirCollectionID = storeResult.currentCoordinator.currentMessages;
-          let mergedCollection = ourCollection;
-
-          if (theirCollectionID && theirCollectionID !== updatedCollection.collectionID) {
-            const theirCollection = await this.storage.loadMessageCollection(theirCollectionID);
-            if (theirCollection) {
-              // Merge message collections - add all their messages to ours
-              for (const theirMsg of theirCollection.messages) {
-                const alreadyHave = mergedCollection.messages.find(m => m.messageID === theirMsg.messageID);
-                if (!alreadyHave) {
-                  mergedCollection = mergedCollection.addMessage(theirMsg);
-                }
-              }
-              console.log(`   📚 Merged collections: ${ourCollection.size()} + ${theirCollection.size()} = ${mergedCollection.size()} messages`);
 
-              // Store merged collection
-              await this.storage.storeMessageCollection(mergedCollection);
-            }
+          policyDenial = this.getPolicyDenial(await this.loadPolicy(storeResult.currentCoordinator));
+          if (policyDenial) {
+            break;
           }
+          console.log(`   🔀 Merging message collections...`);
 
-          // Update our coordinator to point to merged collection
-          const updatedWithMergedCollection = finalCoordinator.updateMessages(mergedCollection.collectionID);
-
-          // Now merge coordinators
-          const merged = updatedWithMergedCollection.merge(storeResult.currentCoordinator);
+          const merged = await this.mergeConflict(updatedCoordinator, updatedCollection, storeResult.currentCoordinator);
           console.log(`   ✅ Merged coordinator (version ${merged.version})`);
 
           // Try to store the merged coordinator
@@ -690,6 +705,164 @@ export class PublishOperation {
         backoffMs *= 2;
       }
     }
+
+    console.warn(`   🚫 ${policyDenial}`);
+    throw new Error(policyDenial);
+  }
+
+  /**
+   * Set or update the publisher policy of a topic (first setter becomes its owner)
+   * @param {string} topicID - Topic ID
+   * @param {Object} settings - Policy settings
+   * @param {string} settings.mode - One of TopicPolicy.Mode
+   * @param {Array<string>} [settings.publishers] - Allowed publisher IDs (ALLOW_LIST)
+   * @returns {Promise<TopicPolicy>} - Stored policy
+   * @throws {Error} If another node owns the topic policy, or a first policy is set after publishing
+   */
+  async setPolicy(topicID, settings) {
+    let attempt = 0;
+    let backoffMs = PublishOperation.INITIAL_BACKOFF;
+
+    while (attempt < PublishOperation.CATASTROPHIC_THRESHOLD) {
+      attempt++;
+
+      const coordinator = await this.storage.loadCoordinatorResilient(topicID) || CoordinatorObject.createInitial(topicID);
+      const { policy: current, error } = await TopicPolicy.fromCoordinator(coordinator, this.getPublicKey);
+      if (coordinator.policy && !current) {
+        throw new Error(`Cannot verify current topic policy: ${error}`);
+      }
+      if (!current && TopicPolicy.hasMessages(coordinator)) {
+        throw new Error('Topic already has messages, a policy must be set before publishing');
+      }
+
+      const policy = await TopicPolicy.create(topicID, this.publisherID, this.keyInfo, settings, current);
+
+      // As owner we vouch for the current messages, so the coordinator stays valid under the new policy
+      const updated = await this.stampCoordinator(coordinator.updatePolicy(policy.serialize()));
+      const storeResult = await this.storage.storeCoordinatorWithVersionCheck(updated, coordinator.version);
+
+      if (!storeResult.conflict) {
+        if (!storeResult.success) {
+          throw new Error('Failed to store topic policy');
+        }
+        this.policies.set(topicID, policy);
+        console.log(`🛡️ Topic ${topicID.substring(0, 8)}... policy set to ${policy.mode} (version ${policy.version})`);
+        return policy;
+      }
+
+      console.warn(`   ⚠️ Version conflict while setting topic policy, retrying...`);
+      await this.sleep(Math.min(backoffMs, PublishOperation.MAX_BACKOFF));
+      backoffMs *= 2;
+    }
+
+    throw new Error(`Failed to set topic policy after ${attempt} attempts`);
+  }
+
+  /**
+   * Verified policy of a coordinator, or the newest one we know for the topic
+   * @param {CoordinatorObject} coordinator - Loaded coordinator
+   * @returns {Promise<TopicPolicy|null>}
+   */
+  async loadPolicy(coordinator) {
+    const known = this.policies.get(coordinator.topicID) || null;
+    const { policy, error } = await TopicPolicy.fromCoordinator(coordinator, this.getPublicKey);
+    if (error) {
+      console.warn(`   ⚠️ Ignoring topic policy of ${coordinator.topicID.substring(0, 8)}...: ${error}`);
+    }
+
+    const selected = TopicPolicy.select(known, policy);
+    if (selected) {
+      this.policies.set(coordinator.topicID, selected);
+    }
+    return selected;
+  }
+
+  /**
+   * Refuse to publish if the policy we know for the topic excludes us
+   * A denial is re-checked against the stored coordinator first, since admins
+   * may have unblocked or allowed us since we cached the policy.
+   * @param {string} topicID - Topic ID
+   * @throws {Error} If the current policy excludes us
+   */
+  async checkKnownPolicy(topicID) {
+    if (!this.getPolicyDenial(this.policies.get(topicID))) {
+      return;
+    }
+
+    const coordinator = await this.storage.loadCoordinator(topicID);
+    const denial = this.getPolicyDenial(coordinator ? await this.loadPolicy(coordinator) : this.policies.get(topicID));
+    if (denial) {
+      throw new Error(denial);
+    }
+  }
+
+  /**
+   * Reason we may not publish under a policy, or null if we may
+   * @param {TopicPolicy|null} policy - Topic policy
+   * @returns {string|null}
+   */
+  getPolicyDenial(policy) {
+    if (!policy || policy.allows(this.publisherID)) {
+      return null;
+    }
+    return `Publisher ${this.publisherID.substring(0, 8)}... is not allowed to publish to topic ${policy.topicID.substring(0, 8)}... (${policy.mode})`;
+  }
+
+  /**
+   * Sign a publish stamp for the coordinator's message collection (topics with a policy)
+   * @param {CoordinatorObject} coordinator - Coordinator about to be stored
+   * @returns {Promise<CoordinatorObject>}
+   */
+  async stampCoordinator(coordinator) {
+    if (!coordinator.policy || !coordinator.currentMessages) {
+      return coordinator;
+    }
+
+    const stamp = await TopicPolicy.signPublishStamp(
+      coordinator.topicID,
+      coordinator.currentMessages,
+      this.publisherID,
+      this.keyInfo
+    );
+    return coordinator.withPublishStamp(stamp);
+  }
+
+  /**
+   * Resolve a version conflict: add the messages of the stored coordinator's collection
+   * to ours, merge the coordinators and point the result at the merged collection.
+   * Neither side's publish stamp covers the merged collection, so we stamp it again.
+   * @param {CoordinatorObject} ourCoordinator - Coordinator that failed the version check
+   * @param {MessageCollection} ourCollection - Collection our coordinator points to
+   * @param {CoordinatorObject} theirCoordinator - Coordinator currently stored
+   * @returns {Promise<CoordinatorObject>} - Merged coordinator, ready to store
+   */
+  async mergeConflict(ourCoordinator, ourCollection, theirCoordinator) {
+    const theirCollectionID = theirCoordinator.currentMessages;
+    let mergedCollection = ourCollection;
+
+    if (theirCollectionID && theirCollectionID !== ourCollection.collectionID) {
+      const theirCollection = await this.storage.loadMessageCollection(theirCollectionID);
+      if (theirCollection) {
+        // Merge message collections - add all their messages to ours
+        for (const theirMsg of theirCollection.messages) {
+          const alreadyHave = mergedCollection.messages.find(m => m.messageID === theirMsg.messageID);
+          if (!alreadyHave) {
+            mergedCollection = mergedCollection.addMessage(theirMsg);
+          }
+        }
+        console.log(`   📚 Merged collections: ${ourCollection.size()} + ${theirCollection.size()} = ${mergedCollection.size()} messages`);
+
+        // Store merged collection
+        await this.storage.storeMessageCollection(mergedCollection);
+      }
+    }
+
+    // merge() keeps the current collection of the newer coordinator, which is usually theirs
+    const merged = ourCoordinator.merge(theirCoordinator);
+    if (merged.currentMessages === mergedCollection.collectionID) {
+      return this.stampCoordinator(merged);
+    }
+    return this.stampCoordinator(merged.updateMessages(mergedCollection.collectionID));
   }
 
   /**
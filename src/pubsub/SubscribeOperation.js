@@ -20,11 +20,21 @@
  * - Uses PubSubStorage for DHT operations
  * - Uses SubscriberCollection for immutable subscriber tracking
  * - Uses InvitationToken for signature generation
+ * - Drops messages from publishers the topic's TopicPolicy doesn't allow
+ * - Hides messages retracted by topic admins (retractions in the coordinator)
+ * - Drops messages rejected by the verifyMessage option (publisher signature check)
+ * - Decrypts private channel messages with the keyring option (ChannelKeyring)
+ * - Applies publisher edits and retractions to history (MessageAmendment)
  */
 
 import { SubscriberCollection } from './SubscriberCollection.js';
 import { CoordinatorObject } from './CoordinatorObject.js';
 import { InvitationToken } from '../core/InvitationToken.js';
+import { Message } from './Message.js';
+import { PrivateChannel } from './PrivateChannel.js';
+import { isEncryptedData } from './ChannelEncryption.js';
+import { TopicPolicy } from './TopicPolicy.js';
+import { MessageAmendment } from './MessageAmendment.js';
 
 export class SubscribeOperation {
   /**
@@ -37,8 +47,12 @@ export class SubscribeOperation {
    * @param {PubSubStorage} storage - Storage instance
    * @param {string} subscriberID - Subscriber node ID
    * @param {Object} keyInfo - Subscriber's key info for signing
+   * @param {Object} options - Operation options
+   * @param {Function} [options.verifyMessage] - (message, topicID) => Promise<boolean>, applied before delivery
+   * @param {ChannelKeyring} [options.keyring] - Channel keys for decrypting private channel messages
+   * @param {Function} [options.getPublicKey] - (nodeID) => Promise<string|null>, verifies topic policies
    */
-  constructor(storage, subscriberID, keyInfo) {
+  constructor(storage, subscriberID, keyInfo, options = {}) {
     if (!storage) throw new Error('SubscribeOperation requires storage');
     if (!subscriberID) throw new Error('SubscribeOperation requires subscriberID');
     if (!keyInfo) throw new Error('SubscribeOperation requires keyInfo');
@@ -46,6 +60,13 @@ export class SubscribeOperation {
     this.storage = storage;
     this.subscriberID = subscriberID;
     this.keyInfo = keyInfo;
+    this.verifyMessage = options.verifyMessage || null;
+    this.keyring = options.keyring || null;
+    this.getPublicKey = options.getPublicKey || ((nodeID) => this.storage.dht.getPublicKey(nodeID));
+
+    // Newest verified publisher policy and admin retractions per topic
+    this.policies = new Map(); // topicID -> TopicPolicy
+    this.retractions = new Map(); // topicID -> Map<messageID, retraction>
 
     // Active subscriptions
     this.subscriptions = new Map(); // topicID -> {lastSeenVersion, coordinatorNode, messageHandler}
@@ -182,6 +203,8 @@ export class SubscribeOperation {
 
   /**
    * Load all historical non-expired messages for topic
+   * Edits and retractions by the original publisher are applied; edited
+   * messages carry the new data and an editedAt timestamp.
    * @param {string} topicID - Topic ID
    * @param {CoordinatorObject} coordinator - Current coordinator
    * @returns {Promise<Array<Message>>} - Array of historical messages
@@ -206,7 +229,11 @@ export class SubscribeOperation {
 
     // Load actual messages (parallel)
     const messageIDs = activeMetadata.map(m => m.messageID);
-    const messages = await this.storage.loadMessages(messageIDs);
+    const policy = await this.loadPolicy(topicID, coordinator);
+    await this.loadRetractions(topicID, coordinator, policy);
+    const allowed = this.filterAllowed(await this.storage.loadMessages(messageIDs), topicID, policy);
+    const verified = await this.filterVerified(allowed, topicID);
+    const messages = MessageAmendment.apply(await this.decryptMessages(verified, topicID));
 
     // Sort by timestamp for chronological display (oldest to newest)
     messages.sort((a, b) => {
@@ -299,7 +326,11 @@ export class SubscribeOperation {
 
     // Filter expired messages
     const now = Date.now();
-    const activeMessages = messages.filter(m => m.expiresAt > now);
+    const policy = await this.loadPolicy(topicID, coordinator);
+    await this.loadRetractions(topicID, coordinator, policy);
+    const allowed = this.filterAllowed(messages.filter(m => m.expiresAt > now), topicID, policy);
+    const verified = await this.filterVerified(allowed, topicID);
+    const activeMessages = await this.decryptMessages(verified, topicID);
 
     // Sort by timestamp for chronological display (oldest to newest)
     activeMessages.sort((a, b) => {
@@ -309,6 +340,154 @@ export class SubscribeOperation {
     return activeMessages;
   }
 
+  /**
+   * Verified policy of a coordinator, or the newest one we know for the topic
+   * @param {string} topicID - Topic ID
+   * @param {CoordinatorObject} coordinator - Loaded coordinator
+   * @returns {Promise<TopicPolicy|null>}
+   */
+  async loadPolicy(topicID, coordinator) {
+    const known = this.policies.get(topicID) || null;
+    const { policy, error } = await TopicPolicy.fromCoordinator({ ...coordinator, topicID }, this.getPublicKey);
+    if (error) {
+      console.warn(`   ⚠️ Ignoring topic policy of ${topicID.substring(0, 8)}...: ${error}`);
+    }
+
+    const selected = TopicPolicy.select(known, policy);
+    if (selected) {
+      this.policies.set(topicID, selected);
+    }
+    return selected;
+  }
+
+  /**
+   * Remember the coordinator's retractions signed by a topic admin
+   * @param {string} topicID - Topic ID
+   * @param {CoordinatorObject} coordinator - Loaded coordinator
+   * @param {TopicPolicy|null} policy - Topic policy (names the admins)
+   * @returns {Promise<void>}
+   */
+  async loadRetractions(topicID, coordinator, policy) {
+    const known = this.retractions.get(topicID) || new Map();
+    const now = Date.now();
+
+    for (const [messageID, retraction] of known) {
+      if (retraction.expiresAt <= now) {
+        known.delete(messageID);
+      }
+    }
+
+    for (const retraction of coordinator.retractions || []) {
+      if (known.has(retraction.messageID) || retraction.expiresAt <= now) {
+        continue;
+      }
+
+      const adminKey = policy?.isAdmin(retraction.adminID) ? await this.getPublicKey(retraction.adminID) : null;
+      if (adminKey && await TopicPolicy.verifyRetraction(retraction, topicID, adminKey)) {
+        known.set(retraction.messageID, retraction);
+      } else {
+        console.warn(`   ⚠️ Ignoring retraction of ${retraction.messageID.substring(0, 8)}... not signed by a topic admin`);
+      }
+    }
+
+    this.retractions.set(topicID, known);
+  }
+
+  /**
+   * Check if a message may be delivered under what we know of the topic's
+   * policy and retractions (used for pushed messages)
+   * @param {string} topicID - Topic ID
+   * @param {Object} message - Message (instance or serialized)
+   * @returns {boolean}
+   */
+  isDeliverable(topicID, message) {
+    const policy = this.policies.get(topicID);
+    if (policy && !policy.allows(message.publisherID)) {
+      return false;
+    }
+    return !this.retractions.get(topicID)?.has(message.messageID);
+  }
+
+  /**
+   * Drop messages from publishers the topic policy doesn't allow, and retracted messages
+   * @param {Array<Message>} messages - Loaded messages
+   * @param {string} topicID - Topic ID
+   * @param {TopicPolicy|null} policy - Topic policy
+   * @returns {Array<Message>}
+   */
+  filterAllowed(messages, topicID, policy) {
+    const retracted = this.retractions.get(topicID);
+
+    return messages.filter(message => {
+      if (policy && !policy.allows(message.publisherID)) {
+        console.warn(`   🚫 Dropping message ${message.messageID.substring(0, 8)}... from ${message.publisherID.substring(0, 8)}... (not allowed by topic policy)`);
+        return false;
+      }
+      if (retracted?.has(message.messageID)) {
+        console.log(`   🚫 Hiding retracted message ${message.messageID.substring(0, 8)}...`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Drop messages that fail verification
+   * @param {Array<Message>} messages - Loaded messages
+   * @param {string} topicID - Topic the messages were loaded for
+   * @returns {Promise<Array<Message>>} - Messages that passed
+   */
+  async filterVerified(messages, topicID) {
+    if (!this.verifyMessage) {
+      return messages;
+    }
+
+    const results = await Promise.all(messages.map(message => this.verifyMessage(message, topicID)));
+    return messages.filter((_, index) => results[index]);
+  }
+
+  /**
+   * Decrypt a message for delivery
+   * Messages of public topics are returned as they are. In private channels only
+   * payloads we can decrypt (current or previous key epoch) from current members
+   * are delivered. Membership is checked against the reloaded record, since a
+   * removed member still holds the previous epoch's key.
+   * @param {Object} message - Verified message (instance or serialized)
+   * @param {string} topicID - Topic the message is being delivered for
+   * @returns {Promise<Object|null>} - Message with decrypted data, or null to drop it
+   */
+  async decryptMessage(message, topicID) {
+    if (!PrivateChannel.isPrivateTopic(topicID)) {
+      return message;
+    }
+
+    if (!this.keyring || !isEncryptedData(message.data)) {
+      console.warn(`   ⚠️ Dropping unencrypted message ${message.messageID.substring(0, 8)}... in private channel`);
+      return null;
+    }
+
+    try {
+      const data = await this.keyring.decrypt(topicID, message.data);
+      const entry = await this.keyring.load(topicID);
+      if (!entry?.channel.hasMember(message.publisherID)) {
+        console.warn(`   ⚠️ Dropping message ${message.messageID.substring(0, 8)}... from non-member ${message.publisherID.substring(0, 8)}...`);
+        return null;
+      }
+
+      return message instanceof Message
+        ? Message.deserialize({ ...message.serialize(), data })
+        : { ...message, data };
+    } catch (error) {
+      console.warn(`   ⚠️ Cannot decrypt message ${message.messageID.substring(0, 8)}... (epoch ${message.data.epoch}): ${error.message}`);
+      return null;
+    }
+  }
+
+  async decryptMessages(messages, topicID) {
+    const decrypted = await Promise.all(messages.map(message => this.decryptMessage(message, topicID)));
+    return decrypted.filter(message => message !== null);
+  }
+
   /**
    * Request full update when version gap detected
    * @param {string} topicID - Topic ID
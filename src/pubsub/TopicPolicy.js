@@ -0,0 +1,513 @@
+/**
+ * TopicPolicy - Owner-signed publisher policy of a pub/sub topic
+ *
+ * Without a policy anyone who knows a topic ID can publish to it. A policy
+ * restricts who may publish:
+ * - OPEN: anyone (same as no policy)
+ * - ALLOW_LIST: the owner and the listed publisher IDs
+ * - OWNER_ONLY: broadcast channel, only the owner publishes
+ *
+ * The policy travels inside the CoordinatorObject. The first node to attach a
+ * policy to a topic becomes its owner, so a first policy is only accepted
+ * before anything is published (nobody can claim a topic others already use).
+ * Later versions must carry a higher version number and be signed by the owner.
+ *
+ * Moderation: the owner names admins, who may sign a new version that only
+ * changes the `blocked` list (blocked IDs can't publish in any mode), and may
+ * sign retractions that hide a message from history and live delivery.
+ *
+ * Restricted topics also need a publish stamp on the coordinator: the publisher
+ * that last changed `currentMessages` signs `${topicID}:${collectionID}`, so
+ * replicas can refuse coordinator updates from publishers outside the policy.
+ *
+ * Integration:
+ * - Stored in CoordinatorObject.policy / .publishStamp / .retractions
+ * - Enforced by PublishOperation (before publishing), by KademliaDHT replicas
+ *   (coordinator: namespace) and by SubscribeOperation/PubSubClient (delivery)
+ */
+
+import { InvitationToken } from '../core/InvitationToken.js';
+
+export class TopicPolicy {
+  /**
+   * Publisher policy modes
+   */
+  static Mode = {
+    OPEN: 'OPEN',                 // Anyone may publish
+    ALLOW_LIST: 'ALLOW_LIST',     // Owner and listed publishers
+    OWNER_ONLY: 'OWNER_ONLY'      // Owner broadcast
+  };
+
+  /**
+   * Create a TopicPolicy
+   * @param {Object} params - Policy parameters
+   * @param {string} params.topicID - Topic the policy applies to
+   * @param {string} params.ownerID - Node ID of the topic owner
+   * @param {string} params.mode - One of TopicPolicy.Mode
+   * @param {Array<string>} [params.publishers] - Allowed publisher IDs (ALLOW_LIST)
+   * @param {Array<string>} [params.admins] - Moderator node IDs (the owner is always one)
+   * @param {Array<string>} [params.blocked] - Publisher IDs blocked by moderators
+   * @param {number} [params.version] - Policy version (incremented on every update)
+   * @param {number} [params.updatedAt] - Timestamp of this version
+   * @param {string} [params.signerID] - Owner or admin that signed this version (default: owner)
+   * @param {string} [params.signature] - Signer's signature
+   */
+  constructor(params) {
+    if (!params.topicID) throw new Error('TopicPolicy requires topicID');
+    if (!params.ownerID) throw new Error('TopicPolicy requires ownerID');
+    if (!params.mode) throw new Error('TopicPolicy requires mode');
+
+    this.topicID = params.topicID;
+    this.ownerID = params.ownerID;
+    this.mode = params.mode;
+    this.publishers = [...(params.publishers || [])];
+    this.admins = [...(params.admins || [])];
+    this.blocked = [...(params.blocked || [])];
+    this.version = params.version !== undefined ? params.version : 1;
+    this.updatedAt = params.updatedAt || Date.now();
+    this.signerID = params.signerID || params.ownerID;
+    this.signature = params.signature || null;
+  }
+
+  /**
+   * Create a signed policy, or the next version of an existing one
+   * @param {string} topicID - Topic ID
+   * @param {string} ownerID - Owner node ID
+   * @param {Object} keyInfo - Owner's key info
+   * @param {Object} settings - { mode, publishers, admins, blocked } (blocked defaults to the current list)
+   * @param {TopicPolicy|null} [previous] - Current policy (its version is bumped)
+   * @returns {Promise<TopicPolicy>}
+   * @throws {Error} If the current policy belongs to another owner
+   */
+  static async create(topicID, ownerID, keyInfo, settings, previous = null) {
+    if (previous && previous.ownerID !== ownerID) {
+      throw new Error('Only the topic owner can change its policy');
+    }
+
+    const policy = new TopicPolicy({
+      topicID,
+      ownerID,
+      mode: settings.mode,
+      publishers: [...new Set(settings.publishers || [])],
+      admins: [...new Set(settings.admins || [])],
+      // Admins maintain the block list, so an owner update keeps it unless replaced
+      blocked: [...new Set(settings.blocked || previous?.blocked || [])],
+      version: previous ? previous.version + 1 : 1
+    });
+
+    const validation = policy.validate({ requireSignature: false });
+    if (!validation.valid) {
+      throw new Error(`Invalid topic policy: ${validation.errors.join(', ')}`);
+    }
+
+    await policy.sign(keyInfo);
+    return policy;
+  }
+
+  /**
+   * Next version with a different block list, signed by an admin
+   * @param {Array<string>} blocked - Blocked publisher IDs
+   * @param {string} signerID - Admin node ID
+   * @param {Object} keyInfo - Admin's key info
+   * @returns {Promise<TopicPolicy>}
+   * @throws {Error} If the signer is not an admin
+   */
+  async updateBlocked(blocked, signerID, keyInfo) {
+    if (!this.isAdmin(signerID)) {
+      throw new Error('Only topic admins can block publishers');
+    }
+
+    const policy = new TopicPolicy({
+      ...this.serialize(),
+      blocked: [...new Set(blocked)],
+      version: this.version + 1,
+      updatedAt: Date.now(),
+      signerID
+    });
+
+    const validation = policy.validate({ requireSignature: false });
+    if (!validation.valid) {
+      throw new Error(`Invalid topic policy: ${validation.errors.join(', ')}`);
+    }
+
+    await policy.sign(keyInfo);
+    return policy;
+  }
+
+  /**
+   * Check if a node may moderate the topic
+   * @param {string} nodeID - Node ID
+   * @returns {boolean}
+   */
+  isAdmin(nodeID) {
+    return nodeID === this.ownerID || this.admins.includes(nodeID);
+  }
+
+  /**
+   * Check if a node may publish under this policy
+   * @param {string} publisherID - Publisher node ID
+   * @returns {boolean}
+   */
+  allows(publisherID) {
+    if (this.blocked.includes(publisherID)) {
+      return false;
+    }
+
+    switch (this.mode) {
+      case TopicPolicy.Mode.OPEN:
+        return true;
+      case TopicPolicy.Mode.ALLOW_LIST:
+        return publisherID === this.ownerID || this.publishers.includes(publisherID);
+      default:
+        return publisherID === this.ownerID;
+    }
+  }
+
+  /**
+   * Get signable data (policy without signature)
+   * @returns {string}
+   */
+  getSignableData() {
+    return JSON.stringify({
+      topicID: this.topicID,
+      ownerID: this.ownerID,
+      mode: this.mode,
+      publishers: this.publishers,
+      admins: this.admins,
+      blocked: this.blocked,
+      version: this.version,
+      updatedAt: this.updatedAt,
+      signerID: this.signerID
+    });
+  }
+
+  /**
+   * Sign the policy with the signer's key
+   * @param {Object} keyInfo - Owner's or admin's key info
+   */
+  async sign(keyInfo) {
+    this.signature = await InvitationToken.signData(this.getSignableData(), keyInfo);
+  }
+
+  /**
+   * Verify the signer's signature
+   * @param {string} publicKey - Signer's public key (hex)
+   * @returns {Promise<boolean>}
+   */
+  async verify(publicKey) {
+    if (!this.signature) {
+      return false;
+    }
+    try {
+      return await InvitationToken.verifySignature(this.getSignableData(), this.signature, publicKey);
+    } catch (error) {
+      console.error('❌ Topic policy signature verification failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Validate policy structure
+   * @param {Object} [options] - { requireSignature } (default: true)
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validate(options = {}) {
+    const errors = [];
+
+    if (!Object.values(TopicPolicy.Mode).includes(this.mode)) {
+      errors.push(`Invalid mode: ${this.mode}`);
+    }
+    if ([...this.publishers, ...this.admins, ...this.blocked].some(id => typeof id !== 'string' || id.length === 0)) {
+      errors.push('Invalid node ID');
+    }
+    if (this.blocked.includes(this.ownerID)) {
+      errors.push('Owner cannot be blocked');
+    }
+    if (!this.isAdmin(this.signerID)) {
+      errors.push('Signer is not a topic admin');
+    }
+    if (!Number.isInteger(this.version) || this.version < 1) {
+      errors.push('version must be a positive integer');
+    }
+    if (options.requireSignature !== false && !this.signature) {
+      errors.push('Missing signature');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Serialize policy for the coordinator
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      topicID: this.topicID,
+      ownerID: this.ownerID,
+      mode: this.mode,
+      publishers: this.publishers.slice(),
+      admins: this.admins.slice(),
+      blocked: this.blocked.slice(),
+      version: this.version,
+      updatedAt: this.updatedAt,
+      signerID: this.signerID,
+      signature: this.signature
+    };
+  }
+
+  /**
+   * Deserialize policy
+   * @param {Object} obj - Serialized policy
+   * @returns {TopicPolicy}
+   */
+  static deserialize(obj) {
+    return new TopicPolicy(obj);
+  }
+
+  /**
+   * Load and verify the policy carried by a coordinator
+   * @param {Object} coordinator - CoordinatorObject or its serialized form
+   * @param {Function} getPublicKey - (nodeID) => Promise<string|null> identity key lookup
+   * @returns {Promise<{policy: TopicPolicy|null, error?: string}>} - null policy when the topic has none
+   */
+  static async fromCoordinator(coordinator, getPublicKey) {
+    if (!coordinator?.policy) {
+      return { policy: null };
+    }
+
+    let policy;
+    try {
+      policy = TopicPolicy.deserialize(coordinator.policy);
+    } catch (error) {
+      return { policy: null, error: error.message };
+    }
+
+    const validation = policy.validate();
+    if (!validation.valid) {
+      return { policy: null, error: validation.errors.join(', ') };
+    }
+    if (policy.topicID !== coordinator.topicID) {
+      return { policy: null, error: 'Policy belongs to another topic' };
+    }
+
+    const signerKey = await getPublicKey(policy.signerID);
+    if (!signerKey || !await policy.verify(signerKey)) {
+      return { policy: null, error: 'Policy not signed by its owner or an admin' };
+    }
+
+    return { policy };
+  }
+
+  /**
+   * Pick the policy to apply: a loaded one if it may replace the one we know
+   * @param {TopicPolicy|null} known - Policy we trust so far
+   * @param {TopicPolicy|null} loaded - Verified policy from a coordinator
+   * @returns {TopicPolicy|null}
+   */
+  static select(known, loaded) {
+    if (!loaded || !known) {
+      return loaded || known;
+    }
+
+    const error = TopicPolicy.checkTransition(known, loaded);
+    if (error) {
+      if (loaded.version > known.version) {
+        console.warn(`   ⚠️ Ignoring topic policy version ${loaded.version}: ${error}`);
+      }
+      return known;
+    }
+    return loaded;
+  }
+
+  /**
+   * Check that a policy may replace the previous one
+   * The owner may change anything but the owner; admins of the previous
+   * version may only change the block list.
+   * @param {TopicPolicy} previous - Current policy
+   * @param {TopicPolicy} next - Replacement
+   * @returns {string|null} - Reason the replacement is refused, or null
+   */
+  static checkTransition(previous, next) {
+    if (next.ownerID !== previous.ownerID) {
+      return 'Topic policy owner cannot change';
+    }
+    if (next.version < previous.version ||
+        (next.version === previous.version && next.signature !== previous.signature)) {
+      return `Topic policy version ${next.version} is older than stored ${previous.version}`;
+    }
+    if (next.version === previous.version || next.signerID === next.ownerID) {
+      return null;
+    }
+    if (!previous.isAdmin(next.signerID)) {
+      return 'Topic policy signer is not an admin';
+    }
+    if (next.mode !== previous.mode ||
+        JSON.stringify(next.publishers) !== JSON.stringify(previous.publishers) ||
+        JSON.stringify(next.admins) !== JSON.stringify(previous.admins)) {
+      return 'Admins can only change the block list';
+    }
+    return null;
+  }
+
+  /**
+   * Check a coordinator update against the topic policy (replica side)
+   * - The policy must be signed by its owner (or an admin, see checkTransition)
+   *   and may never be removed, change owner or go back to an older version
+   * - A first policy can't be attached to a topic that already has messages
+   * - New retractions must be signed by a topic admin, and stored ones can
+   *   only be dropped once they expire
+   * - Restricted topics need a publish stamp from an allowed publisher
+   *   for the current message collection
+   * @param {Object} coordinator - Serialized coordinator being stored
+   * @param {Object|null} stored - Serialized coordinator currently held
+   * @param {Function} getPublicKey - (nodeID) => Promise<string|null> identity key lookup
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  static async checkCoordinator(coordinator, stored, getPublicKey) {
+    const previous = stored?.policy || null;
+    if (!coordinator?.policy) {
+      if (coordinator?.retractions?.length) {
+        return { valid: false, error: 'Retractions require a topic policy' };
+      }
+      return previous ? { valid: false, error: 'Topic policy cannot be removed' } : { valid: true };
+    }
+
+    const { policy, error } = await TopicPolicy.fromCoordinator(coordinator, getPublicKey);
+    if (!policy) {
+      return { valid: false, error: `Invalid topic policy: ${error}` };
+    }
+
+    const transitionError = previous && TopicPolicy.checkTransition(TopicPolicy.deserialize(previous), policy);
+    if (transitionError) {
+      return { valid: false, error: transitionError };
+    }
+    if (!previous && TopicPolicy.hasMessages(stored)) {
+      return { valid: false, error: 'Topic already has messages, a policy must be set before publishing' };
+    }
+
+    const retracted = new Set((coordinator.retractions || []).map(r => r.messageID));
+    const now = Date.now();
+    const dropped = (stored?.retractions || []).find(r => r.expiresAt > now && !retracted.has(r.messageID));
+    if (dropped) {
+      return { valid: false, error: `Retraction of ${String(dropped.messageID).substring(0, 8)}... cannot be dropped before it expires` };
+    }
+
+    // Only retractions we don't hold yet need their signature checked
+    const known = new Set((stored?.retractions || []).map(r => r.signature));
+    for (const retraction of coordinator.retractions || []) {
+      if (known.has(retraction.signature)) {
+        continue;
+      }
+      if (!policy.isAdmin(retraction.adminID)) {
+        return { valid: false, error: `Retraction by ${retraction.adminID.substring(0, 8)}... who is not a topic admin` };
+      }
+      const adminKey = await getPublicKey(retraction.adminID);
+      if (!adminKey || !await TopicPolicy.verifyRetraction(retraction, coordinator.topicID, adminKey)) {
+        return { valid: false, error: 'Invalid retraction signature' };
+      }
+    }
+
+    if (policy.mode === TopicPolicy.Mode.OPEN || !coordinator.currentMessages) {
+      return { valid: true };
+    }
+
+    const stamp = coordinator.publishStamp;
+    if (!stamp || stamp.collectionID !== coordinator.currentMessages) {
+      return { valid: false, error: 'Missing publish stamp for current messages' };
+    }
+    if (!policy.allows(stamp.publisherID)) {
+      return { valid: false, error: `Publisher ${stamp.publisherID.substring(0, 8)}... not allowed by topic policy` };
+    }
+
+    const publisherKey = await getPublicKey(stamp.publisherID);
+    if (!publisherKey || !await TopicPolicy.verifyPublishStamp(stamp, coordinator.topicID, publisherKey)) {
+      return { valid: false, error: 'Invalid publish stamp' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Check if anything was ever published to a coordinator's topic
+   * @param {Object|null} coordinator - CoordinatorObject or its serialized form
+   * @returns {boolean}
+   */
+  static hasMessages(coordinator) {
+    return Boolean(coordinator?.currentMessages || coordinator?.messageHistory?.length);
+  }
+
+  /**
+   * Sign a publish stamp for a message collection
+   * @param {string} topicID - Topic ID
+   * @param {string} collectionID - Message collection the coordinator points to
+   * @param {string} publisherID - Publisher node ID
+   * @param {Object} keyInfo - Publisher's key info
+   * @returns {Promise<{publisherID: string, collectionID: string, signature: string}>}
+   */
+  static async signPublishStamp(topicID, collectionID, publisherID, keyInfo) {
+    const signature = await InvitationToken.signData(`${topicID}:${collectionID}`, keyInfo);
+    return { publisherID, collectionID, signature };
+  }
+
+  /**
+   * Sign a retraction hiding a message from the topic
+   * @param {string} topicID - Topic ID
+   * @param {string} messageID - Retracted message
+   * @param {number} expiresAt - When the retraction can be dropped (the message's expiry)
+   * @param {string} adminID - Admin node ID
+   * @param {Object} keyInfo - Admin's key info
+   * @returns {Promise<{messageID: string, adminID: string, retractedAt: number, expiresAt: number, signature: string}>}
+   */
+  static async signRetraction(topicID, messageID, expiresAt, adminID, keyInfo) {
+    const retraction = { messageID, adminID, retractedAt: Date.now(), expiresAt };
+    retraction.signature = await InvitationToken.signData(TopicPolicy.getRetractionSignableData(retraction, topicID), keyInfo);
+    return retraction;
+  }
+
+  /**
+   * Verify a retraction's signature
+   * @param {Object} retraction - Output of signRetraction
+   * @param {string} topicID - Topic ID
+   * @param {string} publicKey - Admin's public key (hex)
+   * @returns {Promise<boolean>}
+   */
+  static async verifyRetraction(retraction, topicID, publicKey) {
+    try {
+      return await InvitationToken.verifySignature(
+        TopicPolicy.getRetractionSignableData(retraction, topicID),
+        retraction.signature,
+        publicKey
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  static getRetractionSignableData(retraction, topicID) {
+    return JSON.stringify({
+      topicID,
+      messageID: retraction.messageID,
+      adminID: retraction.adminID,
+      retractedAt: retraction.retractedAt,
+      expiresAt: retraction.expiresAt
+    });
+  }
+
+  /**
+   * Verify a publish stamp
+   * @param {Object} stamp - Output of signPublishStamp
+   * @param {string} topicID - Topic ID
+   * @param {string} publicKey - Publisher's public key (hex)
+   * @returns {Promise<boolean>}
+   */
+  static async verifyPublishStamp(stamp, topicID, publicKey) {
+    try {
+      return await InvitationToken.verifySignature(`${topicID}:${stamp.collectionID}`, stamp.signature, publicKey);
+    } catch {
+      return false;
+    }
+  }
+}
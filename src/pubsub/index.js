@@ -6,6 +6,7 @@
 
 // Phase 1: Core Data Structures
 export { Message } from './Message.js';
+export { MessageAmendment } from './MessageAmendment.js';
 export { MessageCollection } from './MessageCollection.js';
 export { SubscriberCollection } from './SubscriberCollection.js';
 export { CoordinatorObject } from './CoordinatorObject.js';
@@ -15,7 +16,15 @@ export { PubSubStorage } from './PubSubStorage.js';
 // Phase 2: Protocol Operations
 export { PublishOperation } from './PublishOperation.js';
 export { SubscribeOperation } from './SubscribeOperation.js';
+export { ModerationOperation } from './ModerationOperation.js';
 
 // Phase 3: High-Level Client API
 export { PubSubClient } from './PubSubClient.js';
 export { ChannelJoinManager } from './ChannelJoinManager.js';
+
+// Private channels
+export { PrivateChannel } from './PrivateChannel.js';
+export { ChannelKeyring } from './ChannelKeyring.js';
+
+// Publisher policies
+export { TopicPolicy } from './TopicPolicy.js';
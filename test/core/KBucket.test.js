@@ -282,4 +282,56 @@ describe('KBucket', () => {
       expect(bucket.hasNode(nodes[3].id)).toBe(true);
     });
   });
+
+  describe('subnet diversity', () => {
+    const nodeAt = (address) => {
+      const node = new DHTNode(new DHTNodeId(), address);
+      node.metadata.remoteAddress = address;
+      return node;
+    };
+
+    test('caches nodes beyond the per-subnet limit', () => {
+      const limited = new KBucket(20, 0, 0, { maxPerSubnet: 2 });
+
+      expect(limited.addNode(nodeAt('203.0.113.1'))).toBe(true);
+      expect(limited.addNode(nodeAt('203.0.113.2'))).toBe(true);
+      const third = nodeAt('203.0.113.3');
+      expect(limited.addNode(third)).toBe(false);
+      expect(limited.addNode(nodeAt('198.51.100.1'))).toBe(true);
+
+      expect(limited.size()).toBe(3);
+      expect(limited.getReplacementCache()[0]).toBe(third);
+      expect(limited.getStats().subnets).toBe(2);
+    });
+
+    test('never limits nodes without a known address', () => {
+      const limited = new KBucket(20, 0, 0, { maxPerSubnet: 1 });
+
+      for (let i = 0; i < 3; i++) {
+        expect(limited.addNode(new DHTNode(new DHTNodeId(), 'peer'))).toBe(true);
+      }
+    });
+
+    test('promotion skips cached nodes from full subnets', () => {
+      const limited = new KBucket(2, 0, 0, { maxPerSubnet: 1 });
+      const first = nodeAt('203.0.113.1');
+      limited.addNode(first);
+      limited.addNode(nodeAt('198.51.100.1'));
+      const diverse = nodeAt('192.0.2.1');
+      limited.addToReplacementCache(diverse);
+      limited.addToReplacementCache(nodeAt('198.51.100.2'));
+
+      limited.handleNodeFailure(first.id);
+
+      expect(limited.hasNode(diverse.id)).toBe(true);
+      expect(limited.replacementCacheSize()).toBe(1);
+    });
+
+    test('split buckets keep the limit', () => {
+      const { leftBucket, rightBucket } = new KBucket(20, 0, 0, { maxPerSubnet: 3 }).split();
+
+      expect(leftBucket.maxPerSubnet).toBe(3);
+      expect(rightBucket.maxPerSubnet).toBe(3);
+    });
+  });
 });
\ No newline at end of file
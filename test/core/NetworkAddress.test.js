@@ -0,0 +1,34 @@
+import { NetworkAddress } from '../../src/core/NetworkAddress.js';
+
+describe('NetworkAddress', () => {
+  test('extracts IP literals from addresses and URLs', () => {
+    expect(NetworkAddress.parseAddress('203.0.113.7')).toBe('203.0.113.7');
+    expect(NetworkAddress.parseAddress('203.0.113.7:8083')).toBe('203.0.113.7');
+    expect(NetworkAddress.parseAddress('ws://203.0.113.7:8083')).toBe('203.0.113.7');
+    expect(NetworkAddress.parseAddress('wss://[2001:db8::1]:443/node1')).toBe('2001:db8::1');
+    expect(NetworkAddress.parseAddress('::ffff:203.0.113.7')).toBe('203.0.113.7');
+    expect(NetworkAddress.parseAddress('wss://imeyouwe.com/node1')).toBeNull();
+    expect(NetworkAddress.parseAddress('999.1.1.1')).toBeNull();
+  });
+
+  test('groups IPv4 by /24 and IPv6 by /48', () => {
+    expect(NetworkAddress.getSubnet('203.0.113.7')).toBe('203.0.113.0/24');
+    expect(NetworkAddress.getSubnet('2001:db8:1:ffff::1')).toBe('2001:db8:1::/48');
+    expect(NetworkAddress.getSubnet('2001:db8::')).toBe('2001:db8:0::/48');
+  });
+
+  test('loopback addresses have no subnet', () => {
+    expect(NetworkAddress.getSubnet('127.0.0.1')).toBeNull();
+    expect(NetworkAddress.getSubnet('::1')).toBeNull();
+  });
+
+  test('prefers the observed address over advertised ones', () => {
+    const node = {
+      endpoint: 'ws://198.51.100.1:8080',
+      metadata: { remoteAddress: '203.0.113.7', listeningAddress: 'ws://192.0.2.1:8080' }
+    };
+
+    expect(NetworkAddress.getNodeSubnet(node)).toBe('203.0.113.0/24');
+    expect(NetworkAddress.getNodeSubnet({ endpoint: 'ws://198.51.100.1:8080', metadata: {} })).toBe('198.51.100.0/24');
+  });
+});
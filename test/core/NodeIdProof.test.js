@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import { createHash, webcrypto } from 'crypto';
+import { NodeIdProof } from '../../src/core/NodeIdProof.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Node ID admission proofs
+ *
+ * Verifies that:
+ * - Proofs bind an ID to the key it was derived from and to a holder of the private key
+ * - The static puzzle difficulty is enforced
+ * - Browser ECDSA identities derive the same IDs as IdentityStore
+ * - KademliaDHT keeps unproven contacts out of the routing table and drops unproven handshakes
+ */
+
+const toHex = (buffer) => Buffer.from(buffer).toString('hex');
+
+describe('NodeIdProof', () => {
+  let identity;
+  let other;
+
+  beforeAll(async () => {
+    identity = await NodeIdProof.generate();
+    other = await NodeIdProof.generate();
+  });
+
+  test('proof verifies for the derived ID only', async () => {
+    expect(identity.nodeId).toBe(NodeIdProof.deriveNodeId(identity.keyPair.publicKey));
+    expect(await NodeIdProof.verify(identity.nodeId, identity.proof)).toEqual({ valid: true });
+    expect(await NodeIdProof.verify(other.nodeId, identity.proof)).toEqual({ valid: false, error: 'Node ID does not match public key' });
+    expect((await NodeIdProof.verify(identity.nodeId, null)).error).toBe('Missing node ID proof');
+  });
+
+  test('claiming a key without its private key fails', async () => {
+    const stolen = { ...identity.proof, signature: other.proof.signature };
+
+    expect(await NodeIdProof.verify(identity.nodeId, stolen)).toEqual({ valid: false, error: 'Invalid signature' });
+  });
+
+  test('difficulty is enforced', async () => {
+    const puzzle = await NodeIdProof.generate(4);
+    expect(NodeIdProof.meetsDifficulty(puzzle.nodeId, 4)).toBe(true);
+    expect(await NodeIdProof.verify(puzzle.nodeId, puzzle.proof, 4)).toEqual({ valid: true });
+
+    let easy = identity;
+    while (NodeIdProof.meetsDifficulty(easy.nodeId, 8)) {
+      easy = await NodeIdProof.generate();
+    }
+    expect((await NodeIdProof.verify(easy.nodeId, easy.proof, 8)).error).toMatch(/difficulty 8/);
+  });
+
+  test('generate gives up after maxAttempts', async () => {
+    await expect(NodeIdProof.generate(160, 2)).rejects.toThrow('difficulty 160');
+  });
+
+  test('accepts browser ECDSA identities', async () => {
+    const keys = await webcrypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const publicKey = await webcrypto.subtle.exportKey('jwk', keys.publicKey);
+    const sign = async (data) => toHex(await webcrypto.subtle.sign(
+      { name: 'ECDSA', hash: { name: 'SHA-256' } }, keys.privateKey, new TextEncoder().encode(data)
+    ));
+
+    // Same derivation as IdentityStore.deriveNodeId: SHA-256(x || y), first 160 bits
+    const xy = Buffer.concat([Buffer.from(publicKey.x, 'base64url'), Buffer.from(publicKey.y, 'base64url')]);
+    const expectedId = createHash('sha256').update(xy).digest('hex').substring(0, 40);
+
+    const proof = await NodeIdProof.create(publicKey, sign);
+    expect(proof.nodeId).toBe(expectedId);
+    expect(await NodeIdProof.verify(expectedId, proof)).toEqual({ valid: true });
+    expect((await NodeIdProof.verify(expectedId, { ...proof, signature: identity.proof.signature })).valid).toBe(false);
+  });
+});
+
+describe('KademliaDHT node ID admission', () => {
+  let dht;
+  let proven;
+  let unproven;
+
+  beforeAll(async () => {
+    proven = await NodeIdProof.generate();
+    unproven = await InvitationToken.generateKeyPair();
+  });
+
+  beforeEach(() => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap(), requireNodeIdProof: true });
+    dht.getConnectedPeers = jest.fn(() => []);
+  });
+
+  const findNodeResponse = (nodes) => {
+    dht.pendingRequests.set('r1', { resolve: jest.fn(), reject: jest.fn(), timeout: null });
+    return dht.handleFindNodeResponse('a'.repeat(40), { type: 'find_node_response', requestId: 'r1', nodes });
+  };
+
+  test('find_node responses only add contacts with valid proofs', async () => {
+    const squatter = 'f'.repeat(39) + '0';
+
+    await findNodeResponse([
+      { id: proven.nodeId, metadata: { nodeIdProof: proven.proof } },
+      { id: squatter, metadata: { nodeIdProof: proven.proof } },
+      { id: NodeIdProof.deriveNodeId(unproven.publicKey) }
+    ]);
+
+    expect(dht.routingTable.getNode(proven.nodeId)).toBeTruthy();
+    expect(dht.routingTable.getNode(squatter)).toBeFalsy();
+    expect(dht.routingTable.getNode(NodeIdProof.deriveNodeId(unproven.publicKey))).toBeFalsy();
+    expect(dht.getStats().admission).toMatchObject({ admittedPeers: 1, rejectedNodeIds: 2 });
+  });
+
+  test('handshakes without a valid proof are dropped', async () => {
+    const manager = { destroyConnection: jest.fn() };
+
+    expect(await dht.checkHandshakeNodeId(proven.nodeId, { nodeIdProof: proven.proof }, manager)).toBe(true);
+    expect(await dht.checkHandshakeNodeId('b'.repeat(40), { nodeType: 'browser' }, manager)).toBe(false);
+    expect(manager.destroyConnection).toHaveBeenCalledWith('b'.repeat(40), 'node_id_rejected');
+  });
+
+  test('admission is open unless required', async () => {
+    const openDht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+
+    expect(await openDht.verifyPeerNodeId('b'.repeat(40), {})).toEqual({ valid: true });
+  });
+
+  test('start refuses a node ID that is not bound to its key pair', async () => {
+    await expect(dht.start()).rejects.toThrow('Node ID is not admissible');
+  });
+});
@@ -0,0 +1,72 @@
+import { VivaldiCoordinate } from '../../src/core/VivaldiCoordinate.js';
+
+/**
+ * Unit Tests: Vivaldi coordinates
+ *
+ * Verifies that:
+ * - Coordinates converge so predicted RTTs match a synthetic latency matrix
+ * - Invalid samples are ignored
+ * - Coordinates received from peers are validated
+ */
+
+// Nodes on a plane with an access link delay each: RTT = distance + both access delays
+function createLatencyMatrix(count) {
+  const sites = Array.from({ length: count }, (_, i) => ({
+    x: (i * 37) % 200,
+    y: (i * 91) % 150,
+    access: 2 + (i % 5)
+  }));
+  return sites.map(a => sites.map(b => (a === b ? 0 : Math.hypot(a.x - b.x, a.y - b.y) + a.access + b.access)));
+}
+
+describe('VivaldiCoordinate', () => {
+  test('converges to predict RTTs of a latency matrix', () => {
+    const matrix = createLatencyMatrix(16);
+    const coordinates = matrix.map(() => new VivaldiCoordinate());
+
+    for (let round = 0; round < 200; round++) {
+      for (let i = 0; i < matrix.length; i++) {
+        const j = (i + 1 + (round % (matrix.length - 1))) % matrix.length;
+        coordinates[i].update(coordinates[j], matrix[i][j]);
+      }
+    }
+
+    const errors = [];
+    for (let i = 0; i < matrix.length; i++) {
+      for (let j = i + 1; j < matrix.length; j++) {
+        errors.push(Math.abs(coordinates[i].distanceTo(coordinates[j]) - matrix[i][j]) / matrix[i][j]);
+      }
+    }
+    errors.sort((a, b) => a - b);
+
+    expect(errors[Math.floor(errors.length / 2)]).toBeLessThan(0.15);
+    expect(coordinates.every(c => c.error < VivaldiCoordinate.MAX_ERROR)).toBe(true);
+  });
+
+  test('ignores invalid RTT samples', () => {
+    const local = new VivaldiCoordinate();
+    const remote = new VivaldiCoordinate({ vector: [10, 0, 0] });
+
+    expect(local.update(remote, 0)).toBe(false);
+    expect(local.update(remote, NaN)).toBe(false);
+    expect(local.update(remote, VivaldiCoordinate.MAX_RTT + 1)).toBe(false);
+    expect(local.vector).toEqual([0, 0, 0]);
+
+    expect(local.update(remote, 50)).toBe(true);
+  });
+
+  test('round-trips through JSON and rejects malformed data', () => {
+    const coordinate = new VivaldiCoordinate({ vector: [1.234, -5, 7], height: 3, error: 0.4 });
+    const parsed = VivaldiCoordinate.fromJSON(JSON.parse(JSON.stringify(coordinate)));
+
+    expect(parsed.vector).toEqual([1.23, -5, 7]);
+    expect(parsed.distanceTo(coordinate)).toBeCloseTo(6, 1);
+
+    expect(VivaldiCoordinate.fromJSON(null)).toBeNull();
+    expect(VivaldiCoordinate.fromJSON({ vector: [1, 2], height: 1, error: 1 })).toBeNull();
+    expect(VivaldiCoordinate.fromJSON({ vector: [1, 2, 'x'], height: 1, error: 1 })).toBeNull();
+    expect(VivaldiCoordinate.fromJSON({ vector: [1, 2, 1e9], height: 1, error: 1 })).toBeNull();
+    expect(VivaldiCoordinate.fromJSON({ vector: [1, 2, 3], height: -1, error: 1 })).toBeNull();
+    expect(VivaldiCoordinate.fromJSON({ vector: [1, 2, 3], height: 1, error: 0 })).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+import { AdaptiveLookupController } from '../../src/dht/AdaptiveLookupController.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Adaptive lookup parameters
+ *
+ * Verifies that:
+ * - Configured values apply until there are samples to adapt to
+ * - Losses raise alpha and k, bounded by the configured maximums
+ * - The query timeout follows response times and backs off after timeouts
+ * - Small networks cap alpha and k
+ * - KademliaDHT exposes the parameters (and why they changed) in getStats()
+ */
+
+const base = { k: 20, alpha: 4, queryTimeout: 10000 };
+
+describe('AdaptiveLookupController', () => {
+  test('uses the configured values without samples', () => {
+    const controller = new AdaptiveLookupController(base);
+    expect(controller.getParameters()).toEqual(base);
+  });
+
+  test('raises alpha and k on a lossy network within bounds', () => {
+    const controller = new AdaptiveLookupController(base, { maxAlpha: 6, maxK: 25 });
+    for (let i = 0; i < 20; i++) {
+      if (i % 2 === 0) {
+        controller.recordResponse(100);
+      } else {
+        controller.recordTimeout();
+      }
+    }
+
+    const { alpha, k } = controller.getParameters();
+    expect(alpha).toBe(6);
+    expect(k).toBe(25);
+    expect(controller.evaluate().reasons.alpha).toMatch(/response rate/);
+  });
+
+  test('query timeout follows response times and backs off after timeouts', () => {
+    const controller = new AdaptiveLookupController(base);
+    for (let i = 0; i < 20; i++) {
+      controller.recordResponse(400);
+    }
+    expect(controller.getParameters().queryTimeout).toBeGreaterThanOrEqual(1000);
+    expect(controller.getParameters().queryTimeout).toBeLessThan(2000);
+
+    controller.recordTimeout();
+    controller.recordTimeout();
+    const backedOff = controller.getParameters().queryTimeout;
+    expect(backedOff).toBeGreaterThan(1600);
+    expect(backedOff).toBeLessThanOrEqual(15000);
+
+    controller.recordResponse(400);
+    expect(controller.getParameters().queryTimeout).toBeLessThan(backedOff);
+  });
+
+  test('caps alpha and k to what a small network can answer', () => {
+    const controller = new AdaptiveLookupController(base);
+    const params = controller.getParameters({ size: 3, upper: 4 });
+
+    expect(params.alpha).toBe(3);
+    expect(params.k).toBe(8); // minK
+    expect(controller.evaluate({ size: 3, upper: 4 }).reasons.k).toMatch(/network of about 3 nodes/);
+  });
+
+  test('does nothing when disabled', () => {
+    const controller = new AdaptiveLookupController(base, { enabled: false });
+    for (let i = 0; i < 10; i++) {
+      controller.recordTimeout();
+    }
+    expect(controller.getParameters({ size: 3, upper: 4 })).toEqual(base);
+  });
+});
+
+describe('KademliaDHT adaptive lookups', () => {
+  test('reports lookup parameters in getStats and applies them', () => {
+    const dht = new KademliaDHT({ bootstrap: createMockBootstrap(), adaptiveLookupOptions: { maxAlpha: 5 } });
+    for (let i = 0; i < 10; i++) {
+      dht.lookupController.recordTimeout();
+    }
+
+    const stats = dht.getStats().lookup;
+    expect(stats).toMatchObject({ enabled: true, alpha: 5, configured: { k: 20, alpha: 4, queryTimeout: 10000 }, timeouts: 10 });
+    expect(stats.bounds.alpha).toEqual([2, 5]);
+    expect(dht.getLookupParameters().alpha).toBe(5);
+  });
+
+  test('adaptiveLookup: false keeps the configured values', () => {
+    const dht = new KademliaDHT({ bootstrap: createMockBootstrap(), adaptiveLookup: false, alpha: 3 });
+    for (let i = 0; i < 10; i++) {
+      dht.lookupController.recordTimeout();
+    }
+    expect(dht.getLookupParameters()).toEqual({ k: 20, alpha: 3, queryTimeout: 10000 });
+  });
+});
@@ -0,0 +1,234 @@
+import { jest } from '@jest/globals';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { RecordPublisher } from '../../src/dht/RecordPublisher.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { PubSubStorage } from '../../src/pubsub/PubSubStorage.js';
+import { CoordinatorObject } from '../../src/pubsub/CoordinatorObject.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Compare-and-swap (cas_store)
+ *
+ * Verifies that:
+ * - Replicas apply a CAS only when their stored version allows it
+ * - Versions only go up, and CAS records carry TTL and signed publisher like plain stores
+ * - The client commits only with a majority of the replica set
+ * - Conflicts report the newest stored version
+ * - Concurrent writers with the same expected version cannot both win
+ * - Deleted keys are not brought back by a CAS
+ * - PubSubStorage routes version-checked coordinator writes through the DHT CAS
+ */
+
+function createDHT(options = {}) {
+  const dht = new KademliaDHT({ bootstrap: createMockBootstrap(), ...options });
+  dht.sendMessage = jest.fn().mockResolvedValue(true);
+  return dht;
+}
+
+const fakeNode = (id) => ({ id: { toString: () => id } });
+
+describe('Compare-and-swap', () => {
+  describe('replica side', () => {
+    let dht;
+
+    beforeEach(() => {
+      dht = createDHT();
+    });
+
+    test('applies when nothing is stored', () => {
+      const result = dht.applyCompareAndSwap('coordinator:t', { version: 1 }, 0, null);
+
+      expect(result).toEqual({ success: true, conflict: false, currentVersion: 1 });
+      expect(dht.storage.get('coordinator:t').value.version).toBe(1);
+    });
+
+    test('applies when stored version matches', () => {
+      dht.applyCompareAndSwap('coordinator:t', { version: 1 }, 0, null);
+      const result = dht.applyCompareAndSwap('coordinator:t', { version: 2 }, 1, null);
+
+      expect(result.success).toBe(true);
+      expect(dht.storage.get('coordinator:t').value.version).toBe(2);
+    });
+
+    test('conflicts when a newer version is stored', () => {
+      dht.applyCompareAndSwap('coordinator:t', { version: 3, tag: 'winner' }, 2, null);
+      const result = dht.applyCompareAndSwap('coordinator:t', { version: 3, tag: 'loser' }, 2, null);
+
+      expect(result).toMatchObject({ success: false, conflict: true, currentVersion: 3 });
+      expect(result.currentValue.tag).toBe('winner');
+      expect(dht.storage.get('coordinator:t').value.tag).toBe('winner');
+    });
+
+    test('catches up when the replica is behind the writer', () => {
+      dht.applyCompareAndSwap('coordinator:t', { version: 1 }, 0, null);
+      const result = dht.applyCompareAndSwap('coordinator:t', { version: 5 }, 4, null);
+
+      expect(result.success).toBe(true);
+    });
+
+    test('refuses values that do not raise the version', () => {
+      dht.applyCompareAndSwap('coordinator:t', { version: 3, tag: 'current' }, 2, null);
+
+      // Rollback to an older version, and a second commit of the expected version
+      expect(dht.applyCompareAndSwap('coordinator:t', { version: 1 }, 3, null)).toMatchObject({ success: false, conflict: false });
+      expect(dht.applyCompareAndSwap('coordinator:t', { version: 3, tag: 'again' }, 3, null).success).toBe(false);
+      expect(dht.storage.get('coordinator:t').value.tag).toBe('current');
+    });
+
+    test('stores the same record metadata as a plain store', async () => {
+      const publisher = await RecordPublisher.create(await InvitationToken.generateKeyPair(), 'coordinator:t', { version: 1 }, 'writer');
+      await dht.handleCasStore('peer1', {
+        type: 'cas_store', requestId: 'r1', key: 'coordinator:t', value: { version: 1 }, expectedVersion: 0, ttl: 60000, publisher
+      });
+
+      const stored = dht.storage.get('coordinator:t');
+      expect(stored.publisher).toEqual(publisher);
+      expect(dht.getRemainingTTL(stored)).toBeGreaterThan(59000);
+    });
+
+    test('refuses mutable record keys', () => {
+      const result = dht.applyCompareAndSwap('mutable:abc', { version: 1 }, 0, null);
+
+      expect(result.success).toBe(false);
+      expect(dht.storage.has('mutable:abc')).toBe(false);
+    });
+
+    test('deleted keys only take writes from the deleter', async () => {
+      const tombstone = { type: 'tombstone', key: 'coordinator:t', nodeId: 'deleter', publicKey: 'deleterKey', timestamp: Date.now() };
+      dht.storage.set('coordinator:t', { value: tombstone, timestamp: Date.now(), expiresAt: Date.now() + 60000 });
+
+      await dht.handleCasStore('peer1', {
+        type: 'cas_store', requestId: 'r1', key: 'coordinator:t', value: { version: 1 }, expectedVersion: 0
+      });
+      expect(dht.sendMessage).toHaveBeenCalledWith('peer1', expect.objectContaining({ success: false, conflict: false }));
+      expect(dht.storage.get('coordinator:t').value).toEqual(tombstone);
+
+      const deleter = { nodeId: 'deleter', publicKey: 'deleterKey' };
+      expect(dht.applyCompareAndSwap('coordinator:t', { ...tombstone, version: 2 }, 1, deleter).success).toBe(false);
+      expect(dht.applyCompareAndSwap('coordinator:t', { version: 1 }, 0, { nodeId: 'deleter', publicKey: 'otherKey' }).success).toBe(false);
+      expect(dht.applyCompareAndSwap('coordinator:t', { version: 1 }, 0, deleter).success).toBe(true);
+    });
+
+    test('handleCasStore responds with the outcome', async () => {
+      await dht.handleCasStore('peer1', {
+        type: 'cas_store', requestId: 'r1', key: 'coordinator:t', value: { version: 1 }, expectedVersion: 0
+      });
+
+      expect(dht.sendMessage).toHaveBeenCalledWith('peer1', expect.objectContaining({
+        type: 'cas_store_response', requestId: 'r1', success: true
+      }));
+    });
+
+    test('passive nodes reject cas_store', async () => {
+      const passive = createDHT({ passiveMode: true });
+      await passive.handleCasStore('peer1', {
+        type: 'cas_store', requestId: 'r1', key: 'coordinator:t', value: { version: 1 }, expectedVersion: 0
+      });
+
+      expect(passive.sendMessage.mock.calls[0][1].success).toBe(false);
+      expect(passive.storage.size).toBe(0);
+    });
+  });
+
+  describe('client quorum', () => {
+    let dht;
+
+    beforeEach(() => {
+      dht = createDHT();
+      dht.selectReplicationTargets = jest.fn().mockResolvedValue({
+        targetNodes: ['a', 'b', 'c', 'd'].map(fakeNode),
+        shouldStoreLocally: true
+      });
+    });
+
+    test('commits with a majority of acks', async () => {
+      dht.sendCasStore = jest.fn(async (peerId) => {
+        if (peerId === 'd') throw new Error('timeout');
+        if (peerId === 'c') return { success: false, conflict: true, currentVersion: 2 };
+        return { success: true, conflict: false };
+      });
+
+      const result = await dht.compareAndSwap('coordinator:t', { version: 2 }, 1);
+
+      expect(result).toMatchObject({ success: true, conflict: false, currentVersion: 2, acks: 3, replicas: 5 });
+      expect(dht.republishQueue.has('coordinator:t')).toBe(true);
+    });
+
+    test('reports the newest conflicting version without a majority', async () => {
+      dht.storage.set('coordinator:t', { value: { version: 4, tag: 'local' }, timestamp: Date.now() });
+      dht.sendCasStore = jest.fn(async (peerId) => {
+        if (peerId === 'a') return { success: true, conflict: false };
+        return { success: false, conflict: true, currentVersion: peerId === 'b' ? 6 : 5, currentValue: { version: peerId === 'b' ? 6 : 5 } };
+      });
+
+      const result = await dht.compareAndSwap('coordinator:t', { version: 3 }, 2);
+
+      expect(result.success).toBe(false);
+      expect(result.conflict).toBe(true);
+      expect(result.currentVersion).toBe(6);
+      expect(result.currentValue.version).toBe(6);
+    });
+
+    test('fails without conflict when replicas are unreachable', async () => {
+      dht.sendCasStore = jest.fn().mockRejectedValue(new Error('timeout'));
+
+      const result = await dht.compareAndSwap('coordinator:t', { version: 1 }, 0);
+
+      expect(result).toMatchObject({ success: false, conflict: false, acks: 1, replicas: 5 });
+    });
+
+    test('requires a versioned value', async () => {
+      await expect(dht.compareAndSwap('coordinator:t', { data: 1 }, 0)).rejects.toThrow('numeric version');
+      await expect(dht.compareAndSwap('coordinator:t', { version: 2 }, 2)).rejects.toThrow('version above 2');
+    });
+
+    test('only one of two concurrent writers wins', async () => {
+      const replicas = new Map(['a', 'b', 'c'].map(id => [id, createDHT()]));
+      const wire = (writer) => {
+        writer.selectReplicationTargets = jest.fn().mockResolvedValue({
+          targetNodes: [...replicas.keys()].map(fakeNode),
+          shouldStoreLocally: false
+        });
+        // Deliver to replicas in a writer-specific order to interleave the two writes
+        writer.sendCasStore = jest.fn(async (peerId, key, value, expectedVersion) => {
+          await new Promise(resolve => setImmediate(resolve));
+          return replicas.get(peerId).applyCompareAndSwap(key, value, expectedVersion, writer === w1 ? 'w1' : 'w2');
+        });
+      };
+
+      const w1 = createDHT();
+      const w2 = createDHT();
+      wire(w1);
+      wire(w2);
+
+      const [r1, r2] = await Promise.all([
+        w1.compareAndSwap('coordinator:t', { version: 1, writer: 'w1' }, 0),
+        w2.compareAndSwap('coordinator:t', { version: 1, writer: 'w2' }, 0)
+      ]);
+
+      expect([r1.success, r2.success].filter(Boolean)).toHaveLength(1);
+    });
+  });
+
+  describe('PubSubStorage integration', () => {
+    test('storeCoordinatorWithVersionCheck uses the DHT compare-and-swap', async () => {
+      const dht = createDHT();
+      dht.isStarted = true;
+      dht.selectReplicationTargets = jest.fn().mockResolvedValue({ targetNodes: [], shouldStoreLocally: true });
+
+      const storage = new PubSubStorage(dht);
+      const coordinator = new CoordinatorObject({ topicID: 'topic-1', version: 1 });
+
+      const first = await storage.storeCoordinatorWithVersionCheck(coordinator, 0);
+      expect(first).toMatchObject({ success: true, conflict: false, currentVersion: 1 });
+
+      const stale = new CoordinatorObject({ topicID: 'topic-1', version: 1 });
+      dht.storage.set('coordinator:topic-1', { value: new CoordinatorObject({ topicID: 'topic-1', version: 2 }).serialize() });
+
+      const second = await storage.storeCoordinatorWithVersionCheck(stale, 0);
+      expect(second.conflict).toBe(true);
+      expect(second.currentVersion).toBe(2);
+      expect(second.currentCoordinator).toBeInstanceOf(CoordinatorObject);
+    });
+  });
+});
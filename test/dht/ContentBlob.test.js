@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+import { ContentBlob } from '../../src/dht/ContentBlob.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Content-addressed blob store
+ *
+ * Verifies that:
+ * - Small data is a single self-verifying chunk, large data gets a manifest
+ * - Replicas reject records that don't hash to their key
+ * - putBlob/getBlob round-trip chunked data
+ * - Forged chunks from one replica are skipped, and unverifiable data is rejected
+ */
+
+const fakeNode = (id) => ({ id: { toString: () => id } });
+
+function sampleBytes(length) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = (i * i * 7 + i) % 251;
+  }
+  return bytes;
+}
+
+describe('ContentBlob', () => {
+  test('small data is a single chunk addressed by its SHA-256', () => {
+    const { hash, records } = ContentBlob.split('hello');
+
+    expect(hash).toBe('2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+    expect(records).toHaveLength(1);
+    expect(ContentBlob.decode(records[0].record.data)).toEqual(new TextEncoder().encode('hello'));
+  });
+
+  test('large data is split into chunks plus a manifest', () => {
+    const bytes = sampleBytes(2500);
+    const { hash, records } = ContentBlob.split(bytes, 1000);
+
+    expect(records).toHaveLength(4);
+    const manifest = records.at(-1).record;
+    expect(manifest).toMatchObject({ type: 'blob-manifest', size: 2500, chunkSize: 1000 });
+    expect(manifest.chunks).toEqual(records.slice(0, 3).map(r => r.hash));
+    expect(ContentBlob.verify(hash, manifest)).toEqual({ valid: true });
+    expect(ContentBlob.join(manifest, records.slice(0, 3).map(r => r.record))).toEqual(bytes);
+  });
+
+  test('verify rejects tampered chunks and manifests', () => {
+    const { records } = ContentBlob.split(sampleBytes(2500), 1000);
+    const [chunk] = records;
+    const manifest = records.at(-1);
+
+    expect(ContentBlob.verify(chunk.hash, { ...chunk.record, data: ContentBlob.encode(sampleBytes(10)) }).valid).toBe(false);
+    expect(ContentBlob.verify(manifest.hash, { ...manifest.record, size: 1 }).valid).toBe(false);
+    expect(ContentBlob.verify(chunk.hash, { version: 1 }).error).toBe('Not a blob record');
+  });
+
+  test('getKey rejects malformed hashes', () => {
+    expect(() => ContentBlob.getKey('../etc')).toThrow('Invalid blob hash');
+  });
+});
+
+describe('KademliaDHT blobs', () => {
+  let dht;
+  let network;
+
+  beforeEach(() => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+    dht.sendMessage = jest.fn().mockResolvedValue(true);
+    dht.isPeerConnected = jest.fn(() => true);
+
+    // Simulated replicas: key -> value, filled by store() and read by sendFindValue()
+    network = new Map();
+    dht.selectReplicationTargets = jest.fn().mockResolvedValue({ targetNodes: [fakeNode('a')], shouldStoreLocally: false });
+    dht.sendStore = jest.fn(async (peerId, key, value) => {
+      network.set(key, value);
+      return { success: true };
+    });
+    dht.findNode = jest.fn().mockResolvedValue([fakeNode('a'), fakeNode('b')]);
+    dht.sendFindValue = jest.fn(async (peerId, key) => (
+      network.has(key) ? { found: true, value: network.get(key) } : { found: false }
+    ));
+    dht._getFromDHT = jest.fn().mockResolvedValue(null);
+  });
+
+  test('round-trips chunked data', async () => {
+    const bytes = sampleBytes(5000);
+
+    const hash = await dht.putBlob(bytes, { chunkSize: 1024 });
+
+    expect(network.size).toBe(6);
+    expect(await dht.getBlob(hash)).toEqual(bytes);
+  });
+
+  test('stores the manifest after its chunks', async () => {
+    const hash = await dht.putBlob(sampleBytes(3000), { chunkSize: 1024 });
+
+    expect(dht.sendStore.mock.calls.at(-1)[1]).toBe(ContentBlob.getKey(hash));
+  });
+
+  test('skips a forged chunk from one replica', async () => {
+    const bytes = sampleBytes(3000);
+    const hash = await dht.putBlob(bytes, { chunkSize: 1024 });
+    const firstChunkKey = ContentBlob.getKey(network.get(ContentBlob.getKey(hash)).chunks[0]);
+
+    dht.sendFindValue = jest.fn(async (peerId, key) => {
+      if (peerId === 'a' && key === firstChunkKey) {
+        return { found: true, value: { type: 'blob-chunk', data: ContentBlob.encode(sampleBytes(8)) } };
+      }
+      return network.has(key) ? { found: true, value: network.get(key) } : { found: false };
+    });
+
+    expect(await dht.getBlob(hash)).toEqual(bytes);
+  });
+
+  test('rejects data that fails verification', async () => {
+    const hash = await dht.putBlob(sampleBytes(3000), { chunkSize: 1024 });
+    const forged = { type: 'blob-chunk', data: ContentBlob.encode(sampleBytes(8)) };
+    const chunkKey = ContentBlob.getKey(network.get(ContentBlob.getKey(hash)).chunks[1]);
+    network.set(chunkKey, forged);
+    dht._getFromDHT = jest.fn().mockResolvedValue(forged);
+
+    await expect(dht.getBlob(hash)).rejects.toThrow('failed verification');
+  });
+
+  test('returns null for unknown blobs', async () => {
+    expect(await dht.getBlob('0'.repeat(64))).toBeNull();
+  });
+
+  test('replicas refuse records that do not match their key', async () => {
+    const { hash, records } = ContentBlob.split('payload');
+
+    await dht.handleStore('peer1', { type: 'store', requestId: 'r1', key: ContentBlob.getKey(hash), value: { type: 'blob-chunk', data: 'Zm9yZ2Vk' } });
+    expect(dht.sendMessage.mock.calls.at(-1)[1].success).toBe(false);
+    expect(dht.storage.size).toBe(0);
+
+    await dht.handleStore('peer1', { type: 'store', requestId: 'r2', key: ContentBlob.getKey(hash), value: records[0].record });
+    expect(dht.sendMessage.mock.calls.at(-1)[1].success).toBe(true);
+  });
+});
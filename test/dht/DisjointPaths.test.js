@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { DHTNodeId } from '../../src/core/DHTNodeId.js';
+import { DHTNode } from '../../src/core/DHTNode.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: S/Kademlia disjoint-path lookups
+ *
+ * Verifies that:
+ * - findNode({ disjointPaths }) never queries a peer from two paths
+ * - Merged results still contain the true closest nodes when one peer lies
+ * - Value lookups report how many paths agreed and honor minAgreement
+ */
+
+describe('Disjoint-path lookups', () => {
+  const key = 'doc:sensitive';
+  const target = DHTNodeId.fromString(key);
+  let dht;
+  let honest;
+  let malicious;
+  let replicas;
+
+  const closestTo = (ids) => [...ids]
+    .sort((a, b) => DHTNodeId.fromHex(a).xorDistance(target).compare(DHTNodeId.fromHex(b).xorDistance(target)));
+
+  beforeEach(() => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap(), k: 8, alpha: 2 });
+    dht.isPeerConnected = jest.fn(() => true);
+
+    honest = Array.from({ length: 30 }, () => new DHTNodeId().toString());
+    replicas = new Set(closestTo(honest).slice(0, 5));
+    // The attacker is the closest node we know, so the first path queries it first
+    malicious = closestTo(honest)[10];
+
+    // Local routing table only knows nodes away from the replica set
+    for (const id of closestTo(honest).slice(10, 18)) {
+      dht.routingTable.addNode(new DHTNode(id, id));
+    }
+
+    // Honest nodes know the whole network; the attacker hides it
+    dht.sendFindNode = jest.fn(async (peerId, lookupTarget) => {
+      if (peerId === malicious) {
+        return { nodes: [] };
+      }
+      const order = [...honest].sort((a, b) => DHTNodeId.fromHex(a).xorDistance(lookupTarget).compare(DHTNodeId.fromHex(b).xorDistance(lookupTarget)));
+      return { nodes: order.filter(id => id !== peerId).slice(0, 8).map(id => ({ id })) };
+    });
+    dht.sendFindValue = jest.fn(async (peerId) => {
+      if (peerId === malicious) {
+        return { found: true, value: { owner: 'mallory' } };
+      }
+      if (replicas.has(peerId)) {
+        return { found: true, value: { owner: 'alice' } };
+      }
+      return dht.sendFindNode(peerId, target);
+    });
+  });
+
+  test('paths never share a queried peer', async () => {
+    await dht.findNode(target, { disjointPaths: 3 });
+
+    const queried = dht.sendFindNode.mock.calls.map(([peerId]) => peerId);
+    expect(queried.length).toBeGreaterThan(3);
+    expect(new Set(queried).size).toBe(queried.length);
+  });
+
+  test('merged results include the true closest nodes despite a lying peer', async () => {
+    const nodes = await dht.findNode(target, { disjointPaths: 3, limit: 10 });
+    const ids = nodes.map(node => node.id.toString());
+
+    for (const id of closestTo(honest).slice(0, 3)) {
+      expect(ids).toContain(id);
+    }
+  });
+
+  test('value lookups report path agreement', async () => {
+    const result = await dht.findValue(key, { disjointPaths: 3 });
+
+    expect(result).toEqual({ found: true, value: { owner: 'alice' }, agreeing: 2, paths: 3 });
+  });
+
+  test('get requires minAgreement paths to agree', async () => {
+    expect(await dht.get(key, { disjointPaths: 3, minAgreement: 2 })).toEqual({ owner: 'alice' });
+    expect(await dht.get(key, { disjointPaths: 3, minAgreement: 3 })).toBeNull();
+  });
+
+  test('reports nothing found when no path reaches a replica', async () => {
+    replicas.clear();
+    dht.routingTable.removeNode(malicious);
+
+    expect(await dht.findValue(key, { disjointPaths: 2 })).toEqual({ found: false, value: null, agreeing: 0, paths: 2 });
+  });
+});
@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { DHTNodeId } from '../../src/core/DHTNodeId.js';
+import { DHTNode } from '../../src/core/DHTNode.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Join replication (key handoff)
+ *
+ * Verifies that:
+ * - Only keys the new contact is now responsible for are handed off
+ * - Only the closest existing holder sends a key
+ * - Handoff is rate limited and stops when the peer goes away
+ * - Reconnecting peers are not re-flooded within the cooldown
+ */
+
+/**
+ * ID that shares the key's bits up to byteIndex (higher byteIndex = closer)
+ */
+function idNear(key, byteIndex, variant = 1) {
+  const bytes = new Uint8Array(DHTNodeId.fromString(key).bytes);
+  bytes[byteIndex] ^= variant;
+  return new DHTNodeId(bytes);
+}
+
+function addContact(dht, id) {
+  dht.routingTable.addNode(new DHTNode(id.toString(), id.toString()));
+  return id.toString();
+}
+
+describe('Key handoff to new contacts', () => {
+  const key = 'coordinator:topic-1';
+
+  function createDHT(localByte, options = {}) {
+    const dht = new KademliaDHT({
+      bootstrap: createMockBootstrap(),
+      nodeId: idNear(key, localByte),
+      replicateK: 3,
+      handoffBatchSize: 2,
+      handoffBatchInterval: 50,
+      ...options
+    });
+    dht.isStarted = true;
+    dht.isPeerConnected = jest.fn(() => true);
+    dht.sendStore = jest.fn().mockResolvedValue({ success: true });
+    return dht;
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('hands off a key when the new node joins its replica set', () => {
+    const dht = createDHT(10);
+    dht.storage.set(key, { value: 'v', timestamp: Date.now() });
+    addContact(dht, idNear(key, 0));
+    const newPeer = addContact(dht, idNear(key, 19));
+
+    expect(dht.getKeysForNewNode(newPeer)).toEqual([key]);
+  });
+
+  test('skips keys where the new node is outside the replica set', () => {
+    const dht = createDHT(10);
+    dht.storage.set(key, { value: 'v', timestamp: Date.now() });
+    addContact(dht, idNear(key, 18, 1));
+    addContact(dht, idNear(key, 18, 2));
+    const newPeer = addContact(dht, idNear(key, 0));
+
+    expect(dht.getKeysForNewNode(newPeer)).toEqual([]);
+  });
+
+  test('leaves the handoff to a closer existing holder', () => {
+    const dht = createDHT(5);
+    dht.storage.set(key, { value: 'v', timestamp: Date.now() });
+    addContact(dht, idNear(key, 15));
+    const newPeer = addContact(dht, idNear(key, 19));
+
+    expect(dht.getKeysForNewNode(newPeer)).toEqual([]);
+  });
+
+  test('sends keys in rate-limited batches', () => {
+    jest.useFakeTimers();
+    const dht = createDHT(10);
+    dht.getKeysForNewNode = jest.fn(() => ['k1', 'k2', 'k3', 'k4', 'k5']);
+    for (const k of ['k1', 'k2', 'k3', 'k4', 'k5']) {
+      dht.storage.set(k, { value: k, timestamp: Date.now() });
+    }
+
+    dht.scheduleKeyHandoff('a'.repeat(40));
+    expect(dht.sendStore).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(50);
+    expect(dht.sendStore).toHaveBeenCalledTimes(4);
+
+    jest.advanceTimersByTime(50);
+    expect(dht.sendStore).toHaveBeenCalledTimes(5);
+    expect(dht.sendStore).toHaveBeenLastCalledWith('a'.repeat(40), 'k5', 'k5', { ttl: undefined });
+    expect(dht.keyHandoffs.size).toBe(0);
+  });
+
+  test('stops when the peer disconnects', () => {
+    jest.useFakeTimers();
+    const dht = createDHT(10);
+    dht.getKeysForNewNode = jest.fn(() => ['k1', 'k2', 'k3', 'k4']);
+    for (const k of ['k1', 'k2', 'k3', 'k4']) {
+      dht.storage.set(k, { value: k, timestamp: Date.now() });
+    }
+
+    dht.scheduleKeyHandoff('b'.repeat(40));
+    dht.isPeerConnected = jest.fn(() => false);
+    jest.advanceTimersByTime(50);
+
+    expect(dht.sendStore).toHaveBeenCalledTimes(2);
+    expect(dht.keyHandoffs.size).toBe(0);
+  });
+
+  test('does not repeat a handoff within the cooldown', () => {
+    const dht = createDHT(10);
+    dht.storage.set('k1', { value: 1, timestamp: Date.now() });
+    dht.getKeysForNewNode = jest.fn(() => ['k1']);
+
+    dht.scheduleKeyHandoff('c'.repeat(40));
+    dht.scheduleKeyHandoff('c'.repeat(40));
+
+    expect(dht.getKeysForNewNode).toHaveBeenCalledTimes(1);
+    expect(dht.sendStore).toHaveBeenCalledTimes(1);
+  });
+
+  test('passive nodes never hand off', () => {
+    const dht = createDHT(10, { passiveMode: true });
+    dht.storage.set('k1', { value: 1, timestamp: Date.now() });
+    dht.getKeysForNewNode = jest.fn(() => ['k1']);
+
+    dht.scheduleKeyHandoff('d'.repeat(40));
+
+    expect(dht.getKeysForNewNode).not.toHaveBeenCalled();
+  });
+});
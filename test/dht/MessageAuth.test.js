@@ -0,0 +1,143 @@
+import { jest } from '@jest/globals';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { MessageEnvelope } from '../../src/core/MessageEnvelope.js';
+import { NodeIdProof } from '../../src/core/NodeIdProof.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { DHTNodeId } from '../../src/core/DHTNodeId.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Authenticated DHT RPCs
+ *
+ * Verifies that:
+ * - Envelopes cover the message body but not fields rewritten in transit
+ * - Receivers drop unsigned (in 'require' mode), forged, stale and replayed messages
+ * - Routed messages are bound to their source rather than the forwarding hop
+ * - Keys of non key-derived node IDs come from the published public key record
+ *   (only trusted for derived node IDs when requireNodeIdProof is set)
+ */
+
+describe('MessageEnvelope', () => {
+  let identity;
+
+  beforeAll(async () => {
+    identity = await NodeIdProof.generate();
+  });
+
+  test('signature covers the body but not transport fields', async () => {
+    const signed = await MessageEnvelope.sign({ type: 'store', key: 'k', value: { a: 1, b: 2 } }, identity.keyPair, identity.nodeId);
+    // Re-serialized by the receiver, with keys in another order and transport metadata added
+    const received = { ...JSON.parse(JSON.stringify(signed)), value: { b: 2, a: 1 }, from: 'relay', timestamp: 1 };
+
+    expect(await MessageEnvelope.verify(received, identity.keyPair.publicKey)).toEqual({ valid: true });
+    expect(await MessageEnvelope.verify({ ...received, value: { a: 2, b: 2 } }, identity.keyPair.publicKey))
+      .toEqual({ valid: false, error: 'Invalid signature' });
+  });
+
+  test('routed messages may change route and ttl in transit', async () => {
+    const signed = await MessageEnvelope.sign({ type: 'overlay_routed_message', source: identity.nodeId, route: ['a', 'b'], ttl: 3, payload: {} }, identity.keyPair, identity.nodeId);
+
+    expect(await MessageEnvelope.verify({ ...signed, route: ['b'], ttl: 2 }, identity.keyPair.publicKey)).toEqual({ valid: true });
+    expect((await MessageEnvelope.verify({ ...signed, destination: 'c' }, identity.keyPair.publicKey)).valid).toBe(false);
+  });
+
+  test('stale and unsigned messages fail', async () => {
+    const signed = await MessageEnvelope.sign({ type: 'find_node' }, identity.keyPair, identity.nodeId);
+
+    expect(await MessageEnvelope.verify(signed, identity.keyPair.publicKey, { maxAge: 1000, now: Date.now() + 5000 }))
+      .toEqual({ valid: false, error: 'Stale message' });
+    expect((await MessageEnvelope.verify({ type: 'find_node' }, identity.keyPair.publicKey)).error).toBe('Missing message signature');
+  });
+});
+
+describe('KademliaDHT message authentication', () => {
+  let dht;
+  let peer;
+  let other;
+
+  beforeAll(async () => {
+    peer = await NodeIdProof.generate();
+    other = await NodeIdProof.generate();
+  });
+
+  beforeEach(() => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap(), messageAuth: 'require' });
+    dht.handleFindNode = jest.fn();
+  });
+
+  const signAs = (identity, message) => MessageEnvelope.sign(message, identity.keyPair, identity.nodeId);
+
+  test('accepts signed messages and drops unsigned ones', async () => {
+    await dht.handlePeerMessage(peer.nodeId, await signAs(peer, { type: 'find_node', target: 'ab' }));
+    await dht.handlePeerMessage(peer.nodeId, { type: 'find_node', target: 'ab' });
+
+    expect(dht.handleFindNode).toHaveBeenCalledTimes(1);
+    expect(dht.getStats().messageAuth).toMatchObject({ mode: 'require', rejectedMessages: 1 });
+  });
+
+  test('drops replayed messages', async () => {
+    const message = await signAs(peer, { type: 'find_node', target: 'ab' });
+
+    await dht.handlePeerMessage(peer.nodeId, message);
+    await dht.handlePeerMessage(peer.nodeId, { ...message, timestamp: Date.now() });
+
+    expect(dht.handleFindNode).toHaveBeenCalledTimes(1);
+  });
+
+  test('drops messages signed by someone other than the sender', async () => {
+    await dht.handlePeerMessage(peer.nodeId, await signAs(other, { type: 'find_node', target: 'ab' }));
+
+    expect(dht.handleFindNode).not.toHaveBeenCalled();
+  });
+
+  test('binds routed messages to their source, not the forwarding hop', async () => {
+    dht.overlayNetwork = { handleOverlayMessage: jest.fn() };
+    const routed = await signAs(other, { type: 'overlay_routed_message', source: other.nodeId, destination: 'c', route: [], ttl: 2, payload: { type: 'routed_dht_request' } });
+    const spoofed = await signAs(peer, { type: 'overlay_routed_message', source: other.nodeId, destination: 'c', route: [], ttl: 2, payload: { type: 'routed_dht_request' } });
+
+    await dht.handlePeerMessage(peer.nodeId, { ...routed, ttl: 1 });
+    await dht.handlePeerMessage(peer.nodeId, spoofed);
+
+    expect(dht.overlayNetwork.handleOverlayMessage).toHaveBeenCalledTimes(1);
+    // The overlay hands the verified payload back to handlePeerMessage at the destination
+    expect(await dht.authenticateMessage(other.nodeId, routed.payload)).toBe(true);
+  });
+
+  test('looks up keys of node IDs not derived from them', async () => {
+    const keyPair = await InvitationToken.generateKeyPair();
+    const nodeId = 'c'.repeat(40);
+    const message = await MessageEnvelope.sign({ type: 'find_node', target: 'ab' }, keyPair, nodeId);
+
+    await dht.handlePeerMessage(nodeId, message);
+    expect(dht.handleFindNode).not.toHaveBeenCalled();
+
+    dht.storage.set(InvitationToken.getPublicKeyStorageKey(nodeId), { value: { nodeId, publicKey: keyPair.publicKey }, timestamp: Date.now() });
+    await dht.handlePeerMessage(nodeId, await MessageEnvelope.sign({ type: 'find_node', target: 'ab' }, keyPair, nodeId));
+    expect(dht.handleFindNode).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores published keys of node IDs not derived from them when proofs are required', async () => {
+    dht.options.requireNodeIdProof = true;
+    const keyPair = await InvitationToken.generateKeyPair();
+    const nodeId = 'c'.repeat(40);
+
+    dht.storage.set(InvitationToken.getPublicKeyStorageKey(nodeId), { value: { nodeId, publicKey: keyPair.publicKey }, timestamp: Date.now() });
+    await dht.handlePeerMessage(nodeId, await MessageEnvelope.sign({ type: 'find_node', target: 'ab' }, keyPair, nodeId));
+    expect(dht.handleFindNode).not.toHaveBeenCalled();
+  });
+
+  test('signs outgoing messages but keeps forwarded envelopes', async () => {
+    const connectionManager = { sendMessage: jest.fn(), isConnected: () => true };
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap(), messageAuth: 'sign', nodeId: DHTNodeId.fromHex(peer.nodeId), keyPair: peer.keyPair });
+    dht.getOrCreatePeerNode = jest.fn(() => ({ connectionManager }));
+
+    await dht.sendMessage(other.nodeId, { type: 'find_node', target: 'ab' });
+    const routed = await signAs(other, { type: 'overlay_routed_message', source: other.nodeId, route: [], ttl: 1, payload: {} });
+    await dht.sendMessage('d'.repeat(40), routed);
+
+    const [[, sent], [, forwarded]] = connectionManager.sendMessage.mock.calls;
+    expect(sent.auth.nodeId).toBe(peer.nodeId);
+    expect(await MessageEnvelope.verify(sent, peer.keyPair.publicKey)).toEqual({ valid: true });
+    expect(forwarded.auth).toBe(routed.auth);
+  });
+});
@@ -0,0 +1,203 @@
+import { jest } from '@jest/globals';
+import { MutableRecord } from '../../src/dht/MutableRecord.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Signed mutable records (BEP44-style)
+ *
+ * Verifies that:
+ * - Keys are derived from public key + salt
+ * - Tampered, mis-keyed or unsigned records fail verification
+ * - handleStore only accepts validly signed records with a newer seq
+ * - store() applies the same check to its local copy
+ * - getMutable returns the newest verified record across replicas
+ */
+
+describe('MutableRecord', () => {
+  let keyInfo;
+  let otherKeyInfo;
+
+  beforeAll(async () => {
+    keyInfo = await InvitationToken.generateKeyPair();
+    otherKeyInfo = await InvitationToken.generateKeyPair();
+  });
+
+  describe('keys and signatures', () => {
+    test('key is derived from public key and salt', () => {
+      const key = MutableRecord.getKey(keyInfo.publicKey, 'profile');
+
+      expect(MutableRecord.isMutableKey(key)).toBe(true);
+      expect(key).toMatch(/^mutable:[0-9a-f]{40}$/);
+      expect(MutableRecord.getKey(keyInfo.publicKey, 'profile')).toBe(key);
+      expect(MutableRecord.getKey(keyInfo.publicKey, 'name')).not.toBe(key);
+      expect(MutableRecord.getKey(otherKeyInfo.publicKey, 'profile')).not.toBe(key);
+    });
+
+    test('valid record verifies against its key', async () => {
+      const record = await MutableRecord.create(keyInfo, 'profile', { name: 'alice' }, 1);
+      const key = MutableRecord.getKey(keyInfo.publicKey, 'profile');
+
+      expect(await MutableRecord.verify(record, key)).toEqual({ valid: true });
+    });
+
+    test('tampered value fails verification', async () => {
+      const record = await MutableRecord.create(keyInfo, 'profile', { name: 'alice' }, 1);
+      const tampered = { ...record, value: { name: 'mallory' } };
+
+      const result = await MutableRecord.verify(tampered);
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Invalid signature');
+    });
+
+    test('record stored under another key fails verification', async () => {
+      const record = await MutableRecord.create(keyInfo, 'profile', 'x', 1);
+      const wrongKey = MutableRecord.getKey(keyInfo.publicKey, 'other');
+
+      const result = await MutableRecord.verify(record, wrongKey);
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/Key does not match/);
+    });
+
+    test('rejects invalid sequence numbers', async () => {
+      await expect(MutableRecord.create(keyInfo, '', 'x', -1)).rejects.toThrow('seq');
+      await expect(MutableRecord.create(keyInfo, '', 'x', 1.5)).rejects.toThrow('seq');
+    });
+  });
+
+  describe('KademliaDHT integration', () => {
+    let dht;
+    let key;
+
+    beforeEach(() => {
+      dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+      dht.keyPair = keyInfo;
+      dht.sendMessage = jest.fn().mockResolvedValue(true);
+      key = MutableRecord.getKey(keyInfo.publicKey, 'coordinator');
+    });
+
+    const storeFrom = (record, storeKey = key) => dht.handleStore('peer1', {
+      type: 'store', requestId: 'r1', key: storeKey, value: record
+    });
+
+    const lastResponse = () => dht.sendMessage.mock.calls.at(-1)[1];
+
+    test('accepts a validly signed record', async () => {
+      const record = await MutableRecord.create(keyInfo, 'coordinator', { version: 1 }, 1);
+      await storeFrom(record);
+
+      expect(lastResponse().success).toBe(true);
+      expect(dht.storage.get(key).value.seq).toBe(1);
+    });
+
+    test('rejects records signed by another key', async () => {
+      const forged = await MutableRecord.create(otherKeyInfo, 'coordinator', { version: 99 }, 99);
+      await storeFrom(forged);
+
+      expect(lastResponse().success).toBe(false);
+      expect(dht.storage.has(key)).toBe(false);
+    });
+
+    test('rejects plain values under a mutable key', async () => {
+      await storeFrom({ version: 1 });
+
+      expect(lastResponse().success).toBe(false);
+      expect(dht.storage.has(key)).toBe(false);
+    });
+
+    test('rejects older and equal sequence numbers', async () => {
+      await storeFrom(await MutableRecord.create(keyInfo, 'coordinator', 'v5', 5));
+
+      await storeFrom(await MutableRecord.create(keyInfo, 'coordinator', 'v4', 4));
+      expect(lastResponse()).toMatchObject({ success: false, seq: 5 });
+
+      await storeFrom(await MutableRecord.create(keyInfo, 'coordinator', 'v5-other', 5));
+      expect(lastResponse()).toMatchObject({ success: false, seq: 5 });
+
+      expect(dht.storage.get(key).value.value).toBe('v5');
+    });
+
+    test('accepts re-store of the identical record and newer seqs', async () => {
+      const record = await MutableRecord.create(keyInfo, 'coordinator', 'v1', 1);
+      await storeFrom(record);
+      await storeFrom({ ...record });
+      expect(lastResponse().success).toBe(true);
+
+      await storeFrom(await MutableRecord.create(keyInfo, 'coordinator', 'v2', 2));
+      expect(lastResponse().success).toBe(true);
+      expect(dht.storage.get(key).value.value).toBe('v2');
+    });
+
+    test('store does not overwrite a newer local record with a lower seq', async () => {
+      const v5 = await MutableRecord.create(keyInfo, 'coordinator', 'v5', 5);
+      const v4 = await MutableRecord.create(keyInfo, 'coordinator', 'v4', 4);
+      dht.selectReplicationTargets = jest.fn().mockResolvedValue({ targetNodes: [], shouldStoreLocally: true });
+      await storeFrom(v5);
+
+      expect(await dht.store(key, v4)).toBe(false);
+      expect(dht.storage.get(key).value).toEqual(v5);
+
+      expect(await dht.store(key, { ...v5 })).toBe(true);
+      expect(dht.storage.get(key).value).toEqual(v5);
+    });
+
+    test('putMutable refuses to sign for a key it does not hold', async () => {
+      await expect(dht.putMutable(otherKeyInfo.publicKey, 'coordinator', 'x', 1)).rejects.toThrow('No signing key');
+    });
+
+    test('putMutable refuses a seq not newer than the local copy', async () => {
+      await storeFrom(await MutableRecord.create(keyInfo, 'coordinator', 'v3', 3));
+
+      await expect(dht.putMutable(keyInfo.publicKey, 'coordinator', 'x', 3)).rejects.toThrow('must be greater');
+    });
+
+    test('putMutable stores a signed record at the derived key', async () => {
+      dht.store = jest.fn().mockResolvedValue(true);
+
+      const result = await dht.putMutable(keyInfo.publicKey, 'coordinator', { members: 2 }, 7);
+
+      expect(result).toEqual({ key, seq: 7, success: true });
+      const [storedKey, record] = dht.store.mock.calls[0];
+      expect(storedKey).toBe(key);
+      expect(await MutableRecord.verify(record, key)).toEqual({ valid: true });
+    });
+
+    test('putMutable fails when every replica refuses the record', async () => {
+      const fakeNode = (id) => ({ id: { toString: () => id } });
+      dht.selectReplicationTargets = jest.fn().mockResolvedValue({ targetNodes: [fakeNode('a'), fakeNode('b')], shouldStoreLocally: true });
+      dht.sendStore = jest.fn().mockResolvedValue({ type: 'store_response', success: false, error: 'Sequence 7 is not newer than stored 9' });
+
+      expect((await dht.putMutable(keyInfo.publicKey, 'coordinator', 'stale', 7)).success).toBe(false);
+
+      dht.sendStore = jest.fn(async (peerId) => ({ type: 'store_response', success: peerId === 'a' }));
+      expect((await dht.putMutable(keyInfo.publicKey, 'coordinator', 'fresh', 8)).success).toBe(true);
+    });
+
+    test('getMutable returns the newest verified record across replicas', async () => {
+      const v2 = await MutableRecord.create(keyInfo, 'coordinator', 'v2', 2);
+      const v3 = await MutableRecord.create(keyInfo, 'coordinator', 'v3', 3);
+      const forged = { ...v3, seq: 10, value: 'forged' };
+
+      const peers = ['a', 'b', 'c'];
+      dht.findNode = jest.fn().mockResolvedValue(peers.map(id => ({ id: { toString: () => id } })));
+      dht.isPeerConnected = jest.fn(() => true);
+      dht.sendFindValue = jest.fn(async (peerId) => {
+        if (peerId === 'a') return { found: true, value: v2 };
+        if (peerId === 'b') return { found: true, value: forged };
+        return { found: true, value: v3 };
+      });
+
+      const record = await dht.getMutable(keyInfo.publicKey, 'coordinator');
+
+      expect(record.seq).toBe(3);
+      expect(record.value).toBe('v3');
+    });
+
+    test('getMutable returns null when nothing valid is found', async () => {
+      dht.findNode = jest.fn().mockResolvedValue([]);
+
+      expect(await dht.getMutable(keyInfo.publicKey, 'missing')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { jest } from '@jest/globals';
+import { NamespaceRegistry } from '../../src/dht/NamespaceRegistry.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { NodeIdProof } from '../../src/core/NodeIdProof.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Namespace validators and selectors
+ *
+ * Verifies that:
+ * - The longest matching prefix applies and validator results are normalized
+ * - handleStore rejects invalid records and keeps the selector's preferred value
+ * - Reads skip invalid replica answers and quorum reads use the selector
+ * - Built-in public key and consumed token namespaces
+ */
+
+const fakeNode = (id) => ({ id: { toString: () => id } });
+
+describe('NamespaceRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new NamespaceRegistry();
+  });
+
+  test('longest matching prefix wins', () => {
+    registry.register('app:', { validate: () => true });
+    registry.register('app:profile:', { validate: () => false });
+
+    expect(registry.get('app:profile:alice').prefix).toBe('app:profile:');
+    expect(registry.get('app:other').prefix).toBe('app:');
+    expect(registry.get('unrelated')).toBeNull();
+  });
+
+  test('normalizes validator results', async () => {
+    registry.register('bool:', { validate: (value) => value === 'ok' });
+    registry.register('obj:', { validate: () => ({ valid: false, error: 'nope' }) });
+    registry.register('throws:', { validate: () => { throw new Error('boom'); } });
+
+    expect(await registry.validate('bool:x', 'ok')).toEqual({ valid: true });
+    expect((await registry.validate('bool:x', 'bad')).valid).toBe(false);
+    expect(await registry.validate('obj:x', 1)).toEqual({ valid: false, error: 'nope' });
+    expect((await registry.validate('throws:x', 1)).error).toMatch(/boom/);
+    expect(await registry.validate('none:x', 1)).toEqual({ valid: true });
+  });
+
+  test('rejects bad registrations', () => {
+    expect(() => registry.register('', {})).toThrow('prefix');
+    expect(() => registry.register('x:', { select: 'highest' })).toThrow('select');
+    expect(() => registry.register('x:', { merge: 'union' })).toThrow('merge');
+  });
+
+  test('merges diverged values only when the namespace can', () => {
+    registry.register('set:', { merge: (values) => [...new Set(values.flat())].sort() });
+
+    expect(registry.merge('set:x', [['a', 'b'], ['b', 'c']])).toEqual(['a', 'b', 'c']);
+    expect(registry.merge('set:x', [['a']])).toEqual(['a']);
+    expect(registry.merge('none:x', [1, 2])).toBeNull();
+  });
+});
+
+describe('KademliaDHT namespaces', () => {
+  let dht;
+
+  beforeEach(() => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+    dht.sendMessage = jest.fn().mockResolvedValue(true);
+    dht.isPeerConnected = jest.fn(() => true);
+    dht.registerNamespace('score:', {
+      validate: (value) => Number.isInteger(value?.points),
+      select: (values) => values.reduce((best, v) => (v.points > best.points ? v : best))
+    });
+  });
+
+  const storeFrom = (key, value) => dht.handleStore('peer1', { type: 'store', requestId: 'r1', key, value });
+  const lastResponse = () => dht.sendMessage.mock.calls.at(-1)[1];
+
+  test('handleStore rejects records the validator refuses', async () => {
+    await storeFrom('score:alice', { points: 'lots' });
+
+    expect(lastResponse().success).toBe(false);
+    expect(dht.storage.has('score:alice')).toBe(false);
+  });
+
+  test('handleStore keeps the value the selector prefers', async () => {
+    await storeFrom('score:alice', { points: 10 });
+    await storeFrom('score:alice', { points: 3 });
+    expect(lastResponse().success).toBe(false);
+    expect(dht.storage.get('score:alice').value.points).toBe(10);
+
+    await storeFrom('score:alice', { points: 12 });
+    expect(lastResponse().success).toBe(true);
+    expect(dht.storage.get('score:alice').value.points).toBe(12);
+  });
+
+  test('store refuses to replicate invalid records', async () => {
+    await expect(dht.store('score:bob', { points: null })).rejects.toThrow('Cannot store score:bob');
+  });
+
+  test('reads skip invalid replica answers', async () => {
+    dht.findNode = jest.fn().mockResolvedValue([fakeNode('a'), fakeNode('b')]);
+    dht.sendFindValue = jest.fn(async (peerId) => (
+      peerId === 'a' ? { found: true, value: { points: 'forged' } } : { found: true, value: { points: 4 } }
+    ));
+
+    expect(await dht.get('score:carol')).toEqual({ points: 4 });
+  });
+
+  test('quorum reads resolve with the selector by default', async () => {
+    dht.findNode = jest.fn().mockResolvedValue(['a', 'b', 'c'].map(fakeNode));
+    dht.sendStore = jest.fn().mockResolvedValue({ success: true });
+    const values = { a: { points: 2 }, b: { points: 9 }, c: { points: 'x' } };
+    dht.sendFindValue = jest.fn(async (peerId) => ({ found: true, value: values[peerId] }));
+
+    expect(await dht.get('score:dave', { quorum: 3 })).toEqual({ points: 9 });
+  });
+
+  describe('built-in namespaces', () => {
+    test('public key records must match their node ID', async () => {
+      const { nodeId, keyPair } = await NodeIdProof.generate();
+      const other = await NodeIdProof.generate();
+      const key = InvitationToken.getPublicKeyStorageKey(nodeId);
+
+      await storeFrom(key, { nodeId: other.nodeId, publicKey: keyPair.publicKey, timestamp: 1 });
+      expect(lastResponse().success).toBe(false);
+
+      await storeFrom(key, { nodeId, publicKey: 'not a key', timestamp: 1 });
+      expect(lastResponse().success).toBe(false);
+
+      await storeFrom(key, { nodeId, publicKey: keyPair.publicKey, timestamp: 1 });
+      expect(lastResponse().success).toBe(true);
+    });
+
+    test('public key records need not be derived by default', async () => {
+      const keyPair = await InvitationToken.generateKeyPair();
+      const key = InvitationToken.getPublicKeyStorageKey('node1');
+
+      await storeFrom(key, { nodeId: 'node1', publicKey: keyPair.publicKey, timestamp: 1 });
+      expect(lastResponse().success).toBe(true);
+      expect(await dht.getPublicKey('node1')).toBe(keyPair.publicKey);
+    });
+
+    test('public key records must be derived when node ID proofs are required', async () => {
+      dht.options.requireNodeIdProof = true;
+      const { nodeId, keyPair } = await NodeIdProof.generate();
+      const other = await InvitationToken.generateKeyPair();
+      const key = InvitationToken.getPublicKeyStorageKey(nodeId);
+
+      await storeFrom(key, { nodeId, publicKey: other.publicKey, timestamp: 1 });
+      expect(lastResponse().success).toBe(false);
+
+      await storeFrom(key, { nodeId, publicKey: keyPair.publicKey, timestamp: 1 });
+      expect(lastResponse().success).toBe(true);
+    });
+
+    test('a stored public key is never replaced by another key', async () => {
+      const { nodeId, keyPair } = await NodeIdProof.generate();
+      const attacker = await InvitationToken.generateKeyPair();
+      const key = InvitationToken.getPublicKeyStorageKey(nodeId);
+      await storeFrom(key, { nodeId, publicKey: keyPair.publicKey, timestamp: 5 });
+
+      await storeFrom(key, { nodeId, publicKey: attacker.publicKey, timestamp: 9 });
+      expect(lastResponse().success).toBe(false);
+      expect(dht.storage.get(key).value.publicKey).toBe(keyPair.publicKey);
+
+      // Republishing the same key refreshes the record
+      await storeFrom(key, { nodeId, publicKey: keyPair.publicKey, timestamp: 9 });
+      expect(dht.storage.get(key).value.timestamp).toBe(9);
+    });
+
+    test('the first consumption of a token wins', async () => {
+      const key = InvitationToken.getConsumedTokenKey('nonce1');
+      await storeFrom(key, { inviter: 'a', invitee: 'b', consumedAt: 100 });
+
+      await storeFrom(key, { inviter: 'a', invitee: 'mallory', consumedAt: 200 });
+      expect(lastResponse().success).toBe(false);
+      expect(dht.storage.get(key).value.invitee).toBe('b');
+    });
+  });
+});
@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+import { NetworkCoordinates } from '../../src/dht/NetworkCoordinates.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { DHTNode } from '../../src/core/DHTNode.js';
+import { DHTNodeId } from '../../src/core/DHTNodeId.js';
+import { VivaldiCoordinate } from '../../src/core/VivaldiCoordinate.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Network coordinates
+ *
+ * Verifies that:
+ * - RTT samples move the local coordinate, contact coordinates never replace first hand ones
+ * - Relay health check RTTs are split into the leg to the relay
+ * - Proximity routing ranks never-pinged nodes by predicted RTT
+ * - Coordinates travel in pongs and find_node responses and show up in DHTNode.toJSON()
+ */
+
+const at = (x, error = 0.1) => new VivaldiCoordinate({ vector: [x, 0, 0], height: 1, error }).toJSON();
+
+describe('NetworkCoordinates', () => {
+  test('observing RTTs moves the local coordinate and predicts RTT', () => {
+    const coordinates = new NetworkCoordinates();
+
+    for (let i = 0; i < 50; i++) {
+      coordinates.observe('peer', 100, at(0));
+    }
+
+    expect(coordinates.estimateRtt('peer')).toBeGreaterThan(80);
+    expect(coordinates.estimateRtt('peer')).toBeLessThan(120);
+    expect(coordinates.estimateRtt('unknown')).toBeNull();
+    expect(coordinates.getStats()).toMatchObject({ knownPeers: 1, samples: 50 });
+  });
+
+  test('second hand coordinates do not replace first hand ones', () => {
+    const coordinates = new NetworkCoordinates();
+
+    coordinates.learn('peer', at(10), true);
+    coordinates.learn('peer', at(500));
+    expect(coordinates.get('peer').vector[0]).toBe(10);
+
+    coordinates.learn('other', { vector: 'bogus' });
+    expect(coordinates.get('other')).toBeNull();
+  });
+
+  test('relay RTTs are reduced by the predicted relay-to-target leg', () => {
+    const coordinates = new NetworkCoordinates();
+    coordinates.learn('relay', at(0), true);
+    coordinates.learn('target', at(40), true);
+    const observe = jest.spyOn(coordinates, 'observe');
+
+    expect(coordinates.observeRelay('relay', 'target', 100)).toBe(true);
+    expect(observe).toHaveBeenCalledWith('relay', 58);
+    expect(coordinates.observeRelay('relay', 'unknown', 100)).toBe(false);
+  });
+
+  test('prunes stale coordinates except for kept peers', () => {
+    const coordinates = new NetworkCoordinates({ maxPeerAge: 1000 });
+    coordinates.learn('old', at(1));
+    coordinates.learn('connected', at(2));
+    for (const entry of coordinates.peers.values()) {
+      entry.updatedAt -= 2000;
+    }
+
+    expect(coordinates.prune(new Set(['connected']))).toBe(1);
+    expect(coordinates.get('connected')).toBeTruthy();
+  });
+});
+
+describe('KademliaDHT network coordinates', () => {
+  let dht;
+
+  beforeEach(() => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('proximity routing ranks an unmeasured node by its predicted RTT instead of the average', () => {
+    const id = new DHTNodeId();
+    const measured = new DHTNode(id.toString());
+    measured.rtt = 500;
+    const unmeasured = new DHTNode(id.toString());
+    dht.learnCoordinate(id.toString(), at(20), true);
+
+    expect(dht.selectNextHopWithProximity([measured, unmeasured], id)).toBe(unmeasured);
+  });
+
+  test('PNS bucket ranking orders never-pinged nodes by predicted RTT', () => {
+    dht.routingTable.pnsEnabled = true;
+    const far = new DHTNode(new DHTNodeId().toString());
+    const near = new DHTNode(new DHTNodeId().toString());
+    dht.learnCoordinate(far.id.toString(), at(400), true);
+    dht.learnCoordinate(near.id.toString(), at(10), true);
+    dht.routingTable.addNode(far);
+    dht.routingTable.addNode(near);
+
+    expect(dht.routingTable.buckets[0].nodes[0]).toBe(near);
+  });
+
+  test('never-pinged nodes use predicted RTT and pinged ones their measured RTT', () => {
+    const node = new DHTNode(new DHTNodeId().toString());
+    dht.learnCoordinate(node.id.toString(), at(100), true);
+
+    const predicted = dht.getEffectiveRTT(node);
+    expect(predicted).toBeCloseTo(dht.coordinates.getLocal().distanceTo(VivaldiCoordinate.fromJSON(at(100))), 5);
+
+    node.rtt = 42;
+    expect(dht.getEffectiveRTT(node)).toBe(42);
+    expect(dht.getEffectiveRTT(new DHTNode(new DHTNodeId().toString()))).toBe(0);
+  });
+
+  test('pong coordinates update the local coordinate and the routing table entry', async () => {
+    const peer = new DHTNode(new DHTNodeId().toString());
+    dht.routingTable.addNode(peer);
+    dht.sendRequestWithResponse = jest.fn(() => new Promise(resolve => {
+      setTimeout(() => resolve({ type: 'pong', coordinate: at(50) }), 5);
+    }));
+
+    const result = await dht.pingPeer(peer.id.toString());
+
+    expect(result.success).toBe(true);
+    expect(dht.coordinates.samples).toBe(1);
+    expect(peer.coordinate.vector[0]).toBe(50);
+    expect(peer.toJSON().coordinate).toEqual(at(50));
+    expect(dht.getStats().coordinates).toMatchObject({ knownPeers: 1, samples: 1 });
+  });
+
+  test('find_node responses share the responder and contact coordinates', async () => {
+    const contact = new DHTNode(new DHTNodeId().toString());
+    contact.coordinate = VivaldiCoordinate.fromJSON(at(30));
+    dht.routingTable.addNode(contact);
+    dht.sendMessage = jest.fn(async () => {});
+
+    await dht.handleFindNode(new DHTNodeId().toString(), { requestId: 'r1', target: new DHTNodeId().toString() });
+    const response = dht.sendMessage.mock.calls[0][1];
+    expect(response.coordinate).toEqual(dht.coordinates.getLocal().toJSON());
+    expect(response.nodes[0].coordinate).toEqual(at(30));
+
+    // The receiving side learns both
+    const receiver = new KademliaDHT({ bootstrap: createMockBootstrap() });
+    const responderId = new DHTNodeId().toString();
+    receiver.pendingRequests.set('r2', { resolve: jest.fn(), reject: jest.fn() });
+    receiver.verifyPeerNodeId = jest.fn(async () => ({ valid: true }));
+    receiver.getConnectedPeers = jest.fn(() => []);
+    receiver.connectToPeer = jest.fn(async () => false);
+    await receiver.handleFindNodeResponse(responderId, { requestId: 'r2', nodes: response.nodes, coordinate: at(5) });
+
+    expect(receiver.coordinates.get(responderId).vector[0]).toBe(5);
+    expect(receiver.coordinates.get(contact.id.toString()).vector[0]).toBe(30);
+    expect(receiver.routingTable.getNode(contact.id.toString()).coordinate.vector[0]).toBe(30);
+  });
+
+  test('compact nodes carry coordinates only when known', () => {
+    const node = new DHTNode(new DHTNodeId().toString());
+    expect(node.toCompact()).not.toHaveProperty('coordinate');
+    expect(node.toJSON().coordinate).toBeNull();
+
+    node.coordinate = VivaldiCoordinate.fromJSON(at(7));
+    expect(DHTNode.fromCompact(node.toCompact()).coordinate.vector[0]).toBe(7);
+  });
+});
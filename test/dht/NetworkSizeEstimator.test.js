@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import { NetworkSizeEstimator } from '../../src/dht/NetworkSizeEstimator.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { DHTNode } from '../../src/core/DHTNode.js';
+import { DHTNodeId } from '../../src/core/DHTNodeId.js';
+import { PassiveBridgeNode } from '../../src/bridge/PassiveBridgeNode.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Network size estimation
+ *
+ * Verifies that:
+ * - Node density around a target yields a size estimate within the right order of magnitude
+ * - Samples combine into an estimate whose confidence interval narrows as samples accumulate
+ * - A sudden collapse of the estimate emits 'partitionSuspected' once
+ * - KademliaDHT and PassiveBridgeNode expose the estimate
+ */
+
+function createNetwork(size) {
+  return Array.from({ length: size }, () => new DHTNodeId());
+}
+
+function closestTo(target, network, k = 20) {
+  return network
+    .filter(id => !id.equals(target))
+    .sort((a, b) => target.xorDistance(a).compare(target.xorDistance(b)))
+    .slice(0, k);
+}
+
+function sample(estimator, network, count) {
+  for (let i = 0; i < count; i++) {
+    const target = new DHTNodeId();
+    estimator.addLookupSample(target, closestTo(target, network));
+  }
+}
+
+describe('NetworkSizeEstimator', () => {
+  test('estimates the size of a uniformly distributed network', () => {
+    const estimator = new NetworkSizeEstimator();
+    sample(estimator, createNetwork(2000), 20);
+
+    const estimate = estimator.getEstimate();
+    expect(estimate.size).toBeGreaterThan(1000);
+    expect(estimate.size).toBeLessThan(4000);
+    expect(estimate.lower).toBeLessThanOrEqual(estimate.size);
+    expect(estimate.upper).toBeGreaterThanOrEqual(estimate.size);
+    expect(estimate).toMatchObject({ confidenceLevel: 0.95, samples: 20, sources: { lookup: 20 }, partitionSuspected: false });
+  });
+
+  test('confidence interval narrows with more samples', () => {
+    const network = createNetwork(500);
+    const estimator = new NetworkSizeEstimator();
+
+    sample(estimator, network, 1);
+    const single = estimator.getEstimate();
+    sample(estimator, network, 30);
+    const many = estimator.getEstimate();
+
+    expect(many.upper / many.lower).toBeLessThan(single.upper / single.lower);
+  });
+
+  test('ignores samples with too few nodes', () => {
+    const estimator = new NetworkSizeEstimator();
+    const target = new DHTNodeId();
+
+    expect(estimator.addLookupSample(target, createNetwork(2))).toBe(false);
+    expect(estimator.getEstimate()).toBeNull();
+  });
+
+  test('emits partitionSuspected once when the estimate collapses', () => {
+    const estimator = new NetworkSizeEstimator();
+    const suspected = jest.fn();
+    estimator.on('partitionSuspected', suspected);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    sample(estimator, createNetwork(2000), 10);
+    expect(suspected).not.toHaveBeenCalled();
+
+    sample(estimator, createNetwork(100), 10);
+    expect(suspected).toHaveBeenCalledTimes(1);
+    expect(suspected.mock.calls[0][0].ratio).toBeLessThan(0.5);
+    expect(estimator.getEstimate().partitionSuspected).toBe(true);
+
+    jest.restoreAllMocks();
+  });
+});
+
+describe('KademliaDHT network size estimate', () => {
+  test('falls back to routing table density and reports it in stats', () => {
+    const dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+    const network = createNetwork(1000);
+    for (const id of closestTo(dht.localNodeId, network)) {
+      dht.routingTable.addNode(new DHTNode(id.toString()));
+    }
+
+    const estimate = dht.getNetworkSizeEstimate();
+    expect(estimate.sources).toEqual({ buckets: 1 });
+    expect(estimate.size).toBeGreaterThan(250);
+    expect(estimate.size).toBeLessThan(4000);
+    expect(dht.getStats().networkSize).toEqual(estimate);
+  });
+
+  test('re-emits partitionSuspected', () => {
+    const dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+    const suspected = jest.fn();
+    dht.on('partitionSuspected', suspected);
+
+    dht.sizeEstimator.emit('partitionSuspected', { ratio: 0.1 });
+    expect(suspected).toHaveBeenCalledWith({ ratio: 0.1 });
+  });
+});
+
+describe('PassiveBridgeNode network fingerprint', () => {
+  const fingerprintWith = (estimate) => {
+    const bridge = {
+      connectedPeers: new Map(),
+      peerAnnouncements: new Map(),
+      dht: { localNodeId: 'a'.repeat(40), getNetworkSizeEstimate: () => estimate }
+    };
+    return PassiveBridgeNode.prototype.calculateNetworkFingerprint.call(bridge).then(fingerprint => ({ bridge, fingerprint }));
+  };
+
+  test('changes when the network size changes by an order of magnitude', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const large = await fingerprintWith({ size: 1000 });
+    const similar = await fingerprintWith({ size: 1100 });
+    const split = await fingerprintWith({ size: 100 });
+
+    expect(large.bridge.networkSizeEstimate).toEqual({ size: 1000 });
+    expect(similar.fingerprint).toBe(large.fingerprint);
+    expect(split.fingerprint).not.toBe(large.fingerprint);
+
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { DHTNode } from '../../src/core/DHTNode.js';
+import { DHTNodeId } from '../../src/core/DHTNodeId.js';
+import { CoordinatorObject } from '../../src/pubsub/CoordinatorObject.js';
+import { PubSubClient } from '../../src/pubsub/PubSubClient.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Partition healing
+ *
+ * Verifies that:
+ * - Bootstrap-known peers whose lookups share no node with ours are detected as another island
+ * - Detection seeds the routing table with the other island and republishes local keys
+ * - Diverged coordinators are merged with CoordinatorObject.merge and written above both versions
+ * - Peers on our own island trigger nothing
+ */
+
+const createNodes = (count) => Array.from({ length: count }, () => new DHTNode(new DHTNodeId().toString()));
+
+describe('PartitionHealer', () => {
+  let dht;
+  let ourIsland;
+  let otherIsland;
+  let foreignPeer;
+
+  beforeEach(() => {
+    ourIsland = createNodes(5);
+    otherIsland = createNodes(5);
+    foreignPeer = new DHTNodeId().toString();
+
+    dht = new KademliaDHT({
+      bootstrap: createMockBootstrap({
+        isBootstrapConnected: jest.fn(() => true),
+        requestConnectedClients: jest.fn(async () => [
+          { nodeId: foreignPeer, metadata: { nodeType: 'nodejs' } },
+          { nodeId: new DHTNodeId().toString(), metadata: { isBridgeNode: true } }
+        ])
+      })
+    });
+    PubSubClient.registerNamespaces(dht);
+    dht.findNode = jest.fn(async () => ourIsland);
+    dht.getOrCreatePeerNode = jest.fn();
+    dht.connectToPeer = jest.fn(async () => true);
+    dht.isPeerConnected = jest.fn(() => true);
+    dht.sendFindNode = jest.fn(async () => ({ nodes: otherIsland.map(node => node.toCompact()) }));
+    dht.sendFindValue = jest.fn(async () => ({ found: false }));
+    dht.store = jest.fn(async () => ({ success: true }));
+    dht.compareAndSwap = jest.fn(async () => ({ success: true }));
+  });
+
+  test('detects another island and seeds the routing table with it', async () => {
+    const detected = jest.fn();
+    dht.partitionHealer.on('islandDetected', detected);
+
+    const result = await dht.partitionHealer.heal();
+
+    expect(result.islandDetected).toBe(true);
+    // Bridges are never probed
+    expect(dht.connectToPeer).toHaveBeenCalledTimes(1);
+    expect(detected.mock.calls[0][0].peers).toEqual([foreignPeer]);
+    for (const node of otherIsland) {
+      expect(dht.routingTable.getNode(node.id.toString())).toBeTruthy();
+    }
+    expect(dht.routingTable.getNode(foreignPeer)).toBeTruthy();
+    expect(dht.findNode).toHaveBeenCalledWith(dht.localNodeId);
+    expect(dht.getStats().partitionHealing).toMatchObject({ rounds: 1, islandsDetected: 1, seededNodes: 6 });
+  });
+
+  test('does nothing when the peer answers from our own island', async () => {
+    dht.sendFindNode = jest.fn(async () => ({ nodes: [ourIsland[0], ...otherIsland].map(node => node.toCompact()) }));
+    dht.storage.set('some-key', { value: 'v', timestamp: Date.now() });
+
+    const result = await dht.partitionHealer.heal();
+
+    expect(result.islandDetected).toBe(false);
+    expect(dht.store).not.toHaveBeenCalled();
+    expect(dht.routingTable.getNode(otherIsland[0].id.toString())).toBeFalsy();
+  });
+
+  test('republishes local keys and merges diverged coordinators', async () => {
+    const initial = CoordinatorObject.createInitial('topic');
+    const ours = initial.updateSubscribers('subs-ours').updateMessages('msgs-ours');
+    const theirs = initial.updateSubscribers('subs-theirs');
+    const key = 'coordinator:topic';
+
+    dht.storage.set('some-key', { value: 'v', timestamp: Date.now() });
+    dht.storage.set(key, { value: ours.serialize(), timestamp: Date.now() });
+    dht.sendFindValue = jest.fn(async (peerId, requestedKey) => (
+      requestedKey === key ? { found: true, value: theirs.serialize() } : { found: false }
+    ));
+
+    const result = await dht.partitionHealer.heal();
+
+    expect(result).toMatchObject({ republishedKeys: 2, mergedKeys: 1 });
+    expect(dht.store).toHaveBeenCalledWith('some-key', 'v', expect.any(Object));
+
+    const [casKey, merged, expectedVersion] = dht.compareAndSwap.mock.calls[0];
+    expect(casKey).toBe(key);
+    expect(expectedVersion).toBe(ours.version);
+    expect(merged.version).toBe(ours.version + 1);
+    expect(merged.subscriberHistory).toEqual(expect.arrayContaining(['subs-ours', 'subs-theirs']));
+    expect(merged.messageHistory).toContain('msgs-ours');
+  });
+
+  test('coordinators identical on every replica are republished without a new version', async () => {
+    const coordinator = CoordinatorObject.createInitial('topic').updateSubscribers('subs');
+    dht.storage.set('coordinator:topic', { value: coordinator.serialize(), timestamp: Date.now() });
+    dht.sendFindValue = jest.fn(async () => ({ found: true, value: coordinator.serialize() }));
+
+    const result = await dht.partitionHealer.heal();
+
+    expect(result).toMatchObject({ republishedKeys: 1, mergedKeys: 0 });
+    expect(dht.compareAndSwap).toHaveBeenCalledWith('coordinator:topic', coordinator.serialize(), coordinator.version);
+  });
+
+  test('partitionSuspected triggers a round only while healing runs', () => {
+    const heal = jest.spyOn(dht.partitionHealer, 'heal').mockResolvedValue({});
+
+    dht.sizeEstimator.emit('partitionSuspected', { ratio: 0.1 });
+    expect(heal).not.toHaveBeenCalled();
+
+    dht.startPartitionHealing();
+    dht.sizeEstimator.emit('partitionSuspected', { ratio: 0.1 });
+    expect(heal).toHaveBeenCalledWith('partition_suspected');
+    dht.stopPartitionHealing();
+  });
+});
@@ -0,0 +1,133 @@
+import { jest } from '@jest/globals';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { DHTNode } from '../../src/core/DHTNode.js';
+import { DHTNodeId } from '../../src/core/DHTNodeId.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Lookup path caching
+ *
+ * Verifies that:
+ * - A successful get caches the value at the closest queried node that lacked it
+ * - The cache TTL halves per bit of XOR distance and never outlives the record
+ * - Cache copies are marked, expire, and never replace a replica's record
+ * - Cache copies are never republished or handed off
+ * - Values of keys without record validation are never cached
+ */
+
+const KEY = 'hot:key';
+const keyId = DHTNodeId.fromString(KEY);
+// Node whose XOR distance to the key has exactly (160 - leadingZeros) significant bits
+const nodeAt = (leadingZeros) => new DHTNode(DHTNodeId.generateAtDistance(keyId, leadingZeros));
+
+describe('Path caching', () => {
+  let dht;
+
+  beforeEach(() => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+    dht.registerNamespace('hot:', { validate: () => true });
+    dht.isPeerConnected = jest.fn(() => true);
+    dht.sendMessage = jest.fn().mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('caches the value at the closest node on the path that did not have it', async () => {
+    const holder = nodeAt(20);
+    const nearMiss = nodeAt(19);
+    const farMiss = nodeAt(12);
+    // Misses answer first so the value is found last
+    const answers = new Map([
+      [farMiss.id.toString(), { found: false, nodes: [] }],
+      [nearMiss.id.toString(), { found: false, nodes: [] }],
+      [holder.id.toString(), { found: true, value: 'v', ttl: 10 * 60 * 1000 }]
+    ]);
+    dht.findNode = jest.fn(async () => [farMiss, nearMiss, holder]);
+    dht.sendFindValue = jest.fn(async (peerId) => answers.get(peerId));
+    dht.sendStore = jest.fn().mockResolvedValue({ success: true });
+
+    expect(await dht._getFromDHT(KEY)).toBe('v');
+    await Promise.resolve();
+
+    expect(dht.sendStore).toHaveBeenCalledTimes(1);
+    const [peerId, key, value, options] = dht.sendStore.mock.calls[0];
+    expect(peerId).toBe(nearMiss.id.toString());
+    expect([key, value]).toEqual([KEY, 'v']);
+    // One bit further than the holder: half of pathCacheTTL, capped at the record's 10 minutes left
+    expect(options).toEqual({ ttl: 10 * 60 * 1000, cache: true });
+    expect(dht.getStats().storage.pathCacheStores).toBe(1);
+  });
+
+  test('cache TTL halves per bit of distance and is dropped below the minimum', () => {
+    const closest = nodeAt(20);
+    const hour = dht.options.pathCacheTTL;
+
+    expect(dht.getPathCacheTTL(keyId, nodeAt(20), closest)).toBe(hour);
+    expect(dht.getPathCacheTTL(keyId, nodeAt(19), closest)).toBe(hour / 2);
+    expect(dht.getPathCacheTTL(keyId, nodeAt(17), closest)).toBe(hour / 8);
+    expect(dht.getPathCacheTTL(keyId, nodeAt(17), closest, 1000 * 60 * 2)).toBe(1000 * 60 * 2);
+    expect(dht.getPathCacheTTL(keyId, nodeAt(10), closest)).toBeNull();
+  });
+
+  test('nothing is cached when disabled or when every queried node had the value', async () => {
+    const holder = nodeAt(20);
+    dht.findNode = jest.fn(async () => [holder]);
+    dht.sendFindValue = jest.fn(async () => ({ found: true, value: 'v' }));
+    dht.sendStore = jest.fn();
+
+    await dht._getFromDHT(KEY);
+    expect(await dht.cacheAlongPath(KEY, { value: 'v' }, [], [holder])).toBeNull();
+
+    dht.options.pathCaching = false;
+    expect(await dht.cacheAlongPath(KEY, { value: 'v' }, [nodeAt(19)], [holder])).toBeNull();
+    expect(dht.sendStore).not.toHaveBeenCalled();
+  });
+
+  test('values of unvalidated keys are not cached', async () => {
+    const unvalidatedKey = 'plain-key';
+    const holder = nodeAt(20);
+    const miss = nodeAt(19);
+    dht.findNode = jest.fn(async () => [miss, holder]);
+    dht.sendFindValue = jest.fn(async (peerId) => (peerId === holder.id.toString()
+      ? { found: true, value: 'forged', ttl: 10 * 60 * 1000 }
+      : { found: false, nodes: [] }));
+    dht.sendStore = jest.fn().mockResolvedValue({ success: true });
+
+    expect(await dht._getFromDHT(unvalidatedKey)).toBe('forged');
+    expect(await dht.cacheAlongPath(unvalidatedKey, { value: 'forged' }, [miss], [holder])).toBeNull();
+    expect(dht.sendStore).not.toHaveBeenCalled();
+    expect(dht.getStats().storage.pathCacheStores).toBe(0);
+  });
+
+  test('cache stores are marked, expire, and never replace a replica record', async () => {
+    const peerId = new DHTNodeId().toString();
+
+    await dht.handleStore(peerId, { type: 'store', requestId: 'r1', key: 'cached-key', value: 'c', ttl: 5000, cache: true });
+    const cached = dht.storage.get('cached-key');
+    expect(cached).toMatchObject({ value: 'c', cached: true });
+    expect(cached.expiresAt).toBeLessThanOrEqual(Date.now() + 5000);
+
+    // A replica write replaces the cache copy and clears the mark
+    await dht.handleStore(peerId, { type: 'store', requestId: 'r2', key: 'cached-key', value: 'r' });
+    expect(dht.storage.get('cached-key').cached).toBeUndefined();
+
+    // ...and a later cache copy leaves the replica record alone
+    await dht.handleStore(peerId, { type: 'store', requestId: 'r3', key: 'cached-key', value: 'stale', ttl: 5000, cache: true });
+    expect(dht.storage.get('cached-key')).toMatchObject({ value: 'r' });
+    expect(dht.sendMessage).toHaveBeenLastCalledWith(peerId, expect.objectContaining({ requestId: 'r3', success: true }));
+  });
+
+  test('cache copies are never republished or handed off', async () => {
+    dht.storage.set('cached-key', { value: 'c', timestamp: Date.now(), cached: true, expiresAt: Date.now() + 60000 });
+    dht.republishQueue.set('cached-key', 0);
+    dht.store = jest.fn();
+
+    await dht.republishData();
+    expect(dht.store).not.toHaveBeenCalled();
+    expect(dht.getKeysForNewNode(new DHTNodeId().toString())).not.toContain('cached-key');
+    expect(dht.getStats().storage.cachedKeys).toBe(1);
+  });
+});
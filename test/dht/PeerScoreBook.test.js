@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import { PeerScoreBook } from '../../src/dht/PeerScoreBook.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { DHTNode } from '../../src/core/DHTNode.js';
+import { DHTNodeId } from '../../src/core/DHTNodeId.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Peer reputation
+ *
+ * Verifies that:
+ * - Reliability, latency, invalid and unsolicited messages move the score the right way
+ * - Scores decay back toward neutral and bans expire
+ * - KademliaDHT bans misbehaving peers and ranks lookup and replication candidates by score
+ */
+
+describe('PeerScoreBook', () => {
+  let now;
+  let scores;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    scores = new PeerScoreBook({ halfLife: 60000, banDuration: 30000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('unknown peers are neutral', () => {
+    expect(scores.getScore('a')).toBe(0);
+    expect(scores.isBanned('a')).toBe(false);
+  });
+
+  test('fast reliable peers outscore slow and failing ones', () => {
+    for (let i = 0; i < 5; i++) {
+      scores.recordSuccess('fast', 20);
+      scores.recordSuccess('slow', 900);
+      scores.recordFailure('failing');
+    }
+
+    expect(scores.getScore('fast')).toBeGreaterThan(scores.getScore('slow'));
+    expect(scores.getScore('slow')).toBeGreaterThan(0);
+    expect(scores.getScore('failing')).toBeLessThan(0);
+    expect(scores.rank(['failing', 'slow', 'fast'])).toEqual(['fast', 'slow', 'failing']);
+  });
+
+  test('timeouts alone never ban a peer', () => {
+    for (let i = 0; i < 50; i++) {
+      scores.recordFailure('flaky');
+    }
+
+    expect(scores.isBanned('flaky')).toBe(false);
+  });
+
+  test('invalid messages ban the peer until the ban expires', () => {
+    const banned = jest.fn();
+    scores.on('peerBanned', banned);
+
+    for (let i = 0; i < 4; i++) {
+      scores.recordInvalidMessage('forger');
+    }
+
+    expect(scores.isBanned('forger')).toBe(true);
+    expect(banned).toHaveBeenCalledTimes(1);
+    expect(banned.mock.calls[0][0]).toMatchObject({ peerId: 'forger', until: now + 30000 });
+
+    now += 30001;
+    expect(scores.isBanned('forger')).toBe(false);
+  });
+
+  test('scores decay toward neutral', () => {
+    for (let i = 0; i < 20; i++) {
+      scores.recordUnsolicited('spammer');
+    }
+    const before = scores.getScore('spammer');
+
+    now += 60000;
+    expect(scores.getScore('spammer')).toBeCloseTo(before / 2);
+
+    now += 60000 * 20;
+    expect(scores.prune()).toBe(1);
+    expect(scores.getStats().trackedPeers).toBe(0);
+  });
+
+  test('canBan protects peers from bans but not from scoring', () => {
+    scores = new PeerScoreBook({ canBan: (peerId) => peerId !== 'bridge' });
+
+    for (let i = 0; i < 10; i++) {
+      scores.recordInvalidMessage('bridge');
+    }
+
+    expect(scores.getScore('bridge')).toBe(-100);
+    expect(scores.isBanned('bridge')).toBe(false);
+  });
+});
+
+describe('KademliaDHT peer reputation', () => {
+  let dht;
+
+  beforeEach(() => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+  });
+
+  test('unsolicited responses get a peer banned and disconnected', async () => {
+    const peerId = new DHTNodeId().toString();
+    const node = new DHTNode(peerId, peerId);
+    node.connectionManager = { destroyConnection: jest.fn() };
+    dht.routingTable.addNode(node);
+    dht.getConnectedPeers = jest.fn(() => []);
+
+    for (let i = 0; i < 101; i++) {
+      await dht.trackUnsolicitedResponse(peerId);
+    }
+
+    expect(dht.peerScores.isBanned(peerId)).toBe(true);
+    expect(dht.routingTable.getNode(peerId)).toBeFalsy();
+    expect(node.connectionManager.destroyConnection).toHaveBeenCalledWith(peerId, 'peer_banned');
+    expect(dht.getStats().reputation).toMatchObject({ bannedPeers: 1, totalBans: 1 });
+
+    dht.handleFindNode = jest.fn();
+    await dht.handlePeerMessage(peerId, { type: 'find_node' });
+    expect(dht.handleFindNode).not.toHaveBeenCalled();
+  });
+
+  test('candidates keep their order but banned and distrusted peers move out of the way', () => {
+    const [good, unknown, distrusted, banned] = Array.from({ length: 4 }, () => new DHTNode(new DHTNodeId().toString()));
+    dht.peerScores.recordSuccess(good.id.toString(), 10);
+    dht.peerScores.recordFailure(distrusted.id.toString());
+    dht.peerScores.ban(banned.id.toString());
+
+    expect(dht.preferReputablePeers([distrusted, banned, unknown, good])).toEqual([unknown, good, distrusted]);
+  });
+
+  test('replication skips distrusted peers when enough others are available', async () => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap(), replicateK: 2 });
+    const nodes = Array.from({ length: 3 }, () => new DHTNode(new DHTNodeId().toString()));
+    dht.findNode = jest.fn(async () => nodes);
+    dht.isPeerConnected = jest.fn(() => true);
+    dht.peerScores.recordFailure(nodes[0].id.toString());
+
+    const { targetNodes } = await dht.selectReplicationTargets('some-key');
+
+    expect(targetNodes).toEqual([nodes[1], nodes[2]]);
+  });
+});
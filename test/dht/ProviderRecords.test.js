@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Provider records (add_provider / get_providers)
+ *
+ * Verifies that:
+ * - provide() announces to the replica set and schedules a refresh
+ * - Replicas record the sending peer as provider and cap the TTL
+ * - findProviders() merges local and remote records up to the limit
+ * - Expired provider records are never returned
+ */
+
+const fakeNode = (id) => ({ id: { toString: () => id } });
+
+describe('Provider records', () => {
+  let dht;
+
+  beforeEach(() => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap(), providerTTL: 10000, providerRefreshInterval: 5000 });
+    dht.sendMessage = jest.fn().mockResolvedValue(true);
+    dht.isPeerConnected = jest.fn(() => true);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('replica side', () => {
+    test('records the sending peer as provider', async () => {
+      await dht.handleAddProvider('peer1', { type: 'add_provider', requestId: 'r1', key: 'file:abc', nodeId: 'someone-else' });
+
+      expect(dht.getProviderRecords('file:abc')).toEqual(['peer1']);
+      expect(dht.sendMessage).toHaveBeenCalledWith('peer1', expect.objectContaining({
+        type: 'add_provider_response', requestId: 'r1', success: true
+      }));
+    });
+
+    test('caps the announced ttl at providerTTL', async () => {
+      const before = Date.now();
+      await dht.handleAddProvider('peer1', { type: 'add_provider', requestId: 'r1', key: 'k', ttl: 10 * 60 * 60 * 1000 });
+
+      expect(dht.providers.get('k').get('peer1')).toBeLessThanOrEqual(before + 10000 + 50);
+    });
+
+    test('passive nodes reject provider records', async () => {
+      const passive = new KademliaDHT({ bootstrap: createMockBootstrap(), passiveMode: true });
+      passive.sendMessage = jest.fn().mockResolvedValue(true);
+
+      await passive.handleAddProvider('peer1', { type: 'add_provider', requestId: 'r1', key: 'k' });
+
+      expect(passive.sendMessage.mock.calls[0][1].success).toBe(false);
+      expect(passive.providers.size).toBe(0);
+    });
+
+    test('get_providers returns only live records', async () => {
+      jest.useFakeTimers();
+      dht.addProviderRecord('k', 'short', 1000);
+      dht.addProviderRecord('k', 'long', 5000);
+
+      jest.advanceTimersByTime(2000);
+      await dht.handleGetProviders('peer2', { type: 'get_providers', requestId: 'r2', key: 'k' });
+
+      expect(dht.sendMessage.mock.calls[0][1]).toMatchObject({ type: 'get_providers_response', providers: ['long'] });
+    });
+
+    test('cleanup drops expired provider records', () => {
+      jest.useFakeTimers();
+      dht.addProviderRecord('k', 'p1', 1000);
+
+      jest.advanceTimersByTime(1001);
+      dht.cleanup();
+
+      expect(dht.providers.has('k')).toBe(false);
+    });
+  });
+
+  describe('client side', () => {
+    test('provide announces to the replica set and schedules a refresh', async () => {
+      dht.selectReplicationTargets = jest.fn().mockResolvedValue({
+        targetNodes: [fakeNode('a'), fakeNode('b')],
+        shouldStoreLocally: true
+      });
+      dht.sendAddProvider = jest.fn(async (peerId) => {
+        if (peerId === 'b') throw new Error('timeout');
+        return { success: true };
+      });
+
+      const result = await dht.provide('file:abc');
+
+      expect(result).toEqual({ success: true, replicas: 2 });
+      expect(dht.getProviderRecords('file:abc')).toEqual([dht.localNodeId.toString()]);
+      expect(dht.providedKeys.has('file:abc')).toBe(true);
+    });
+
+    test('refreshProviders re-announces due keys only', async () => {
+      dht.provide = jest.fn().mockResolvedValue({ success: true, replicas: 1 });
+      dht.providedKeys.set('due', Date.now() - 1);
+      dht.providedKeys.set('later', Date.now() + 60000);
+
+      await dht.refreshProviders();
+
+      expect(dht.provide).toHaveBeenCalledTimes(1);
+      expect(dht.provide).toHaveBeenCalledWith('due');
+    });
+
+    test('stopProviding ends refreshes and drops the local record', () => {
+      dht.providedKeys.set('k', Date.now());
+      dht.addProviderRecord('k', dht.localNodeId.toString(), 1000);
+
+      dht.stopProviding('k');
+
+      expect(dht.providedKeys.has('k')).toBe(false);
+      expect(dht.getProviderRecords('k')).toEqual([]);
+    });
+
+    test('findProviders merges remote records up to the limit', async () => {
+      dht.addProviderRecord('k', 'local-provider', 1000);
+      dht.findNode = jest.fn().mockResolvedValue(['a', 'b', 'c', 'd', 'e', 'f'].map(fakeNode));
+      dht.sendGetProviders = jest.fn(async (peerId) => ({ providers: [`p-${peerId}`, 'shared'] }));
+
+      const providers = await dht.findProviders('k', { limit: 4 });
+
+      expect(providers).toEqual(['local-provider', 'p-a', 'shared', 'p-b']);
+      // First wave of alpha peers was enough
+      expect(dht.sendGetProviders).toHaveBeenCalledTimes(dht.options.alpha);
+    });
+
+    test('findProviders skips the network when local records suffice', async () => {
+      dht.addProviderRecord('k', 'p1', 1000);
+      dht.findNode = jest.fn();
+
+      expect(await dht.findProviders('k', { limit: 1 })).toEqual(['p1']);
+      expect(dht.findNode).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { ValueResolver } from '../../src/dht/ValueResolver.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Quorum reads with read-repair
+ *
+ * Verifies that:
+ * - Built-in and custom resolvers pick the expected winner
+ * - get(key, { quorum }) collects values from several replicas
+ * - Stale and missing replicas receive the winning value
+ * - Only values of validated keys are read-repaired
+ * - Plain get() keeps its first-answer behavior
+ */
+
+const fakeNode = (id) => ({ id: { toString: () => id } });
+
+describe('ValueResolver', () => {
+  test('version picks the highest version', () => {
+    const resolve = ValueResolver.get('version');
+    expect(resolve([{ version: 2 }, { version: 5 }, { version: 3 }])).toEqual({ version: 5 });
+  });
+
+  test('timestamp picks the newest value', () => {
+    const resolve = ValueResolver.get('timestamp');
+    expect(resolve([{ timestamp: 10, v: 'a' }, { timestamp: 30, v: 'b' }]).v).toBe('b');
+  });
+
+  test('newest falls back from version to seq to timestamp', () => {
+    const resolve = ValueResolver.get();
+    expect(resolve([{ version: 1, timestamp: 99 }, { version: 2, timestamp: 1 }]).version).toBe(2);
+    expect(resolve([{ seq: 4 }, { seq: 7 }]).seq).toBe(7);
+    expect(resolve(['a', 'b'])).toBe('a');
+  });
+
+  test('accepts custom resolvers and rejects unknown names', () => {
+    const custom = (values) => values[values.length - 1];
+    expect(ValueResolver.get(custom)).toBe(custom);
+    expect(() => ValueResolver.get('bogus')).toThrow('Unknown value resolver');
+  });
+});
+
+describe('Quorum reads', () => {
+  let dht;
+  let replicaValues;
+
+  beforeEach(() => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+    dht.registerNamespace('coordinator:', { validate: () => true }); // Read-repair only spreads validated keys
+    replicaValues = new Map([
+      ['a', { version: 3 }],
+      ['b', { version: 5 }],
+      ['c', undefined],
+      ['d', { version: 5 }]
+    ]);
+
+    dht.findNode = jest.fn().mockResolvedValue([...replicaValues.keys()].map(fakeNode));
+    dht.isPeerConnected = jest.fn(() => true);
+    dht.sendFindValue = jest.fn(async (peerId) => {
+      const value = replicaValues.get(peerId);
+      return value === undefined ? { found: false, nodes: [] } : { found: true, value };
+    });
+    dht.sendStore = jest.fn().mockResolvedValue({ success: true });
+  });
+
+  test('resolves the winner across the quorum', async () => {
+    const value = await dht.get('coordinator:t', { quorum: 3, resolve: 'version' });
+
+    expect(value).toEqual({ version: 5 });
+    expect(dht.sendFindValue).toHaveBeenCalledTimes(3);
+  });
+
+  test('repairs stale and missing replicas', async () => {
+    await dht.get('coordinator:t', { quorum: 3, resolve: 'version' });
+
+    const repaired = dht.sendStore.mock.calls.map(([peerId]) => peerId).sort();
+    expect(repaired).toEqual(['a', 'c']);
+    expect(dht.sendStore).toHaveBeenCalledWith('a', 'coordinator:t', { version: 5 }, { ttl: undefined, publisher: null });
+    expect(dht.getStats().storage.readRepairs).toBe(2);
+  });
+
+  test('local copy counts as a vote and is repaired', async () => {
+    dht.storage.set('coordinator:t', { value: { version: 1 }, timestamp: Date.now(), publisher: 'x' });
+
+    const value = await dht.get('coordinator:t', { quorum: 2, resolve: 'version' });
+
+    // Local + closest replica 'a' (v3)
+    expect(value).toEqual({ version: 3 });
+    expect(dht.sendFindValue).toHaveBeenCalledTimes(1);
+    expect(dht.storage.get('coordinator:t').value).toEqual({ version: 3 });
+    // The repaired copy names the winner's publisher, not the one of the value it replaced
+    expect(dht.storage.get('coordinator:t').publisher).toBeNull();
+  });
+
+  test('values of keys nobody can validate are returned but not spread', async () => {
+    dht.storage.set('doc:1', { value: { version: 1 }, timestamp: Date.now() });
+
+    const value = await dht.get('doc:1', { quorum: 3, resolve: 'version' });
+
+    expect(value).toEqual({ version: 5 });
+    expect(dht.sendStore).not.toHaveBeenCalled();
+    expect(dht.storage.get('doc:1').value).toEqual({ version: 1 });
+    expect(dht.getStats().storage.readRepairs).toBe(0);
+  });
+
+  test('queries further replicas when some fail', async () => {
+    dht.sendFindValue = jest.fn(async (peerId) => {
+      if (peerId === 'a') throw new Error('timeout');
+      const value = replicaValues.get(peerId);
+      return value === undefined ? { found: false } : { found: true, value };
+    });
+
+    await dht.getFromNetwork('coordinator:t', { quorum: 3, resolve: 'version' });
+
+    expect(dht.sendFindValue.mock.calls.map(([peerId]) => peerId)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('uses a custom resolver', async () => {
+    const resolve = jest.fn(values => values.find(v => v.version === 3));
+
+    const value = await dht.get('coordinator:t', { quorum: 4, resolve });
+
+    expect(value).toEqual({ version: 3 });
+    expect(resolve).toHaveBeenCalledWith([{ version: 3 }, { version: 5 }, { version: 5 }]);
+  });
+
+  test('returns null when no replica has the key', async () => {
+    replicaValues = new Map([['a', undefined], ['b', undefined]]);
+    dht.findNode = jest.fn().mockResolvedValue([fakeNode('a'), fakeNode('b')]);
+
+    expect(await dht.get('missing', { quorum: 2 })).toBeNull();
+    expect(dht.sendStore).not.toHaveBeenCalled();
+  });
+
+  test('plain get still returns the local copy without querying', async () => {
+    dht.storage.set('k', { value: 'local', timestamp: Date.now() });
+
+    expect(await dht.get('k')).toBe('local');
+    expect(dht.sendFindValue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Per-record TTL
+ *
+ * Verifies that:
+ * - store(key, value, { ttl }) carries the TTL to every replica
+ * - Replicas stop serving and clean up records once their TTL passes
+ * - Expired records are never republished; live ones keep their remaining TTL
+ */
+
+const fakeNode = (id) => ({ id: { toString: () => id } });
+
+describe('Per-record TTL', () => {
+  let dht;
+
+  beforeEach(() => {
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+    dht.sendMessage = jest.fn().mockResolvedValue(true);
+    dht.isPeerConnected = jest.fn(() => true);
+    dht.sendRequestWithResponse = jest.fn().mockResolvedValue({ success: true });
+    dht.selectReplicationTargets = jest.fn().mockResolvedValue({
+      targetNodes: [fakeNode('a'), fakeNode('b')],
+      shouldStoreLocally: true
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('store sends the ttl in the wire message and sets a local expiry', async () => {
+    const before = Date.now();
+    await dht.store('session:1', 'v', { ttl: 60000 });
+
+    const [, message] = dht.sendRequestWithResponse.mock.calls[0];
+    expect(message).toMatchObject({ type: 'store', key: 'session:1', ttl: 60000 });
+    expect(dht.storage.get('session:1').expiresAt).toBeGreaterThanOrEqual(before + 60000);
+  });
+
+  test('store without ttl keeps the default expiry', async () => {
+    await dht.store('plain', 'v');
+
+    expect(dht.sendRequestWithResponse.mock.calls[0][1].ttl).toBeUndefined();
+    expect(dht.storage.get('plain').expiresAt).toBeUndefined();
+  });
+
+  test('rejects invalid ttl values', async () => {
+    await expect(dht.store('k', 'v', { ttl: -5 })).rejects.toThrow('ttl');
+    await expect(dht.store('k', 'v', { ttl: 'soon' })).rejects.toThrow('ttl');
+  });
+
+  test('replica stores the ttl from the store message', async () => {
+    await dht.handleStore('peer1', { type: 'store', requestId: 'r1', key: 'k', value: 'v', ttl: 5000 });
+
+    expect(dht.getRemainingTTL(dht.storage.get('k'))).toBeGreaterThan(4000);
+    expect(dht.sendMessage.mock.calls[0][1].success).toBe(true);
+  });
+
+  test('replica ignores malformed ttl values', async () => {
+    await dht.handleStore('peer1', { type: 'store', requestId: 'r1', key: 'k', value: 'v', ttl: 'forever' });
+
+    expect(dht.storage.get('k').expiresAt).toBeUndefined();
+  });
+
+  test('expired records are not served', async () => {
+    jest.useFakeTimers();
+    await dht.handleStore('peer1', { type: 'store', requestId: 'r1', key: 'k', value: 'v', ttl: 1000 });
+
+    await dht.handleFindValue('peer2', { type: 'find_value', requestId: 'r2', key: 'k' });
+    expect(dht.sendMessage.mock.calls.at(-1)[1]).toMatchObject({ found: true, value: 'v' });
+    expect(dht.sendMessage.mock.calls.at(-1)[1].ttl).toBeLessThanOrEqual(1000);
+
+    jest.advanceTimersByTime(1001);
+    await dht.handleFindValue('peer2', { type: 'find_value', requestId: 'r3', key: 'k' });
+    expect(dht.sendMessage.mock.calls.at(-1)[1].found).toBe(false);
+    expect(dht.storage.has('k')).toBe(false);
+  });
+
+  test('cleanup honors per-record ttl over the blanket expire interval', () => {
+    const now = Date.now();
+    dht.storage.set('short', { value: 'v', timestamp: now, expiresAt: now - 1 });
+    dht.storage.set('long', { value: 'v', timestamp: now - 2 * dht.options.expireInterval, expiresAt: now + 60000 });
+
+    dht.cleanup();
+
+    expect(dht.storage.has('short')).toBe(false);
+    expect(dht.storage.has('long')).toBe(true);
+  });
+
+  test('republish skips expired records and keeps the remaining ttl of live ones', async () => {
+    const now = Date.now();
+    dht.storage.set('dead', { value: 'v', timestamp: now, expiresAt: now - 1 });
+    dht.storage.set('alive', { value: 'v', timestamp: now, expiresAt: now + 30000 });
+    dht.republishQueue.set('dead', now - 1);
+    dht.republishQueue.set('alive', now - 1);
+    dht.store = jest.fn().mockResolvedValue(true);
+
+    await dht.republishData();
+
+    expect(dht.store).toHaveBeenCalledTimes(1);
+    const [key, , options] = dht.store.mock.calls[0];
+    expect(key).toBe('alive');
+    expect(options.ttl).toBeGreaterThan(29000);
+    expect(options.ttl).toBeLessThanOrEqual(30000);
+    expect(dht.republishQueue.has('dead')).toBe(false);
+  });
+});
@@ -428,4 +428,48 @@ describe('RoutingTable', () => {
       await rt.performPNSProbes(undefined);
     });
   });
+
+  describe('subnet diversity limits', () => {
+    const nodeAt = (address) => {
+      const node = new DHTNode(new DHTNodeId(), address);
+      node.metadata.remoteAddress = address;
+      return node;
+    };
+
+    test('table-wide limit sends extra contacts to the replacement cache', () => {
+      const rt = new RoutingTable(new DHTNodeId(), 20, { maxPerSubnetPerTable: 2 });
+
+      expect(rt.addNode(nodeAt('203.0.113.1'))).toBe(true);
+      expect(rt.addNode(nodeAt('203.0.113.2'))).toBe(true);
+      const extra = nodeAt('203.0.113.3');
+      expect(rt.addNode(extra)).toBe(false);
+
+      expect(rt.totalNodes).toBe(2);
+      expect(rt.getNode(extra.id.toString())).toBeUndefined();
+      expect(rt.buckets.some(bucket => bucket.getReplacementCache().includes(extra))).toBe(true);
+    });
+
+    test('IPv6 contacts are grouped by /48', () => {
+      const rt = new RoutingTable(new DHTNodeId(), 20, { maxPerSubnetPerBucket: 1 });
+
+      expect(rt.addNode(nodeAt('2001:db8:1:1::1'))).toBe(true);
+      expect(rt.addNode(nodeAt('2001:db8:1:2::1'))).toBe(false);
+      expect(rt.addNode(nodeAt('2001:db8:2::1'))).toBe(true);
+    });
+
+    test('getStats reports current diversity', () => {
+      const rt = new RoutingTable(new DHTNodeId(), 20, { maxPerSubnetPerTable: 2 });
+      ['203.0.113.1', '203.0.113.2', '203.0.113.3', '198.51.100.1'].forEach(address => rt.addNode(nodeAt(address)));
+      rt.addNode(new DHTNode(new DHTNodeId(), 'peer'));
+
+      expect(rt.getStats().diversity).toEqual({
+        maxPerSubnetPerBucket: 0,
+        maxPerSubnetPerTable: 2,
+        subnets: 2,
+        largestSubnet: { subnet: '203.0.113.0/24', nodes: 2 },
+        unknownAddress: 1,
+        rejected: 1
+      });
+    });
+  });
 });
\ No newline at end of file
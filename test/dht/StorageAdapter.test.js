@@ -0,0 +1,187 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StorageAdapter, MemoryStorageAdapter } from '../../src/dht/StorageAdapter.js';
+import { FileStorageAdapter } from '../../src/node/FileStorageAdapter.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { RecordPublisher } from '../../src/dht/RecordPublisher.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Pluggable DHT storage
+ *
+ * Verifies that:
+ * - Storage tables behave like Maps and report mutations to the adapter
+ * - FileStorageAdapter replays its log, skips corrupt lines and compacts
+ * - KademliaDHT records and republish schedule survive a restart
+ */
+
+describe('StorageAdapter', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yz-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('StorageTable', () => {
+    test('only persists mutations while the adapter is open', async () => {
+      const adapter = new MemoryStorageAdapter();
+      const write = jest.spyOn(adapter, 'write');
+
+      adapter.records.set('before', 1);
+      expect(write).not.toHaveBeenCalled();
+
+      await adapter.open();
+      adapter.records.set('a', { value: 1 });
+      adapter.records.delete('a');
+      adapter.records.delete('missing');
+      adapter.republish.clear();
+
+      expect(write.mock.calls).toEqual([
+        ['records', 'set', 'a', { value: 1 }],
+        ['records', 'delete', 'a', undefined],
+        ['republish', 'clear', undefined, undefined]
+      ]);
+
+      await adapter.close();
+      adapter.records.set('after', 2);
+      expect(write).toHaveBeenCalledTimes(3);
+    });
+
+    test('counts write errors instead of throwing', async () => {
+      class FailingAdapter extends StorageAdapter {
+        write() {
+          throw new Error('disk full');
+        }
+      }
+
+      const adapter = new FailingAdapter();
+      await adapter.open();
+
+      expect(() => adapter.records.set('key', 'value')).not.toThrow();
+      expect(adapter.records.get('key')).toBe('value');
+      expect(adapter.getStats().writeErrors).toBe(1);
+    });
+  });
+
+  describe('FileStorageAdapter', () => {
+    test('requires a file path', () => {
+      expect(() => new FileStorageAdapter()).toThrow('filePath');
+    });
+
+    test('replays the log on open', async () => {
+      const filePath = path.join(tempDir, 'nested', 'dht.log');
+      const first = new FileStorageAdapter({ filePath });
+      await first.open();
+
+      first.records.set('k1', { value: 'v1', timestamp: 1 });
+      first.records.set('k2', { value: 'v2', timestamp: 2 });
+      first.records.set('k1', { value: 'v1b', timestamp: 3 });
+      first.records.delete('k2');
+      first.republish.set('k1', 12345);
+      await first.close();
+
+      const second = new FileStorageAdapter({ filePath });
+      await second.open();
+
+      expect([...second.records.keys()]).toEqual(['k1']);
+      expect(second.records.get('k1').value).toBe('v1b');
+      expect(second.republish.get('k1')).toBe(12345);
+      expect(second.logEntries).toBe(5);
+    });
+
+    test('skips a truncated final line', async () => {
+      const filePath = path.join(tempDir, 'dht.log');
+      fs.writeFileSync(filePath,
+        JSON.stringify({ t: 'records', op: 'set', k: 'good', v: 1 }) + '\n' +
+        '{"t":"records","op":"se');
+
+      const adapter = new FileStorageAdapter({ filePath });
+      await adapter.open();
+
+      expect(adapter.records.get('good')).toBe(1);
+      expect(adapter.corruptLines).toBe(1);
+    });
+
+    test('compacts the log to live entries', async () => {
+      const filePath = path.join(tempDir, 'dht.log');
+      const adapter = new FileStorageAdapter({ filePath, minCompactionEntries: 10 });
+      await adapter.open();
+
+      for (let i = 0; i < 20; i++) {
+        adapter.records.set('hot', i);
+      }
+      adapter.records.set('cold', 'x');
+
+      expect(adapter.needsCompaction()).toBe(true);
+      expect(await adapter.compact()).toBe(true);
+      await adapter.close();
+
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(2);
+
+      const reopened = new FileStorageAdapter({ filePath });
+      await reopened.open();
+      expect(reopened.records.get('hot')).toBe(19);
+      expect(reopened.records.get('cold')).toBe('x');
+    });
+
+    test('does not compact small logs', async () => {
+      const adapter = new FileStorageAdapter({ filePath: path.join(tempDir, 'dht.log') });
+      await adapter.open();
+      adapter.records.set('a', 1);
+      adapter.records.set('a', 2);
+      adapter.records.set('a', 3);
+
+      expect(await adapter.compact()).toBe(false);
+      await adapter.close();
+    });
+  });
+
+  describe('KademliaDHT integration', () => {
+    test('defaults to in-memory storage', () => {
+      const dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+
+      expect(dht.storageAdapter).toBeInstanceOf(MemoryStorageAdapter);
+      expect(dht.storage).toBe(dht.storageAdapter.records);
+      expect(dht.republishQueue).toBe(dht.storageAdapter.republish);
+      expect(dht.getStats().storage.backend.backend).toBe('memory');
+    });
+
+    test('stored records survive a restart', async () => {
+      const filePath = path.join(tempDir, 'dht.log');
+      const dht = new KademliaDHT({
+        bootstrap: createMockBootstrap(),
+        storageAdapter: new FileStorageAdapter({ filePath })
+      });
+      dht.sendMessage = jest.fn().mockResolvedValue(true);
+
+      await dht.storageAdapter.open();
+      dht.isStarted = true;
+
+      const publisher = await RecordPublisher.create(await InvitationToken.generateKeyPair(), 'user:alice', { name: 'alice' }, 'peer1');
+      await dht.handleStore('peer1', { type: 'store', requestId: 'r1', key: 'user:alice', value: { name: 'alice' }, publisher });
+      dht.republishQueue.set('user:alice', Date.now() + 60000);
+
+      await dht.stop();
+      expect(dht.storage.size).toBe(0);
+
+      const restarted = new KademliaDHT({
+        bootstrap: createMockBootstrap(),
+        storageAdapter: new FileStorageAdapter({ filePath })
+      });
+      await restarted.storageAdapter.open();
+
+      expect(restarted.storage.get('user:alice').value).toEqual({ name: 'alice' });
+      expect(restarted.storage.get('user:alice').publisher).toEqual(publisher);
+      expect(restarted.republishQueue.has('user:alice')).toBe(true);
+      await restarted.storageAdapter.close();
+    });
+  });
+});
@@ -0,0 +1,255 @@
+import { jest } from '@jest/globals';
+import { Tombstone } from '../../src/dht/Tombstone.js';
+import { RecordPublisher } from '../../src/dht/RecordPublisher.js';
+import { MutableRecord } from '../../src/dht/MutableRecord.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { NodeIdProof } from '../../src/core/NodeIdProof.js';
+import { DHTNodeId } from '../../src/core/DHTNodeId.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Tombstone-based delete
+ *
+ * Verifies that:
+ * - Tombstones are signed and bound to their key
+ * - Only a record's signed publisher (mutable records: owner, namespaces: canDelete) may delete it,
+ *   whichever node relayed the copy
+ * - Replicas refuse values not signed by the deleter while the tombstone is live
+ * - Reads treat tombstoned keys as missing
+ * - Republish spreads the tombstone and keeps the signed publisher of data
+ */
+
+const fakeNode = (id) => ({ id: { toString: () => id } });
+
+describe('Tombstones', () => {
+  let keyInfo;
+  let otherKeyInfo;
+  let deleter;
+  let otherDeleter;
+
+  beforeAll(async () => {
+    keyInfo = await InvitationToken.generateKeyPair();
+    otherKeyInfo = await InvitationToken.generateKeyPair();
+    deleter = await NodeIdProof.generate();
+    otherDeleter = await NodeIdProof.generate();
+  });
+
+  describe('signatures', () => {
+    test('valid tombstone verifies for its key only', async () => {
+      const tombstone = await Tombstone.create(keyInfo, 'doc:1', 'node1');
+
+      expect(await Tombstone.verify(tombstone, 'doc:1')).toEqual({ valid: true });
+      expect((await Tombstone.verify(tombstone, 'doc:2')).valid).toBe(false);
+    });
+
+    test('backdated tombstone fails verification', async () => {
+      const tombstone = await Tombstone.create(keyInfo, 'doc:1', 'node1');
+
+      const result = await Tombstone.verify({ ...tombstone, timestamp: tombstone.timestamp + 1000 }, 'doc:1');
+      expect(result).toEqual({ valid: false, error: 'Invalid signature' });
+    });
+  });
+
+  describe('KademliaDHT integration', () => {
+    let dht;
+
+    beforeEach(() => {
+      dht = new KademliaDHT({ bootstrap: createMockBootstrap(), nodeId: DHTNodeId.fromHex(deleter.nodeId) });
+      dht.keyPair = deleter.keyPair;
+      dht.sendMessage = jest.fn().mockResolvedValue(true);
+      dht.isPeerConnected = jest.fn(() => true);
+    });
+
+    const storeFrom = (key, value, extra = {}, peerId = 'peer1') => dht.handleStore(peerId, {
+      type: 'store', requestId: 'r1', key, value, ...extra
+    });
+    const tombstoneBy = (identity, key, timestamp) => Tombstone.create(identity.keyPair, key, identity.nodeId, timestamp);
+    const publishedBy = async (identity, key, value) => ({ publisher: await RecordPublisher.create(identity.keyPair, key, value, identity.nodeId) });
+    const lastResponse = () => dht.sendMessage.mock.calls.at(-1)[1];
+
+    test('delete stores a signed tombstone on the replica set', async () => {
+      dht.selectReplicationTargets = jest.fn().mockResolvedValue({ targetNodes: [fakeNode('a')], shouldStoreLocally: true });
+      dht.sendStore = jest.fn().mockResolvedValue({ success: true });
+      dht.storage.set('doc:1', { value: 'v', timestamp: Date.now() });
+
+      expect(await dht.delete('doc:1')).toBe(true);
+
+      const [peerId, key, tombstone, options] = dht.sendStore.mock.calls[0];
+      expect([peerId, key]).toEqual(['a', 'doc:1']);
+      expect(await Tombstone.verify(tombstone, 'doc:1')).toEqual({ valid: true });
+      expect(options.ttl).toBe(dht.options.tombstoneTTL);
+      expect(dht.storage.get('doc:1').expiresAt).toBeDefined();
+      expect(await dht.get('doc:1')).toBeNull();
+    });
+
+    test('replica refuses values not signed by the deleter while the tombstone is live', async () => {
+      const tombstone = await tombstoneBy(deleter, 'doc:1');
+      await storeFrom('doc:1', tombstone);
+      expect(lastResponse().success).toBe(true);
+
+      await storeFrom('doc:1', 'old');
+      expect(lastResponse().success).toBe(false);
+
+      // Sent by the deleter but published by someone else (e.g. a republished copy)
+      await storeFrom('doc:1', 'resurrected', await publishedBy(otherDeleter, 'doc:1', 'resurrected'), deleter.nodeId);
+      expect(lastResponse().success).toBe(false);
+      expect(Tombstone.isTombstone(dht.storage.get('doc:1').value)).toBe(true);
+
+      // The deleter's own write is accepted from any relaying node
+      await storeFrom('doc:1', 'recreated', await publishedBy(deleter, 'doc:1', 'recreated'), 'relay');
+      expect(lastResponse().success).toBe(true);
+      expect(dht.storage.get('doc:1').value).toBe('recreated');
+    });
+
+    test('replica rejects publisher signatures that do not cover the value', async () => {
+      await storeFrom('doc:1', 'forged', await publishedBy(deleter, 'doc:1', 'original'));
+
+      expect(lastResponse()).toMatchObject({ success: false, error: 'Invalid publisher signature' });
+      expect(dht.storage.has('doc:1')).toBe(false);
+    });
+
+    test('only the signed publisher may delete a record, whoever relayed it', async () => {
+      const published = await publishedBy(otherDeleter, 'doc:1', 'theirs');
+      // Relayed by the deleter, like a key handoff, republish or read-repair
+      await storeFrom('doc:1', 'theirs', published, deleter.nodeId);
+      expect(dht.storage.get('doc:1').publisher.nodeId).toBe(otherDeleter.nodeId);
+
+      await storeFrom('doc:1', await tombstoneBy(deleter, 'doc:1'));
+      expect(lastResponse()).toMatchObject({ success: false, error: 'Only the publisher may delete a record' });
+
+      // A tombstone claiming the publisher's node ID must be signed with its key
+      await storeFrom('doc:1', await Tombstone.create(otherKeyInfo, 'doc:1', otherDeleter.nodeId));
+      expect(lastResponse()).toMatchObject({ success: false, error: 'Only the publisher may delete a record' });
+
+      await storeFrom('doc:1', await tombstoneBy(otherDeleter, 'doc:1'));
+      expect(lastResponse().success).toBe(true);
+
+      await storeFrom('doc:1', await tombstoneBy(deleter, 'doc:1', Date.now() + 1000));
+      expect(lastResponse()).toMatchObject({ success: false, error: 'Key was deleted by another node' });
+    });
+
+    test('publishers with node IDs not derived from their key can delete', async () => {
+      const publisher = { nodeId: 'e'.repeat(40), keyPair: keyInfo };
+      await storeFrom('doc:1', 'mine', await publishedBy(publisher, 'doc:1', 'mine'), 'relay');
+
+      await storeFrom('doc:1', await tombstoneBy(publisher, 'doc:1'));
+      expect(lastResponse().success).toBe(true);
+    });
+
+    test('stores sign the local copy and the replicated copies as their publisher', async () => {
+      dht.selectReplicationTargets = jest.fn().mockResolvedValue({ targetNodes: [fakeNode('a')], shouldStoreLocally: true });
+      dht.sendStore = jest.fn().mockResolvedValue({ success: true });
+
+      await dht.store('doc:1', 'v');
+
+      const { publisher } = dht.storage.get('doc:1');
+      expect(publisher.nodeId).toBe(deleter.nodeId);
+      expect(await RecordPublisher.verify(publisher, 'doc:1', 'v')).toEqual({ valid: true });
+      expect(dht.sendStore).toHaveBeenCalledWith('a', 'doc:1', 'v', expect.objectContaining({ publisher }));
+    });
+
+    test('key handoff and read-repair pass the signed publisher on', async () => {
+      dht.registerNamespace('doc:', { validate: () => true }); // Read-repair only spreads validated keys
+      const { publisher } = await publishedBy(otherDeleter, 'doc:1', 'theirs');
+      dht.sendStore = jest.fn().mockResolvedValue({ success: true });
+      dht.storage.set('doc:1', { value: 'theirs', timestamp: Date.now(), publisher });
+
+      dht.isStarted = true;
+      dht.keyHandoffs.set('peer2', { keys: ['doc:1'], sent: 0, timer: null });
+      dht.processKeyHandoff('peer2');
+      expect(dht.sendStore).toHaveBeenCalledWith('peer2', 'doc:1', 'theirs', expect.objectContaining({ publisher }));
+
+      dht.readRepair('doc:1', 'theirs', [
+        { peerId: dht.localNodeId.toString(), found: true, value: 'theirs', publisher },
+        { peerId: 'peer3', found: false }
+      ]);
+      expect(dht.sendStore).toHaveBeenCalledWith('peer3', 'doc:1', 'theirs', expect.objectContaining({ publisher }));
+    });
+
+    test('namespaced records are only deleted when the namespace allows it', async () => {
+      dht.registerNamespace('score:', { validate: () => true });
+      await storeFrom('score:1', { owner: deleter.nodeId }, {}, deleter.nodeId);
+
+      await storeFrom('score:1', await tombstoneBy(deleter, 'score:1'));
+      expect(lastResponse()).toMatchObject({ success: false, error: 'Records under score: cannot be deleted' });
+      await expect(dht.delete('score:1')).rejects.toThrow('cannot be deleted');
+
+      dht.registerNamespace('score:', { validate: () => true, canDelete: (tombstone, stored) => stored?.owner === tombstone.nodeId });
+      await storeFrom('score:1', await tombstoneBy(otherDeleter, 'score:1'));
+      expect(lastResponse().success).toBe(false);
+
+      await storeFrom('score:1', await tombstoneBy(deleter, 'score:1'));
+      expect(lastResponse().success).toBe(true);
+    });
+
+    test('replica keeps the tombstone for tombstoneTTL when none is sent', async () => {
+      await storeFrom('doc:1', await tombstoneBy(deleter, 'doc:1'));
+
+      expect(dht.getRemainingTTL(dht.storage.get('doc:1'))).toBeGreaterThan(dht.options.tombstoneTTL - 1000);
+    });
+
+    test('replica accepts data again once the tombstone expires', async () => {
+      await storeFrom('doc:1', await tombstoneBy(deleter, 'doc:1'), { ttl: 1000 });
+      dht.storage.get('doc:1').expiresAt = Date.now() - 1;
+
+      await storeFrom('doc:1', 'back');
+      expect(lastResponse().success).toBe(true);
+    });
+
+    test('replica rejects forged and older tombstones', async () => {
+      const newer = await tombstoneBy(deleter, 'doc:1', Date.now());
+      await storeFrom('doc:1', newer);
+
+      await storeFrom('doc:1', { ...newer, timestamp: newer.timestamp + 5 });
+      expect(lastResponse()).toMatchObject({ success: false, error: 'Invalid signature' });
+
+      await storeFrom('doc:1', await tombstoneBy(deleter, 'doc:1', newer.timestamp - 5000));
+      expect(lastResponse().success).toBe(false);
+    });
+
+    test('only the owner may delete a mutable record', async () => {
+      const key = MutableRecord.getKey(keyInfo.publicKey, 'profile');
+      await storeFrom(key, await MutableRecord.create(keyInfo, 'profile', 'v1', 1));
+
+      await storeFrom(key, await Tombstone.create(otherKeyInfo, key, 'mallory'));
+      expect(lastResponse().error).toMatch(/owner/);
+
+      await storeFrom(key, await Tombstone.create(keyInfo, key, 'owner'));
+      expect(lastResponse().success).toBe(true);
+
+      // A re-signed record sent on by another node stays deleted
+      await storeFrom(key, await MutableRecord.create(keyInfo, 'profile', 'v2', 2));
+      expect(lastResponse().success).toBe(false);
+    });
+
+    test('network reads return null for deleted keys and ignore forged tombstones', async () => {
+      const tombstone = await Tombstone.create(keyInfo, 'doc:1', 'node1');
+      dht.findNode = jest.fn().mockResolvedValue([fakeNode('a'), fakeNode('b')]);
+      dht.sendFindValue = jest.fn(async () => ({ found: true, value: tombstone }));
+
+      expect(await dht.getFromNetwork('doc:1')).toBeNull();
+
+      dht.sendFindValue = jest.fn(async (peerId) => (
+        peerId === 'a' ? { found: true, value: { ...tombstone, key: 'doc:1', timestamp: 1 } } : { found: true, value: 'alive' }
+      ));
+      expect(await dht.getFromNetwork('doc:1')).toBe('alive');
+    });
+
+    test('republish spreads tombstones and keeps the signed publisher of data', async () => {
+      const now = Date.now();
+      const tombstone = await Tombstone.create(keyInfo, 'doc:1', 'node1');
+      const { publisher } = await publishedBy(otherDeleter, 'doc:2', 'data');
+      dht.storage.set('doc:1', { value: tombstone, timestamp: now, expiresAt: now + 60000 });
+      dht.storage.set('doc:2', { value: 'data', timestamp: now, publisher });
+      dht.republishQueue.set('doc:1', now - 1);
+      dht.republishQueue.set('doc:2', now - 1);
+      dht.store = jest.fn().mockResolvedValue(true);
+
+      await dht.republishData();
+
+      expect(dht.store).toHaveBeenCalledWith('doc:1', tombstone, expect.objectContaining({ publisher: null }));
+      expect(dht.store).toHaveBeenCalledWith('doc:2', 'data', expect.objectContaining({ publisher }));
+    });
+  });
+});
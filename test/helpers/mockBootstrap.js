@@ -0,0 +1,30 @@
+/**
+ * Mock BootstrapClient for KademliaDHT unit tests
+ *
+ * Not connected to any bootstrap server; every method is a jest.fn() so tests
+ * can assert on it or replace it through overrides.
+ */
+import { jest } from '@jest/globals';
+
+/**
+ * @param {Object} [overrides] - Members to add or replace, e.g. { isBootstrapConnected: jest.fn(() => true) }
+ * @returns {Object} - Bootstrap client for new KademliaDHT({ bootstrap })
+ */
+export function createMockBootstrap(overrides = {}) {
+  return {
+    connect: jest.fn(),
+    requestPeersOrGenesis: jest.fn(),
+    isBootstrapConnected: jest.fn(() => false),
+    enableAutoReconnect: jest.fn(),
+    disableAutoReconnect: jest.fn(),
+    announceIndependent: jest.fn(),
+    getStatus: jest.fn(() => ({})),
+    destroy: jest.fn(),
+    isDestroyed: false,
+    on: jest.fn(),
+    once: jest.fn(),
+    removeListener: jest.fn(),
+    emit: jest.fn(),
+    ...overrides
+  };
+}
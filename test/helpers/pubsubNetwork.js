@@ -0,0 +1,33 @@
+/**
+ * In-memory network for PubSubClient unit tests
+ *
+ * All DHTs share one key/value store and one published key per node, so
+ * several clients can publish and subscribe without a real DHT.
+ */
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+/**
+ * @returns {{records: Map, publicKeys: Map, createDHT: Function}} - Shared records and
+ *   published keys, and a factory for DHTs backed by them
+ */
+export function createNetwork() {
+  const records = new Map();
+  const publicKeys = new Map();
+
+  const createDHT = () => {
+    const dht = new EventEmitter();
+    dht.isStarted = true;
+    dht.store = jest.fn(async (key, value) => {
+      records.set(key, structuredClone(value));
+      return true;
+    });
+    dht.get = jest.fn(async (key) => structuredClone(records.get(key)) || null);
+    dht.getFromNetwork = dht.get;
+    dht.getPublicKey = jest.fn(async (nodeId) => publicKeys.get(nodeId) || null);
+    return dht;
+  };
+
+  return { records, publicKeys, createDHT };
+}
+
@@ -6,9 +6,13 @@
  * 2. Current load (relayLoad 0-1)
  * 3. Latency (RTT in ms)
  * 4. Available capacity
+ * 5. Peer reputation (PeerScoreBook)
+ * 6. Predicted latency (Vivaldi coordinates) for relays never measured
  */
 
 import { RelayManager } from '../../src/network/RelayManager.js';
+import { PeerScoreBook } from '../../src/dht/PeerScoreBook.js';
+import { NetworkCoordinates } from '../../src/dht/NetworkCoordinates.js';
 
 describe('RelayManager - Relay Node Selection', () => {
   let relayManager;
@@ -378,4 +382,57 @@ describe('RelayManager - Relay Node Selection', () => {
       expect(relayNode.connectedPeers).toBeNull();
     });
   });
+
+  describe('peer reputation', () => {
+    const relay = (nodeId) => ({
+      nodeId,
+      metadata: { canRelay: true, publicAddress: `wss://${nodeId}.example.com`, relayLoad: 0.1, relayCapacity: 100 }
+    });
+
+    it('should prefer the better scored relay and skip banned ones', async () => {
+      const peerScores = new PeerScoreBook();
+      relayManager.setPeerScoreBook(peerScores);
+      relayManager.updateRelayNodes([relay('relay-flaky'), relay('relay-good'), relay('relay-banned')]);
+
+      peerScores.recordRelayResult('relay-flaky', false);
+      peerScores.recordRelayResult('relay-good', true);
+      peerScores.ban('relay-banned');
+      relayManager._relayNodes.get('relay-banned').relayLoad = 0; // Would otherwise win on load
+
+      expect((await relayManager._selectRelayNode('target-peer')).nodeId).toBe('relay-good');
+
+      expect(await relayManager._selectRelayNode('target-peer', { excludeNodes: ['relay-good', 'relay-flaky'] })).toBeNull();
+    });
+
+    it('should record relay health results in the score book', () => {
+      const peerScores = new PeerScoreBook();
+      relayManager.setPeerScoreBook(peerScores);
+
+      relayManager._updateRelayHealth('relay-1', true, 20);
+      relayManager._updateRelayHealth('relay-2', false);
+
+      expect(peerScores.getScore('relay-1')).toBeGreaterThan(0);
+      expect(peerScores.getScore('relay-2')).toBeLessThan(0);
+    });
+  });
+
+  describe('network coordinates', () => {
+    const relay = (nodeId) => ({
+      nodeId,
+      metadata: { canRelay: true, publicAddress: `wss://${nodeId}.example.com`, relayLoad: 0.1, relayCapacity: 100 }
+    });
+    const at = (x) => ({ vector: [x, 0, 0], height: 1, error: 0.1 });
+
+    it('should prefer the relay with the lower predicted path RTT when none was measured', async () => {
+      const coordinates = new NetworkCoordinates();
+      coordinates.learn('relay-far', at(250), true);
+      coordinates.learn('relay-near', at(10), true);
+      coordinates.learn('target-peer', at(20), true);
+      relayManager.setNetworkCoordinates(coordinates);
+      relayManager.updateRelayNodes([relay('relay-far'), relay('relay-near')]);
+
+      expect((await relayManager._selectRelayNode('target-peer')).nodeId).toBe('relay-near');
+      expect(coordinates.estimateRelayRtt('relay-near', 'target-peer')).toBeCloseTo(coordinates.estimateRtt('relay-near') + 12, 5);
+    });
+  });
 });
@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import { PubSubClient } from '../../src/pubsub/PubSubClient.js';
+import { MessageAmendment } from '../../src/pubsub/MessageAmendment.js';
+import { Message } from '../../src/pubsub/Message.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { createNetwork } from '../helpers/pubsubNetwork.js';
+
+/**
+ * Unit Tests: Message edits and retractions
+ *
+ * Verifies that:
+ * - Publishers can edit and retract their own messages, nobody else's
+ * - History loads apply edits (newest wins) and drop retracted messages
+ * - Amendments signed by another publisher are ignored
+ * - Originals loaded for live amendments are verified before they are trusted
+ * - Live amendments (poll and push) become 'edited' / 'retracted' events
+ */
+
+const TOPIC = 'notes';
+const AUTHOR = 'a'.repeat(40);
+const OTHER = 'b'.repeat(40);
+const READER = 'c'.repeat(40);
+
+describe('Message amendments', () => {
+  let keys;
+  let network;
+  let clients;
+
+  beforeAll(async () => {
+    keys = {};
+    for (const id of [AUTHOR, OTHER, READER]) {
+      keys[id] = await InvitationToken.generateKeyPair();
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    network = createNetwork();
+    clients = {};
+    for (const id of [AUTHOR, OTHER, READER]) {
+      network.publicKeys.set(id, keys[id].publicKey);
+      clients[id] = new PubSubClient(network.createDHT(), id, keys[id]);
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const loadHistory = async (client) => {
+    const coordinator = await client.storage.loadCoordinator(TOPIC);
+    return client.subscribeOp.loadHistoricalMessages(TOPIC, coordinator);
+  };
+
+  test('history shows the newest edit and hides retracted messages', async () => {
+    const first = await clients[AUTHOR].publish(TOPIC, { text: 'helo' });
+    const second = await clients[AUTHOR].publish(TOPIC, { text: 'my password is hunter2' });
+    await clients[OTHER].publish(TOPIC, { text: 'hi' });
+
+    await clients[AUTHOR].edit(TOPIC, first.messageID, { text: 'hello' });
+    await clients[AUTHOR].edit(TOPIC, first.messageID, { text: 'hello!' });
+    const tombstone = await clients[AUTHOR].retract(TOPIC, second.messageID);
+
+    const original = await clients[READER].storage.loadMessage(second.messageID);
+    const stored = await clients[READER].storage.loadMessage(tombstone.messageID);
+    expect(stored.expiresAt).toBe(original.expiresAt);
+
+    const history = await loadHistory(clients[READER]);
+    expect(history.map(m => m.data.text)).toEqual(['hello!', 'hi']);
+    expect(history[0].messageID).toBe(first.messageID);
+    expect(history[0].editedAt).toBeGreaterThan(0);
+    expect(history[1].editedAt).toBeUndefined();
+  });
+
+  test('only the original publisher can amend a message', async () => {
+    const { messageID } = await clients[AUTHOR].publish(TOPIC, { text: 'mine' });
+
+    await expect(clients[OTHER].edit(TOPIC, messageID, { text: 'yours' })).rejects.toThrow('Only the original publisher');
+    await expect(clients[OTHER].retract(TOPIC, messageID)).rejects.toThrow('Only the original publisher');
+    await expect(clients[AUTHOR].edit(TOPIC, 'f'.repeat(40), { text: 'nothing' })).rejects.toThrow('not found');
+
+    // Amendments published around the client checks are ignored by readers
+    await clients[OTHER].publishOp.publish(TOPIC, MessageAmendment.createData(MessageAmendment.Type.EDIT, messageID, { text: 'yours' }));
+    await clients[OTHER].publishOp.publish(TOPIC, MessageAmendment.createData(MessageAmendment.Type.RETRACT, messageID));
+
+    const history = await loadHistory(clients[READER]);
+    expect(history.map(m => m.data.text)).toEqual(['mine']);
+  });
+
+  test('polled amendments are emitted as edited and retracted events', async () => {
+    const { messageID } = await clients[AUTHOR].publish(TOPIC, { text: 'draft' });
+
+    const reader = clients[READER];
+    const received = jest.fn();
+    const edited = jest.fn();
+    const retracted = jest.fn();
+    reader.on(TOPIC, received);
+    reader.on('edited', edited);
+    reader.on('retracted', retracted);
+    await reader.subscribe(TOPIC);
+    expect(received).toHaveBeenCalledTimes(1);
+
+    await clients[AUTHOR].edit(TOPIC, messageID, { text: 'final' });
+    await reader.poll(TOPIC);
+    expect(edited).toHaveBeenCalledWith(expect.objectContaining({
+      topic: TOPIC,
+      messageID,
+      publisherID: AUTHOR,
+      data: { text: 'final' }
+    }));
+
+    await clients[AUTHOR].retract(TOPIC, messageID);
+    await reader.poll(TOPIC);
+    expect(retracted).toHaveBeenCalledWith(expect.objectContaining({ topic: TOPIC, messageID, publisherID: AUTHOR }));
+
+    // Amendments are not delivered as messages
+    expect(received).toHaveBeenCalledTimes(1);
+  });
+
+  test('pushed amendments from another publisher are ignored', async () => {
+    const { messageID } = await clients[AUTHOR].publish(TOPIC, { text: 'original' });
+    const forged = await clients[OTHER].publishOp.publish(TOPIC, MessageAmendment.createData(MessageAmendment.Type.RETRACT, messageID));
+    const genuine = await clients[AUTHOR].retract(TOPIC, messageID);
+
+    const reader = clients[READER];
+    reader.subscribeOp.subscriptions.set(TOPIC, { lastSeenVersion: 0, expiresAt: Date.now() + 60000, messageHandler: jest.fn() });
+    const received = jest.fn();
+    const retracted = jest.fn();
+    reader.on(TOPIC, received);
+    reader.on('retracted', retracted);
+
+    const push = async (id) => {
+      const message = await reader.storage.loadMessage(id);
+      await Promise.all(reader.dht.listeners('message').map(listener => listener({
+        type: 'pubsub_push',
+        topicID: TOPIC,
+        message: message.serialize(),
+        pushedAt: Date.now()
+      })));
+    };
+
+    await push(forged.messageID);
+    expect(retracted).not.toHaveBeenCalled();
+
+    await push(genuine.messageID);
+    expect(retracted).toHaveBeenCalledTimes(1);
+    expect(received).not.toHaveBeenCalled();
+  });
+
+  test('amendments of a forged original are ignored', async () => {
+    const { messageID } = await clients[AUTHOR].publish(TOPIC, { text: 'original' });
+    const reader = clients[READER];
+    const retracted = jest.fn();
+    reader.on('retracted', retracted);
+
+    // OTHER overwrites the original with a copy claiming to be theirs
+    const stored = network.records.get(`msg:${messageID}`);
+    const forged = await Message.create({ ...stored, messageID, publisherID: OTHER }, keys[OTHER]);
+    network.records.set(`msg:${messageID}`, forged.serialize());
+
+    const amendment = await clients[OTHER].publishOp.publish(TOPIC, MessageAmendment.createData(MessageAmendment.Type.RETRACT, messageID));
+    const message = await reader.storage.loadMessage(amendment.messageID);
+
+    expect(await reader.deliverAmendment(TOPIC, message)).toBe(true);
+    expect(retracted).not.toHaveBeenCalled();
+  });
+});
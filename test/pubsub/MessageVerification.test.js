@@ -0,0 +1,204 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { PubSubClient } from '../../src/pubsub/PubSubClient.js';
+import { Message } from '../../src/pubsub/Message.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Publisher signature verification on delivery
+ *
+ * Verifies that:
+ * - Pushed messages are delivered only when signed by their publisher's published key
+ * - Polled messages are filtered the same way before reaching the handler
+ * - Publisher keys are looked up once per client and cached
+ * - Dropped messages are counted in getStats() and reported to onInvalidMessage
+ * - Nodes with default (not key-derived) node IDs verify each other through their published keys
+ */
+
+const TOPIC = 'a'.repeat(40);
+const PUBLISHER = 'b'.repeat(40);
+
+class MockDHT extends EventEmitter {
+  constructor(keys) {
+    super();
+    this.isStarted = true;
+    this.getPublicKey = jest.fn(async (nodeId) => keys.get(nodeId) || null);
+  }
+}
+
+async function createMessage(keyInfo, overrides = {}) {
+  const now = Date.now();
+  return Message.create({
+    topicID: TOPIC,
+    publisherID: PUBLISHER,
+    publisherSequence: 1,
+    addedInVersion: 1,
+    data: { text: 'hello' },
+    publishedAt: now,
+    expiresAt: now + 60000,
+    ...overrides
+  }, keyInfo);
+}
+
+describe('PubSub message verification', () => {
+  let publisherKey;
+  let forgerKey;
+  let dht;
+  let client;
+  let onInvalidMessage;
+
+  beforeAll(async () => {
+    publisherKey = await InvitationToken.generateKeyPair();
+    forgerKey = await InvitationToken.generateKeyPair();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    dht = new MockDHT(new Map([[PUBLISHER, publisherKey.publicKey]]));
+    onInvalidMessage = jest.fn();
+    client = new PubSubClient(dht, 'c'.repeat(40), await InvitationToken.generateKeyPair(), { onInvalidMessage });
+    client.subscribeOp.subscriptions.set(TOPIC, { lastSeenVersion: 0, expiresAt: Date.now() + 60000, messageHandler: jest.fn() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const push = async (message) => {
+    const listeners = dht.listeners('message');
+    await Promise.all(listeners.map(listener => listener({
+      type: 'pubsub_push',
+      topicID: TOPIC,
+      message: message.serialize(),
+      pushedAt: Date.now()
+    })));
+  };
+
+  test('delivers pushed messages signed by the publisher and drops forgeries', async () => {
+    const received = jest.fn();
+    client.on(TOPIC, received);
+
+    await push(await createMessage(forgerKey, { publisherSequence: 1 }));
+    await push(await createMessage(publisherKey, { publisherSequence: 2 }));
+
+    expect(received).toHaveBeenCalledTimes(1);
+    expect(received.mock.calls[0][0].publisherSequence).toBe(2);
+    expect(client.getStats()).toMatchObject({ messagesReceived: 1, invalidMessages: 1 });
+    expect(onInvalidMessage).toHaveBeenCalledWith(expect.objectContaining({
+      topic: TOPIC,
+      source: 'push',
+      errors: ['Invalid signature']
+    }));
+  });
+
+  test('a forged copy does not stop the genuine message from being delivered', async () => {
+    const received = jest.fn();
+    client.on(TOPIC, received);
+    const genuine = await createMessage(publisherKey);
+    const forged = Message.deserialize({ ...genuine.serialize(), data: { text: 'forged' } });
+
+    await push(forged);
+    await push(genuine);
+
+    expect(received).toHaveBeenCalledTimes(1);
+    expect(received.mock.calls[0][0].data.text).toBe('hello');
+  });
+
+  test('drops messages from publishers without a published key and retries the lookup', async () => {
+    const unknown = await createMessage(forgerKey, { publisherID: 'd'.repeat(40) });
+
+    expect(await client.verifyMessage(unknown, TOPIC, 'push')).toBe(false);
+    expect(await client.verifyMessage(unknown, TOPIC, 'push')).toBe(false);
+    expect(dht.getPublicKey).toHaveBeenCalledTimes(2);
+    expect(onInvalidMessage.mock.calls[0][0].errors).toEqual(['Publisher public key not found']);
+  });
+
+  test('rejects messages delivered under another topic', async () => {
+    const message = await createMessage(publisherKey, { topicID: 'e'.repeat(40) });
+
+    expect(await client.verifyMessage(message, TOPIC, 'push')).toBe(false);
+    expect(client.getStats().invalidMessages).toBe(1);
+  });
+
+  test('caches publisher keys per client', async () => {
+    const messages = await Promise.all([1, 2, 3].map(seq => createMessage(publisherKey, { publisherSequence: seq })));
+
+    const results = await Promise.all(messages.map(message => client.verifyMessage(message, TOPIC, 'poll')));
+
+    expect(results).toEqual([true, true, true]);
+    expect(dht.getPublicKey).toHaveBeenCalledTimes(1);
+    expect(client.getStats().cachedPublisherKeys).toBe(1);
+  });
+
+  test('polled messages are verified before reaching the handler', async () => {
+    const valid = await createMessage(publisherKey, { publisherSequence: 1 });
+    const forged = await createMessage(forgerKey, { publisherSequence: 2 });
+    const storage = client.subscribeOp.storage;
+    storage.loadCoordinator = jest.fn(async () => ({ version: 1, currentMessages: 'collection' }));
+    storage.loadMessageCollection = jest.fn(async () => ({
+      getMessagesSince: () => [{ messageID: valid.messageID }, { messageID: forged.messageID }]
+    }));
+    storage.loadMessages = jest.fn(async () => [valid, forged]);
+
+    const { newMessages } = await client.subscribeOp.pollUpdates(TOPIC);
+
+    expect(newMessages).toEqual([valid]);
+    expect(client.subscribeOp.subscriptions.get(TOPIC).messageHandler).toHaveBeenCalledTimes(1);
+    expect(onInvalidMessage).toHaveBeenCalledWith(expect.objectContaining({ source: 'poll', message: forged }));
+  });
+});
+
+describe('PubSub message verification between DHT nodes', () => {
+  // Random node IDs with a separate key pair, like BrowserDHTClient and NodeDHTClient create by default
+  const createNode = async (options = {}) => {
+    const dht = new KademliaDHT({ bootstrap: createMockBootstrap(), keyPair: await InvitationToken.generateKeyPair(), ...options });
+    dht.findNode = jest.fn(async () => []);
+    dht.sendMessage = jest.fn().mockResolvedValue(true);
+    return dht;
+  };
+
+  // Publish the publisher's key and hand the record to the subscriber as a replica
+  const publishKey = async (publisher, subscriber) => {
+    const key = InvitationToken.getPublicKeyStorageKey(publisher.localNodeId.toString());
+    await publisher.storePublicKey();
+    const record = publisher.getStoredRecord(key);
+    if (record) {
+      await subscriber.handleStore(publisher.localNodeId.toString(), { type: 'store', requestId: 'r1', key, value: record.value });
+    }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('nodes with default identities verify each other\'s messages', async () => {
+    const publisher = await createNode();
+    const subscriber = await createNode();
+    await publishKey(publisher, subscriber);
+
+    const client = new PubSubClient(subscriber, subscriber.localNodeId.toString(), subscriber.keyPair);
+    const message = await createMessage(publisher.keyPair, { publisherID: publisher.localNodeId.toString() });
+
+    expect(await client.verifyMessage(message, TOPIC, 'push')).toBe(true);
+  });
+
+  test('keys of node IDs not derived from them are refused when proofs are required', async () => {
+    const publisher = await createNode({ requireNodeIdProof: true });
+    const subscriber = await createNode({ requireNodeIdProof: true });
+    await publishKey(publisher, subscriber);
+
+    const client = new PubSubClient(subscriber, subscriber.localNodeId.toString(), subscriber.keyPair);
+    const message = await createMessage(publisher.keyPair, { publisherID: publisher.localNodeId.toString() });
+
+    expect(await client.verifyMessage(message, TOPIC, 'push')).toBe(false);
+  });
+});
@@ -0,0 +1,175 @@
+import { jest } from '@jest/globals';
+import { PubSubClient } from '../../src/pubsub/PubSubClient.js';
+import { TopicPolicy } from '../../src/pubsub/TopicPolicy.js';
+import { CoordinatorObject } from '../../src/pubsub/CoordinatorObject.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { createNetwork } from '../helpers/pubsubNetwork.js';
+
+/**
+ * Unit Tests: Topic moderation
+ *
+ * Verifies that:
+ * - Admins named in the topic policy can kick subscribers and block publishers
+ * - Blocked publishers can't publish, whatever the policy mode
+ * - Admin-signed policy versions may only change the block list
+ * - Retracted messages are hidden from history and live delivery
+ * - Retractions and policy changes by non-admins are rejected
+ * - Replicas keep retractions until they expire
+ */
+
+const TOPIC = 'community';
+const OWNER = 'a'.repeat(40);
+const ADMIN = 'b'.repeat(40);
+const MEMBER = 'c'.repeat(40);
+const SPAMMER = 'd'.repeat(40);
+
+describe('Topic moderation', () => {
+  let keys;
+  let network;
+  let clients;
+
+  beforeAll(async () => {
+    keys = {};
+    for (const id of [OWNER, ADMIN, MEMBER, SPAMMER]) {
+      keys[id] = await InvitationToken.generateKeyPair();
+    }
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    network = createNetwork();
+    clients = {};
+    for (const id of [OWNER, ADMIN, MEMBER, SPAMMER]) {
+      network.publicKeys.set(id, keys[id].publicKey);
+      clients[id] = new PubSubClient(network.createDHT(), id, keys[id]);
+    }
+
+    await clients[OWNER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.OPEN, admins: [ADMIN] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const storedCoordinator = () => network.records.get(`coordinator:${TOPIC}`);
+  const getPublicKey = async (id) => network.publicKeys.get(id);
+
+  const loadHistory = async (client) => {
+    const coordinator = await client.storage.loadCoordinator(TOPIC);
+    return client.subscribeOp.loadHistoricalMessages(TOPIC, coordinator);
+  };
+
+  test('admins kick subscribers, others cannot', async () => {
+    await clients[SPAMMER].subscribeOp.subscribe(TOPIC, jest.fn());
+    await clients[MEMBER].subscribeOp.subscribe(TOPIC, jest.fn());
+
+    await expect(clients[MEMBER].kickSubscriber(TOPIC, SPAMMER)).rejects.toThrow('Only topic admins can moderate');
+
+    const result = await clients[ADMIN].kickSubscriber(TOPIC, SPAMMER);
+    expect(result.removed).toBe(true);
+
+    const collection = await clients[OWNER].storage.loadSubscriberCollection(storedCoordinator().currentSubscribers);
+    expect(collection.hasSubscriber(SPAMMER)).toBe(false);
+    expect(collection.hasSubscriber(MEMBER)).toBe(true);
+  });
+
+  test('blocked publishers cannot publish until unblocked', async () => {
+    await clients[SPAMMER].publish(TOPIC, { text: 'first' });
+
+    const blocked = await clients[ADMIN].blockPublisher(TOPIC, SPAMMER);
+    expect(blocked).toMatchObject({ blocked: [SPAMMER], admins: [ADMIN], version: 2 });
+    expect(storedCoordinator().policy.signerID).toBe(ADMIN);
+
+    await expect(clients[SPAMMER].publish(TOPIC, { text: 'spam' })).rejects.toThrow('not allowed to publish');
+    // Subscribers drop what the blocked publisher posted before
+    expect(await loadHistory(clients[MEMBER])).toEqual([]);
+
+    // An owner update keeps the block list
+    await clients[OWNER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.OPEN, admins: [ADMIN] });
+    expect(storedCoordinator().policy.blocked).toEqual([SPAMMER]);
+
+    await clients[ADMIN].unblockPublisher(TOPIC, SPAMMER);
+    await expect(clients[SPAMMER].publish(TOPIC, { text: 'behaving' })).resolves.toMatchObject({ success: true });
+  });
+
+  test('admin-signed policy versions may only change the block list', async () => {
+    const stored = storedCoordinator();
+    const current = TopicPolicy.deserialize(stored.policy);
+    const coordinator = CoordinatorObject.deserialize(stored);
+
+    const withPolicy = (policy) => coordinator.updatePolicy(policy.serialize()).serialize();
+
+    const promoted = new TopicPolicy({ ...current.serialize(), admins: [ADMIN, SPAMMER], version: current.version + 1, signerID: ADMIN });
+    await promoted.sign(keys[ADMIN]);
+    expect(await TopicPolicy.checkCoordinator(withPolicy(promoted), stored, getPublicKey))
+      .toEqual({ valid: false, error: 'Admins can only change the block list' });
+
+    // A non-admin naming itself admin in its own version
+    const usurped = new TopicPolicy({ ...current.serialize(), admins: [ADMIN, SPAMMER], blocked: [MEMBER], version: current.version + 1, signerID: SPAMMER });
+    await usurped.sign(keys[SPAMMER]);
+    expect(await TopicPolicy.checkCoordinator(withPolicy(usurped), stored, getPublicKey))
+      .toEqual({ valid: false, error: 'Topic policy signer is not an admin' });
+
+    const blocked = await current.updateBlocked([SPAMMER], ADMIN, keys[ADMIN]);
+    expect(await TopicPolicy.checkCoordinator(withPolicy(blocked), stored, getPublicKey)).toEqual({ valid: true });
+    await expect(current.updateBlocked([MEMBER], SPAMMER, keys[SPAMMER])).rejects.toThrow('Only topic admins');
+  });
+
+  test('retracted messages are hidden from history and live delivery', async () => {
+    const { messageID } = await clients[SPAMMER].publish(TOPIC, { text: 'abuse' });
+    await clients[MEMBER].publish(TOPIC, { text: 'hello' });
+    const message = await clients[MEMBER].storage.loadMessage(messageID);
+
+    await expect(clients[MEMBER].removeMessage(TOPIC, messageID)).rejects.toThrow('Only topic admins can moderate');
+    const retraction = await clients[ADMIN].removeMessage(TOPIC, messageID);
+    expect(retraction).toMatchObject({ messageID, adminID: ADMIN, expiresAt: message.expiresAt });
+
+    const subscriber = clients[MEMBER];
+    const history = await loadHistory(subscriber);
+    expect(history.map(m => m.data.text)).toEqual(['hello']);
+
+    // A late push of the retracted message is dropped too
+    subscriber.subscribeOp.subscriptions.set(TOPIC, { lastSeenVersion: 0, expiresAt: Date.now() + 60000, messageHandler: jest.fn() });
+    const received = jest.fn();
+    subscriber.on(TOPIC, received);
+    await Promise.all(subscriber.dht.listeners('message').map(listener => listener({
+      type: 'pubsub_push',
+      topicID: TOPIC,
+      message: message.serialize(),
+      pushedAt: Date.now()
+    })));
+    expect(received).not.toHaveBeenCalled();
+  });
+
+  test('retractions not signed by an admin are rejected and ignored', async () => {
+    const { messageID } = await clients[MEMBER].publish(TOPIC, { text: 'hello' });
+    const stored = storedCoordinator();
+    const forged = await TopicPolicy.signRetraction(TOPIC, messageID, Date.now() + 60000, SPAMMER, keys[SPAMMER]);
+    const updated = CoordinatorObject.deserialize(stored).addRetraction(forged).serialize();
+
+    expect(await TopicPolicy.checkCoordinator(updated, stored, getPublicKey))
+      .toMatchObject({ valid: false, error: expect.stringContaining('not a topic admin') });
+
+    // Even if a replica kept it, subscribers ignore it
+    network.records.set(`coordinator:${TOPIC}`, updated);
+    const history = await loadHistory(clients[OWNER]);
+    expect(history.map(m => m.messageID)).toEqual([messageID]);
+  });
+
+  test('retractions cannot be dropped before they expire', async () => {
+    const { messageID } = await clients[SPAMMER].publish(TOPIC, { text: 'abuse' });
+    await clients[ADMIN].removeMessage(TOPIC, messageID);
+    const stored = storedCoordinator();
+
+    const reverted = { ...stored, retractions: [], version: stored.version + 1 };
+    expect(await TopicPolicy.checkCoordinator(reverted, stored, getPublicKey))
+      .toMatchObject({ valid: false, error: expect.stringContaining('cannot be dropped') });
+
+    // Expired retractions may be pruned
+    const expired = { ...stored, retractions: stored.retractions.map(r => ({ ...r, expiresAt: Date.now() - 1 })) };
+    expect(await TopicPolicy.checkCoordinator(reverted, expired, getPublicKey)).toEqual({ valid: true });
+  });
+});
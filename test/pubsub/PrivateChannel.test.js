@@ -0,0 +1,298 @@
+import { jest } from '@jest/globals';
+import { PubSubClient } from '../../src/pubsub/PubSubClient.js';
+import { PrivateChannel } from '../../src/pubsub/PrivateChannel.js';
+import { Message } from '../../src/pubsub/Message.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { NodeIdProof } from '../../src/core/NodeIdProof.js';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import {
+  generateChannelKey,
+  encryptData,
+  decryptData,
+  isEncryptedData,
+  wrapChannelKey,
+  unwrapChannelKey
+} from '../../src/pubsub/ChannelEncryption.js';
+import { createNetwork } from '../helpers/pubsubNetwork.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Private encrypted channels
+ *
+ * Verifies that:
+ * - Channel keys are wrapped to members' identity keys and only they can unwrap them
+ * - Payloads published to a private channel are encrypted
+ * - Members decrypt pushed and polled messages transparently, others drop them
+ * - Removing a member rotates the key; the previous epoch stays readable for remaining members
+ * - Publishers encrypt under the stored current epoch, not a cached one
+ * - Messages from publishers that are not channel members are dropped
+ * - Records not signed by the owner are ignored, and refused by DHT replicas running a PubSubClient
+ */
+
+const OWNER = 'a'.repeat(40);
+const MEMBER = 'b'.repeat(40);
+const LEAVER = 'c'.repeat(40);
+const OUTSIDER = 'd'.repeat(40);
+
+describe('ChannelEncryption', () => {
+  let keyInfo;
+  let otherKeyInfo;
+
+  beforeAll(async () => {
+    keyInfo = await InvitationToken.generateKeyPair();
+    otherKeyInfo = await InvitationToken.generateKeyPair();
+  });
+
+  test('wrapped channel keys unwrap only with the member identity key', async () => {
+    const channelKey = generateChannelKey();
+    const wrapped = await wrapChannelKey(channelKey, keyInfo.publicKey);
+
+    expect(await unwrapChannelKey(wrapped, keyInfo)).toBe(channelKey);
+    await expect(unwrapChannelKey(wrapped, otherKeyInfo)).rejects.toThrow();
+    // Native (PKCS#8) exports end with the same seed
+    const pkcs8 = { privateKey: '302e020100300506032b657004220420' + keyInfo.privateKey };
+    expect(await unwrapChannelKey(wrapped, pkcs8)).toBe(channelKey);
+  });
+
+  test('payloads are bound to their topic and epoch', async () => {
+    const channelKey = generateChannelKey();
+    const envelope = await encryptData(channelKey, { text: 'secret' }, 'private:topic', 3);
+
+    expect(isEncryptedData(envelope)).toBe(true);
+    expect(JSON.stringify(envelope)).not.toContain('secret');
+    expect(await decryptData(channelKey, envelope, 'private:topic')).toEqual({ text: 'secret' });
+    await expect(decryptData(channelKey, envelope, 'private:other')).rejects.toThrow();
+    await expect(decryptData(channelKey, { ...envelope, epoch: 2 }, 'private:topic')).rejects.toThrow();
+  });
+});
+
+describe('Private channels', () => {
+  let keys;
+  let network;
+  let clients;
+
+  beforeAll(async () => {
+    keys = {};
+    for (const id of [OWNER, MEMBER, LEAVER, OUTSIDER]) {
+      keys[id] = await InvitationToken.generateKeyPair();
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    network = createNetwork();
+    clients = {};
+    for (const id of [OWNER, MEMBER, LEAVER, OUTSIDER]) {
+      network.publicKeys.set(id, keys[id].publicKey);
+      clients[id] = new PubSubClient(network.createDHT(), id, keys[id]);
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createMessage = async (publisherID, topicID, data, sequence = 1) => {
+    const now = Date.now();
+    return Message.create({
+      topicID,
+      publisherID,
+      publisherSequence: sequence,
+      addedInVersion: 1,
+      data,
+      publishedAt: now,
+      expiresAt: now + 60000
+    }, keys[publisherID]);
+  };
+
+  const push = async (client, message) => {
+    client.subscribeOp.subscriptions.set(message.topicID, { lastSeenVersion: 0, messageHandler: jest.fn() });
+    const received = jest.fn();
+    client.on(message.topicID, received);
+    await Promise.all(client.dht.listeners('message').map(listener => listener({
+      type: 'pubsub_push',
+      topicID: message.topicID,
+      message: message.serialize(),
+      pushedAt: Date.now()
+    })));
+    return received;
+  };
+
+  test('creates a channel whose key only members can unwrap', async () => {
+    const { topicID, members, epoch } = await clients[OWNER].createPrivateChannel([MEMBER, LEAVER]);
+
+    expect(PrivateChannel.isPrivateTopic(topicID)).toBe(true);
+    expect(members).toEqual([OWNER, MEMBER, LEAVER]);
+    expect(epoch).toBe(0);
+
+    const envelope = await clients[OWNER].keyring.encrypt(topicID, { text: 'hi' });
+    expect(await clients[MEMBER].keyring.decrypt(topicID, envelope)).toEqual({ text: 'hi' });
+    await expect(clients[OUTSIDER].keyring.decrypt(topicID, envelope)).rejects.toThrow('No key for epoch 0');
+    await expect(clients[OUTSIDER].keyring.encrypt(topicID, { text: 'hi' })).rejects.toThrow('Not a member');
+  });
+
+  test('publishing to a private channel encrypts the payload', async () => {
+    const { topicID } = await clients[OWNER].createPrivateChannel([MEMBER]);
+    const client = clients[MEMBER];
+    client.publishOp.publish = jest.fn(async () => ({ messageID: 'm', version: 1, attempts: 1 }));
+
+    await client.publish(topicID, { text: 'secret' });
+
+    const payload = client.publishOp.publish.mock.calls[0][1];
+    expect(isEncryptedData(payload)).toBe(true);
+    expect(JSON.stringify(payload)).not.toContain('secret');
+    await expect(clients[OUTSIDER].publish(topicID, { text: 'x' })).rejects.toThrow('Not a member');
+  });
+
+  test('members receive decrypted pushed messages, outsiders and cleartext are dropped', async () => {
+    const { topicID } = await clients[OWNER].createPrivateChannel([MEMBER]);
+    const envelope = await clients[OWNER].keyring.encrypt(topicID, { text: 'hello' });
+    const message = await createMessage(OWNER, topicID, envelope);
+
+    const memberReceived = await push(clients[MEMBER], message);
+    expect(memberReceived).toHaveBeenCalledTimes(1);
+    expect(memberReceived.mock.calls[0][0].data).toEqual({ text: 'hello' });
+
+    const outsiderReceived = await push(clients[OUTSIDER], message);
+    expect(outsiderReceived).not.toHaveBeenCalled();
+
+    const cleartext = await createMessage(OWNER, topicID, { text: 'oops' }, 2);
+    const cleartextReceived = await push(clients[MEMBER], cleartext);
+    expect(cleartextReceived).not.toHaveBeenCalled();
+  });
+
+  test('polled messages are decrypted before reaching the handler', async () => {
+    const { topicID } = await clients[OWNER].createPrivateChannel([MEMBER]);
+    const message = await createMessage(OWNER, topicID, await clients[OWNER].keyring.encrypt(topicID, { n: 1 }));
+    const subscribeOp = clients[MEMBER].subscribeOp;
+    subscribeOp.storage.loadMessageCollection = jest.fn(async () => ({
+      getMessagesSince: () => [{ messageID: message.messageID }]
+    }));
+    subscribeOp.storage.loadMessages = jest.fn(async () => [message]);
+
+    const [delivered] = await subscribeOp.getDeltaMessages(topicID, { currentMessages: 'collection' }, 0);
+
+    expect(delivered).toBeInstanceOf(Message);
+    expect(delivered.data).toEqual({ n: 1 });
+    expect(delivered.messageID).toBe(message.messageID);
+  });
+
+  test('removing a member rotates the key and keeps the previous epoch readable', async () => {
+    const { topicID } = await clients[OWNER].createPrivateChannel([MEMBER, LEAVER]);
+    const before = await clients[OWNER].keyring.encrypt(topicID, { n: 1 });
+    await clients[LEAVER].keyring.decrypt(topicID, before);
+    await clients[MEMBER].keyring.encrypt(topicID, { n: 0 });
+
+    const rotated = await clients[OWNER].removeChannelMember(topicID, LEAVER);
+    expect(rotated).toMatchObject({ members: [OWNER, MEMBER], epoch: 1 });
+
+    // Cached entries do not outlive the rotation when publishing
+    expect((await clients[MEMBER].keyring.encrypt(topicID, { n: 3 })).epoch).toBe(1);
+    await expect(clients[LEAVER].keyring.encrypt(topicID, { n: 3 })).rejects.toThrow('Not a member');
+
+    const after = await clients[OWNER].keyring.encrypt(topicID, { n: 2 });
+    expect(after.epoch).toBe(1);
+    expect(await clients[MEMBER].keyring.decrypt(topicID, after)).toEqual({ n: 2 });
+    expect(await clients[MEMBER].keyring.decrypt(topicID, before)).toEqual({ n: 1 });
+    // The removed member loads the new record but finds no key for it
+    await expect(clients[LEAVER].keyring.decrypt(topicID, after)).rejects.toThrow('No key for epoch 1');
+    expect(clients[OWNER].getStats().privateChannels).toMatchObject({ channels: 1, rotations: 1 });
+  });
+
+  test('messages from removed members are dropped', async () => {
+    const { topicID } = await clients[OWNER].createPrivateChannel([MEMBER, LEAVER]);
+    const envelope = await clients[LEAVER].keyring.encrypt(topicID, { text: 'still here' });
+    await clients[MEMBER].keyring.load(topicID);
+
+    await clients[OWNER].removeChannelMember(topicID, LEAVER);
+
+    // The leaver still holds the previous epoch's key
+    const message = await createMessage(LEAVER, topicID, envelope);
+    expect(await push(clients[MEMBER], message)).not.toHaveBeenCalled();
+  });
+
+  test('only the owner can change members', async () => {
+    const { topicID } = await clients[OWNER].createPrivateChannel([MEMBER]);
+
+    await expect(clients[MEMBER].removeChannelMember(topicID, OWNER)).rejects.toThrow('Only the channel owner');
+
+    const added = await clients[OWNER].addChannelMember(topicID, LEAVER);
+    expect(added.epoch).toBe(0);
+    const envelope = await clients[OWNER].keyring.encrypt(topicID, { n: 1 });
+    expect(await clients[LEAVER].keyring.decrypt(topicID, envelope)).toEqual({ n: 1 });
+  });
+
+  test('ignores channel records not signed by the owner', async () => {
+    const { topicID } = await clients[OWNER].createPrivateChannel([MEMBER]);
+    const key = `channel:${topicID}`;
+    const record = PrivateChannel.deserialize(network.records.get(key));
+
+    // An outsider re-signs the record with a key wrapped for themselves
+    const forged = new PrivateChannel({
+      ...record.serialize(),
+      members: [...record.members, OUTSIDER],
+      epochs: [{ epoch: 0, keys: await PrivateChannel.wrapForMembers(generateChannelKey(), [OUTSIDER], async () => keys[OUTSIDER].publicKey) }],
+      version: record.version + 1
+    });
+    await forged.sign(keys[OUTSIDER]);
+    network.records.set(key, forged.serialize());
+
+    expect(await clients[OUTSIDER].keyring.load(topicID)).toBeNull();
+    await expect(clients[OUTSIDER].keyring.encrypt(topicID, { n: 1 })).rejects.toThrow('Not a member');
+  });
+});
+
+describe('Channel record namespace', () => {
+  let dht;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+    dht.sendMessage = jest.fn().mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const storeFrom = (key, value) => dht.handleStore('peer1', { type: 'store', requestId: 'r1', key, value });
+  const lastResponse = () => dht.sendMessage.mock.calls.at(-1)[1];
+
+  test('the DHT leaves pubsub namespaces to PubSubClient', async () => {
+    expect(dht.namespaces.get('channel:x')).toBeFalsy();
+    expect(dht.namespaces.get('coordinator:x')).toBeFalsy();
+
+    new PubSubClient(dht, 'f'.repeat(40), await InvitationToken.generateKeyPair());
+    expect(dht.namespaces.get('channel:x')?.validate).toBeDefined();
+    expect(dht.namespaces.get('coordinator:x')?.merge).toBeDefined();
+  });
+
+  test('channel records must be signed by their owner', async () => {
+    PubSubClient.registerNamespaces(dht);
+    const owner = await NodeIdProof.generate();
+    const attacker = await NodeIdProof.generate();
+    await storeFrom(InvitationToken.getPublicKeyStorageKey(owner.nodeId), { nodeId: owner.nodeId, publicKey: owner.keyPair.publicKey, timestamp: 1 });
+    await storeFrom(InvitationToken.getPublicKeyStorageKey(attacker.nodeId), { nodeId: attacker.nodeId, publicKey: attacker.keyPair.publicKey, timestamp: 1 });
+
+    const { channel } = await PrivateChannel.create(owner.nodeId, owner.keyPair, [], async () => owner.keyPair.publicKey);
+    const key = `channel:${channel.topicID}`;
+    await storeFrom(key, channel.serialize());
+    expect(lastResponse().success).toBe(true);
+
+    // A higher version re-signed by someone else
+    const forged = new PrivateChannel({ ...channel.serialize(), members: [owner.nodeId, attacker.nodeId], version: 9 });
+    await forged.sign(attacker.keyPair);
+    await storeFrom(key, forged.serialize());
+    expect(lastResponse().success).toBe(false);
+
+    // A genuine record under another channel's key
+    const { channel: other } = await PrivateChannel.create(owner.nodeId, owner.keyPair, [], async () => owner.keyPair.publicKey);
+    await storeFrom(`channel:${other.topicID}x`, other.serialize());
+    expect(lastResponse().success).toBe(false);
+
+    expect(dht.storage.get(key).value.version).toBe(0);
+  });
+});
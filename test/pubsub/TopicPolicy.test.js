@@ -0,0 +1,299 @@
+import { jest } from '@jest/globals';
+import { KademliaDHT } from '../../src/dht/KademliaDHT.js';
+import { PubSubClient } from '../../src/pubsub/PubSubClient.js';
+import { TopicPolicy } from '../../src/pubsub/TopicPolicy.js';
+import { CoordinatorObject } from '../../src/pubsub/CoordinatorObject.js';
+import { Message } from '../../src/pubsub/Message.js';
+import { InvitationToken } from '../../src/core/InvitationToken.js';
+import { createNetwork } from '../helpers/pubsubNetwork.js';
+import { createMockBootstrap } from '../helpers/mockBootstrap.js';
+
+/**
+ * Unit Tests: Topic publisher policies
+ *
+ * Verifies that:
+ * - Policies allow everyone (OPEN), the owner and listed publishers (ALLOW_LIST) or only the owner (OWNER_ONLY)
+ * - Publishers refuse to publish to topics whose policy excludes them
+ * - Replicas reject coordinator updates without a stamp from an allowed publisher,
+ *   and refuse to drop a policy or hand it to another owner
+ * - A publish that conflicts with a concurrent one stores a merged collection stamped by its publisher
+ * - A first policy can only be attached before anything is published
+ * - Subscribers drop pushed and polled messages from publishers outside the policy
+ * - Only the owner can update the policy, with a version bump
+ */
+
+function createReplica(publicKeys) {
+  const dht = new KademliaDHT({ bootstrap: createMockBootstrap() });
+  PubSubClient.registerNamespaces(dht);
+  dht.sendMessage = jest.fn().mockResolvedValue(true);
+  for (const [nodeId, publicKey] of publicKeys) {
+    dht.peerPublicKeys.set(nodeId, publicKey);
+  }
+  return dht;
+}
+
+const TOPIC = 'news';
+const OWNER = 'a'.repeat(40);
+const WRITER = 'b'.repeat(40);
+const OUTSIDER = 'c'.repeat(40);
+
+describe('TopicPolicy', () => {
+  let ownerKey;
+
+  beforeAll(async () => {
+    ownerKey = await InvitationToken.generateKeyPair();
+  });
+
+  test('modes decide who may publish', () => {
+    const policy = (mode) => new TopicPolicy({ topicID: TOPIC, ownerID: OWNER, mode, publishers: [WRITER] });
+
+    expect(policy(TopicPolicy.Mode.OPEN).allows(OUTSIDER)).toBe(true);
+    expect(policy(TopicPolicy.Mode.ALLOW_LIST).allows(OWNER)).toBe(true);
+    expect(policy(TopicPolicy.Mode.ALLOW_LIST).allows(WRITER)).toBe(true);
+    expect(policy(TopicPolicy.Mode.ALLOW_LIST).allows(OUTSIDER)).toBe(false);
+    expect(policy(TopicPolicy.Mode.OWNER_ONLY).allows(WRITER)).toBe(false);
+    expect(policy(TopicPolicy.Mode.OWNER_ONLY).allows(OWNER)).toBe(true);
+  });
+
+  test('updates are signed by the owner with a bumped version', async () => {
+    const first = await TopicPolicy.create(TOPIC, OWNER, ownerKey, { mode: TopicPolicy.Mode.OWNER_ONLY });
+    const second = await TopicPolicy.create(TOPIC, OWNER, ownerKey, { mode: TopicPolicy.Mode.ALLOW_LIST, publishers: [WRITER] }, first);
+
+    expect(first.version).toBe(1);
+    expect(second.version).toBe(2);
+    expect(await second.verify(ownerKey.publicKey)).toBe(true);
+
+    const tampered = TopicPolicy.deserialize({ ...second.serialize(), publishers: [WRITER, OUTSIDER] });
+    expect(await tampered.verify(ownerKey.publicKey)).toBe(false);
+
+    await expect(TopicPolicy.create(TOPIC, WRITER, ownerKey, { mode: TopicPolicy.Mode.OPEN }, second))
+      .rejects.toThrow('Only the topic owner');
+    await expect(TopicPolicy.create(TOPIC, OWNER, ownerKey, { mode: 'EVERYONE' }))
+      .rejects.toThrow('Invalid mode');
+  });
+});
+
+describe('Topic policy enforcement', () => {
+  let keys;
+  let network;
+  let clients;
+
+  beforeAll(async () => {
+    keys = {};
+    for (const id of [OWNER, WRITER, OUTSIDER]) {
+      keys[id] = await InvitationToken.generateKeyPair();
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    network = createNetwork();
+    clients = {};
+    for (const id of [OWNER, WRITER, OUTSIDER]) {
+      network.publicKeys.set(id, keys[id].publicKey);
+      clients[id] = new PubSubClient(network.createDHT(), id, keys[id]);
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const storedCoordinator = () => network.records.get(`coordinator:${TOPIC}`);
+
+  const createMessage = async (publisherID, sequence = 1) => {
+    const now = Date.now();
+    return Message.create({
+      topicID: TOPIC,
+      publisherID,
+      publisherSequence: sequence,
+      addedInVersion: 1,
+      data: { from: publisherID },
+      publishedAt: now,
+      expiresAt: now + 60000
+    }, keys[publisherID]);
+  };
+
+  test('publishers outside the policy are refused', async () => {
+    await clients[OWNER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.OWNER_ONLY });
+    const storeMessage = jest.spyOn(clients[OUTSIDER].publishOp.storage, 'storeMessage');
+
+    await expect(clients[OUTSIDER].publish(TOPIC, { text: 'spam' })).rejects.toThrow('not allowed to publish');
+    // Once the policy is known nothing is stored at all
+    await expect(clients[OUTSIDER].publish(TOPIC, { text: 'spam' })).rejects.toThrow('not allowed to publish');
+    expect(storeMessage).toHaveBeenCalledTimes(1);
+    expect(storedCoordinator().currentMessages).toBeNull();
+
+    await clients[OWNER].publish(TOPIC, { text: 'announcement' });
+    expect(storedCoordinator().publishStamp.publisherID).toBe(OWNER);
+  });
+
+  test('allow-listed publishers stamp their coordinator updates', async () => {
+    const policy = await clients[OWNER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.ALLOW_LIST, publishers: [WRITER] });
+    expect(policy).toMatchObject({ ownerID: OWNER, publishers: [WRITER], version: 1 });
+
+    await clients[WRITER].publish(TOPIC, { text: 'hello' });
+
+    const coordinator = storedCoordinator();
+    expect(coordinator.publishStamp).toMatchObject({ publisherID: WRITER, collectionID: coordinator.currentMessages });
+    const check = await TopicPolicy.checkCoordinator(coordinator, null, async (id) => network.publicKeys.get(id));
+    expect(check).toEqual({ valid: true });
+  });
+
+  test('only the owner can update the policy', async () => {
+    await clients[OWNER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.OWNER_ONLY });
+    await clients[OWNER].publish(TOPIC, { text: 'first' });
+
+    await expect(clients[OUTSIDER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.OPEN }))
+      .rejects.toThrow('Only the topic owner');
+
+    const updated = await clients[OWNER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.ALLOW_LIST, publishers: [WRITER] });
+    expect(updated.version).toBe(2);
+    // Existing messages stay stamped by the owner
+    expect(storedCoordinator().publishStamp.publisherID).toBe(OWNER);
+
+    await clients[WRITER].publish(TOPIC, { text: 'now allowed' });
+    expect(storedCoordinator().publishStamp.publisherID).toBe(WRITER);
+  });
+
+  test('replicas only accept coordinator updates the policy allows', async () => {
+    await clients[OWNER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.ALLOW_LIST, publishers: [WRITER] });
+    await clients[WRITER].publish(TOPIC, { text: 'hello' });
+
+    const replica = createReplica(network.publicKeys);
+    const key = `coordinator:${TOPIC}`;
+    const current = CoordinatorObject.deserialize(storedCoordinator());
+    replica.applyCompareAndSwap(key, current.serialize(), current.version - 1, 'peer');
+
+    const casStore = async (coordinator) => {
+      replica.sendMessage.mockClear();
+      await replica.handleCasStore('peer', { requestId: 'r', key, value: coordinator.serialize(), expectedVersion: current.version });
+      return replica.sendMessage.mock.calls[0][1];
+    };
+
+    // An outsider points the topic at its own collection
+    const hijacked = current.updateMessages('f'.repeat(40));
+    const outsiderStamp = await TopicPolicy.signPublishStamp(TOPIC, hijacked.currentMessages, OUTSIDER, keys[OUTSIDER]);
+    expect(await casStore(hijacked)).toMatchObject({ success: false, error: 'Missing publish stamp for current messages' });
+    expect(await casStore(hijacked.withPublishStamp(outsiderStamp)))
+      .toMatchObject({ success: false, error: expect.stringContaining('not allowed by topic policy') });
+
+    // A stamp copied from an allowed publisher doesn't cover another collection
+    const copiedStamp = { ...current.publishStamp, collectionID: hijacked.currentMessages };
+    expect(await casStore(hijacked.withPublishStamp(copiedStamp))).toMatchObject({ success: false, error: 'Invalid publish stamp' });
+
+    // The policy can't be dropped or replaced by an older one
+    const withoutPolicy = CoordinatorObject.deserialize({ ...current.serialize(), policy: null, version: current.version + 1 });
+    expect(await casStore(withoutPolicy)).toMatchObject({ success: false, error: 'Topic policy cannot be removed' });
+
+    // ...or be taken over by another node, even with a validly signed policy
+    const takeover = await TopicPolicy.create(TOPIC, OUTSIDER, keys[OUTSIDER], { mode: TopicPolicy.Mode.OPEN });
+    takeover.version = current.policy.version + 1;
+    await takeover.sign(keys[OUTSIDER]);
+    expect(await casStore(current.updatePolicy(takeover.serialize())))
+      .toMatchObject({ success: false, error: 'Topic policy owner cannot change' });
+
+    // Allowed updates go through
+    const subscriberUpdate = current.updateSubscribers('e'.repeat(40));
+    expect(await casStore(subscriberUpdate)).toMatchObject({ success: true });
+    expect(replica.storage.get(key).value.currentSubscribers).toBe('e'.repeat(40));
+  });
+
+  test('conflicting publishes merge into a collection the replicas accept', async () => {
+    await clients[OWNER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.ALLOW_LIST, publishers: [WRITER] });
+    await clients[OWNER].publish(TOPIC, { text: 'first' });
+
+    // The owner publishes again between the writer loading and storing the coordinator
+    const storage = clients[WRITER].publishOp.storage;
+    const storeWithVersionCheck = storage.storeCoordinatorWithVersionCheck.bind(storage);
+    let theirs;
+    jest.spyOn(storage, 'storeCoordinatorWithVersionCheck').mockImplementationOnce(async (...args) => {
+      await clients[OWNER].publish(TOPIC, { text: 'concurrent' });
+      theirs = structuredClone(storedCoordinator());
+      return storeWithVersionCheck(...args);
+    });
+
+    await clients[WRITER].publish(TOPIC, { text: 'hello' });
+
+    const merged = storedCoordinator();
+    expect(merged.version).toBeGreaterThan(theirs.version);
+    expect(merged.publishStamp).toMatchObject({ publisherID: WRITER, collectionID: merged.currentMessages });
+    const collection = await storage.loadMessageCollection(merged.currentMessages);
+    expect(collection.size()).toBe(3);
+
+    // A replica holding the owner's coordinator accepts the merge
+    const replica = createReplica(network.publicKeys);
+    const key = `coordinator:${TOPIC}`;
+    replica.applyCompareAndSwap(key, theirs, theirs.version - 1, 'peer');
+    await replica.handleCasStore('peer', { requestId: 'r', key, value: merged, expectedVersion: theirs.version });
+    expect(replica.sendMessage.mock.calls[0][1]).toMatchObject({ success: true });
+    expect(replica.storage.get(key).value.currentMessages).toBe(merged.currentMessages);
+  });
+
+  test('nobody can claim a topic that already has messages', async () => {
+    await clients[WRITER].publish(TOPIC, { text: 'open topic' });
+    const current = CoordinatorObject.deserialize(storedCoordinator());
+
+    await expect(clients[OUTSIDER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.OWNER_ONLY }))
+      .rejects.toThrow('already has messages');
+
+    // Replicas refuse the claim when it is written around the client check
+    const replica = createReplica(network.publicKeys);
+    const key = `coordinator:${TOPIC}`;
+    replica.applyCompareAndSwap(key, current.serialize(), current.version - 1, 'peer');
+    const claim = await TopicPolicy.create(TOPIC, OUTSIDER, keys[OUTSIDER], { mode: TopicPolicy.Mode.OWNER_ONLY });
+    await replica.handleCasStore('peer', { requestId: 'r', key, value: current.updatePolicy(claim.serialize()).serialize(), expectedVersion: current.version });
+
+    expect(replica.sendMessage.mock.calls[0][1]).toMatchObject({ success: false, error: expect.stringContaining('already has messages') });
+  });
+
+  test('subscribers drop polled and pushed messages from disallowed publishers', async () => {
+    await clients[OWNER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.OWNER_ONLY });
+    await clients[OWNER].publish(TOPIC, { text: 'first' });
+    const fromOwner = await createMessage(OWNER, 1);
+    const fromOutsider = await createMessage(OUTSIDER, 1);
+
+    const subscriber = clients[WRITER];
+    const subscribeOp = subscriber.subscribeOp;
+    const lastSeenVersion = storedCoordinator().version - 1;
+    subscribeOp.subscriptions.set(TOPIC, { lastSeenVersion, expiresAt: Date.now() + 60000, messageHandler: jest.fn() });
+    subscribeOp.storage.loadMessageCollection = jest.fn(async () => ({
+      getMessagesSince: () => [{ messageID: fromOwner.messageID }, { messageID: fromOutsider.messageID }]
+    }));
+    subscribeOp.storage.loadMessages = jest.fn(async () => [fromOwner, fromOutsider]);
+
+    const { newMessages } = await subscribeOp.pollUpdates(TOPIC);
+    expect(newMessages).toEqual([fromOwner]);
+
+    // The policy learned while polling also applies to pushed messages
+    const received = jest.fn();
+    subscriber.on(TOPIC, received);
+    for (const message of [fromOutsider, await createMessage(OWNER, 2)]) {
+      await Promise.all(subscriber.dht.listeners('message').map(listener => listener({
+        type: 'pubsub_push',
+        topicID: TOPIC,
+        message: message.serialize(),
+        pushedAt: Date.now()
+      })));
+    }
+
+    expect(received).toHaveBeenCalledTimes(1);
+    expect(received.mock.calls[0][0].publisherID).toBe(OWNER);
+  });
+
+  test('ignores policies not signed by their owner', async () => {
+    await clients[OWNER].setTopicPolicy(TOPIC, { mode: TopicPolicy.Mode.OWNER_ONLY });
+    const forged = { ...storedCoordinator().policy, ownerID: OUTSIDER, signerID: OUTSIDER };
+
+    const { policy, error } = await TopicPolicy.fromCoordinator(
+      { topicID: TOPIC, policy: forged },
+      async (id) => network.publicKeys.get(id)
+    );
+
+    expect(policy).toBeNull();
+    expect(error).toBe('Policy not signed by its owner or an admin');
+  });
+});